@@ -2,58 +2,30 @@
 
 "use strict";
 
+/**
+ * js_recover command line interface
+ * Thin wrapper around lib/deobfuscator.js: parses arguments, merges configs,
+ * handles user prompts and writes outputs/reports to disk.
+ */
+
 if (!process.env.NODE_CONFIG_DIR) {
     process.env.NODE_CONFIG_DIR = __dirname + "/config";
 }
 
 const config = require('config');
 const fs = require('fs');
-// const parser = require('babylon');
-const parser = require('@babel/parser');
-const _ = require('lodash');
 const readline = require('readline');
-const SourceMapConsumer = require('source-map').SourceMapConsumer;
-const CodeGenerator = require('@babel/generator').CodeGenerator;
-// const astring = require('astring');
-// const generate = require('@babel/generator').default;
-const {traverseTopDown, traverseBottomUp} = require("./lib/traverser");
-const {cleanupParentReferences, cleanupContext} = require("./lib/cleanup");
-
-// Node mutators
-// const dumpScopes = require("./lib/mutators/dump_scopes");
-const assignValuesToVariables = require("./lib/mutators/assign_values_to_variables");
-const createScopes = require("./lib/mutators/create_scopes");
-const replaceSequentialAssignmentsInFlowControl = require("./lib/mutators/replace_sequential_assignments_in_flow_control");
-const replaceSequentialAssignments = require("./lib/mutators/replace_sequential_assignments");
-const fixControlFlowStatementsWithOneStatement = require("./lib/mutators/fix_control_flow_statements_with_one_statement");
-const removeLocationInformation = require("./lib/mutators/remove_location_information");
-const removeEmptyFunctions = require("./lib/mutators/remove_empty_functions");
-const defineFunctions = require("./lib/mutators/define_functions");
-const countFunctionInvocations = require("./lib/mutators/count_function_invocations");
-const recoverBooleans = require("./lib/mutators/recover_booleans");
-const renameVariables = require("./lib/mutators/rename_variables");
-const renameVariablesWithGrok = require("./lib/mutators/rename_variables_with_grok");
-const renameFunctionsWithGrok = require("./lib/mutators/rename_functions_with_grok");
-const applyFunctionRenames = require("./lib/mutators/apply_function_renames");
-
-// New mutators (2025-10-25)
-const foldConstants = require("./lib/mutators/fold_constants");
-const deobfuscateStrings = require("./lib/mutators/deobfuscate_strings");
-const eliminateDeadCode = require("./lib/mutators/eliminate_dead_code");
-const unpackBundles = require("./lib/mutators/unpack_bundles");
-const simplifyPropertyAccess = require("./lib/mutators/simplify_property_access");
-const inlineStringArrayAccess = require("./lib/mutators/inline_string_array_access");
-const extractNestedBundles = require("./lib/mutators/extract_nested_bundles");
-const unwrapUMD = require("./lib/mutators/unwrap_umd");
 
 const Utils = require("./lib/utils");
-const GrokInterface = require("./lib/grok/interface");
-const { generateMalwareReport, formatReportConsole, formatReportMarkdown } = require("./lib/malware_report");
-const { ProgressTimer, tracker } = require("./lib/progress");
-const { CLIParser, showHelp, showVersion, showErrors, showPresets, generateConfig } = require("./lib/cli");
+const { deobfuscate } = require("./lib/deobfuscator");
+const { loadPlugins } = require("./lib/plugin_loader");
+const { resolvePipeline } = require("./lib/pipeline");
+const { formatReportConsole, formatReportMarkdown } = require("./lib/malware_report");
+const { ProgressTimer } = require("./lib/progress");
+const { CLIParser, showHelp, showVersion, showErrors, showPresets, showPasses, generateConfig } = require("./lib/cli");
 const { ConfigLoader } = require("./lib/config_loader");
 const BatchProcessor = require("./lib/batch_processor");
-const { detectExoticObfuscation, decodeExoticObfuscation } = require("./lib/exotic_deobfuscators");
+const { unpackChunkDirectory } = require("./lib/webpack_chunk_graph");
 const { saveHTMLReport } = require("./lib/html_reporter");
 const { analyzeFileSize, displayFileSizeAnalysis, askProceedWithLargeFile, optimizeConfigForLargeFile } = require("./lib/large_file_handler");
 
@@ -107,8 +79,11 @@ if (userConfig) {
     if (userConfig.noGrok !== undefined && !cliOptions.noGrok) cliOptions.noGrok = userConfig.noGrok;
     if (userConfig.noUnpack !== undefined && !cliOptions.noUnpack) cliOptions.noUnpack = userConfig.noUnpack;
     if (userConfig.noMalwareReport !== undefined && !cliOptions.noMalwareReport) cliOptions.noMalwareReport = userConfig.noMalwareReport;
+    if (userConfig.jsx !== undefined) config.recoverJsx = userConfig.jsx;
     if (userConfig.maxIterations !== undefined) config.maxIterations = userConfig.maxIterations;
     if (userConfig.timeout !== undefined) config.timeoutMs = userConfig.timeout;
+    if (userConfig.pipeline !== undefined) config.pipeline = userConfig.pipeline;
+    if (userConfig.sourceMaps !== undefined) config.sourceMaps = { ...config.sourceMaps, ...userConfig.sourceMaps };
 
     // Batch options
     if (userConfig.batch) {
@@ -145,6 +120,37 @@ if (cliOptions.verbose) config.verbose = true;
 if (cliOptions.quiet) config.verbose = false;
 if (cliOptions.maxIterations !== null) config.maxIterations = cliOptions.maxIterations;
 if (cliOptions.timeout !== null) config.timeoutMs = cliOptions.timeout;
+if (cliOptions.jsx) config.recoverJsx = true;
+if (cliOptions.passes || cliOptions.disablePasses.length > 0) {
+    const pipeline = { ...config.pipeline };
+    if (cliOptions.passes) pipeline.passes = cliOptions.passes;
+    if (cliOptions.disablePasses.length > 0) pipeline.disable = [].concat(pipeline.disable || [], cliOptions.disablePasses);
+    config.pipeline = pipeline;
+}
+
+// Load mutator plugins declared in .js_recover.json (fail early on bad plugins)
+const pluginSpecs = (userConfig && userConfig.plugins) || [];
+let plugins = [];
+try {
+    plugins = loadPlugins(pluginSpecs);
+} catch (ex) {
+    console.error(`ERROR: ${ex.message}`);
+    process.exit(1);
+}
+
+// Check the pipeline and the --passes/--disable-pass names before any file is read
+try {
+    resolvePipeline(config.pipeline, plugins);
+} catch (ex) {
+    console.error(`ERROR: ${ex.message}`);
+    process.exit(1);
+}
+
+// Handle --list-passes (after config so plugin mutators and a custom pipeline are listed)
+if (cliOptions.listPasses) {
+    showPasses(config.pipeline, plugins);
+    process.exit(0);
+}
 
 // BATCH MODE ROUTING
 if (cliOptions.mode === 'batch') {
@@ -198,12 +204,19 @@ if (cliOptions.mode === 'batch') {
                     if (cliOptions.noGrok) args.push('--no-grok');
                     if (cliOptions.noUnpack) args.push('--no-unpack');
                     if (cliOptions.noMalwareReport) args.push('--no-malware-report');
+                    if (cliOptions.jsx) args.push('--jsx');
                     if (cliOptions.maxIterations) {
                         args.push('--max-iterations', cliOptions.maxIterations.toString());
                     }
                     if (cliOptions.timeout) {
                         args.push('--timeout', cliOptions.timeout.toString());
                     }
+                    if (cliOptions.passes) {
+                        args.push('--passes', cliOptions.passes.join(','));
+                    }
+                    if (cliOptions.disablePasses.length > 0) {
+                        args.push('--disable-pass', cliOptions.disablePasses.join(','));
+                    }
 
                     // Spawn single-file processor
                     const proc = spawn('node', args, {
@@ -279,258 +292,41 @@ if (cliOptions.mode === 'batch') {
     return;
 }
 
-// SINGLE FILE MODE (existing logic continues below)
-
-String.prototype.last = function () {
-    return this[this.length - 1];
-};
-
-Array.prototype.last = function (n = 0) {
-    let value = (n >= 0 && n <= this.length - 1) ? this[this.length - (n + 1)] : null;
-    return value;
-};
-
-function dumpScopes(scopes, parent, level = 0) {
-    let children = Object.values(scopes).filter(el => el.parent == parent);
-    for (let scope of children) {
-        let varsOrFuncs = Object.values(scope.variables);
-        let funcs = varsOrFuncs.filter(el => el.value?.constructor?.name == "Function");
-        let vars = varsOrFuncs.filter(el => el.value?.constructor?.name != "Function");
-
-        if (varsOrFuncs.length > 0) {
-            if (funcs.length > 0) {
-                console.log('Functions:');
-                for (let func of funcs) {
-                    console.log(`Name: ${func.value.name}, call count: ${func.value.callCount}`);
-                }
-            }
-            if (vars.length > 0) {
-                console.log('Variables:');
-                for (let variable of vars) {
-                    console.log(variable.toString());
-                }
-            }
-        }
-        dumpScopes(scopes, scope, level + 1);
-    }
-    
-}
-
-
-
-// Use CLI-provided input file
-const processingFileName = cliOptions.inputFile;
-
-// P3-7: Analyze file size and optimize for large files
-const fileSizeAnalysis = analyzeFileSize(processingFileName);
-displayFileSizeAnalysis(fileSizeAnalysis, cliOptions.quiet);
-
-// Apply memory optimizations for large files
-if (fileSizeAnalysis.level === 'danger' || fileSizeAnalysis.level === 'critical') {
-    config = optimizeConfigForLargeFile(config, fileSizeAnalysis);
-    if (!cliOptions.quiet) {
-        console.log('✓ Applied memory optimizations for large file');
-    }
-}
-
-// Read file with progress indicator
-const readTimer = new ProgressTimer('Reading file', !cliOptions.quiet);
-let code = fs.readFileSync(processingFileName, "utf8");
-const fileSizeMB = (code.length / (1024 * 1024)).toFixed(2);
-readTimer.done(`${fileSizeMB} MB`);
-
-// P3-7: Save original code ONLY if HTML report is requested (memory optimization)
-// This avoids duplicating potentially large strings in memory
-let originalCodeForReport = null;
-if (cliOptions.htmlReport) {
-    originalCodeForReport = code;
-}
-
-// Pre-processing: Detect and decode exotic obfuscation (JSFuck, Packer, AAEncode, etc.)
-// This must happen BEFORE AST parsing since exotic obfuscators produce invalid/exotic syntax
-const exoticTimer = new ProgressTimer('Checking exotic obfuscation', !cliOptions.quiet);
-const exoticDetection = detectExoticObfuscation(code);
-
-if (exoticDetection.detected) {
-    exoticTimer.update(`detected ${exoticDetection.primary.type}`);
-    console.log(`\n⚠️  Exotic Obfuscation Detected: ${exoticDetection.primary.type}`);
-    console.log(`   Confidence: ${(exoticDetection.primary.confidence * 100).toFixed(1)}%`);
-    console.log(`   Description: ${exoticDetection.primary.description}`);
-
-    if (exoticDetection.primary.decodable) {
-        console.log(`   Attempting to decode...`);
-
-        const decodeResult = decodeExoticObfuscation(code, exoticDetection.primary.type);
-
-        if (decodeResult.success) {
-            const originalSize = code.length;
-            code = decodeResult.decoded;
-            const decodedSize = code.length;
-            const ratio = (originalSize / decodedSize).toFixed(1);
-
-            console.log(`   ✓ Successfully decoded (${originalSize} → ${decodedSize} chars, ${ratio}x compression)`);
-
-            // Save decoded version
-            const decodedPath = `${processingFileName}.decoded.js`;
-            fs.writeFileSync(decodedPath, code, 'utf8');
-            console.log(`   ✓ Saved decoded version: ${decodedPath}\n`);
-
-            exoticTimer.done(`decoded ${exoticDetection.primary.type}`);
-        } else {
-            console.log(`   ✗ Decoding failed: ${decodeResult.error}`);
-            console.log(`   Continuing with original code (may fail parsing)\n`);
-            exoticTimer.done(`decode failed, continuing`);
+// WEBPACK CHUNKS MODE
+if (cliOptions.mode === 'chunks') {
+    try {
+        const result = unpackChunkDirectory(cliOptions.chunkDirectory, {
+            config,
+            outputFolder: cliOptions.outputDir || undefined
+        });
+        console.log(`\nMerged ${result.modules} modules from ${result.files} files (${result.chunks} chunks)`);
+        if (result.entries.length > 0) {
+            console.log(`Entry modules: ${result.entries.join(', ')}`);
         }
-    } else {
-        console.log(`   ✗ No decoder available for this type\n`);
-        exoticTimer.done(`no decoder available`);
-    }
-} else {
-    exoticTimer.done('none detected');
-}
-
-// let mapUrl = (code.match(/^\/\/#\s*sourceMappingURL=(.+)$/gim)||[""])[0].replace(/^\/\/#\s*sourceMappingURL=/, '');
-
-// new Promise((resolve, reject) => {
-//     if (config.sourceMaps.use && mapUrl) {
-//         try {
-//             request.get(mapUrl, function (err, response, body) {
-//                 if (err)
-//                 {
-//                     resolve(null);
-//                     return;
-//                 }
-
-//                 let smc = new SourceMapConsumer(JSON.parse(body));
-//                 if (config.sourceMaps.saveOriginals && smc.sources && smc.sources.length > 0) {
-//                     let mainPath = process.argc > 2 ? process.argv[3] : config.sourceMaps.defaultOutputFolder;
-//                     mainPath = fs.realpathSync(mainPath);
-//                     mainPath += (mainPath.last() == "/" ? "" : "/");
-//                     Utils.createAllFoldersInPath(mainPath);
-//                     _.each(smc.sources, (src, idx) => {
-//                         let fileName = mainPath +
-//                             (mainPath.last() == '/'
-//                                 || src[0] == '/' ? "" : "/")
-//                             + src;
-//                         Utils.createAllFoldersInPath(fileName);
-//                         fs.writeFileSync(fileName, smc.sourcesContent[idx], { flag: "w" });
-//                     });
-//                 }
-//                 resolve(smc);
-//             });
-//         } catch (ex) {
-//             resolve(null);
-//         }    
-//     } else {
-//         resolve(null);
-//     }
-// }).then (smc => {
-
-// Parse with progress indicator
-const parseTimer = new ProgressTimer('Parsing JavaScript', !cliOptions.quiet);
-const ast = parser.parse(code, config.parser);
-parseTimer.done();
-
-// FIX P2-4: Validate AST size (protection against malware "AST bombs")
-function validateAST(ast, fileSize) {
-    const MAX_DEPTH = config.maxAstDepth || 500;          // Max nesting depth
-    const MIN_BYTES_PER_NODE = 0.5;                       // AST bomb threshold (very minified code ~1, bomb <0.5)
-    const MIN_FILE_SIZE_FOR_CHECK = 100;                  // Skip AST bomb check for tiny files (<100 bytes)
-
-    let nodeCount = 0;
-    let maxDepth = 0;
-
-    function traverse(node, depth) {
-        if (!node || typeof node !== 'object') return;
-
-        nodeCount++;
-
-        // Check depth (always important)
-        if (depth > MAX_DEPTH) {
-            throw new Error(`AST too deep: ${depth} levels (max ${MAX_DEPTH}). Possible malware anti-analysis trick!`);
+        if (result.duplicates > 0) {
+            console.log(`Modules bundled into more than one chunk: ${result.duplicates} (first copy kept)`);
         }
-        maxDepth = Math.max(maxDepth, depth);
-
-        // Check for AST bomb: too many nodes for file size
-        // Real AST bomb: small file (<100KB) generates millions of nodes
-        // Legitimate large file: proportional nodes to code size
-        if (fileSize >= MIN_FILE_SIZE_FOR_CHECK && nodeCount % 100000 === 0) { // Check every 100K nodes
-            const bytesPerNode = fileSize / nodeCount;
-            if (bytesPerNode < MIN_BYTES_PER_NODE) {
-                throw new Error(`AST bomb detected: ${nodeCount} nodes from ${fileSize} bytes (${bytesPerNode.toFixed(2)} bytes/node). Possible malware!`);
+        for (const container of result.containers) {
+            console.log(`Module Federation container ${container.name || '(unnamed)'}:`);
+            for (const exposed of container.exposes) {
+                console.log(`  exposes ${exposed.name} → ${exposed.paths.map(p => p || '(chunk not found)').join(', ')}`);
             }
-        }
-
-        for (const key in node) {
-            if (node.hasOwnProperty(key) && key !== 'parentNode' && key !== 'parentNodeProperty') {
-                const value = node[key];
-                if (Array.isArray(value)) {
-                    value.forEach(child => traverse(child, depth + 1));
-                } else if (value && typeof value === 'object') {
-                    traverse(value, depth + 1);
-                }
+            for (const dep of container.shared) {
+                console.log(`  shares ${dep.name}${dep.version ? `@${dep.version}` : ''} (${[dep.provided && 'provided', dep.consumed && 'consumed'].filter(Boolean).join(', ')})`);
             }
         }
+        console.log(`Module tree: ${result.outputFolder}/`);
+        process.exit(0);
+    } catch (err) {
+        console.error(`ERROR: ${err.message}`);
+        if (cliOptions.verbose) {
+            console.error(err.stack);
+        }
+        process.exit(1);
     }
-
-    traverse(ast, 0);
-
-    // Final check with actual ratio (skip for tiny files)
-    const bytesPerNode = fileSize / nodeCount;
-    if (fileSize >= MIN_FILE_SIZE_FOR_CHECK && bytesPerNode < MIN_BYTES_PER_NODE) {
-        throw new Error(`AST bomb detected: ${nodeCount} nodes from ${fileSize} bytes (${bytesPerNode.toFixed(2)} bytes/node)`);
-    }
-
-    return { nodeCount, maxDepth, bytesPerNode };
 }
 
-const astStats = validateAST(ast, code.length);
-console.log(`✓ AST validated: ${astStats.nodeCount.toLocaleString()} nodes, max depth ${astStats.maxDepth}, ${astStats.bytesPerNode.toFixed(2)} bytes/node`);
-
-// FIX: Estimate Grok cost and ask for confirmation if expensive
-function estimateGrokCost(nodeCount) {
-    // Empirical ratio: ~3-5% of AST nodes are analyzable entities (variables/functions)
-    const estimatedEntities = Math.floor(nodeCount * 0.04);  // Use 4% as middle estimate
-    const estimatedVariables = Math.floor(estimatedEntities * 0.8);  // ~80% are variables
-    const estimatedFunctions = Math.floor(estimatedEntities * 0.2);  // ~20% are functions
-
-    // Batch sizes from Grok implementation
-    const VARS_PER_BATCH = 20;
-    const FUNCS_PER_BATCH = 12;
-
-    const varBatches = Math.ceil(estimatedVariables / VARS_PER_BATCH);
-    const funcBatches = Math.ceil(estimatedFunctions / FUNCS_PER_BATCH);
-    const totalBatches = varBatches + funcBatches;
-
-    // Empirical token usage from test_obfuscated.js:
-    // 12 entities → 2,034 tokens (1,632 input, 402 output)
-    // ≈ 170 tokens/entity (136 input, 34 output)
-    const tokensPerEntity = 170;
-    const estimatedTokens = estimatedEntities * tokensPerEntity;
-
-    // Pricing: $0.20/M input, $0.50/M output (grok-4-fast-reasoning)
-    // Approximate 80% input, 20% output
-    const inputTokens = estimatedTokens * 0.8;
-    const outputTokens = estimatedTokens * 0.2;
-    const estimatedCost = (inputTokens / 1_000_000) * 0.20 + (outputTokens / 1_000_000) * 0.50;
-
-    return {
-        entities: estimatedEntities,
-        variables: estimatedVariables,
-        functions: estimatedFunctions,
-        batches: totalBatches,
-        tokens: estimatedTokens,
-        cost: estimatedCost
-    };
-}
-
-// FIX P2-2: Make AST serialization optional (saves 320MB+ memory for large files)
-if (config.dumpAST) {
-    console.log('  Dumping AST to JSON (this may take a while for large files)...');
-    fs.writeFileSync(`${processingFileName}.ast.before.json`, JSON.stringify(ast, null, 2));
-}
-
-const jsGen = new CodeGenerator(ast, config.codeGenerator, "");
+// SINGLE FILE MODE
 
 // Helper: Ask user for confirmation
 function askUserConfirmation(question) {
@@ -547,162 +343,24 @@ function askUserConfirmation(question) {
     });
 }
 
-// Initialize Grok interface if API key is available and not disabled via CLI
-let grokInterface = null;
-let grokEnabled = false;
-if (!cliOptions.noGrok && process.env.XAI_API_KEY && config.useGrokForVariables !== false) {
-    // Estimate cost BEFORE initializing Grok
-    const costEstimate = estimateGrokCost(astStats.nodeCount);
-
-    console.log('\n💰 Grok Analysis Cost Estimate');
-    console.log('==============================');
-    console.log(`AST nodes: ${astStats.nodeCount.toLocaleString()}`);
-    console.log(`Estimated entities: ~${costEstimate.entities.toLocaleString()} (${costEstimate.variables} vars, ${costEstimate.functions} funcs)`);
-    console.log(`API calls: ~${costEstimate.batches} batches`);
-    console.log(`Estimated tokens: ~${costEstimate.tokens.toLocaleString()}`);
-    console.log(`Estimated cost: $${costEstimate.cost.toFixed(4)}`);
-
-    // Ask for confirmation if cost > $0.10
-    if (costEstimate.cost > 0.10) {
-        console.log(`\n⚠️  Warning: Estimated cost is $${costEstimate.cost.toFixed(4)}`);
-        console.log('This is above the safety threshold ($0.10)');
-        // Set flag to ask later in async section
-        grokEnabled = 'ASK_USER';
-    } else {
-        console.log('✓ Cost is within safety threshold ($0.10)');
-        grokEnabled = true;
-    }
-
-    if (grokEnabled === true) {
-        try {
-            grokInterface = new GrokInterface({
-                apiKey: process.env.XAI_API_KEY,
-                model: 'grok-4-fast-reasoning'
-            });
-        } catch (err) {
-            console.warn(`Warning: Failed to initialize Grok: ${err.message}`);
-        }
-    }
-}
+// Use CLI-provided input file
+const processingFileName = cliOptions.inputFile;
 
-// FIX: Use context object instead of global state
-// This prevents scope pollution between multiple file processing
-const processingContext = {
-    ast: ast,  // For obfuscation pattern detection
-    astScopes: {},  // Scope storage (replaces global.astScopes)
-    config: config,
-    sourceFileName: processingFileName,  // For webpack bundle unpacking
-    grokInterface: grokInterface  // For Grok-based variable renaming
-};
-
-// Pre-step: Unpack bundles FIRST (before scope analysis)
-// This is critical for malware analysis - unpacks webpack/AMD/UMD bundles
-// Can be skipped with --no-unpack flag for faster processing
-let status;
-if (!cliOptions.noUnpack) {
-    // Loop until convergence to handle UMD-wrapped bundles
-    const unpackTimer = new ProgressTimer('Unpacking bundles', !cliOptions.quiet);
-    let unpackIterations = 0;
-    const MAX_UNPACK_ITERATIONS = 10;
-    do {
-        unpackIterations++;
-        status = traverseTopDown(
-            ast,
-            [
-                unwrapUMD,             // Unwrap UMD wrappers first to expose inner bundles
-                extractNestedBundles,  // Extract bundle-in-bundle strings
-                unpackBundles,         // Then unwrap bundled code
-                removeLocationInformation
-            ],
-            processingContext
-        );
-        if (config.verbose && status && unpackIterations < MAX_UNPACK_ITERATIONS) {
-            unpackTimer.update(`iteration ${unpackIterations}`);
-        }
-    } while (status && unpackIterations < MAX_UNPACK_ITERATIONS);
-    unpackTimer.done(`${unpackIterations} iteration${unpackIterations > 1 ? 's' : ''}`);
-} else {
-    // Just remove location information if unpacking is skipped
-    status = traverseTopDown(ast, [removeLocationInformation], processingContext);
-}
+// P3-7: Analyze file size and optimize for large files
+const fileSizeAnalysis = analyzeFileSize(processingFileName);
+displayFileSizeAnalysis(fileSizeAnalysis, cliOptions.quiet);
 
-const scopeTimer = new ProgressTimer('Analyzing scopes', !cliOptions.quiet);
-status = traverseTopDown(
-    ast,
-    [
-        createScopes,
-        defineFunctions,
-        assignValuesToVariables
-    ],
-    processingContext
-);
-scopeTimer.done();
-
-const initTimer = new ProgressTimer('Initial deobfuscation', !cliOptions.quiet);
-status = traverseTopDown(
-    ast,
-    [
-        countFunctionInvocations,
-        recoverBooleans,
-        deobfuscateStrings  // NEW: Decode hex/unicode/octal escapes
-    ],
-    processingContext
-);
-initTimer.done();
-
-let trial = 0;
-const MAX_ITERATIONS = config.maxIterations || 100; // configurable safety limit
-const TIMEOUT_MS = config.timeoutMs || 300000; // 5 minutes default
-const convergenceStartTime = Date.now();
-
-const convergenceTimer = new ProgressTimer('Processing iterations', !cliOptions.quiet);
-
-while (trial < MAX_ITERATIONS) {
-    trial++;
-
-    // FIX P2-1: Add timeout protection against malware anti-analysis
-    const elapsed = Date.now() - convergenceStartTime;
-    if (elapsed > TIMEOUT_MS) {
-        convergenceTimer.fail(`timeout after ${trial} iterations`);
-        console.warn(`⚠️  WARNING: This may indicate malware anti-analysis tricks.`);
-        break;
-    }
+if (cliOptions.dumpAst) config.dumpAST = true;
 
-    // Update progress (only visible in TTY mode due to spinner)
-    convergenceTimer.update(`iteration ${trial}`);
-
-    // Fresh variable for THIS iteration only
-    // OPTIMIZATION: Single traversal with multiple mutators (3x faster!)
-    let changedInThisIteration = traverseBottomUp(
-        ast,
-        [
-            fixControlFlowStatementsWithOneStatement,
-            replaceSequentialAssignments,
-            replaceSequentialAssignmentsInFlowControl,
-            inlineStringArrayAccess,  // NEW: accessor(0) → arr[0]
-            foldConstants,            // NEW: Evaluate constant expressions (2+3 → 5)
-            eliminateDeadCode,        // NEW: Remove unreachable code (after constants folded)
-            simplifyPropertyAccess    // NEW: obj['prop'] → obj.prop
-        ],
-        processingContext
-    );
-
-    // If NOTHING changed in this iteration - convergence reached
-    if (!changedInThisIteration) {
-        convergenceTimer.done(`converged after ${trial} iterations`);
-        break;
+// Apply memory optimizations for large files
+let pipelineConfig = config;
+if (fileSizeAnalysis.level === 'danger' || fileSizeAnalysis.level === 'critical') {
+    pipelineConfig = optimizeConfigForLargeFile(config, fileSizeAnalysis);
+    if (!cliOptions.quiet) {
+        console.log('✓ Applied memory optimizations for large file');
     }
 }
 
-// If loop ended without break, check why
-if (trial === MAX_ITERATIONS) {
-    // Hit max iterations without convergence
-    convergenceTimer.fail(`max iterations (${MAX_ITERATIONS})`);
-    console.warn(`⚠ WARNING: This may indicate complex obfuscation or anti-analysis code`);
-}
-// If we broke due to timeout, timer already closed (in timeout handler)
-
-// Continue processing (async for Grok support)
 (async function() {
     // P3-7: Ask for confirmation if file is too large
     const proceedWithLargeFile = await askProceedWithLargeFile(fileSizeAnalysis);
@@ -711,193 +369,118 @@ if (trial === MAX_ITERATIONS) {
         process.exit(0);
     }
 
-    // Handle deferred user confirmation for expensive operations
-    if (grokEnabled === 'ASK_USER') {
-        const answer = await askUserConfirmation('\nProceed with Grok analysis? (y/n): ');
-
-        if (answer === 'y' || answer === 'yes') {
-            console.log('✓ User confirmed. Initializing Grok...');
-            try {
-                grokInterface = new GrokInterface({
-                    apiKey: process.env.XAI_API_KEY,
-                    model: 'grok-4-fast-reasoning'
-                });
-                // Update context with new grokInterface
-                processingContext.grokInterface = grokInterface;
-                grokEnabled = true;
-            } catch (err) {
-                console.error(`Error initializing Grok: ${err.message}`);
-                grokEnabled = false;
+    // Read file with progress indicator
+    const readTimer = new ProgressTimer('Reading file', !cliOptions.quiet);
+    const code = fs.readFileSync(processingFileName, "utf8");
+    const fileSizeMB = (code.length / (1024 * 1024)).toFixed(2);
+    readTimer.done(`${fileSizeMB} MB`);
+
+    // Grok runs only when an API key is available and not disabled via CLI
+    let grok = null;
+    if (!cliOptions.noGrok && process.env.XAI_API_KEY) {
+        grok = {
+            apiKey: process.env.XAI_API_KEY,
+            confirm: async () => {
+                const answer = await askUserConfirmation('\nProceed with Grok analysis? (y/n): ');
+                return answer === 'y' || answer === 'yes';
             }
-        } else {
-            console.log('✗ User declined. Skipping Grok analysis.');
-            grokEnabled = false;
-        }
+        };
     }
 
-    // Grok-based semantic renaming (variables + functions)
-    if (grokInterface && grokEnabled && config.useGrokForVariables !== false) {
-        console.log('\n🤖 Grok Semantic Renaming Phase');
-        console.log('=================================');
-
-        try {
-            let variablesRenamed = false;
-            let functionsRenamed = false;
-
-            // Step 1: Analyze variables with Grok
-            console.log('\n[Phase 1] Variable Analysis');
-            variablesRenamed = await renameVariablesWithGrok(
-                ast,
-                processingContext,
-                { last: () => null }
-            );
-
-            if (variablesRenamed) {
-                console.log('✓ Grok variable analysis complete');
-            }
-
-            // Step 2: Analyze functions with Grok (batched, cost-optimized)
-            console.log('\n[Phase 2] Function Analysis');
-            functionsRenamed = await renameFunctionsWithGrok(
-                ast,
-                processingContext,
-                { last: () => null }
-            );
-
-            if (functionsRenamed) {
-                console.log('✓ Grok function analysis complete');
-            }
-
-            // Step 3: Apply ALL renames in single traversal (optimization!)
-            if (variablesRenamed || functionsRenamed) {
-                console.log('\n[Phase 3] Applying renames...');
-                traverseTopDown(
-                    ast,
-                    [applyFunctionRenames, renameVariables],
-                    processingContext
-                );
-                console.log('✓ Semantic renaming complete');
-            }
-
-            // Generate malware report AFTER renames applied
-            const malwareReport = generateMalwareReport(processingContext, processingFileName);
-            console.log(formatReportConsole(malwareReport));
-
-            // Save markdown report
-            const reportPath = `${processingFileName}.malware-report.md`;
-            const markdownReport = formatReportMarkdown(malwareReport);
-            fs.writeFileSync(reportPath, markdownReport);
-            console.log(`📄 Malware report saved: ${reportPath}\n`);
-
-            // Display cost report
-            if (grokInterface) {
-                const stats = grokInterface.getTotalStats();
-                console.log('💰 Grok Cost Report');
-                console.log('===================');
-                console.log(`Model: ${stats.model}`);
-                console.log(`API calls: ${stats.api_calls}`);
-                console.log(`Total tokens: ${stats.total_tokens.toLocaleString()}`);
-                console.log(`  Input: ${stats.input_tokens.toLocaleString()}`);
-                console.log(`  Output: ${stats.output_tokens.toLocaleString()}`);
-                console.log(`Total cost: $${stats.total_cost.toFixed(6)}`);
-                console.log(`  Per-token rate: $${stats.pricing.input.toFixed(2)}/M in, $${stats.pricing.output.toFixed(2)}/M out`);
-            }
-        } catch (error) {
-            console.error(`⚠️  Grok semantic renaming failed: ${error.message}`);
-        }
+    let result;
+    try {
+        result = await deobfuscate(code, {
+            config: pipelineConfig,
+            fileName: processingFileName,
+            unpack: !cliOptions.noUnpack,
+            malwareReport: !cliOptions.noMalwareReport,
+            writeArtifacts: true,
+            logger: console,
+            progress: label => new ProgressTimer(label, !cliOptions.quiet),
+            plugins: pluginSpecs,
+            grok
+        });
+    } catch (ex) {
+        console.error("ERROR:", ex.stack);
+        process.exit(1);
     }
 
-    dumpScopes(processingContext.astScopes, null);
-
-    // Painting of variables
-    // traverse(
-    //     ast,
-    //     [
-    //         createScopes,
-    //         assignValuesToVariables,
-    //         renameVariables
-    //     ], {config});
-
-    // Dumping scopes of variables
-    // traverse(ast,dumpScopes, {config});
-
-    // FIX P2-2: Make AST dump optional
-    if (config.dumpAST) {
-        console.log('  Dumping processed AST to JSON...');
-        fs.writeFileSync(`${processingFileName}.ast.after.json`, JSON.stringify(ast, (k, v) => ['parentNode', 'parentNodeProperty'].includes(k) ? null : v, 2));
+    // Malware report is shown alongside the Grok analysis it is based on
+    if (result.stats.grok && result.malwareReport) {
+        console.log(formatReportConsole(result.malwareReport));
+
+        // Save markdown report
+        const reportPath = `${processingFileName}.malware-report.md`;
+        fs.writeFileSync(reportPath, formatReportMarkdown(result.malwareReport));
+        console.log(`📄 Malware report saved: ${reportPath}\n`);
+
+        // Display cost report
+        const stats = result.stats.grok;
+        console.log('💰 Grok Cost Report');
+        console.log('===================');
+        console.log(`Model: ${stats.model}`);
+        console.log(`API calls: ${stats.api_calls}`);
+        console.log(`Total tokens: ${stats.total_tokens.toLocaleString()}`);
+        console.log(`  Input: ${stats.input_tokens.toLocaleString()}`);
+        console.log(`  Output: ${stats.output_tokens.toLocaleString()}`);
+        console.log(`Total cost: $${stats.total_cost.toFixed(6)}`);
+        console.log(`  Per-token rate: $${stats.pricing.input.toFixed(2)}/M in, $${stats.pricing.output.toFixed(2)}/M out`);
     }
-    // fs.writeFileSync('./scopes.json', JSON.stringify(global.astScopes, (k,v) => ['parent'].includes(k) ? null : v, 2));
-
-    // FIX: Cleanup parent references to prevent memory leak
-    // This allows AST to be garbage collected after processing
-    cleanupParentReferences(ast);
-    cleanupContext(processingContext);
 
     // Use CLI-provided output file
     const outputFilePath = cliOptions.outputFile;
 
     Utils.createAllFoldersInPath(outputFilePath);
 
-    let res = null;
-    const genTimer = new ProgressTimer('Generating code', !cliOptions.quiet);
+    const writeTimer = new ProgressTimer('Writing output', !cliOptions.quiet);
     try {
-        res = jsGen.generate();
-    //    res = astring.generate(ast);
-        // res = generate(ast, {});
-        genTimer.done();
-    } catch(ex) {
-        genTimer.fail(ex.message);
-        console.error("ERROR:", ex.stack);
+        let outputCode = result.code;
+        if (result.map) {
+            // Link the output back to the input it was recovered from
+            const path = require('path');
+            const mapFilePath = `${outputFilePath}.map`;
+            const map = { ...result.map, file: path.basename(outputFilePath) };
+            const mappedInput = result.detection.exoticDecoded ? `${processingFileName}.decoded.js` : processingFileName;
+            map.sources = [path.relative(path.dirname(path.resolve(outputFilePath)), path.resolve(mappedInput))];
+            fs.writeFileSync(mapFilePath, JSON.stringify(map));
+            outputCode += `\n//# sourceMappingURL=${path.basename(mapFilePath)}\n`;
+        }
+        fs.writeFileSync(outputFilePath, outputCode);
+        const outputSizeMB = (outputCode.length / (1024 * 1024)).toFixed(2);
+        writeTimer.done(`${outputSizeMB} MB`);
+        console.log(`✓ Saved to ${outputFilePath}${result.map ? ` (source map: ${outputFilePath}.map)` : ''}`);
+    } catch (err) {
+        writeTimer.fail(err.message);
+        console.error(`ERROR: Cannot save to ${outputFilePath}`);
+        console.error(err);
+        process.exit(1);
     }
 
-    if (res) {
-        const writeTimer = new ProgressTimer('Writing output', !cliOptions.quiet);
+    // Generate HTML report if requested
+    if (cliOptions.htmlReport) {
+        const htmlTimer = new ProgressTimer('Generating HTML report', !cliOptions.quiet);
         try {
-            fs.writeFileSync(outputFilePath, res.code);
-            const outputSizeMB = (res.code.length / (1024 * 1024)).toFixed(2);
-            writeTimer.done(`${outputSizeMB} MB`);
-            console.log(`✓ Saved to ${outputFilePath}`);
-
-            // Generate HTML report if requested
-            if (cliOptions.htmlReport) {
-                const htmlTimer = new ProgressTimer('Generating HTML report', !cliOptions.quiet);
-                try {
-                    // Prepare malware report if available
-                    let malwareReportData = null;
-                    if (processingContext.malwareReport) {
-                        malwareReportData = processingContext.malwareReport;
-                    }
-
-                    saveHTMLReport({
-                        inputFile: processingFileName,
-                        outputFile: outputFilePath,
-                        originalCode: originalCodeForReport,
-                        deobfuscatedCode: res.code,
-                        stats: {
-                            iterations: trial
-                        },
-                        detection: exoticDetection,
-                        malwareReport: malwareReportData
-                    }, cliOptions.htmlReport);
-
-                    htmlTimer.done();
-                    console.log(`✓ HTML report saved: ${cliOptions.htmlReport}`);
-                } catch (htmlErr) {
-                    htmlTimer.fail(htmlErr.message);
-                    console.warn(`⚠️  Failed to generate HTML report: ${htmlErr.message}`);
-                }
-            }
-
-            process.exit(0);
-        } catch (err) {
-            writeTimer.fail(err.message);
-            console.error(`ERROR: Cannot save to ${outputFilePath}`);
-            console.error(err);
-            process.exit(1);
+            saveHTMLReport({
+                inputFile: processingFileName,
+                outputFile: outputFilePath,
+                originalCode: code,
+                deobfuscatedCode: result.code,
+                stats: {
+                    iterations: result.stats.iterations
+                },
+                detection: result.detection.exotic,
+                malwareReport: result.malwareReport
+            }, cliOptions.htmlReport);
+
+            htmlTimer.done();
+            console.log(`✓ HTML report saved: ${cliOptions.htmlReport}`);
+        } catch (htmlErr) {
+            htmlTimer.fail(htmlErr.message);
+            console.warn(`⚠️  Failed to generate HTML report: ${htmlErr.message}`);
         }
-    } else {
-        process.exit(1);
     }
+
+    process.exit(0);
 })().catch(err => {
     console.error("FATAL ERROR:", err.stack);
     process.exit(1);
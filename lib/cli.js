@@ -14,6 +14,7 @@ js_recover - JavaScript Deobfuscation and Malware Analysis Tool
 USAGE:
   node app.js <input-file> [options]          Process single file
   node app.js scan <directory> [options]      Batch process directory
+  node app.js chunks <directory> [options]    Merge a webpack runtime and its chunk files
   node app.js --init [preset]                 Generate config file
 
 DESCRIPTION:
@@ -29,11 +30,17 @@ SINGLE FILE OPTIONS:
   --no-grok               Skip Grok AI analysis (faster)
   --no-unpack             Skip bundle unpacking
   --no-malware-report     Skip malware report generation
+  --jsx                   Rebuild JSX from React.createElement / jsx-runtime calls
   --dump-ast              Dump AST to JSON file
   --html-report <file>    Generate interactive HTML report
   --max-iterations <n>    Maximum deobfuscation iterations (default: 100)
   --timeout <ms>          Processing timeout in milliseconds (default: 300000)
 
+PIPELINE OPTIONS:
+  --passes <phases>       Comma-separated pipeline phases to run, in order (default: all)
+  --disable-pass <names>  Comma-separated mutators or phases to skip (repeatable)
+  --list-passes           List pipeline phases and their mutators
+
 BATCH SCAN OPTIONS:
   --recursive             Scan subdirectories recursively (default: true)
   --pattern <glob>        File pattern to match (default: *.js)
@@ -42,6 +49,9 @@ BATCH SCAN OPTIONS:
   --output-dir <dir>      Output directory for processed files
   --summary <file>        Save summary report to JSON file
 
+WEBPACK CHUNKS OPTIONS:
+  --output-dir <dir>      Folder for the merged module tree (default: <directory>.unpacked)
+
 CONFIGURATION:
   --preset <name>         Use predefined preset (malware-analysis, minified-code, webpack-bundle, fast)
   --init [preset]         Generate .js_recover.json config file (optionally with preset)
@@ -64,6 +74,10 @@ EXAMPLES:
   node app.js malware.js --preset malware-analysis
   node app.js bundle.js --preset webpack-bundle
 
+  # Skip a mutator or run only some phases
+  node app.js bundle.js --disable-pass simplifyPropertyAccess
+  node app.js bundle.js --passes scopes,initial,convergence
+
   # Generate config file
   node app.js --init                    # Default config
   node app.js --init malware-analysis   # With preset
@@ -77,6 +91,9 @@ EXAMPLES:
   # Scan with summary report
   node app.js scan ./samples/ --summary report.json --no-grok
 
+  # Unpack a code-split webpack build (runtime + lazy chunks) into one tree
+  node app.js chunks ./dist/
+
 FEATURES:
   • Webpack 4/5 bundle unpacking with source maps
   • UMD wrapper detection and unwrapping
@@ -105,21 +122,26 @@ class CLIParser {
             init: false,
             initPreset: null,
             listPresets: false,
+            listPasses: false,
             preset: null,
             verbose: false,
             quiet: false,
             noGrok: false,
             noUnpack: false,
             noMalwareReport: false,
+            jsx: false,
             dumpAst: false,
             inputFile: null,
             outputFile: null,
             htmlReport: null,
             maxIterations: null,
             timeout: null,
+            passes: null,
+            disablePasses: [],
             // Batch processing options
-            mode: 'single',  // 'single' or 'batch'
+            mode: 'single',  // 'single', 'batch' or 'chunks'
             scanDirectory: null,
+            chunkDirectory: null,
             recursive: true,
             pattern: '*.js',
             exclude: ['node_modules', '.git', 'dist', 'build'],
@@ -143,6 +165,14 @@ class CLIParser {
                 this.options.scanDirectory = this.args[i];
                 i++;
             }
+        } else if (this.args.length > 0 && this.args[0] === 'chunks') {
+            this.options.mode = 'chunks';
+            i = 1; // Skip 'chunks' keyword
+
+            if (i < this.args.length && !this.args[i].startsWith('-')) {
+                this.options.chunkDirectory = this.args[i];
+                i++;
+            }
         }
 
         while (i < this.args.length) {
@@ -167,6 +197,25 @@ class CLIParser {
             } else if (arg === '--list-presets') {
                 this.options.listPresets = true;
                 i++;
+            } else if (arg === '--list-passes') {
+                this.options.listPasses = true;
+                i++;
+            } else if (arg === '--passes') {
+                if (i + 1 < this.args.length) {
+                    this.options.passes = this.args[i + 1].split(',').map(name => name.trim()).filter(Boolean);
+                    i += 2;
+                } else {
+                    this.errors.push(`Option ${arg} requires a value`);
+                    i++;
+                }
+            } else if (arg === '--disable-pass') {
+                if (i + 1 < this.args.length) {
+                    this.options.disablePasses.push(...this.args[i + 1].split(',').map(name => name.trim()).filter(Boolean));
+                    i += 2;
+                } else {
+                    this.errors.push(`Option ${arg} requires a value`);
+                    i++;
+                }
             } else if (arg === '--preset') {
                 if (i + 1 < this.args.length) {
                     this.options.preset = this.args[i + 1];
@@ -190,6 +239,9 @@ class CLIParser {
             } else if (arg === '--no-malware-report') {
                 this.options.noMalwareReport = true;
                 i++;
+            } else if (arg === '--jsx') {
+                this.options.jsx = true;
+                i++;
             } else if (arg === '--dump-ast') {
                 this.options.dumpAst = true;
                 i++;
@@ -304,11 +356,13 @@ class CLIParser {
         }
 
         // Validate
-        if (!this.options.help && !this.options.version) {
+        if (!this.options.help && !this.options.version && !this.options.listPasses) {
             if (this.options.mode === 'single' && this.options.inputFile === null) {
                 this.errors.push('No input file specified');
             } else if (this.options.mode === 'batch' && this.options.scanDirectory === null) {
                 this.errors.push('No directory specified for scan command');
+            } else if (this.options.mode === 'chunks' && this.options.chunkDirectory === null) {
+                this.errors.push('No directory specified for chunks command');
             }
         }
 
@@ -344,6 +398,20 @@ class CLIParser {
             }
         }
 
+        // Check if chunk directory exists (chunks mode)
+        if (this.options.mode === 'chunks' && this.options.chunkDirectory && !this.options.help && !this.options.version) {
+            try {
+                const realPath = fs.realpathSync(this.options.chunkDirectory);
+                this.options.chunkDirectory = realPath;
+
+                if (!fs.statSync(realPath).isDirectory()) {
+                    this.errors.push(`Chunks path is not a directory: ${this.options.chunkDirectory}`);
+                }
+            } catch (err) {
+                this.errors.push(`Cannot access directory: ${this.options.chunkDirectory} (${err.message})`);
+            }
+        }
+
         // Set default output file (single mode only)
         if (this.options.mode === 'single' && this.options.inputFile && !this.options.outputFile && !this.options.help && !this.options.version) {
             this.options.outputFile = `${this.options.inputFile}.out`;
@@ -391,6 +459,21 @@ class CLIParser {
         }
     }
 
+    static showPasses(pipelineConfig = {}, plugins = []) {
+        const { describePipeline } = require('./pipeline');
+
+        console.log('Pipeline Phases (in order):\n');
+        for (const phase of describePipeline(pipelineConfig, plugins)) {
+            console.log(`  ${phase.name} (${phase.traversal}, repeat: ${phase.repeat})`);
+            for (const mutator of phase.mutators) {
+                const plugin = plugins.find(p => p.name === mutator);
+                console.log(`    - ${mutator}${plugin ? ` (plugin: ${plugin.plugin})` : ''}`);
+            }
+            console.log('');
+        }
+        console.log('Use --passes <phases> to select phases and --disable-pass <names> to skip mutators or phases.');
+    }
+
     static generateConfig(presetName = null) {
         const { ConfigLoader, PRESETS } = require('./config_loader');
         const configPath = './.js_recover.json';
@@ -442,5 +525,6 @@ module.exports = {
     showVersion: CLIParser.showVersion,
     showErrors: CLIParser.showErrors,
     showPresets: CLIParser.showPresets,
+    showPasses: CLIParser.showPasses,
     generateConfig: CLIParser.generateConfig
 };
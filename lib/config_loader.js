@@ -7,6 +7,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { resolvePluginSpecs } = require('./plugin_loader');
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -167,6 +168,15 @@ class ConfigLoader {
         return result;
     }
 
+    /**
+     * Make local plugin paths absolute, relative to the config file declaring them
+     */
+    resolvePlugins(fileConfig, configPath) {
+        if (fileConfig.plugins !== undefined) {
+            fileConfig.plugins = resolvePluginSpecs(fileConfig.plugins, path.dirname(configPath));
+        }
+    }
+
     /**
      * Load configuration with priority:
      * CLI flags > project config > home config > defaults
@@ -180,6 +190,7 @@ class ConfigLoader {
         if (fs.existsSync(this.homeConfigPath)) {
             const homeConfig = this.loadConfigFile(this.homeConfigPath);
             if (homeConfig) {
+                this.resolvePlugins(homeConfig, this.homeConfigPath);
                 config = this.deepMerge(config, homeConfig);
                 if (options.verbose) {
                     console.log(`Loaded home config: ${this.homeConfigPath}`);
@@ -192,6 +203,7 @@ class ConfigLoader {
         if (this.projectConfigPath) {
             const projectConfig = this.loadConfigFile(this.projectConfigPath);
             if (projectConfig) {
+                this.resolvePlugins(projectConfig, this.projectConfigPath);
                 // Apply preset if specified
                 const configWithPreset = this.applyPreset(projectConfig);
                 config = this.deepMerge(config, configWithPreset);
@@ -0,0 +1,615 @@
+/**
+ * Programmatic API for js_recover
+ *
+ * Runs the whole deobfuscation pipeline (exotic decoding, parsing, bundle
+ * unpacking, scope analysis, convergence loop, optional Grok renaming) and
+ * returns the generated code together with the malware report, detection
+ * results and statistics.
+ *
+ * Nothing is printed and nothing is written to disk unless the caller asks
+ * for it through the `logger`, `progress` and `writeArtifacts` options, so
+ * the pipeline can be embedded in other Node services. app.js is a thin CLI
+ * wrapper on top of this module.
+ *
+ * Usage:
+ *   const { deobfuscate, deobfuscateFile } = require('js_recover');
+ *   const result = await deobfuscate(code, { config: { maxIterations: 50 } });
+ *   console.log(result.code, result.malwareReport.riskLevel);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const parser = require('@babel/parser');
+const CodeGenerator = require('@babel/generator').CodeGenerator;
+const { traverseTopDown } = require('./traverser');
+const { resolvePipeline, runPipeline } = require('./pipeline');
+const { loadPlugins } = require('./plugin_loader');
+const { cleanupParentReferences, cleanupContext } = require('./cleanup');
+
+// Node mutators used outside the declarative pipeline (Grok renaming phase)
+const renameVariables = require('./mutators/rename_variables');
+const renameVariablesWithGrok = require('./mutators/rename_variables_with_grok');
+const renameFunctionsWithGrok = require('./mutators/rename_functions_with_grok');
+const applyFunctionRenames = require('./mutators/apply_function_renames');
+
+const GrokInterface = require('./grok/interface');
+const { generateMalwareReport } = require('./malware_report');
+const { ProgressTimer } = require('./progress');
+const { detectExoticObfuscation, decodeExoticObfuscation } = require('./exotic_deobfuscators');
+const { loadSourceMap, createConsumer, hasSourcesContent, saveOriginalSources, stripSourceMappingURL, inheritLocations } = require('./source_maps');
+const DEFAULT_CONFIG = require('../config/default.json');
+
+const GROK_MODEL = 'grok-4-fast-reasoning';
+const GROK_COST_THRESHOLD = 0.10; // Ask for confirmation above this estimate (USD)
+
+// Logger used when the caller does not provide one: library mode is silent
+const SILENT_LOGGER = {
+    log() {},
+    warn() {},
+    error() {}
+};
+
+/**
+ * Fill in defaults for deobfuscate() options
+ *
+ * @param {Object} options - Options passed by the caller
+ * @returns {Object} Normalized options
+ */
+function normalizeOptions(options = {}) {
+    const fileName = options.fileName || null;
+    const writeArtifacts = options.writeArtifacts === true && !!fileName;
+    const config = _.merge({}, DEFAULT_CONFIG, options.config);
+
+    // Side outputs (unpacked module folders, nested bundles, AST dumps) are
+    // written next to the input file, so they need both a file name and consent
+    if (!writeArtifacts) {
+        config.unpackBundlesToFolders = false;
+        config.extractNestedBundles = false;
+        config.saveDynamicCode = false;
+        config.dumpAST = false;
+    }
+
+    // --no-unpack is a shortcut for disabling the unpack phase
+    const pipeline = { ...config.pipeline };
+    if (options.unpack === false) {
+        pipeline.disable = [].concat(pipeline.disable || [], 'unpack');
+    }
+
+    return {
+        config,
+        fileName,
+        writeArtifacts,
+        pipeline,
+        plugins: options.plugins || [],
+        sourceMap: options.sourceMap || null,
+        malwareReport: options.malwareReport !== false,
+        logger: options.logger || SILENT_LOGGER,
+        progress: options.progress || (label => new ProgressTimer(label, false)),
+        grok: options.grok || null
+    };
+}
+
+/**
+ * Resolve the source map of the input (config.sourceMaps.use)
+ * Local map files are only read with writeArtifacts, inline maps always.
+ * Maps with sourcesContent are saved as an original source tree
+ * (config.sourceMaps.saveOriginals); maps with only names feed
+ * recoverNamesFromSourceMaps through a "line:column" -> name lookup.
+ *
+ * @returns {Object} { info, names } - info is null when there is no source map
+ */
+function resolveSourceMap(code, opts) {
+    const { config, logger } = opts;
+    const sourceMapConfig = config.sourceMaps || {};
+    if (!sourceMapConfig.use) {
+        return { info: null, names: null };
+    }
+
+    let loaded;
+    if (opts.sourceMap) {
+        try {
+            const map = typeof opts.sourceMap === 'string' ? JSON.parse(opts.sourceMap) : opts.sourceMap;
+            loaded = { kind: 'provided', url: null, map, error: null };
+        } catch (ex) {
+            loaded = { kind: 'provided', url: null, map: null, error: `Invalid source map: ${ex.message}` };
+        }
+    } else {
+        loaded = loadSourceMap(code, opts.fileName, { readFiles: opts.writeArtifacts });
+    }
+    if (!loaded) {
+        return { info: null, names: null };
+    }
+
+    const info = {
+        kind: loaded.kind,
+        url: loaded.url,
+        sources: 0,
+        hasSourcesContent: false,
+        names: 0,
+        renamed: 0,
+        savedTo: null,
+        savedFiles: 0,
+        error: loaded.error
+    };
+
+    let consumer = null;
+    if (loaded.map) {
+        try {
+            consumer = createConsumer(loaded.map);
+        } catch (ex) {
+            info.error = `Invalid source map: ${ex.message}`;
+        }
+    }
+    if (!consumer) {
+        logger.warn(`⚠ Source map ${loaded.url || ''} ignored: ${info.error}`);
+        return { info, names: null };
+    }
+
+    info.sources = consumer.sources.length;
+    info.hasSourcesContent = hasSourcesContent(consumer);
+
+    if (info.hasSourcesContent) {
+        if (sourceMapConfig.saveOriginals && opts.writeArtifacts) {
+            const outputFolder = sourceMapConfig.defaultOutputFolder
+                ? path.join(sourceMapConfig.defaultOutputFolder, `${path.basename(opts.fileName)}.sources`)
+                : `${opts.fileName}.sources`;
+            info.savedFiles = saveOriginalSources(consumer, outputFolder).length;
+            info.savedTo = outputFolder;
+            logger.log(`✓ Source map (${info.kind}): saved ${info.savedFiles} original source(s) to ${outputFolder}`);
+        } else {
+            logger.log(`✓ Source map (${info.kind}): ${info.sources} source(s) with content`);
+        }
+        return { info, names: null };
+    }
+
+    // No original sources: keep the names attached to exact generated positions
+    const names = new Map();
+    consumer.eachMapping(mapping => {
+        if (mapping.name) {
+            names.set(`${mapping.generatedLine}:${mapping.generatedColumn}`, mapping.name);
+        }
+    });
+    info.names = names.size;
+    logger.log(`✓ Source map (${info.kind}): ${info.sources} source(s) without content, ${names.size} named mapping(s)`);
+    return { info, names: names.size > 0 ? names : null };
+}
+
+/**
+ * Detect and decode exotic obfuscation (JSFuck, Packer, AAEncode, etc.)
+ * This must happen BEFORE AST parsing since exotic obfuscators produce invalid/exotic syntax
+ *
+ * @returns {Object} { code, detection, decoded }
+ */
+function decodeExotic(code, opts) {
+    const { logger } = opts;
+    const exoticTimer = opts.progress('Checking exotic obfuscation');
+    const detection = detectExoticObfuscation(code);
+
+    if (!detection.detected) {
+        exoticTimer.done('none detected');
+        return { code, detection, decoded: false };
+    }
+
+    exoticTimer.update(`detected ${detection.primary.type}`);
+    logger.log(`\n⚠️  Exotic Obfuscation Detected: ${detection.primary.type}`);
+    logger.log(`   Confidence: ${(detection.primary.confidence * 100).toFixed(1)}%`);
+    logger.log(`   Description: ${detection.primary.description}`);
+
+    if (!detection.primary.decodable) {
+        logger.log(`   ✗ No decoder available for this type\n`);
+        exoticTimer.done(`no decoder available`);
+        return { code, detection, decoded: false };
+    }
+
+    logger.log(`   Attempting to decode...`);
+    const decodeResult = decodeExoticObfuscation(code, detection.primary.type);
+
+    if (!decodeResult.success) {
+        logger.log(`   ✗ Decoding failed: ${decodeResult.error}`);
+        logger.log(`   Continuing with original code (may fail parsing)\n`);
+        exoticTimer.done(`decode failed, continuing`);
+        return { code, detection, decoded: false };
+    }
+
+    const originalSize = code.length;
+    const decodedSize = decodeResult.decoded.length;
+    const ratio = (originalSize / decodedSize).toFixed(1);
+    logger.log(`   ✓ Successfully decoded (${originalSize} → ${decodedSize} chars, ${ratio}x compression)`);
+
+    if (opts.writeArtifacts) {
+        const decodedPath = `${opts.fileName}.decoded.js`;
+        fs.writeFileSync(decodedPath, decodeResult.decoded, 'utf8');
+        logger.log(`   ✓ Saved decoded version: ${decodedPath}\n`);
+    }
+
+    exoticTimer.done(`decoded ${detection.primary.type}`);
+    return { code: decodeResult.decoded, detection, decoded: true };
+}
+
+// FIX P2-4: Validate AST size (protection against malware "AST bombs")
+function validateAST(ast, fileSize, config) {
+    const MAX_DEPTH = config.maxAstDepth || 500;          // Max nesting depth
+    const MIN_BYTES_PER_NODE = 0.5;                       // AST bomb threshold (very minified code ~1, bomb <0.5)
+    const MIN_FILE_SIZE_FOR_CHECK = 100;                  // Skip AST bomb check for tiny files (<100 bytes)
+
+    let nodeCount = 0;
+    let maxDepth = 0;
+
+    function traverse(node, depth) {
+        if (!node || typeof node !== 'object') return;
+
+        nodeCount++;
+
+        // Check depth (always important)
+        if (depth > MAX_DEPTH) {
+            throw new Error(`AST too deep: ${depth} levels (max ${MAX_DEPTH}). Possible malware anti-analysis trick!`);
+        }
+        maxDepth = Math.max(maxDepth, depth);
+
+        // Check for AST bomb: too many nodes for file size
+        // Real AST bomb: small file (<100KB) generates millions of nodes
+        // Legitimate large file: proportional nodes to code size
+        if (fileSize >= MIN_FILE_SIZE_FOR_CHECK && nodeCount % 100000 === 0) { // Check every 100K nodes
+            const bytesPerNode = fileSize / nodeCount;
+            if (bytesPerNode < MIN_BYTES_PER_NODE) {
+                throw new Error(`AST bomb detected: ${nodeCount} nodes from ${fileSize} bytes (${bytesPerNode.toFixed(2)} bytes/node). Possible malware!`);
+            }
+        }
+
+        for (const key in node) {
+            if (node.hasOwnProperty(key) && key !== 'parentNode' && key !== 'parentNodeProperty') {
+                const value = node[key];
+                if (Array.isArray(value)) {
+                    value.forEach(child => traverse(child, depth + 1));
+                } else if (value && typeof value === 'object') {
+                    traverse(value, depth + 1);
+                }
+            }
+        }
+    }
+
+    traverse(ast, 0);
+
+    // Final check with actual ratio (skip for tiny files)
+    const bytesPerNode = fileSize / nodeCount;
+    if (fileSize >= MIN_FILE_SIZE_FOR_CHECK && bytesPerNode < MIN_BYTES_PER_NODE) {
+        throw new Error(`AST bomb detected: ${nodeCount} nodes from ${fileSize} bytes (${bytesPerNode.toFixed(2)} bytes/node)`);
+    }
+
+    return { nodeCount, maxDepth, bytesPerNode };
+}
+
+// FIX: Estimate Grok cost and ask for confirmation if expensive
+function estimateGrokCost(nodeCount) {
+    // Empirical ratio: ~3-5% of AST nodes are analyzable entities (variables/functions)
+    const estimatedEntities = Math.floor(nodeCount * 0.04);  // Use 4% as middle estimate
+    const estimatedVariables = Math.floor(estimatedEntities * 0.8);  // ~80% are variables
+    const estimatedFunctions = Math.floor(estimatedEntities * 0.2);  // ~20% are functions
+
+    // Batch sizes from Grok implementation
+    const VARS_PER_BATCH = 20;
+    const FUNCS_PER_BATCH = 12;
+
+    const varBatches = Math.ceil(estimatedVariables / VARS_PER_BATCH);
+    const funcBatches = Math.ceil(estimatedFunctions / FUNCS_PER_BATCH);
+    const totalBatches = varBatches + funcBatches;
+
+    // Empirical token usage from test_obfuscated.js:
+    // 12 entities → 2,034 tokens (1,632 input, 402 output)
+    // ≈ 170 tokens/entity (136 input, 34 output)
+    const tokensPerEntity = 170;
+    const estimatedTokens = estimatedEntities * tokensPerEntity;
+
+    // Pricing: $0.20/M input, $0.50/M output (grok-4-fast-reasoning)
+    // Approximate 80% input, 20% output
+    const inputTokens = estimatedTokens * 0.8;
+    const outputTokens = estimatedTokens * 0.2;
+    const estimatedCost = (inputTokens / 1_000_000) * 0.20 + (outputTokens / 1_000_000) * 0.50;
+
+    return {
+        entities: estimatedEntities,
+        variables: estimatedVariables,
+        functions: estimatedFunctions,
+        batches: totalBatches,
+        tokens: estimatedTokens,
+        cost: estimatedCost
+    };
+}
+
+/**
+ * Print the cost estimate and decide whether Grok may run
+ * Estimates above GROK_COST_THRESHOLD need an explicit yes from grok.confirm()
+ *
+ * @returns {Promise<GrokInterface|null>} Initialized interface or null
+ */
+async function initGrok(nodeCount, opts) {
+    const { grok, logger, config } = opts;
+    if (!grok || !grok.apiKey || config.useGrokForVariables === false) {
+        return null;
+    }
+
+    const costEstimate = estimateGrokCost(nodeCount);
+
+    logger.log('\n💰 Grok Analysis Cost Estimate');
+    logger.log('==============================');
+    logger.log(`AST nodes: ${nodeCount.toLocaleString()}`);
+    logger.log(`Estimated entities: ~${costEstimate.entities.toLocaleString()} (${costEstimate.variables} vars, ${costEstimate.functions} funcs)`);
+    logger.log(`API calls: ~${costEstimate.batches} batches`);
+    logger.log(`Estimated tokens: ~${costEstimate.tokens.toLocaleString()}`);
+    logger.log(`Estimated cost: $${costEstimate.cost.toFixed(4)}`);
+
+    if (costEstimate.cost > GROK_COST_THRESHOLD) {
+        logger.log(`\n⚠️  Warning: Estimated cost is $${costEstimate.cost.toFixed(4)}`);
+        logger.log(`This is above the safety threshold ($${GROK_COST_THRESHOLD.toFixed(2)})`);
+
+        const confirmed = grok.confirm ? await grok.confirm(costEstimate) : false;
+        if (!confirmed) {
+            logger.log('✗ User declined. Skipping Grok analysis.');
+            return null;
+        }
+        logger.log('✓ User confirmed. Initializing Grok...');
+    } else {
+        logger.log(`✓ Cost is within safety threshold ($${GROK_COST_THRESHOLD.toFixed(2)})`);
+    }
+
+    try {
+        return new GrokInterface({
+            apiKey: grok.apiKey,
+            model: grok.model || GROK_MODEL
+        });
+    } catch (err) {
+        logger.warn(`Warning: Failed to initialize Grok: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Grok-based semantic renaming (variables + functions)
+ *
+ * @returns {Promise<boolean>} true if the phase ran to completion
+ */
+async function runGrokRenaming(ast, processingContext, logger) {
+    logger.log('\n🤖 Grok Semantic Renaming Phase');
+    logger.log('=================================');
+
+    try {
+        // Step 1: Analyze variables with Grok
+        logger.log('\n[Phase 1] Variable Analysis');
+        const variablesRenamed = await renameVariablesWithGrok(
+            ast,
+            processingContext,
+            { last: () => null }
+        );
+
+        if (variablesRenamed) {
+            logger.log('✓ Grok variable analysis complete');
+        }
+
+        // Step 2: Analyze functions with Grok (batched, cost-optimized)
+        logger.log('\n[Phase 2] Function Analysis');
+        const functionsRenamed = await renameFunctionsWithGrok(
+            ast,
+            processingContext,
+            { last: () => null }
+        );
+
+        if (functionsRenamed) {
+            logger.log('✓ Grok function analysis complete');
+        }
+
+        // Step 3: Apply ALL renames in single traversal (optimization!)
+        if (variablesRenamed || functionsRenamed) {
+            logger.log('\n[Phase 3] Applying renames...');
+            traverseTopDown(
+                ast,
+                [applyFunctionRenames, renameVariables],
+                processingContext
+            );
+            logger.log('✓ Semantic renaming complete');
+        }
+        return true;
+    } catch (error) {
+        logger.error(`⚠️  Grok semantic renaming failed: ${error.message}`);
+        return false;
+    }
+}
+
+function dumpScopes(scopes, parent, logger, level = 0) {
+    let children = Object.values(scopes).filter(el => el.parent == parent);
+    for (let scope of children) {
+        let varsOrFuncs = Object.values(scope.variables);
+        let funcs = varsOrFuncs.filter(el => el.value?.constructor?.name == "Function");
+        let vars = varsOrFuncs.filter(el => el.value?.constructor?.name != "Function");
+
+        if (varsOrFuncs.length > 0) {
+            if (funcs.length > 0) {
+                logger.log('Functions:');
+                for (let func of funcs) {
+                    logger.log(`Name: ${func.value.name}, call count: ${func.value.callCount}`);
+                }
+            }
+            if (vars.length > 0) {
+                logger.log('Variables:');
+                for (let variable of vars) {
+                    logger.log(variable.toString());
+                }
+            }
+        }
+        dumpScopes(scopes, scope, logger, level + 1);
+    }
+}
+
+/**
+ * Deobfuscate JavaScript source code
+ *
+ * @param {string} code - Source code to process
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Overrides for config/default.json (maxIterations, timeoutMs, parser, ...)
+ * @param {string} [options.fileName] - Name of the input file (used in reports and artifact paths)
+ * @param {boolean} [options.unpack=true] - Run the bundle unpacking phase
+ *        (the pipeline itself is configured by config.pipeline, see lib/pipeline.js)
+ * @param {Array} [options.plugins] - Mutator plugins: package names, file paths or plugin exports
+ *        (relative paths resolve against cwd, see lib/plugin_loader.js)
+ * @param {Object|string} [options.sourceMap] - Source map of the input; by default it is looked up
+ *        through the sourceMappingURL comment or <fileName>.map (config.sourceMaps.use, local
+ *        files only with writeArtifacts)
+ * @param {boolean} [options.malwareReport=true] - Generate the malware report
+ * @param {boolean} [options.writeArtifacts=false] - Allow side outputs next to fileName
+ *        (unpacked module folders, nested bundles, decoded exotic code, AST dumps)
+ * @param {Object} [options.logger] - console-like object ({log, warn, error}); silent by default
+ * @param {Function} [options.progress] - (label) => timer with update/done/fail; silent by default
+ * @param {Object} [options.grok] - { apiKey, model, confirm: async (costEstimate) => boolean }
+ * @returns {Promise<Object>} { code, map, malwareReport, detection, stats }
+ *          (map: source map from code back to the input, when config.sourceMaps.emitOutputMap is set)
+ */
+async function deobfuscate(code, options = {}) {
+    if (typeof code !== 'string') {
+        throw new TypeError('code must be a string');
+    }
+
+    const opts = normalizeOptions(options);
+    const { config, logger, progress } = opts;
+    const startTime = Date.now();
+    const inputSize = code.length;
+
+    const sourceMap = resolveSourceMap(code, opts);
+    const exotic = decodeExotic(code, opts);
+    code = exotic.code;
+
+    // Parse with progress indicator
+    const parseTimer = progress('Parsing JavaScript');
+    const ast = parser.parse(code, config.parser);
+    parseTimer.done();
+    stripSourceMappingURL(ast);
+
+    const astStats = validateAST(ast, code.length, config);
+    logger.log(`✓ AST validated: ${astStats.nodeCount.toLocaleString()} nodes, max depth ${astStats.maxDepth}, ${astStats.bytesPerNode.toFixed(2)} bytes/node`);
+
+    // FIX P2-2: Make AST serialization optional (saves 320MB+ memory for large files)
+    if (config.dumpAST) {
+        logger.log('  Dumping AST to JSON (this may take a while for large files)...');
+        fs.writeFileSync(`${opts.fileName}.ast.before.json`, JSON.stringify(ast, null, 2));
+    }
+
+    // FIX: Use context object instead of global state
+    // This prevents scope pollution between multiple file processing
+    const processingContext = {
+        ast: ast,  // For obfuscation pattern detection
+        astScopes: {},  // Scope storage (replaces global.astScopes)
+        config: config,
+        sourceFileName: opts.fileName,  // For webpack bundle unpacking
+        grokInterface: null,  // For Grok-based variable renaming
+        logger: logger,
+        // Positions only match the map if the code was not decoded first
+        sourceMapNames: exotic.decoded ? null : sourceMap.names
+    };
+
+    // Resolve before running anything so a bad pipeline definition fails fast
+    const phases = resolvePipeline(opts.pipeline, loadPlugins(opts.plugins));
+    // unwrapDynamicCode runs the same phases on the eval/Function payloads it finds
+    processingContext.phases = phases;
+    const phaseResults = runPipeline(ast, phases, processingContext, { progress, logger });
+    if (sourceMap.info) {
+        sourceMap.info.renamed = processingContext.sourceMapRenames || 0;
+    }
+    const convergence = phaseResults.convergence || { iterations: 0, converged: true, timedOut: false };
+
+    // Grok-based semantic renaming (variables + functions)
+    let grokStats = null;
+    processingContext.grokInterface = await initGrok(astStats.nodeCount, opts);
+    if (processingContext.grokInterface) {
+        await runGrokRenaming(ast, processingContext, logger);
+        grokStats = processingContext.grokInterface.getTotalStats();
+    }
+
+    // Generate malware report AFTER renames applied (needs scopes, so before cleanup)
+    let malwareReport = null;
+    if (opts.malwareReport) {
+        malwareReport = generateMalwareReport(processingContext, opts.fileName);
+        processingContext.malwareReport = malwareReport;
+    }
+
+    dumpScopes(processingContext.astScopes, null, logger);
+
+    // FIX P2-2: Make AST dump optional
+    if (config.dumpAST) {
+        logger.log('  Dumping processed AST to JSON...');
+        fs.writeFileSync(`${opts.fileName}.ast.after.json`, JSON.stringify(ast, (k, v) => ['parentNode', 'parentNodeProperty'].includes(k) ? null : v, 2));
+    }
+
+    // FIX: Cleanup parent references to prevent memory leak
+    // This allows AST to be garbage collected after processing
+    cleanupParentReferences(ast);
+    cleanupContext(processingContext);
+
+    // Output source map: generated code → positions in the (decoded) input
+    const emitOutputMap = !!(config.sourceMaps && config.sourceMaps.emitOutputMap);
+    let generatorOptions = config.codeGenerator;
+    if (emitOutputMap) {
+        inheritLocations(ast);
+        const inputName = opts.fileName ? path.basename(opts.fileName) : 'input.js';
+        generatorOptions = {
+            ...config.codeGenerator,
+            sourceMaps: true,
+            sourceFileName: exotic.decoded ? `${inputName}.decoded.js` : inputName
+        };
+    }
+
+    const genTimer = progress('Generating code');
+    let res;
+    try {
+        res = new CodeGenerator(ast, generatorOptions, emitOutputMap ? code : "").generate();
+        genTimer.done();
+    } catch (ex) {
+        genTimer.fail(ex.message);
+        throw ex;
+    }
+
+    return {
+        code: res.code,
+        map: res.map || null,
+        malwareReport,
+        detection: {
+            exotic: exotic.detection,
+            exoticDecoded: exotic.decoded,
+            sourceMap: sourceMap.info,
+            obfuscationPatterns: malwareReport ? malwareReport.obfuscationPatterns : []
+        },
+        stats: {
+            inputSize,
+            outputSize: res.code.length,
+            astNodes: astStats.nodeCount,
+            astMaxDepth: astStats.maxDepth,
+            bytesPerNode: astStats.bytesPerNode,
+            unpackIterations: phaseResults.unpack ? phaseResults.unpack.iterations : 0,
+            iterations: convergence.iterations,
+            converged: convergence.converged,
+            timedOut: convergence.timedOut,
+            phases: phaseResults,
+            grok: grokStats,
+            durationMs: Date.now() - startTime
+        }
+    };
+}
+
+/**
+ * Deobfuscate a JavaScript file
+ * Same as deobfuscate() but reads the code from disk and uses the path as fileName
+ *
+ * @param {string} filePath - Path to the input file
+ * @param {Object} [options] - See deobfuscate()
+ * @returns {Promise<Object>} { code, map, malwareReport, detection, stats }
+ */
+async function deobfuscateFile(filePath, options = {}) {
+    const code = fs.readFileSync(filePath, 'utf8');
+    return deobfuscate(code, { ...options, fileName: options.fileName || filePath });
+}
+
+module.exports = {
+    deobfuscate,
+    deobfuscateFile,
+    estimateGrokCost,
+    validateAST,
+    DEFAULT_CONFIG
+};
@@ -0,0 +1,263 @@
+/**
+ * Anti-Analysis Detector
+ *
+ * Recognizes the blocks obfuscator.io injects to fight analysis:
+ * 1. Self-defending: a regex search over the code's own toString() that
+ *    hangs once the code has been reformatted
+ * 2. Debug protection: `debugger` built with the Function constructor,
+ *    re-armed by setInterval
+ * 3. Console output disabling: console.log/warn/... replaced with no-ops
+ * 4. Domain lock: location.hostname checked against a scrambled domain list
+ *
+ * Most of them run through a "call controller" that calls a function only once:
+ *
+ *   var _0x1 = function () {
+ *       var first = true;
+ *       return function (context, fn) {
+ *           var rfn = first ? function () { if (fn) { var res = fn.apply(context, arguments); fn = null; return res; } } : function () {};
+ *           first = false;
+ *           return rfn;
+ *       };
+ *   }(), _0x2 = _0x1(this, function () { ...guarded block... });
+ *   _0x2();
+ *
+ * Blocks are recognized by structure and by the fixed strings obfuscator.io
+ * puts in them, never by identifier names. The removeAntiAnalysis mutator
+ * uses these recognizers to strip the blocks; the malware report lists both
+ * the removed ones and any still in the AST.
+ */
+
+const t = require('@babel/types');
+
+// Catastrophic-backtracking patterns the self-defending check runs over its own source (v4, v2)
+const SELF_DEFENDING_PATTERNS = ['(((.+)+)+)+$', '^([^ ]+( +[^ ]+)+)+[^ ]}'];
+const CONSOLE_METHODS = ['log', 'warn', 'info', 'error', 'exception', 'table', 'trace'];
+
+const KINDS = {
+    selfDefending: {
+        pattern: 'Self-Defending Code',
+        description: 'Regex check over its own source that hangs when the code is reformatted'
+    },
+    debugProtection: {
+        pattern: 'Debug Protection',
+        description: '`debugger` statements built with the Function constructor, re-armed by setInterval'
+    },
+    disableConsoleOutput: {
+        pattern: 'Console Output Disabled',
+        description: `Replaces console.${CONSOLE_METHODS.join('/')} with no-ops`
+    },
+    domainLock: {
+        pattern: 'Domain Lock',
+        description: 'Stops working unless location.hostname matches a scrambled domain list'
+    }
+};
+
+/**
+ * Visit `node` and every node below it, nested functions included
+ */
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) walk(child, visit);
+    }
+}
+
+function some(node, test) {
+    let found = false;
+    walk(node, child => {
+        if (!found && test(child)) found = true;
+    });
+    return found;
+}
+
+/**
+ * Name of a non-computed or string-keyed property
+ */
+function propertyName(member) {
+    if (!t.isMemberExpression(member)) return null;
+    if (!member.computed && t.isIdentifier(member.property)) return member.property.name;
+    if (t.isStringLiteral(member.property)) return member.property.value;
+    return null;
+}
+
+/**
+ * Value of a string literal or a `+` chain of them ('debu' + 'gger')
+ */
+function stringValue(node) {
+    if (t.isStringLiteral(node)) return node.value;
+    if (t.isBinaryExpression(node, { operator: '+' })) {
+        const left = stringValue(node.left);
+        const right = stringValue(node.right);
+        return left !== null && right !== null ? left + right : null;
+    }
+    return null;
+}
+
+function hasString(node, value) {
+    return some(node, child => stringValue(child) === value);
+}
+
+/**
+ * `function () { var first = true; return function (context, fn) { ... fn.apply(context, arguments) ... fn = null ... }; }()`
+ */
+function isCallController(node) {
+    if (!t.isCallExpression(node) || node.arguments.length > 0 || !t.isFunctionExpression(node.callee)) return false;
+    const returned = node.callee.body.body.find(stmt => t.isReturnStatement(stmt));
+    const inner = returned && returned.argument;
+    if (!t.isFunctionExpression(inner) || inner.params.length !== 2 || !inner.params.every(param => t.isIdentifier(param))) return false;
+    const [context, fn] = inner.params.map(param => param.name);
+
+    const applies = some(inner, child => t.isCallExpression(child) && propertyName(child.callee) === 'apply' &&
+        t.isIdentifier(child.callee.object, { name: fn }) && child.arguments.length === 2 &&
+        t.isIdentifier(child.arguments[0], { name: context }) && t.isIdentifier(child.arguments[1], { name: 'arguments' }));
+    const clears = some(inner, child => t.isAssignmentExpression(child, { operator: '=' }) &&
+        t.isIdentifier(child.left, { name: fn }) && t.isNullLiteral(child.right));
+    return applies && clears;
+}
+
+/**
+ * `controller(this, function () {...})` → { controller, func }, or null
+ */
+function guardOf(node) {
+    if (!t.isCallExpression(node) || !t.isIdentifier(node.callee) || node.arguments.length !== 2) return null;
+    const [context, func] = node.arguments;
+    if (!t.isThisExpression(context) || !t.isFunctionExpression(func)) return null;
+    return { controller: node.callee.name, func };
+}
+
+/**
+ * What a guarded function does: selfDefending, debugProtection, disableConsoleOutput, domainLock or null
+ */
+function guardKind(func) {
+    if (SELF_DEFENDING_PATTERNS.some(pattern => hasString(func, pattern))) return 'selfDefending';
+    // new RegExp('function *\\( *\\)') tests the debug protection function's source before starting it
+    if (hasString(func, 'function *\\( *\\)')) return 'debugProtection';
+    const consoleList = some(func, child => t.isArrayExpression(child) &&
+        CONSOLE_METHODS.filter(name => child.elements.some(element => t.isStringLiteral(element, { value: name }))).length >= 4);
+    if (consoleList) return 'disableConsoleOutput';
+    const scansGlobals = some(func, child => t.isForInStatement(child));
+    const comparesCodes = some(func, child => t.isCallExpression(child) && propertyName(child.callee) === 'charCodeAt');
+    if (scansGlobals && comparesCodes) return 'domainLock';
+    return null;
+}
+
+/**
+ * `function D(x) { function f(n) { ... .constructor('debu' + 'gger').call('action') ... } ... }`
+ */
+function isDebugProtection(func) {
+    if (!t.isFunction(func)) return false;
+    const buildsDebugger = some(func, child => t.isCallExpression(child) && propertyName(child.callee) === 'constructor' &&
+        child.arguments.length === 1 && stringValue(child.arguments[0]) === 'debugger');
+    return buildsDebugger && hasString(func, 'while (true) {}');
+}
+
+/**
+ * Function started by a `setInterval(D, ms)` statement: `setInterval(D, ms)`,
+ * `setInterval(function () { D(); }, ms)` or an IIFE fetching the global
+ * object first. Returns { name, interval } or null.
+ */
+function intervalOf(stmt) {
+    if (!t.isExpressionStatement(stmt)) return null;
+    const call = stmt.expression;
+    if (!t.isCallExpression(call)) return null;
+
+    if (t.isFunctionExpression(call.callee) && call.arguments.length === 0) {
+        // (function () { var g; try { g = Function('return this')(); } catch (e) { g = window; } g.setInterval(D, ms); })()
+        const body = call.callee.body.body;
+        const last = body[body.length - 1];
+        const setup = body.slice(0, -1).every(child => t.isVariableDeclaration(child) || t.isTryStatement(child));
+        return setup ? intervalOf(last) : null;
+    }
+
+    const isSetInterval = t.isIdentifier(call.callee, { name: 'setInterval' }) || propertyName(call.callee) === 'setInterval';
+    if (!isSetInterval || call.arguments.length !== 2 || !t.isNumericLiteral(call.arguments[1])) return null;
+    let target = call.arguments[0];
+    if (t.isFunctionExpression(target) && target.params.length === 0 && target.body.body.length === 1) {
+        const only = target.body.body[0];
+        target = t.isExpressionStatement(only) && t.isCallExpression(only.expression) && only.expression.arguments.length === 0
+            ? only.expression.callee : null;
+    }
+    return t.isIdentifier(target) ? { name: target.name, interval: call.arguments[1].value } : null;
+}
+
+/**
+ * Domains a domain lock accepts: `'<scrambled>'.replace(new RegExp('[noise]', 'g'), '').split(';')`
+ */
+function lockedDomains(func) {
+    const patterns = new Map();
+    walk(func, child => {
+        if (t.isVariableDeclarator(child) && t.isIdentifier(child.id) && t.isNewExpression(child.init) &&
+            t.isIdentifier(child.init.callee, { name: 'RegExp' }) && t.isStringLiteral(child.init.arguments[0])) {
+            patterns.set(child.id.name, child.init.arguments[0].value);
+        }
+    });
+
+    let domains = null;
+    walk(func, child => {
+        if (domains || !t.isCallExpression(child) || propertyName(child.callee) !== 'split' || !t.isStringLiteral(child.arguments[0], { value: ';' })) return;
+        const replace = child.callee.object;
+        if (!t.isCallExpression(replace) || propertyName(replace.callee) !== 'replace' || !t.isStringLiteral(replace.callee.object)) return;
+        const regex = replace.arguments[0];
+        const source = t.isIdentifier(regex) ? patterns.get(regex.name)
+            : t.isNewExpression(regex) && t.isStringLiteral(regex.arguments[0]) ? regex.arguments[0].value : null;
+        // Only a plain character class: the noise characters mixed into the list
+        if (!source || !/^\[[^\]\\]*\]$/.test(source)) return;
+        domains = replace.callee.object.value.replace(new RegExp(source, 'g'), '').split(';').filter(Boolean);
+    });
+    return domains;
+}
+
+/**
+ * Report entry for one anti-analysis block
+ *
+ * @param {string} kind - selfDefending, debugProtection, disableConsoleOutput or domainLock
+ * @param {boolean} removed - Whether removeAntiAnalysis took it out of the output
+ * @param {Object} [details] - Extra details (domains, interval)
+ */
+function describe(kind, removed, details) {
+    return {
+        pattern: KINDS[kind].pattern,
+        confidence: 'high',
+        severity: 'INFO',
+        description: `${removed ? 'Removed' : 'Detected'}: ${KINDS[kind].description}`,
+        details: Object.assign({ removed }, details),
+        tool: 'obfuscator.io'
+    };
+}
+
+/**
+ * Anti-analysis blocks still in the AST plus the ones removeAntiAnalysis
+ * recorded on the processing context
+ */
+function detectAntiAnalysis(ast, processingContext) {
+    const detections = ((processingContext && processingContext.removedAntiAnalysis) || [])
+        .map(block => describe(block.kind, true, block.details));
+    const debugFunctions = [];
+
+    walk(ast, node => {
+        const guard = guardOf(node);
+        const kind = guard && guardKind(guard.func);
+        // A debug protection guard only starts the function reported below
+        if (kind && kind !== 'debugProtection') {
+            const domains = kind === 'domainLock' ? lockedDomains(guard.func) : null;
+            detections.push(describe(kind, false, domains ? { domains } : undefined));
+        }
+        if (t.isFunctionDeclaration(node) && isDebugProtection(node)) debugFunctions.push(node);
+    });
+    // Its inner helper builds the `debugger` calls as well; only the outermost function is one block
+    debugFunctions
+        .filter(func => !debugFunctions.some(outer => outer !== func && some(outer, child => child === func)))
+        .forEach(() => detections.push(describe('debugProtection', false)));
+    return detections;
+}
+
+module.exports = {
+    isCallController,
+    guardOf,
+    guardKind,
+    isDebugProtection,
+    intervalOf,
+    lockedDomains,
+    detectAntiAnalysis
+};
@@ -0,0 +1,212 @@
+/**
+ * Dynamic Code Detector
+ *
+ * Recognizes the sinks packed code hands its next layer to:
+ * 1. eval(code), direct or through the global object: (0, eval)(code), window.eval(code)
+ * 2. Function(...params, body) and new Function(...params, body)
+ * 3. setTimeout(code, ms) / setInterval(code, ms) with a string instead of a function
+ * 4. document.write('<script>code</script>') / document.writeln(...)
+ *
+ * The unwrapDynamicCode mutator uses these recognizers to splice statically
+ * known payloads into the AST; the malware report lists the payloads it
+ * unwrapped, how many layers deep they went, and the sinks still left in the
+ * output with code that could not be resolved. It also counts the strings
+ * decodeBuiltinStrings rebuilt from fromCharCode/atob/unescape calls, the
+ * usual way such payloads are spelled.
+ */
+
+const t = require('@babel/types');
+
+const GLOBAL_OBJECTS = ['window', 'self', 'globalThis', 'global'];
+const TIMERS = ['setTimeout', 'setInterval'];
+// <script> types browsers run as classic JavaScript
+const SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript'];
+
+/**
+ * Visit `node` and every node below it, nested functions included
+ */
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) walk(child, visit);
+    }
+}
+
+/**
+ * Name of a non-computed or string-keyed property
+ */
+function propertyName(member) {
+    if (!t.isMemberExpression(member)) return null;
+    if (!member.computed && t.isIdentifier(member.property)) return member.property.name;
+    if (t.isStringLiteral(member.property)) return member.property.value;
+    return null;
+}
+
+/**
+ * `name` or `window.name` (any global object alias)
+ */
+function isGlobal(node, name) {
+    if (t.isIdentifier(node, { name })) return true;
+    return propertyName(node) === name && GLOBAL_OBJECTS.some(global => t.isIdentifier(node.object, { name: global }));
+}
+
+/**
+ * Value of a string literal or an expression-free template, or null
+ */
+function stringOf(node) {
+    if (t.isStringLiteral(node)) return node.value;
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) return node.quasis[0].value.cooked;
+    return null;
+}
+
+/**
+ * The sink a call or `new` expression runs code through:
+ * { kind, indirect, codeArguments }, or null. kind is eval, Function,
+ * setTimeout, setInterval or document.write; codeArguments are the
+ * arguments holding code.
+ */
+function sinkOf(node) {
+    if (!t.isCallExpression(node) && !t.isNewExpression(node)) return null;
+    const callee = node.callee;
+    const args = node.arguments;
+
+    if (isGlobal(callee, 'Function')) {
+        return args.length > 0 ? { kind: 'Function', indirect: true, codeArguments: args } : null;
+    }
+    if (t.isNewExpression(node)) return null;
+
+    if (t.isIdentifier(callee, { name: 'eval' })) {
+        return args.length === 1 ? { kind: 'eval', indirect: false, codeArguments: args } : null;
+    }
+    // (0, eval)(code) and window.eval(code) run in the global scope
+    const sequenceEval = t.isSequenceExpression(callee) && t.isIdentifier(callee.expressions[callee.expressions.length - 1], { name: 'eval' }) &&
+        callee.expressions.slice(0, -1).every(expression => t.isLiteral(expression));
+    if (sequenceEval || (t.isMemberExpression(callee) && isGlobal(callee, 'eval'))) {
+        return args.length === 1 ? { kind: 'eval', indirect: true, codeArguments: args } : null;
+    }
+
+    const timer = TIMERS.find(name => isGlobal(callee, name));
+    if (timer) {
+        return args.length > 0 ? { kind: timer, indirect: true, codeArguments: [args[0]] } : null;
+    }
+
+    const write = propertyName(callee);
+    const document = t.isMemberExpression(callee) ? callee.object : null;
+    if ((write === 'write' || write === 'writeln') && document && isGlobal(document, 'document')) {
+        return args.length > 0 ? { kind: 'document.write', indirect: true, codeArguments: args } : null;
+    }
+    return null;
+}
+
+/**
+ * Inline scripts in an HTML string: { scripts: [{ start, end, code }], onlyScripts }
+ * start/end delimit the code between the tags; onlyScripts is true when the
+ * HTML is nothing but inline scripts and whitespace
+ */
+function scriptsOf(html) {
+    const scripts = [];
+    let rest = html;
+    const pattern = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const attributes = match[1];
+        const type = /\btype\s*=\s*["']?([^"'\s>]*)/i.exec(attributes);
+        if (/\bsrc\s*=/i.test(attributes) || (type && !SCRIPT_TYPES.includes(type[1].toLowerCase()))) continue;
+        const start = match.index + match[0].indexOf('>') + 1;
+        scripts.push({ start, end: start + match[2].length, code: match[2] });
+        rest = rest.replace(match[0], '');
+    }
+    return { scripts, onlyScripts: scripts.length > 0 && rest.trim() === '' };
+}
+
+/**
+ * Whether a sink still in the AST runs code we could not read: a non-literal
+ * payload for eval/Function, a string-like timer argument, or a written <script>
+ */
+function isUnresolvedSink(node) {
+    const sink = sinkOf(node);
+    if (!sink || sink.codeArguments.every(arg => stringOf(arg) !== null)) return false;
+    if (sink.kind === 'eval' || sink.kind === 'Function') return true;
+    if (sink.kind === 'document.write') {
+        let writesScript = false;
+        sink.codeArguments.forEach(arg => walk(arg, child => {
+            const value = stringOf(child);
+            if (value !== null && /<script\b/i.test(value)) writesScript = true;
+        }));
+        return writesScript;
+    }
+    // A timer only runs a string when it is given one
+    return t.isBinaryExpression(sink.codeArguments[0], { operator: '+' });
+}
+
+function countBy(items, key) {
+    const counts = {};
+    for (const item of items) counts[item[key]] = (counts[item[key]] || 0) + 1;
+    return counts;
+}
+
+/**
+ * Payloads unwrapDynamicCode recorded on the processing context, plus the
+ * dynamic code sinks still in the AST
+ */
+function detectDynamicCode(ast, processingContext) {
+    const detections = [];
+    const unwrapped = (processingContext && processingContext.unwrappedPayloads) || [];
+
+    if (unwrapped.length > 0) {
+        const layers = Math.max(...unwrapped.map(payload => payload.layer));
+        detections.push({
+            pattern: 'Dynamic Code Payloads (unwrapped)',
+            confidence: 'high',
+            severity: 'MEDIUM',
+            description: `Unwrapped ${unwrapped.length} payloads passed to eval/Function/timers/document.write, ${layers} layer${layers > 1 ? 's' : ''} deep`,
+            details: {
+                payloads: unwrapped.length,
+                layers,
+                sinks: countBy(unwrapped, 'sink'),
+                savedTo: unwrapped.filter(payload => payload.savedTo).map(payload => payload.savedTo)
+            },
+            tool: 'packer (generic)'
+        });
+    }
+
+    const decoded = (processingContext && processingContext.decodedBuiltinStrings) || 0;
+    if (decoded > 0) {
+        detections.push({
+            pattern: 'Encoded Strings (decoded)',
+            confidence: 'high',
+            severity: 'INFO',
+            description: `Decoded ${decoded} strings built with String.fromCharCode, atob, unescape, decodeURIComponent or char code arrays`,
+            details: {
+                strings: decoded
+            },
+            tool: 'packer (generic)'
+        });
+    }
+
+    const remaining = [];
+    walk(ast, node => {
+        if (isUnresolvedSink(node)) remaining.push({ sink: sinkOf(node).kind });
+    });
+    if (remaining.length > 0) {
+        detections.push({
+            pattern: 'Dynamic Code Execution',
+            confidence: 'medium',
+            severity: 'MEDIUM',
+            description: `${remaining.length} eval/Function/timer/document.write calls run code that is only known at runtime`,
+            details: {
+                sinks: countBy(remaining, 'sink')
+            },
+            tool: 'packer (generic)'
+        });
+    }
+    return detections;
+}
+
+module.exports = {
+    sinkOf,
+    stringOf,
+    scriptsOf,
+    detectDynamicCode
+};
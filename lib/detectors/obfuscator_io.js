@@ -5,11 +5,17 @@
  * 1. String array rotation pattern
  * 2. Control flow flattening
  * 3. Dead code injection
+ * 4. Self-defending, debug protection, console disabling and domain lock
+ *    blocks (detectors/anti_analysis.js)
  *
- * These patterns are added to the malware report as "Obfuscation Detected"
+ * These patterns are added to the malware report as "Obfuscation Detected".
+ * String arrays, number and string encodings, dispatcher loops, proxy
+ * objects and injected dead branches that were already undone during
+ * processing are reported as well.
  */
 
 const t = require('@babel/types');
+const { detectAntiAnalysis } = require('./anti_analysis');
 
 /**
  * Detect string array rotation pattern
@@ -226,7 +232,8 @@ function detectControlFlowFlattening(ast) {
 /**
  * Detect dead code injection pattern
  *
- * Simple heuristic: functions that are never called with suspicious patterns
+ * Simple heuristic: functions that are never called with suspicious patterns,
+ * plus the opaque predicates solveOpaquePredicates solved
  */
 function detectDeadCodeInjection(ast, processingContext) {
     const detections = [];
@@ -269,9 +276,109 @@ function detectDeadCodeInjection(ast, processingContext) {
         });
     }
 
+    // Branches solveOpaquePredicates already took out of the AST
+    const solved = processingContext.solvedOpaquePredicates || 0;
+    if (solved > 0) {
+        const removed = processingContext.removedDeadBranches || 0;
+        detections.push({
+            pattern: 'Dead Code Injection (removed)',
+            confidence: 'high',
+            severity: 'INFO',
+            description: `Solved ${solved} opaque predicates and removed ${removed} dead branches`,
+            details: {
+                opaquePredicates: solved,
+                deadBranches: removed
+            },
+            tool: 'obfuscator.io'
+        });
+    }
+
     return detections;
 }
 
+/**
+ * Report string arrays the decodeStringArrays mutator already solved
+ *
+ * The array and its decoder are gone from the AST by the time the report
+ * runs, so the mutator's record on the processing context is used instead.
+ */
+function detectDecodedStringArrays(processingContext) {
+    const decoded = (processingContext && processingContext.decodedStringArrays) || [];
+    if (decoded.length === 0) return [];
+
+    const lookups = decoded.reduce((sum, entry) => sum + entry.inlined, 0);
+    return [{
+        pattern: 'String Array (decoded)',
+        confidence: 'high',
+        severity: 'INFO',
+        description: `Decoded ${decoded.length} string arrays and inlined ${lookups} lookups`,
+        details: {
+            stringArrays: decoded.slice(0, 3)
+        },
+        tool: 'obfuscator.io'
+    }];
+}
+
+/**
+ * Report dispatcher loops the unflattenControlFlow mutator already rebuilt
+ */
+function detectUnflattenedControlFlow(processingContext) {
+    const count = (processingContext && processingContext.unflattenedControlFlow) || 0;
+    if (count === 0) return [];
+
+    return [{
+        pattern: 'Control Flow Flattening (unflattened)',
+        confidence: 'high',
+        severity: 'INFO',
+        description: `Rebuilt ${count} switch dispatcher loops as plain statements`,
+        details: {
+            blocks: count
+        },
+        tool: 'obfuscator.io (likely)'
+    }];
+}
+
+/**
+ * Report holder objects the inlineProxyObjects mutator already inlined
+ */
+function detectInlinedProxyObjects(processingContext) {
+    const count = (processingContext && processingContext.inlinedProxyObjects) || 0;
+    if (count === 0) return [];
+
+    return [{
+        pattern: 'Proxy Objects (inlined)',
+        confidence: 'medium',
+        severity: 'INFO',
+        description: `Inlined and removed ${count} objects of proxy functions and strings`,
+        details: {
+            objects: count
+        },
+        tool: 'obfuscator.io (likely)'
+    }];
+}
+
+/**
+ * Report the number expressions and split strings normalizeLiterals collapsed
+ * (numbersToExpressions, splitStrings)
+ */
+function detectNormalizedLiterals(processingContext) {
+    const numbers = (processingContext && processingContext.normalizedNumbers) || 0;
+    const strings = (processingContext && processingContext.normalizedStrings) || 0;
+    if (numbers === 0 && strings === 0) return [];
+
+    return [{
+        pattern: 'Numbers To Expressions / Split Strings (collapsed)',
+        confidence: 'medium',
+        severity: 'INFO',
+        description: `Collapsed ${numbers} number expressions and ${strings} split strings`,
+        details: {
+            numberExpressions: numbers,
+            splitStrings: strings
+        },
+        tool: 'obfuscator.io (likely)'
+    }];
+}
+
 /**
  * Main detector function
  * Returns array of detected obfuscation patterns
@@ -282,8 +389,13 @@ function detectObfuscatorIO(ast, processingContext) {
     try {
         // Run all detectors
         detections.push(...detectStringArrayRotation(ast));
+        detections.push(...detectDecodedStringArrays(processingContext));
+        detections.push(...detectNormalizedLiterals(processingContext));
         detections.push(...detectControlFlowFlattening(ast));
+        detections.push(...detectUnflattenedControlFlow(processingContext));
+        detections.push(...detectInlinedProxyObjects(processingContext));
         detections.push(...detectDeadCodeInjection(ast, processingContext));
+        detections.push(...detectAntiAnalysis(ast, processingContext));
     } catch (err) {
         console.error('[Obfuscator.io Detector] Error:', err.message);
     }
@@ -294,6 +406,10 @@ function detectObfuscatorIO(ast, processingContext) {
 module.exports = {
     detectObfuscatorIO,
     detectStringArrayRotation,
+    detectDecodedStringArrays,
+    detectNormalizedLiterals,
     detectControlFlowFlattening,
+    detectUnflattenedControlFlow,
+    detectInlinedProxyObjects,
     detectDeadCodeInjection
 };
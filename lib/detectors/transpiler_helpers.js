@@ -0,0 +1,432 @@
+/**
+ * Transpiler Helper Detector
+ *
+ * Identifies the runtime helpers Babel and TypeScript inject when compiling
+ * modern syntax down to ES5 (_classCallCheck, _createClass, _inherits,
+ * __extends, _asyncToGenerator, __awaiter, __generator, _toConsumableArray, ...). Minifiers rename them, so helpers
+ * are recognized by the shape of their body, never by name:
+ *
+ *   function r(e, t) { if (!(e instanceof t)) throw new TypeError("...") }   → classCallCheck
+ *
+ * Used by the mutators that rebuild the original syntax (classes, async functions, spread and destructuring).
+ */
+
+const t = require('@babel/types');
+
+// Role of every function node examined so far
+const roleCache = new WeakMap();
+
+/**
+ * Collect the body features the role rules look at
+ */
+function summarize(func) {
+    const params = func.params.map(param => param.type === 'Identifier' ? param.name : null);
+    const features = {
+        params: params.length,
+        members: new Set(),
+        properties: new Set(),
+        assignsParamPrototype: false,
+        readsParamPrototype: false,
+        instanceofParams: false,
+        throws: new Set(),
+        typeofParam1: false,
+        returnsParam0: false,
+        returnsParam1: false,
+        returnsFunction: false,
+        assignsComputedParams: false,
+        hasLoop: false,
+        hasTypeof: false,
+        usesPromise: false,
+        newArray: false,
+        mentionsIterable: false,
+        orChain: 0
+    };
+    const isParam = (node, idx) => !!params[idx] && t.isIdentifier(node, { name: params[idx] });
+
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string') return;
+        switch (node.type) {
+            case 'Identifier':
+                if (node.name === 'Promise') features.usesPromise = true;
+                break;
+            case 'StringLiteral':
+                if (/iterable|@@iterator/.test(node.value)) features.mentionsIterable = true;
+                break;
+            case 'MemberExpression':
+                if (t.isIdentifier(node.object) && !node.computed && t.isIdentifier(node.property)) {
+                    features.members.add(`${node.object.name}.${node.property.name}`);
+                }
+                if (!node.computed && t.isIdentifier(node.property)) {
+                    features.properties.add(node.property.name);
+                }
+                if (!node.computed && t.isIdentifier(node.property, { name: '__proto__' })) {
+                    features.members.add('__proto__');
+                }
+                if (isParam(node.object, 0) && t.isIdentifier(node.property, { name: 'prototype' })) {
+                    features.readsParamPrototype = true;
+                }
+                break;
+            case 'AssignmentExpression':
+                if (node.left.type === 'MemberExpression' && isParam(node.left.object, 0) &&
+                    t.isIdentifier(node.left.property, { name: 'prototype' }) && !node.left.computed) {
+                    features.assignsParamPrototype = true;
+                }
+                if (node.left.type === 'MemberExpression' && node.left.computed && isParam(node.left.object, 0) &&
+                    isParam(node.left.property, 1) && isParam(node.right, 2)) {
+                    features.assignsComputedParams = true;
+                }
+                break;
+            case 'BinaryExpression':
+                if (node.operator === 'instanceof' && isParam(node.left, 0) && isParam(node.right, 1)) {
+                    features.instanceofParams = true;
+                }
+                break;
+            case 'UnaryExpression':
+                if (node.operator === 'typeof') {
+                    features.hasTypeof = true;
+                    if (isParam(node.argument, 1)) features.typeofParam1 = true;
+                }
+                break;
+            case 'NewExpression':
+                if (t.isIdentifier(node.callee) && /Error$/.test(node.callee.name)) {
+                    features.throws.add(node.callee.name);
+                }
+                if (t.isIdentifier(node.callee, { name: 'Array' })) features.newArray = true;
+                break;
+            case 'ReturnStatement':
+                if (isParam(node.argument, 0)) features.returnsParam0 = true;
+                if (isParam(node.argument, 1)) features.returnsParam1 = true;
+                if (t.isFunction(node.argument)) features.returnsFunction = true;
+                break;
+            case 'ForStatement':
+            case 'WhileStatement':
+                features.hasLoop = true;
+                break;
+        }
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const child of [].concat(node[key])) visit(child);
+        }
+    };
+    visit(func.body);
+
+    // Sequence-style returns of minified helpers: return n && e(t.prototype, n), r && e(t, r), t
+    const last = func.body.type === 'BlockStatement' ? func.body.body[func.body.body.length - 1] : null;
+    if (last && last.type === 'ReturnStatement' && last.argument && last.argument.type === 'SequenceExpression') {
+        const expressions = last.argument.expressions;
+        if (isParam(expressions[expressions.length - 1], 0)) features.returnsParam0 = true;
+    }
+
+    // return a(e) || b(e) || c(e) || d(): _toConsumableArray and _slicedToArray try each conversion in turn
+    const only = func.body.type === 'BlockStatement' && func.body.body.length === 1 ? func.body.body[0] : null;
+    if (only && only.type === 'ReturnStatement') {
+        let node = only.argument;
+        let calls = 0;
+        while (node && node.type === 'LogicalExpression' && node.operator === '||' && node.right.type === 'CallExpression') {
+            calls++;
+            node = node.left;
+        }
+        if (node && node.type === 'CallExpression' && calls > 0) features.orChain = calls + 1;
+    }
+    return features;
+}
+
+/**
+ * Classify a function by the helper it implements
+ *
+ * @param {Object} func - Function node
+ * @returns {string|null} classCallCheck, createClass, inherits, possibleConstructorReturn,
+ *   assertThisInitialized, getPrototypeOf, setPrototypeOf, createSuper, callSuper,
+ *   isNativeReflectConstruct, defineProperties, defineProperty, superGet, superPropBase, typeof,
+ *   asyncToGenerator, asyncGeneratorStep, awaiter, generator, values,
+ *   toConsumableArray, slicedToArray, spreadArray, read, arrayHelper
+ */
+function helperRole(func) {
+    if (!func || !t.isFunction(func) || func.body.type !== 'BlockStatement') return null;
+    if (roleCache.has(func)) return roleCache.get(func);
+
+    const f = summarize(func);
+    const has = member => f.members.has(member);
+    let role = null;
+
+    if (f.params === 2 && f.properties.has('trys') && f.properties.has('label')) {
+        role = 'generator';                        // TypeScript __generator(thisArg, body)
+    } else if (f.params === 4 && f.usesPromise) {
+        role = 'awaiter';                          // TypeScript __awaiter(thisArg, _arguments, P, generator)
+    } else if (f.params === 7 && f.usesPromise) {
+        role = 'asyncGeneratorStep';
+    } else if (f.params === 2 && f.instanceofParams && f.throws.has('TypeError')) {
+        role = 'classCallCheck';
+    } else if (f.params === 2 && f.assignsParamPrototype) {
+        role = 'inherits';                         // _inherits, _inheritsLoose, TypeScript __extends
+    } else if (f.params === 2 && f.typeofParam1 && f.returnsParam1) {
+        role = 'possibleConstructorReturn';
+    } else if (f.params === 1 && f.throws.has('ReferenceError')) {
+        role = 'assertThisInitialized';
+    } else if (f.params === 1 && has('Reflect.construct') && f.returnsFunction) {
+        role = 'createSuper';
+    } else if (f.params === 3 && has('Reflect.construct')) {
+        role = 'callSuper';
+    } else if (f.params === 0 && has('Reflect.construct')) {
+        role = 'isNativeReflectConstruct';
+    } else if (f.params === 1 && f.usesPromise && f.returnsFunction) {
+        role = 'asyncToGenerator';
+    } else if (f.params === 1 && has('Object.getPrototypeOf')) {
+        role = 'getPrototypeOf';
+    } else if (f.params === 2 && (has('Object.setPrototypeOf') || has('__proto__'))) {
+        role = 'setPrototypeOf';
+    } else if (f.params === 2 && has('Object.defineProperty') && f.hasLoop) {
+        role = 'defineProperties';
+    } else if (f.params >= 2 && f.params <= 3 && f.readsParamPrototype && f.returnsParam0) {
+        role = 'createClass';
+    } else if (f.params === 3 && has('Object.defineProperty') && f.assignsComputedParams) {
+        role = 'defineProperty';
+    } else if ((f.params === 3 || f.params === 0) && (has('Reflect.get') || has('Object.getOwnPropertyDescriptor'))) {
+        role = 'superGet';                         // _get(target, property, receiver) or Babel 7.20+ _get()
+    } else if (f.params === 2 && f.hasLoop && has('Object.prototype')) {
+        role = 'superPropBase';
+    } else if (f.params === 1 && has('Symbol.iterator') && f.throws.has('TypeError')) {
+        role = 'values';                           // TypeScript __values(o)
+    } else if (f.params === 1 && f.orChain === 4) {
+        role = 'toConsumableArray';
+    } else if (f.params === 2 && f.orChain === 4) {
+        role = 'slicedToArray';
+    } else if (f.params === 3 && has('Array.prototype') && f.properties.has('concat')) {
+        role = 'spreadArray';                      // TypeScript __spreadArray(to, from, pack)
+    } else if (f.params === 2 && has('Symbol.iterator') && f.hasLoop) {
+        role = 'read';                             // TypeScript __read(o, n), Babel _iterableToArrayLimit
+    } else if (f.params <= 2 && (has('Array.isArray') || has('Array.from') || f.newArray || f.mentionsIterable)) {
+        role = 'arrayHelper';                      // _arrayWithHoles, _arrayLikeToArray, _nonIterableSpread, ...
+    } else if (f.params === 1 && f.hasTypeof && has('Symbol.iterator')) {
+        role = 'typeof';
+    }
+
+    roleCache.set(func, role);
+    return role;
+}
+
+/**
+ * The function a helper binding holds: plain declarations, TypeScript's
+ * `this && this.__extends || function () {...}()` and Babel 6's
+ * `function () { function e(t, n) {...} return function (t, n, r) {...} }()`
+ */
+function helperFunction(init) {
+    let node = init;
+    if (node && node.type === 'LogicalExpression' && node.operator === '||') {
+        node = node.right;
+    }
+    if (node && node.type === 'CallExpression' && t.isFunction(node.callee) && node.arguments.length === 0 &&
+        node.callee.body.type === 'BlockStatement') {
+        const ret = node.callee.body.body.find(stmt => stmt.type === 'ReturnStatement');
+        node = ret ? ret.argument : null;
+    }
+    return node && t.isFunction(node) ? node : null;
+}
+
+/**
+ * Find the declaration of `name` visible from the current node
+ *
+ * Walks the parent stack outwards, looking at the statement lists of the
+ * enclosing blocks. A parameter with the same name hides any helper.
+ *
+ * @param {string} name - Callee name
+ * @param {Object} parentStack
+ * @returns {Object|null} { role, func, declaration, container } of the helper
+ */
+function resolveHelper(name, parentStack) {
+    for (let level = 0; parentStack.last(level); level++) {
+        const scopeNode = parentStack.last(level).node;
+        if (t.isFunction(scopeNode) && scopeNode.params.some(param => t.isIdentifier(param, { name }))) {
+            return null;
+        }
+        const statements = scopeNode.type === 'Program' || scopeNode.type === 'BlockStatement' ? scopeNode.body : null;
+        if (!statements) continue;
+
+        for (const stmt of statements) {
+            if (stmt.type === 'FunctionDeclaration' && t.isIdentifier(stmt.id, { name })) {
+                const role = helperRole(stmt);
+                return role ? { role, func: stmt, declaration: stmt, container: scopeNode } : null;
+            }
+            if (stmt.type !== 'VariableDeclaration') continue;
+            const decl = stmt.declarations.find(d => t.isIdentifier(d.id, { name }));
+            if (decl) {
+                const func = helperFunction(decl.init);
+                const role = helperRole(func);
+                return role ? { role, func, declaration: decl, container: scopeNode } : null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Role of the function called by a call expression, or null
+ */
+function calleeRole(call, parentStack) {
+    if (!call || call.type !== 'CallExpression' || call.callee.type !== 'Identifier') return null;
+    const helper = resolveHelper(call.callee.name, parentStack);
+    return helper ? helper.role : null;
+}
+
+/**
+ * Whether a function declares its own `name` (parameter, function expression
+ * name, var or nested function declaration), hiding any outer binding
+ *
+ * @param {Object} func - Function node
+ * @param {string} name - Binding name
+ */
+function declaresName(func, name) {
+    const bindsName = pattern => Object.keys(t.getBindingIdentifiers(pattern)).includes(name);
+    if (func.params.some(bindsName)) return true;
+    if (func.id && func.type !== 'FunctionDeclaration' && func.id.name === name) return true;
+    let found = false;
+    const scan = (child) => {
+        if (found || !child || typeof child.type !== 'string') return;
+        if (child.type === 'VariableDeclaration' && child.kind === 'var' && child.declarations.some(decl => bindsName(decl.id))) found = true;
+        if (child.type === 'FunctionDeclaration' && child.id && child.id.name === name) found = true;
+        if (t.isFunction(child)) return;
+        for (const key of t.VISITOR_KEYS[child.type] || []) {
+            for (const sub of [].concat(child[key])) scan(sub);
+        }
+    };
+    func.body.type === 'BlockStatement' && func.body.body.forEach(scan);
+    return found;
+}
+
+/**
+ * Count the identifiers named `name` that can refer to an outer binding of
+ * that name. Functions declaring their own `name` (parameter, var, function)
+ * are skipped; block-scoped shadows are not, so the count errs on the high side.
+ *
+ * @param {Object} node - Subtree to search
+ * @param {string} name - Binding name
+ * @param {Object} [skip] - Subtree to leave out (e.g. the declaration itself)
+ */
+function countReferences(node, name, skip) {
+    let count = 0;
+    const visit = (child) => {
+        if (!child || typeof child.type !== 'string' || child === skip) return;
+        if (t.isFunction(child) && declaresName(child, name)) {
+            if (child.type === 'FunctionDeclaration' && child.id.name === name) count++;
+            return;
+        }
+        if (child.type === 'Identifier' && child.name === name) count++;
+        for (const key of t.VISITOR_KEYS[child.type] || []) {
+            if (child.type === 'MemberExpression' && key === 'property' && !child.computed) continue;
+            if ((child.type === 'ObjectProperty' || child.type === 'ObjectMethod') && key === 'key' && !child.computed) continue;
+            for (const sub of [].concat(child[key])) visit(sub);
+        }
+    };
+    visit(node);
+    return count;
+}
+
+/**
+ * Declarations of and assignments to `name` anywhere below `root`
+ */
+function countWrites(root, name) {
+    let writes = 0;
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string') return;
+        const target = t.isVariableDeclarator(node) ? node.id
+            : t.isAssignmentExpression(node) ? node.left
+                : t.isUpdateExpression(node) ? node.argument
+                    : t.isForXStatement(node) && !t.isVariableDeclaration(node.left) ? node.left : null;
+        if (target && Object.keys(t.getBindingIdentifiers(target)).includes(name)) writes++;
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const sub of [].concat(node[key])) visit(sub);
+        }
+    };
+    visit(root);
+    return writes;
+}
+
+/**
+ * The declaration of `name` seen from the node at the top of `parentStack`,
+ * when it comes before that node and nothing in the program writes `name`
+ * again. Errs on the side of null: any other declaration or assignment of the
+ * name, even in an unrelated scope, rules it out.
+ *
+ * @param {string} name - Binding name
+ * @param {Object} parentStack - Parent stack of the node reading the name
+ * @returns {Object|null} { list, declaration, declarator, scope } - scope is
+ *          the function or program the declaration belongs to
+ */
+function constantBindingOf(name, parentStack) {
+    let found = null;
+    let program = null;
+    for (let level = 0; parentStack.last(level); level++) {
+        const { node, propertyName, index } = parentStack.last(level);
+        if (node.type === 'Program') program = node;
+        if (found) {
+            if (!found.scope && (t.isFunction(node) || node.type === 'Program')) found.scope = node;
+            continue;
+        }
+        // The function body was searched one level down: the name is a parameter or declared later
+        if (t.isFunction(node) && declaresName(node, name)) return null;
+        if ((node.type === 'Program' || node.type === 'BlockStatement') && propertyName === 'body') {
+            for (const stmt of node.body.slice(0, index)) {
+                const declarator = t.isVariableDeclaration(stmt) && stmt.declarations.find(decl => t.isIdentifier(decl.id, { name }));
+                if (declarator) found = { list: node.body, declaration: stmt, declarator, scope: null };
+            }
+            if (found && node.type === 'Program') found.scope = node;
+        }
+    }
+    if (!found || !found.declarator.init || !program) return null;
+    return countWrites(program, name) === 1 ? found : null;
+}
+
+/**
+ * Remove helper declarations nobody calls anymore
+ *
+ * @param {Object} program - Program node
+ * @param {Set<string>} roles - Only helpers with one of these roles are removed
+ * @returns {number} Number of declarations removed
+ */
+function removeUnusedHelpers(program, roles) {
+    let removed = 0;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        // Statement lists with the function body (or program) their var and function declarations belong to
+        const containers = [];
+        const collect = (node, scope) => {
+            if (!node || typeof node.type !== 'string') return;
+            if (node.type === 'Program' || node.type === 'BlockStatement') containers.push({ block: node, scope });
+            for (const key of t.VISITOR_KEYS[node.type] || []) {
+                for (const child of [].concat(node[key])) collect(child, t.isFunction(child) ? child.body : scope);
+            }
+        };
+        collect(program, program);
+
+        for (const { block, scope } of containers) {
+            for (let i = block.body.length - 1; i >= 0; i--) {
+                const stmt = block.body[i];
+                let name = null;
+                if (stmt.type === 'FunctionDeclaration' && stmt.id && roles.has(helperRole(stmt))) {
+                    name = stmt.id.name;
+                } else if (stmt.type === 'VariableDeclaration' && stmt.declarations.length === 1 &&
+                           t.isIdentifier(stmt.declarations[0].id) && roles.has(helperRole(helperFunction(stmt.declarations[0].init)))) {
+                    name = stmt.declarations[0].id.name;
+                }
+                if (!name) continue;
+                if (countReferences(scope, name, stmt) === 0) {
+                    block.body.splice(i, 1);
+                    removed++;
+                    changed = true;
+                }
+            }
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    helperRole,
+    helperFunction,
+    resolveHelper,
+    calleeRole,
+    declaresName,
+    countReferences,
+    constantBindingOf,
+    removeUnusedHelpers
+};
@@ -133,6 +133,7 @@ function optimizeConfigForLargeFile(config, analysis) {
         // Aggressive optimizations
         optimized.dumpAST = false;  // Don't dump AST (saves huge amount of memory)
         optimized.verbose = false;  // Reduce console output overhead
+        optimized.sourceMaps = { ...config.sourceMaps, emitOutputMap: false };  // Output map roughly doubles generation memory
 
         // Suggest but don't force (user might have set these explicitly)
         if (optimized.maxIterations === undefined || optimized.maxIterations > 50) {
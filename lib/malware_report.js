@@ -6,9 +6,12 @@
  * - Grok-detected malicious variables
  * - Known suspicious patterns
  * - Obfuscator.io patterns (string array rotation, control flow flattening)
+ * - eval/Function payloads unwrapped layer by layer
+ * - Module Federation containers: modules exposed to and dependencies shared with the host
  */
 
 const obfuscatorDetector = require('./detectors/obfuscator_io');
+const { detectDynamicCode } = require('./detectors/dynamic_code');
 
 /**
  * Generate malware behavior report
@@ -27,12 +30,14 @@ function generateMalwareReport(processingContext, fileName) {
         threats: [],
         suspiciousPatterns: [],
         obfuscationPatterns: [],
+        moduleFederation: [],
         cost: grokStats ? `$${grokStats.total_cost.toFixed(6)}` : 'N/A',
         summary: {
             totalFunctions: 0,
             maliciousFunctions: 0,
             totalVariables: 0,
-            suspiciousVariables: 0
+            suspiciousVariables: 0,
+            payloadLayers: 0
         }
     };
 
@@ -102,12 +107,23 @@ function generateMalwareReport(processingContext, fileName) {
                 processingContext.ast,
                 processingContext
             );
-            report.obfuscationPatterns = obfuscationDetections;
+            report.obfuscationPatterns = obfuscationDetections.concat(detectDynamicCode(processingContext.ast, processingContext));
         } catch (err) {
-            console.error('[Malware Report] Error detecting obfuscation:', err.message);
+            (processingContext.logger || console).error('[Malware Report] Error detecting obfuscation:', err.message);
         }
     }
 
+    // Layers of eval/Function code the payloads were nested in
+    const payloads = processingContext.unwrappedPayloads || [];
+    report.summary.payloadLayers = payloads.reduce((layers, payload) => Math.max(layers, payload.layer), 0);
+
+    // Module Federation containers unpacked from the file: the code they hand to any host that loads them
+    report.moduleFederation = (processingContext.federationContainers || []).map(container => ({
+        name: container.name,
+        exposes: container.exposes.map(exposed => ({ name: exposed.name, moduleIds: exposed.moduleIds, chunkIds: exposed.chunkIds })),
+        shared: container.shared.map(dep => ({ ...dep }))
+    }));
+
     // Calculate risk level
     report.riskLevel = calculateRiskLevel(report);
 
@@ -128,6 +144,14 @@ function calculateRiskLevel(report) {
     return 'CLEAN';
 }
 
+/**
+ * react@17.0.2 (provided, eager)
+ */
+function describeSharedDependency(dep) {
+    const usage = [dep.provided && 'provided', dep.consumed && 'consumed', dep.eager && 'eager'].filter(Boolean);
+    return `${dep.name}${dep.version ? `@${dep.version}` : ''} (${usage.join(', ')})`;
+}
+
 /**
  * Format report as markdown
  */
@@ -145,7 +169,11 @@ function formatReportMarkdown(report) {
     // Summary
     md += '## 📊 Summary\n\n';
     md += `- **Functions**: ${report.summary.totalFunctions} total, ${report.summary.maliciousFunctions} malicious\n`;
-    md += `- **Variables**: ${report.summary.totalVariables} total, ${report.summary.suspiciousVariables} suspicious\n\n`;
+    md += `- **Variables**: ${report.summary.totalVariables} total, ${report.summary.suspiciousVariables} suspicious\n`;
+    if (report.summary.payloadLayers > 0) {
+        md += `- **Payload layers**: ${report.summary.payloadLayers} (eval/Function code unwrapped)\n`;
+    }
+    md += '\n';
 
     // Threats
     if (report.threats.length > 0) {
@@ -181,6 +209,17 @@ function formatReportMarkdown(report) {
         });
     }
 
+    // Module Federation
+    if (report.moduleFederation && report.moduleFederation.length > 0) {
+        md += '## 🧩 Module Federation\n\n';
+        report.moduleFederation.forEach(container => {
+            md += `### Container${container.name ? ` ${container.name}` : ''}\n\n`;
+            md += `- **Exposes**: ${container.exposes.map(exposed => `${exposed.name} (module ${exposed.moduleIds.join(', ') || '?'}${exposed.chunkIds.length > 0 ? `, chunks ${exposed.chunkIds.join(', ')}` : ''})`).join('; ') || 'none'}\n`;
+            md += `- **Shared**: ${container.shared.map(describeSharedDependency).join('; ') || 'none'}\n`;
+            md += '\n';
+        });
+    }
+
     // Suspicious patterns
     if (report.suspiciousPatterns.length > 0) {
         md += '## ⚠️  Suspicious Patterns\n\n';
@@ -211,7 +250,11 @@ function formatReportConsole(report) {
     output += '📊 Summary\n';
     output += '----------\n';
     output += `Functions: ${report.summary.totalFunctions} (${report.summary.maliciousFunctions} malicious)\n`;
-    output += `Variables: ${report.summary.totalVariables} (${report.summary.suspiciousVariables} suspicious)\n\n`;
+    output += `Variables: ${report.summary.totalVariables} (${report.summary.suspiciousVariables} suspicious)\n`;
+    if (report.summary.payloadLayers > 0) {
+        output += `Payload layers: ${report.summary.payloadLayers} (eval/Function code unwrapped)\n`;
+    }
+    output += '\n';
 
     if (report.threats.length > 0) {
         output += '🚨 Detected Threats\n';
@@ -235,6 +278,21 @@ function formatReportConsole(report) {
         });
     }
 
+    if (report.moduleFederation && report.moduleFederation.length > 0) {
+        output += '🧩 Module Federation\n';
+        output += '--------------------\n';
+        report.moduleFederation.forEach(container => {
+            output += `Container ${container.name || '(unnamed)'}: ${container.exposes.length} exposed modules, ${container.shared.length} shared dependencies\n`;
+            container.exposes.forEach(exposed => {
+                output += `   exposes ${exposed.name} → module ${exposed.moduleIds.join(', ') || '?'}\n`;
+            });
+            container.shared.forEach(dep => {
+                output += `   shares ${describeSharedDependency(dep)}\n`;
+            });
+            output += '\n';
+        });
+    }
+
     return output;
 }
 
@@ -51,7 +51,7 @@ function applyFunctionRenames(node, opts, parentStack) {
                 variable.grokConfidence = func.grokConfidence;
             }
 
-            console.log(`  [Rename] function ${funcName}() → ${newName}() (${func.grokConfidence || 'medium'})`);
+            (opts.logger || console).log(`  [Rename] function ${funcName}() → ${newName}() (${func.grokConfidence || 'medium'})`);
 
             return true;
         }
@@ -96,7 +96,7 @@ function applyFunctionRenames(node, opts, parentStack) {
                     variable.grokConfidence = func.grokConfidence;
                 }
 
-                console.log(`  [Rename] var ${funcName} = function() → var ${newName} = function() (${func.grokConfidence || 'medium'})`);
+                (opts.logger || console).log(`  [Rename] var ${funcName} = function() → var ${newName} = function() (${func.grokConfidence || 'medium'})`);
 
                 return true;
             }
@@ -15,7 +15,7 @@ function assignValuesToVariables(node, opts, parentStack) {
                 return false;
             }
             if (opts.config && opts.config.verbose) {
-                console.log(`Populating values to variable ${varName}.`);
+                (opts.logger || console).log(`Populating values to variable ${varName}.`);
             }
             if (["MemberExpression", "Identifier"].includes(node.left.type)) {
                 let variable = Utils.findVariableOnScope(node, node.left, parentStack, opts);
@@ -31,8 +31,8 @@ function assignValuesToVariables(node, opts, parentStack) {
             }
         } catch (ex) {
             if (opts.config && opts.config.verbose) {
-                console.log(`Error at node ${varName}:`);
-                console.log(ex);
+                (opts.logger || console).log(`Error at node ${varName}:`);
+                (opts.logger || console).log(ex);
             }
         }
     }
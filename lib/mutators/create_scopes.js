@@ -11,7 +11,7 @@ function createScopes(node, opts, parentStack) {
 
     if (t.isScopable(node)) {
         if (opts.config.verbose) {
-            console.log(`Scope Definition. Name: ${node.type}`);
+            (opts.logger || console).log(`Scope Definition. Name: ${node.type}`);
         }
         Scope.createScope(node, parentNode, parentStack, opts);
     }
@@ -31,7 +31,7 @@ function createScopes(node, opts, parentStack) {
                     }
                 }
                 if (opts.config.verbose) {
-                    console.log(`Defining ${variable.name} of type ${(declarationNode.init || { type: "None" }).type} on scope`);
+                    (opts.logger || console).log(`Defining ${variable.name} of type ${(declarationNode.init || { type: "None" }).type} on scope`);
                 }
             }
         }
@@ -44,7 +44,7 @@ function createScopes(node, opts, parentStack) {
                 varScope.addVariable(varObject);
             }
             if (opts.config.verbose) {
-                console.log(`Defining function ${node.id.name} on scope`);
+                (opts.logger || console).log(`Defining function ${node.id.name} on scope`);
             }
         }
     } else if (t.isFunctionExpression(node) && !t.isCallExpression(parentNode)) {
@@ -77,7 +77,7 @@ function createScopes(node, opts, parentStack) {
                 return false;
             }
             if (opts.config.verbose) {
-                console.log(`Defining function ${Utils.extractVariableName(parentNode.left || parentNode.key)} on scope`);
+                (opts.logger || console).log(`Defining function ${Utils.extractVariableName(parentNode.left || parentNode.key)} on scope`);
             }
             let funcVar = scope.addFunction(parentNode.left || parentNode.key, node);
             
@@ -0,0 +1,374 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+const { countReferences, declaresName, constantBindingOf } = require('../detectors/transpiler_helpers');
+
+/**
+ * Decode Builtin Strings
+ *
+ * Droppers spell their strings with the standard decoding builtins. Those
+ * calls are evaluated and replaced by the string they return:
+ *
+ *   String.fromCharCode(104, 116, 116, 112)                       →   'http'
+ *   String.fromCharCode.apply(null, [104, 105])                    →   'hi'
+ *   atob('aHR0cA==')                                               →   'http'
+ *   unescape('%68%74'), decodeURIComponent('%68%74')               →   'ht'
+ *   [119, 107, 107, 111].map(c => String.fromCharCode(c ^ 0x1f)).join('')   →   'http'
+ *   'ptth'.split('').reverse().join('')                            →   'http'
+ *
+ * Arguments may be literals, arrays of literals, arithmetic and bitwise
+ * expressions over them, and variables declared once with such a value and
+ * never written again. An array variable is only read when every use of it
+ * leaves it unchanged: reading an element or .length, calling map, join,
+ * slice, concat or indexOf on it, passing it to String.fromCharCode. A map
+ * callback must return a single expression of its parameters. Builtins
+ * hidden by a declaration of the same name are left alone.
+ *
+ * A declaration whose last use was decoded is removed once the whole program
+ * has been visited.
+ */
+
+// Longest string or array built while evaluating
+const MAX_LENGTH = 1 << 20;
+// Nodes evaluated for one call, callbacks included
+const MAX_STEPS = 100000;
+
+const GLOBAL_OBJECTS = ['window', 'self', 'globalThis', 'global'];
+const GLOBAL_DECODERS = ['atob', 'unescape', 'decodeURIComponent', 'decodeURI', 'parseInt'];
+const CHAR_CODE_FUNCTIONS = ['fromCharCode', 'fromCodePoint'];
+const STRING_METHODS = ['charAt', 'charCodeAt', 'codePointAt', 'concat', 'indexOf', 'replace', 'slice', 'split', 'substr', 'substring', 'toLowerCase', 'toUpperCase', 'trim'];
+const ARRAY_METHODS = ['concat', 'indexOf', 'join', 'reverse', 'slice'];
+// Array methods that leave the array as it is (reverse does not)
+const ARRAY_READS = ['concat', 'indexOf', 'join', 'map', 'slice'];
+
+const UNARY = {
+    '-': a => -a,
+    '+': a => +a,
+    '~': a => ~a,
+    '!': a => !a
+};
+
+const BINARY = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '**': (a, b) => a ** b,
+    '&': (a, b) => a & b,
+    '|': (a, b) => a | b,
+    '^': (a, b) => a ^ b,
+    '<<': (a, b) => a << b,
+    '>>': (a, b) => a >> b,
+    '>>>': (a, b) => a >>> b
+};
+
+function isPrimitive(value) {
+    return value === null || ['string', 'number', 'boolean', 'undefined'].includes(typeof value);
+}
+
+/**
+ * { value }, unless it is a string or array too long to keep
+ */
+function limited(value) {
+    if ((typeof value === 'string' || Array.isArray(value)) && value.length > MAX_LENGTH) return null;
+    return { value };
+}
+
+/**
+ * Name of a non-computed or string-keyed property
+ */
+function propertyName(member) {
+    if (!t.isMemberExpression(member)) return null;
+    if (!member.computed && t.isIdentifier(member.property)) return member.property.name;
+    if (t.isStringLiteral(member.property)) return member.property.value;
+    return null;
+}
+
+/**
+ * Whether `name` refers to something other than the builtin at this point
+ */
+function isShadowed(name, scope) {
+    if (scope.env.has(name)) return true;
+    const { parentStack } = scope;
+    for (let level = 0; parentStack.last(level); level++) {
+        const node = parentStack.last(level).node;
+        if (t.isFunction(node) && declaresName(node, name)) return true;
+        if (node.type === 'Program') {
+            return node.body.some(stmt => (t.isFunctionDeclaration(stmt) || t.isClassDeclaration(stmt)) ? stmt.id.name === name
+                : t.isVariableDeclaration(stmt) && stmt.declarations.some(decl => Object.keys(t.getBindingIdentifiers(decl.id)).includes(name)));
+        }
+    }
+    return false;
+}
+
+/**
+ * `name` or `window.name` for a global that is not shadowed
+ */
+function isGlobal(node, name, scope) {
+    if (t.isIdentifier(node, { name })) return !isShadowed(name, scope);
+    return propertyName(node) === name && GLOBAL_OBJECTS.some(global => t.isIdentifier(node.object, { name: global }) && !isShadowed(global, scope));
+}
+
+/**
+ * `String.fromCharCode` or `String.fromCodePoint`: the function name, or null
+ */
+function charCodeFunction(node, scope) {
+    const name = propertyName(node);
+    return CHAR_CODE_FUNCTIONS.includes(name) && isGlobal(node.object, 'String', scope) ? name : null;
+}
+
+/**
+ * Whether an identifier leaves the array it names unchanged where it is used
+ */
+function isReadOnlyUse(node, parent, grandparent) {
+    if (t.isMemberExpression(parent) && parent.object === node) {
+        const writes = (t.isAssignmentExpression(grandparent) && grandparent.left === parent) ||
+            (t.isUpdateExpression(grandparent)) || t.isUnaryExpression(grandparent, { operator: 'delete' }) ||
+            (t.isForXStatement(grandparent) && grandparent.left === parent);
+        if (writes) return false;
+        const name = propertyName(parent);
+        if (t.isCallExpression(grandparent) && grandparent.callee === parent) return ARRAY_READS.includes(name);
+        return name === 'length' || (parent.computed && !t.isStringLiteral(parent.property));
+    }
+    // String.fromCharCode(...codes), String.fromCharCode.apply(null, codes)
+    if (t.isSpreadElement(parent)) {
+        return t.isCallExpression(grandparent) && CHAR_CODE_FUNCTIONS.includes(propertyName(grandparent.callee));
+    }
+    return t.isCallExpression(parent) && parent.arguments[1] === node && propertyName(parent.callee) === 'apply' &&
+        CHAR_CODE_FUNCTIONS.includes(propertyName(parent.callee.object));
+}
+
+/**
+ * Whether every use of `name` in `scope`, the function or program declaring
+ * it, leaves the array unchanged
+ */
+function isReadOnly(scope, name, declarator) {
+    let readOnly = true;
+    const visit = (node, parent, grandparent) => {
+        if (!readOnly || !node || typeof node.type !== 'string' || node === declarator) return;
+        // A nested function declaring the name has its own binding
+        if (node !== scope && t.isFunction(node) && declaresName(node, name)) return;
+        if (t.isIdentifier(node, { name }) && !isReadOnlyUse(node, parent, grandparent)) readOnly = false;
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            if (t.isMemberExpression(node) && key === 'property' && !node.computed) continue;
+            if ((t.isObjectProperty(node) || t.isObjectMethod(node)) && key === 'key' && !node.computed) continue;
+            for (const child of [].concat(node[key])) visit(child, node, parent);
+        }
+    };
+    visit(scope, null, null);
+    return readOnly;
+}
+
+function identifierValue(name, scope) {
+    if (scope.env.has(name)) return { value: scope.env.get(name) };
+    if (name === 'undefined' && !isShadowed(name, scope)) return { value: undefined };
+    // A declaration's value is made of literals only: names in it may be declared after it
+    if (scope.literalsOnly) return null;
+
+    const binding = constantBindingOf(name, scope.parentStack);
+    if (!binding) return null;
+    const init = evaluate(binding.declarator.init, { ...scope, env: new Map(), literalsOnly: true });
+    if (!init) return null;
+    if (Array.isArray(init.value) && !isReadOnly(binding.scope, name, binding.declarator)) return null;
+    scope.bindings.push(binding);
+    return init;
+}
+
+/**
+ * Values of array elements or call arguments, spread arrays included: an array, or null
+ */
+function listValue(nodes, scope) {
+    const values = [];
+    for (const node of nodes) {
+        if (!node) return null;
+        const spread = t.isSpreadElement(node);
+        const item = evaluate(spread ? node.argument : node, scope);
+        if (!item) return null;
+        if (spread) {
+            if (!Array.isArray(item.value)) return null;
+            values.push(...item.value);
+        } else {
+            values.push(item.value);
+        }
+        if (values.length > MAX_LENGTH) return null;
+    }
+    return values;
+}
+
+function memberValue(node, scope) {
+    const object = evaluate(node.object, scope);
+    if (!object || (typeof object.value !== 'string' && !Array.isArray(object.value))) return null;
+    if (!node.computed && t.isIdentifier(node.property, { name: 'length' })) return { value: object.value.length };
+    if (!node.computed) return null;
+    const index = evaluate(node.property, scope);
+    if (!index || !Number.isInteger(index.value) || index.value < 0) return null;
+    return { value: object.value[index.value] };
+}
+
+/**
+ * `array.map(c => ...)` with a callback returning one expression of its parameters
+ */
+function mapValue(array, callback, scope) {
+    if (!t.isFunctionExpression(callback) && !t.isArrowFunctionExpression(callback)) return null;
+    if (callback.async || callback.generator || callback.params.length > 3 || !callback.params.every(param => t.isIdentifier(param))) return null;
+    let body = callback.body;
+    if (t.isBlockStatement(body)) {
+        const only = body.body.length === 1 ? body.body[0] : null;
+        body = t.isReturnStatement(only) && only.argument ? only.argument : null;
+    }
+    if (!body) return null;
+
+    const values = [];
+    for (let i = 0; i < array.length; i++) {
+        const env = new Map(scope.env);
+        [array[i], i, array].forEach((value, position) => {
+            if (callback.params[position]) env.set(callback.params[position].name, value);
+        });
+        const item = evaluate(body, { ...scope, env });
+        if (!item || !isPrimitive(item.value)) return null;
+        values.push(item.value);
+    }
+    return { value: values };
+}
+
+function callValue(node, scope) {
+    const callee = node.callee;
+
+    // String.fromCharCode(104, 116) / String.fromCharCode(...codes)
+    const charCodes = t.isMemberExpression(callee) && charCodeFunction(callee, scope);
+    if (charCodes) {
+        const codes = listValue(node.arguments, scope);
+        if (!codes || !codes.every(code => typeof code === 'number')) return null;
+        return limited(String[charCodes](...codes));
+    }
+
+    // String.fromCharCode.apply(null, codes)
+    if (propertyName(callee) === 'apply' && t.isMemberExpression(callee.object) && charCodeFunction(callee.object, scope)) {
+        const [context, list] = node.arguments;
+        if (node.arguments.length !== 2 || !(t.isNullLiteral(context) || t.isIdentifier(context) || t.isThisExpression(context))) return null;
+        const codes = evaluate(list, scope);
+        if (!codes || !Array.isArray(codes.value) || !codes.value.every(code => typeof code === 'number')) return null;
+        return limited(String[charCodeFunction(callee.object, scope)](...codes.value));
+    }
+
+    // atob('aHR0cA=='), unescape('%68'), decodeURIComponent('%68'), parseInt('ff', 16)
+    const decoder = GLOBAL_DECODERS.find(name => isGlobal(callee, name, scope));
+    if (decoder) {
+        const args = listValue(node.arguments, scope);
+        if (!args || !args.every(isPrimitive) || typeof globalThis[decoder] !== 'function') return null;
+        return limited(globalThis[decoder](...args));
+    }
+
+    // Methods of a known string or array
+    const method = propertyName(callee);
+    if (!method || !t.isMemberExpression(callee)) return null;
+    const receiver = evaluate(callee.object, scope);
+    if (!receiver) return null;
+    if (typeof receiver.value === 'string' && STRING_METHODS.includes(method)) {
+        const args = listValue(node.arguments, scope);
+        if (!args || !args.every(isPrimitive)) return null;
+        return limited(String.prototype[method].apply(receiver.value, args));
+    }
+    if (Array.isArray(receiver.value) && method === 'map' && node.arguments.length === 1) {
+        return mapValue(receiver.value, node.arguments[0], scope);
+    }
+    if (Array.isArray(receiver.value) && ARRAY_METHODS.includes(method)) {
+        const args = listValue(node.arguments, scope);
+        if (!args || !args.every(arg => isPrimitive(arg) || (method === 'concat' && Array.isArray(arg) && arg.every(isPrimitive)))) return null;
+        return limited(Array.prototype[method].apply(receiver.value.slice(), args));
+    }
+    return null;
+}
+
+/**
+ * Value of a node built from literals and decoding builtins: { value }, or null
+ */
+function evaluate(node, scope) {
+    if (!node || ++scope.steps.count > MAX_STEPS) return null;
+    if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) return { value: node.value };
+    if (t.isNullLiteral(node)) return { value: null };
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) return { value: node.quasis[0].value.cooked };
+    if (t.isIdentifier(node)) return identifierValue(node.name, scope);
+    if (t.isArrayExpression(node)) {
+        const values = listValue(node.elements, scope);
+        return values && values.every(isPrimitive) ? { value: values } : null;
+    }
+    if (t.isUnaryExpression(node) && UNARY[node.operator]) {
+        const argument = evaluate(node.argument, scope);
+        return argument && isPrimitive(argument.value) ? { value: UNARY[node.operator](argument.value) } : null;
+    }
+    if (t.isBinaryExpression(node) && BINARY[node.operator]) {
+        const left = evaluate(node.left, scope);
+        const right = left && evaluate(node.right, scope);
+        if (!right || !isPrimitive(left.value) || !isPrimitive(right.value)) return null;
+        return limited(BINARY[node.operator](left.value, right.value));
+    }
+    if (t.isMemberExpression(node)) return memberValue(node, scope);
+    if (t.isCallExpression(node)) {
+        try {
+            return callValue(node, scope);
+        } catch (err) {
+            // atob of invalid base64, decodeURIComponent of a broken escape, ...
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a call ends a decoding pipeline: only those are evaluated, the
+ * split/map/reverse steps inside them are reached from there
+ */
+function isDecoderCall(node) {
+    const callee = node.callee;
+    if (t.isIdentifier(callee)) return GLOBAL_DECODERS.includes(callee.name) && callee.name !== 'parseInt';
+    const name = propertyName(callee);
+    if (GLOBAL_DECODERS.includes(name) && name !== 'parseInt') return true;
+    return CHAR_CODE_FUNCTIONS.includes(name) || name === 'join' ||
+        (name === 'apply' && CHAR_CODE_FUNCTIONS.includes(propertyName(callee.object)));
+}
+
+/**
+ * Remove the declarations decoded calls were the last use of
+ */
+function removeUnusedBindings(program, opts) {
+    for (const { list, declaration, declarator } of opts.decodedBindings || []) {
+        if (!declaration.declarations.includes(declarator)) continue;
+        if (countReferences(program, declarator.id.name, declarator) > 0) continue;
+        declaration.declarations.splice(declaration.declarations.indexOf(declarator), 1);
+        if (declaration.declarations.length === 0 && list.includes(declaration)) list.splice(list.indexOf(declaration), 1);
+    }
+    opts.decodedBindings = [];
+}
+
+function decodeBuiltinStrings(node, opts, parentStack) {
+    if (opts.config && opts.config.decodeBuiltinStrings === false) {
+        return false;
+    }
+    const parent = parentStack.last();
+    let changed = false;
+
+    if (t.isCallExpression(node) && parent && isDecoderCall(node)) {
+        const scope = { env: new Map(), parentStack, bindings: [], steps: { count: 0 }, literalsOnly: false };
+        const result = evaluate(node, scope);
+        if (result && typeof result.value === 'string') {
+            Utils.replaceChildInParentNode(t.stringLiteral(result.value), parent);
+            opts.decodedCalls = (opts.decodedCalls || 0) + 1;
+            // Running total for the malware report (the per-pass count is reset)
+            opts.decodedBuiltinStrings = (opts.decodedBuiltinStrings || 0) + 1;
+            opts.decodedBindings = (opts.decodedBindings || []).concat(scope.bindings);
+            changed = true;
+        }
+    }
+
+    if (node.type === 'Program') {
+        removeUnusedBindings(node, opts);
+        if (opts.decodedCalls && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[BuiltinStrings] Decoded ${opts.decodedCalls} fromCharCode/atob/unescape/join calls`);
+        }
+        opts.decodedCalls = 0;
+    }
+    return changed;
+}
+
+module.exports = decodeBuiltinStrings;
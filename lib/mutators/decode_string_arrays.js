@@ -0,0 +1,612 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+const { countReferences } = require('../detectors/transpiler_helpers');
+
+/**
+ * Decode String Arrays
+ *
+ * Solves obfuscator.io's string array and inlines every lookup:
+ *
+ *   function _0x15e8() { var a = ['Ahr0Chm6lY8', 'Bg9N', ...]; _0x15e8 = function () { return a; }; return _0x15e8(); }
+ *   function _0x4966(i, key) { i = i - 0x13b; var v = _0x15e8()[i]; ...base64 / RC4...; return v; }
+ *   (function (get, target) { ... parseInt(d(0x14e)) / 0x1 + ... === target ... push(shift()) ... }(_0x15e8, 0xb8d3b));
+ *
+ *   console[_0x1238a7(0x152)](_0x1238a7(0x14a))   →   console["log"]("sending beacon")
+ *
+ * - The array is a top-level `var` (older releases) or the self-replacing function newer ones emit
+ * - A decoder subtracts a fixed offset from the index and reads the array. A 65 character
+ *   alphabet in its body means base64, a 256 entry key schedule on top means RC4 with the
+ *   second argument as key. Both are reimplemented here
+ * - The rotation IIFE is solved by rotating until its parseInt checksum equals the target,
+ *   or, in older releases, by rotating the fixed count it is called with
+ * - Aliases (var _0xf630f3 = _0x4966) and wrapper functions that shuffle and shift the
+ *   arguments (return _0x28a6(b - -'0x2ca', a)) are followed, scope by scope
+ *
+ * Nothing from the input is executed: index and checksum arithmetic is evaluated over
+ * literals only. Runs on the Program node before bundles are unpacked, as the array is
+ * shared by the whole file. The array, rotator, decoders and wrappers are removed once
+ * no lookup is left; lookups that cannot be resolved statically keep them alive.
+ */
+
+const NOT_CONSTANT = new Error('not a constant');
+
+const BINARY = {
+    '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b,
+    '%': (a, b) => a % b, '**': (a, b) => a ** b, '|': (a, b) => a | b, '&': (a, b) => a & b,
+    '^': (a, b) => a ^ b, '<<': (a, b) => a << b, '>>': (a, b) => a >> b, '>>>': (a, b) => a >>> b,
+    '==': (a, b) => a == b, '!=': (a, b) => a != b, '===': (a, b) => a === b, '!==': (a, b) => a !== b,
+    '<': (a, b) => a < b, '>': (a, b) => a > b, '<=': (a, b) => a <= b, '>=': (a, b) => a >= b
+};
+
+const UNARY = {
+    '-': a => -a, '+': a => +a, '!': a => !a, '~': a => ~a
+};
+
+/**
+ * Value of an expression made of literals, parameters (`env`) and operators.
+ * Calls are handed to `call`; anything else throws NOT_CONSTANT.
+ * Only primitives flow through here, so no operator can run input code.
+ */
+function evaluate(node, env, call) {
+    switch (node.type) {
+        case 'NumericLiteral':
+        case 'StringLiteral':
+        case 'BooleanLiteral':
+            return node.value;
+        case 'NullLiteral':
+            return null;
+        case 'Identifier':
+            if (env && Object.prototype.hasOwnProperty.call(env, node.name)) return env[node.name];
+            break;
+        case 'UnaryExpression':
+            if (UNARY[node.operator]) return UNARY[node.operator](evaluate(node.argument, env, call));
+            break;
+        case 'BinaryExpression':
+            if (BINARY[node.operator]) return BINARY[node.operator](evaluate(node.left, env, call), evaluate(node.right, env, call));
+            break;
+        case 'CallExpression':
+            if (call) return call(node, node.arguments.map(arg => evaluate(arg, env, call)));
+            break;
+    }
+    throw NOT_CONSTANT;
+}
+
+/**
+ * Value of a literal or of an operator over literals (numbersToExpressions
+ * writes 256 as `0x1*-0x1b5+...`), or undefined
+ */
+function constantOf(node) {
+    if (!t.isNumericLiteral(node) && !t.isUnaryExpression(node) && !t.isBinaryExpression(node)) return undefined;
+    try {
+        return evaluate(node);
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * obfuscator.io's base64: custom alphabet, bytes read back as UTF-8 through decodeURIComponent
+ */
+function base64Decode(encoded, alphabet, stripPadding) {
+    if (stripPadding) encoded = encoded.replace(/=+$/, '');
+    let bytes = '';
+    for (let bc = 0, bs = 0, idx = 0; idx < encoded.length; idx++) {
+        const value = alphabet.indexOf(encoded.charAt(idx));
+        if (value === -1) continue;
+        bs = bc % 4 ? bs * 64 + value : value;
+        if (bc++ % 4) bytes += String.fromCharCode(255 & bs >> (-2 * bc & 6));
+    }
+    let escaped = '';
+    for (let i = 0; i < bytes.length; i++) {
+        escaped += '%' + ('00' + bytes.charCodeAt(i).toString(16)).slice(-2);
+    }
+    return decodeURIComponent(escaped);
+}
+
+function rc4Decode(encoded, key, alphabet, stripPadding) {
+    const data = base64Decode(encoded, alphabet, stripPadding);
+    const s = [];
+    for (let i = 0; i < 256; i++) s[i] = i;
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key.charCodeAt(i % key.length)) % 256;
+        [s[i], s[j]] = [s[j], s[i]];
+    }
+    let output = '';
+    for (let y = 0, i = 0, j = 0; y < data.length; y++) {
+        i = (i + 1) % 256;
+        j = (j + s[i]) % 256;
+        [s[i], s[j]] = [s[j], s[i]];
+        output += String.fromCharCode(data.charCodeAt(y) ^ s[(s[i] + s[j]) % 256]);
+    }
+    return output;
+}
+
+/**
+ * Depth-first walk over a subtree; `visit` returning false skips the children
+ */
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    if (visit(node) === false) return;
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) walk(child, visit);
+    }
+}
+
+function isStringArray(node) {
+    return t.isArrayExpression(node) && node.elements.length > 0 && node.elements.every(el => t.isStringLiteral(el));
+}
+
+/**
+ * `var _0x1234 = ['a', ...]` or `function _0x15e8() { var a = [...]; _0x15e8 = function () { return a; }; return _0x15e8(); }`
+ */
+function stringArrayOf(stmt) {
+    if (t.isVariableDeclaration(stmt) && stmt.declarations.length === 1) {
+        const decl = stmt.declarations[0];
+        if (t.isIdentifier(decl.id) && isStringArray(decl.init)) {
+            return { name: decl.id.name, node: stmt, strings: decl.init.elements.map(el => el.value) };
+        }
+    }
+    if (t.isFunctionDeclaration(stmt) && stmt.params.length === 0 && stmt.body.body.length >= 2) {
+        const [first] = stmt.body.body;
+        const last = stmt.body.body[stmt.body.body.length - 1];
+        const name = stmt.id.name;
+        if (t.isVariableDeclaration(first) && first.declarations.length === 1 && isStringArray(first.declarations[0].init) &&
+            t.isReturnStatement(last) && t.isCallExpression(last.argument) && t.isIdentifier(last.argument.callee, { name })) {
+            return { name, node: stmt, strings: first.declarations[0].init.elements.map(el => el.value) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Recognize a decoder reading `array`: the function, or the one it replaces itself
+ * with, starts with `index = index - N`
+ */
+function decoderOf(stmt, array) {
+    let func = null;
+    let name = null;
+    if (t.isFunctionDeclaration(stmt)) {
+        func = stmt;
+        name = stmt.id.name;
+    } else if (t.isVariableDeclaration(stmt) && stmt.declarations.length === 1 &&
+               t.isIdentifier(stmt.declarations[0].id) && t.isFunctionExpression(stmt.declarations[0].init)) {
+        func = stmt.declarations[0].init;
+        name = stmt.declarations[0].id.name;
+    }
+    if (!func || func.params.length < 1 || func.params.length > 2) return null;
+
+    let offset = null;
+    let reader = null;
+    let readsArray = false;
+    const strings = [];
+    let keySchedule = false;
+    let stripPadding = false;
+    walk(func.body, node => {
+        if (t.isIdentifier(node, { name: array.name })) readsArray = true;
+        if (t.isStringLiteral(node)) strings.push(node.value);
+        if (constantOf(node) === 256) keySchedule = true;
+        if (t.isRegExpLiteral(node) && node.pattern === '=+$') stripPadding = true;
+        if (offset !== null || !t.isExpressionStatement(node) || !t.isAssignmentExpression(node.expression)) return;
+        const { left, right, operator } = node.expression;
+        if (!t.isIdentifier(left)) return;
+        let amount = null;
+        if (operator === '-=') {
+            amount = right;
+        } else if (operator === '=' && t.isBinaryExpression(right, { operator: '-' }) && t.isIdentifier(right.left, { name: left.name })) {
+            amount = right.right;
+        }
+        if (!amount) return;
+        try {
+            const value = evaluate(amount);
+            if (typeof value === 'number') {
+                offset = value;
+                reader = left.name;
+            }
+        } catch (err) {
+            // Not an offset
+        }
+    });
+    if (offset === null || !readsArray) return null;
+
+    const alphabet = strings.find(str => /^[A-Za-z0-9+/=]{64,65}$/.test(str) && new Set(str).size === str.length) || null;
+    if (!alphabet && !returnsArrayRead(func, reader)) return null;
+    return {
+        name,
+        node: stmt,
+        array,
+        offset,
+        alphabet,
+        stripPadding,
+        encoding: alphabet ? (keySchedule && func.params.length === 2 ? 'rc4' : 'base64') : 'none'
+    };
+}
+
+/**
+ * A decoder without an alphabet must hand back what it read: `var v = arr[i]; return v;`
+ */
+function returnsArrayRead(func, index) {
+    let found = false;
+    walk(func.body, node => {
+        if (found || !t.isBlockStatement(node) || node.body.length === 0) return;
+        const body = node.body;
+        const last = body[body.length - 1];
+        if (!t.isReturnStatement(last) || !last.argument) return;
+        const isRead = expr => t.isMemberExpression(expr) && expr.computed && t.isIdentifier(expr.property, { name: index });
+        if (isRead(last.argument)) found = true;
+        if (t.isIdentifier(last.argument)) {
+            const name = last.argument.name;
+            found = body.some(stmt => t.isVariableDeclaration(stmt) &&
+                stmt.declarations.some(decl => t.isIdentifier(decl.id, { name }) && isRead(decl.init)));
+        }
+    });
+    return found;
+}
+
+/**
+ * The IIFE rotating `array`: `(function (a, target) { ... push(shift()) ... }(array, 0x9b2e3))`
+ */
+function rotatorOf(stmt, array) {
+    if (!t.isExpressionStatement(stmt)) return null;
+    let call = stmt.expression;
+    if (t.isUnaryExpression(call)) call = call.argument;
+    if (!t.isCallExpression(call) || !t.isFunctionExpression(call.callee) || call.arguments.length !== 2 ||
+        !t.isIdentifier(call.arguments[0], { name: array.name })) return null;
+    const func = call.callee;
+    let target;
+    try {
+        target = evaluate(call.arguments[1]);
+    } catch (err) {
+        return null;
+    }
+    if (typeof target !== 'number' || func.params.length !== 2 || !t.isIdentifier(func.params[1])) return null;
+
+    const targetName = func.params[1].name;
+    let rotates = false;
+    let checksum = null;
+    let counted = false;
+    const checksums = new Map();
+    walk(func.body, node => {
+        if (t.isMemberExpression(node) && t.isStringLiteral(node.property, { value: 'shift' })) rotates = true;
+        if (t.isMemberExpression(node) && t.isIdentifier(node.property, { name: 'shift' })) rotates = true;
+        if (t.isUpdateExpression(node, { operator: '++', prefix: true }) && t.isIdentifier(node.argument, { name: targetName })) counted = true;
+        if (t.isVariableDeclarator(node) && t.isIdentifier(node.id) && node.init) checksums.set(node.id.name, node.init);
+        if (t.isBinaryExpression(node, { operator: '===' })) {
+            const [other, side] = t.isIdentifier(node.right, { name: targetName }) ? [node.left, node.right] : [node.right, node.left];
+            if (t.isIdentifier(side, { name: targetName })) {
+                checksum = t.isIdentifier(other) && checksums.has(other.name) ? checksums.get(other.name) : other;
+            }
+        }
+    });
+    if (!rotates || (!checksum && !counted)) return null;
+    return { node: stmt, target, checksum };
+}
+
+/**
+ * Scopes of the program: every binding with the declaration it came from,
+ * and every identifier call with the scope it sits in
+ */
+function buildScopes(program, excluded) {
+    const calls = [];
+    const callScopes = new Map();
+    const functionScopes = new Map();
+    const assigned = new Set();
+    const scopes = [];
+
+    const createScope = (parent, node, skipped) => {
+        const scope = { parent, node, bindings: new Map() };
+        if (!skipped) scopes.push(scope);
+        return scope;
+    };
+    const bindPattern = (scope, pattern, info) => {
+        for (const name of Object.keys(t.getBindingIdentifiers(pattern))) {
+            scope.bindings.set(name, { scope, ...info });
+        }
+    };
+    // var declarations belong to the enclosing function, wherever they are nested
+    const hoistVars = (body, scope) => {
+        walk(body, node => {
+            if (t.isFunction(node)) return false;
+            if (t.isVariableDeclaration(node, { kind: 'var' })) {
+                node.declarations.forEach(decl => bindPattern(scope, decl.id, { node: decl, declaration: node }));
+            }
+        });
+    };
+    const declareBlock = (statements, scope) => {
+        for (const stmt of statements) {
+            if (t.isVariableDeclaration(stmt) && stmt.kind !== 'var') {
+                stmt.declarations.forEach(decl => bindPattern(scope, decl.id, { node: decl, declaration: stmt }));
+            } else if (t.isFunctionDeclaration(stmt) && stmt.id) {
+                scope.bindings.set(stmt.id.name, { scope, node: stmt });
+            } else if (t.isClassDeclaration(stmt) && stmt.id) {
+                scope.bindings.set(stmt.id.name, { scope });
+            }
+        }
+    };
+
+    const visit = (node, scope, skipped, parent, key, index) => {
+        if (!node || typeof node.type !== 'string') return;
+        skipped = skipped || excluded.has(node);
+
+        if (t.isAssignmentExpression(node) && t.isIdentifier(node.left) && !skipped) assigned.add(node.left.name);
+        if (t.isUpdateExpression(node) && t.isIdentifier(node.argument) && !skipped) assigned.add(node.argument.name);
+        if (t.isCallExpression(node) && t.isIdentifier(node.callee)) callScopes.set(node, scope);
+        visitChildren(node, scope, skipped);
+        // Children first: lookups nested in a wrapper's arguments are inlined before the wrapper call
+        if (t.isCallExpression(node) && t.isIdentifier(node.callee) && !skipped) calls.push({ node, parent, key, index });
+    };
+    const visitChildren = (node, scope, skipped) => {
+        let inner = scope;
+        if (t.isFunction(node)) {
+            inner = createScope(scope, node.body, skipped);
+            functionScopes.set(node, inner);
+            if (node.id && !t.isFunctionDeclaration(node)) inner.bindings.set(node.id.name, { scope: inner });
+            node.params.forEach(param => bindPattern(inner, param, {}));
+            if (t.isBlockStatement(node.body)) {
+                hoistVars(node.body, inner);
+                declareBlock(node.body.body, inner);
+                node.params.forEach((param, i) => visit(param, inner, skipped, node, 'params', i));
+                node.body.body.forEach((stmt, i) => visit(stmt, inner, skipped, node.body, 'body', i));
+                return;
+            }
+        } else if (t.isProgram(node)) {
+            inner = createScope(null, node, skipped);
+            hoistVars(node, inner);
+            declareBlock(node.body, inner);
+        } else if (t.isBlockStatement(node) || t.isSwitchStatement(node)) {
+            inner = createScope(scope, node, skipped);
+            declareBlock(t.isSwitchStatement(node) ? [].concat(...node.cases.map(c => c.consequent)) : node.body, inner);
+        } else if (t.isCatchClause(node)) {
+            inner = createScope(scope, node, skipped);
+            if (node.param) bindPattern(inner, node.param, {});
+        } else if ((t.isForStatement(node) && node.init) || t.isForInStatement(node) || t.isForOfStatement(node)) {
+            inner = createScope(scope, node, skipped);
+            const init = t.isForStatement(node) ? node.init : node.left;
+            if (t.isVariableDeclaration(init) && init.kind !== 'var') declareBlock([init], inner);
+        }
+
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            if (Array.isArray(node[key])) {
+                node[key].forEach((child, i) => visit(child, inner, skipped, node, key, i));
+            } else {
+                visit(node[key], inner, skipped, node, key, null);
+            }
+        }
+    };
+    visit(program, null, false, null, null, null);
+    return { calls, callScopes, functionScopes, assigned, scopes };
+}
+
+function decodeStringArrays(node, opts, parentStack) {
+    if (opts.config && opts.config.decodeStringArrays === false) {
+        return false;
+    }
+    if (node.type !== 'Program') return false;
+
+    // Arrays, their decoders and rotators live at the top level
+    const arrays = node.body.map(stringArrayOf).filter(Boolean);
+    if (arrays.length === 0) return false;
+
+    const decoders = new Map();
+    const rotators = new Map();
+    for (const array of arrays) {
+        for (const stmt of node.body) {
+            const decoder = decoderOf(stmt, array);
+            if (decoder) decoders.set(stmt, decoder);
+            const rotator = rotatorOf(stmt, array);
+            if (rotator && !rotators.has(array)) rotators.set(array, rotator);
+        }
+    }
+    if (decoders.size === 0) return false;
+
+    const excluded = new Set([...arrays.map(array => array.node), ...decoders.keys(), ...[...rotators.values()].map(r => r.node)]);
+    const { calls, callScopes, functionScopes, assigned, scopes } = buildScopes(node, excluded);
+
+    const lookup = (name, scope) => {
+        for (let current = scope; current; current = current.parent) {
+            if (current.bindings.has(name)) return current.bindings.get(name);
+        }
+        return null;
+    };
+
+    // What a binding does when called: decode, forward to another binding, or nothing we know
+    const kinds = new Map();
+    const kindOf = (binding) => {
+        if (!binding || !binding.node || !t.isIdentifier(binding.node.id)) return null;
+        if (kinds.has(binding)) return kinds.get(binding);
+        kinds.set(binding, null);
+        let kind = null;
+        const name = binding.node.id.name;
+        if (binding.scope.parent === null && decoders.has(binding.declaration || binding.node)) {
+            kind = assigned.has(name) ? null : { type: 'decoder', decoder: decoders.get(binding.declaration || binding.node) };
+        } else if (!assigned.has(name)) {
+            const func = t.isFunctionDeclaration(binding.node) ? binding.node
+                : t.isFunctionExpression(binding.node.init) ? binding.node.init : null;
+            if (func) {
+                // function (a, b) { return _0x28a6(b - -'0x2ca', a); }
+                const body = func.body.body;
+                const call = body.length === 1 && t.isReturnStatement(body[0]) ? body[0].argument : null;
+                if (func.params.every(param => t.isIdentifier(param)) && t.isCallExpression(call) && t.isIdentifier(call.callee)) {
+                    const target = kindOf(lookup(call.callee.name, functionScopes.get(func)));
+                    if (target) kind = { type: 'wrapper', params: func.params.map(param => param.name), call, target };
+                }
+            } else if (t.isVariableDeclarator(binding.node) && t.isIdentifier(binding.node.init)) {
+                const target = kindOf(lookup(binding.node.init.name, binding.scope));
+                if (target) kind = { type: 'alias', target };
+            }
+        }
+        kinds.set(binding, kind);
+        return kind;
+    };
+
+    const invoke = (kind, args, depth = 0) => {
+        if (depth > 32) throw NOT_CONSTANT;
+        if (kind.type === 'alias') return invoke(kind.target, args, depth + 1);
+        if (kind.type === 'wrapper') {
+            const env = {};
+            kind.params.forEach((param, i) => { env[param] = args[i]; });
+            return invoke(kind.target, kind.call.arguments.map(arg => evaluate(arg, env)), depth + 1);
+        }
+        const { decoder } = kind;
+        const value = decoder.array.strings[args[0] - decoder.offset];
+        if (typeof value !== 'string') throw NOT_CONSTANT;
+        if (decoder.encoding === 'none') return value;
+        if (decoder.encoding === 'base64') return base64Decode(value, decoder.alphabet, decoder.stripPadding);
+        if (typeof args[1] !== 'string') throw NOT_CONSTANT;
+        return rc4Decode(value, args[1], decoder.alphabet, decoder.stripPadding);
+    };
+    const callResolver = (call, args) => {
+        const scope = callScopes.get(call);
+        if (call.callee.name === 'parseInt' && !lookup('parseInt', scope)) return parseInt(args[0], args[1]);
+        const kind = kindOf(lookup(call.callee.name, scope));
+        if (!kind) throw NOT_CONSTANT;
+        return invoke(kind, args);
+    };
+
+    // Put each array back in the order its rotator leaves it
+    const rotations = new Map();
+    for (const array of arrays) {
+        const rotator = rotators.get(array);
+        if (!rotator) continue;
+        const strings = array.strings;
+        let count = 0;
+        if (rotator.checksum) {
+            for (; count < strings.length; count++) {
+                let value;
+                try {
+                    value = evaluate(rotator.checksum, null, callResolver);
+                } catch (err) {
+                    value = undefined;
+                }
+                if (value === rotator.target) break;
+                strings.push(strings.shift());
+            }
+        } else {
+            count = rotator.target % strings.length;
+            for (let i = 0; i < count; i++) strings.push(strings.shift());
+        }
+        if (count === strings.length) {
+            // No rotation satisfies the checksum: leave this array alone
+            (opts.logger || console).warn(`[StringArray] Could not solve the rotation of ${array.name}, leaving it encoded`);
+            for (const [stmt, decoder] of decoders) {
+                if (decoder.array === array) decoders.delete(stmt);
+            }
+            // The checksum calls resolved bindings while this array still had decoders
+            kinds.clear();
+            continue;
+        }
+        rotations.set(array, count);
+    }
+
+    // Aliases and wrappers nothing calls still keep their decoder alive: classify them all
+    for (const scope of scopes) {
+        for (const binding of scope.bindings.values()) kindOf(binding);
+    }
+
+    // Inline every lookup with constant arguments (a wrapper's own forwarding call has none)
+    const callKinds = calls.map(({ node: call }) => kindOf(lookup(call.callee.name, callScopes.get(call))));
+    const forwarding = new Set([...kinds.values()].filter(kind => kind && kind.type === 'wrapper').map(kind => kind.call));
+    const inlined = new Map();
+    let unresolved = 0;
+    for (const [i, { node: call, parent, key, index }] of calls.entries()) {
+        const kind = callKinds[i];
+        if (!kind || forwarding.has(call)) continue;
+        let value;
+        try {
+            value = invoke(kind, call.arguments.map(arg => evaluate(arg)));
+        } catch (err) {
+            value = undefined;
+        }
+        if (typeof value !== 'string') {
+            unresolved++;
+            continue;
+        }
+        const replacement = t.stringLiteral(value);
+        Utils.inheritLocation(replacement, call);
+        if (index === null) {
+            parent[key] = replacement;
+        } else {
+            parent[key][index] = replacement;
+        }
+        let decoder = kind;
+        while (decoder.type !== 'decoder') decoder = decoder.target;
+        inlined.set(decoder.decoder.array, (inlined.get(decoder.decoder.array) || 0) + 1);
+    }
+    if (inlined.size === 0) return false;
+
+    // Drop aliases and wrappers nothing calls anymore, innermost first
+    const removable = [...kinds.entries()].filter(([binding, kind]) => kind && kind.type !== 'decoder');
+    const removed = new Set();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const [binding] of removable) {
+            if (removed.has(binding.node)) continue;
+            const name = binding.node.id.name;
+            if (countReferences(binding.scope.node, name, binding.node) === 0 && removeDeclaration(binding)) {
+                removed.add(binding.node);
+                changed = true;
+            }
+        }
+    }
+
+    // Then the decoders, and with the last decoder of an array its rotator and the array itself
+    let removedArrays = 0;
+    for (const array of arrays) {
+        if (!inlined.has(array)) continue;
+        const own = [...decoders.values()].filter(decoder => decoder.array === array);
+        const rotator = rotators.get(array);
+        const outside = (name, skip) => countReferences(node, name, skip) - (rotator ? countReferences(rotator.node, name) : 0);
+        if (own.some(decoder => outside(decoder.name, decoder.node) > 0)) continue;
+        const dropped = new Set([...own.map(decoder => decoder.node), rotator && rotator.node]);
+        node.body = node.body.filter(stmt => !dropped.has(stmt));
+        if (countReferences(node, array.name, array.node) === 0) {
+            node.body = node.body.filter(stmt => stmt !== array.node);
+            removedArrays++;
+        }
+    }
+
+    opts.decodedStringArrays = (opts.decodedStringArrays || []).concat(arrays.filter(array => inlined.has(array)).map(array => ({
+        name: array.name,
+        strings: array.strings.length,
+        encodings: [...new Set([...decoders.values()].filter(decoder => decoder.array === array).map(decoder => decoder.encoding))],
+        rotation: rotations.get(array) || 0,
+        inlined: inlined.get(array)
+    })));
+    if (unresolved > 0) {
+        (opts.logger || console).warn(`[StringArray] ${unresolved} lookups have non-constant arguments and were left in place`);
+    }
+    if (opts.config && opts.config.verbose) {
+        for (const entry of opts.decodedStringArrays) {
+            (opts.logger || console).log(`[StringArray] ${entry.name}: ${entry.strings} strings (${entry.encodings.join(', ')}), rotated ${entry.rotation}, inlined ${entry.inlined} lookups`);
+        }
+        (opts.logger || console).log(`[StringArray] Removed ${removedArrays} arrays and ${removed.size} aliases / wrappers`);
+    }
+    return true;
+}
+
+/**
+ * Remove a function declaration or declarator from its statement list
+ */
+function removeDeclaration(binding) {
+    const { node, declaration, scope } = binding;
+    let done = false;
+    walk(scope.node, current => {
+        if (done) return false;
+        for (const key of ['body', 'consequent']) {
+            const list = current[key];
+            if (!Array.isArray(list)) continue;
+            const index = list.indexOf(declaration || node);
+            if (index === -1) continue;
+            if (declaration && declaration.declarations.length > 1) {
+                declaration.declarations.splice(declaration.declarations.indexOf(node), 1);
+            } else {
+                list.splice(index, 1);
+            }
+            done = true;
+            return false;
+        }
+    });
+    return done;
+}
+
+module.exports = decodeStringArrays;
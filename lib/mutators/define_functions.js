@@ -31,7 +31,7 @@ function defineFunction(node, opts, parentStack) {
         let funcVar = Utils.findVariableOnScope(node, node.id.name, parentStack, opts);
         if (funcVar?.value?.definers[0] == node) {
             if (opts.config && opts.config.verbose) {
-                console.log("Function already defined in scope");
+                (opts.logger || console).log("Function already defined in scope");
             }
         }
         // Store in context-local functions map
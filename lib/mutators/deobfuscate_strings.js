@@ -102,7 +102,7 @@ function deobfuscateStrings(node, opts, parentStack) {
 
                 if (deobfuscated !== stringContent) {
                     if (opts.config.verbose) {
-                        console.log(`Deobfuscating string: ${stringContent.substring(0, 50)}... → ${deobfuscated.substring(0, 50)}...`);
+                        (opts.logger || console).log(`Deobfuscating string: ${stringContent.substring(0, 50)}... → ${deobfuscated.substring(0, 50)}...`);
                     }
 
                     // Create new string literal with deobfuscated value
@@ -127,7 +127,7 @@ function deobfuscateStrings(node, opts, parentStack) {
 
                 if (deobfuscated !== rawValue) {
                     if (opts.config.verbose) {
-                        console.log(`Deobfuscating template: ${rawValue.substring(0, 50)}... → ${deobfuscated.substring(0, 50)}...`);
+                        (opts.logger || console).log(`Deobfuscating template: ${rawValue.substring(0, 50)}... → ${deobfuscated.substring(0, 50)}...`);
                     }
 
                     // Update the quasi
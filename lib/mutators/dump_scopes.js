@@ -15,13 +15,13 @@ function dumpScopes(node, opts, parentStack) {
         } else if (scope.parent == null) {
             scopeName = " Global";
         }
-        console.log(`Scope${scopeName}:`);
+        (opts.logger || console).log(`Scope${scopeName}:`);
         for (let varName of scope.getVariableNames()) { 
             let variable = scope.getVariable(varName);
             if (variable.isUsed() == 0) {
-                console.log(`\tVariable ${varName} is NOT USED`);
+                (opts.logger || console).log(`\tVariable ${varName} is NOT USED`);
             } else {
-                console.log(`\tVariable ${varName}:`);
+                (opts.logger || console).log(`\tVariable ${varName}:`);
                 
 
             }
@@ -60,6 +60,8 @@ function isTerminator(node) {
 
 /**
  * Remove unreachable statements after terminator
+ * Function declarations and var bindings are hoisted, so they survive
+ * (vars without their initializer, which never runs)
  */
 function removeUnreachableCode(statements) {
     let hasChanges = false;
@@ -69,13 +71,26 @@ function removeUnreachableCode(statements) {
 
         if (isTerminator(stmt)) {
             // Everything after this is unreachable
-            const removedCount = statements.length - i - 1;
+            const unreachable = statements.slice(i + 1);
+            const hoisted = [];
+            for (const dead of unreachable) {
+                if (t.isFunctionDeclaration(dead)) {
+                    hoisted.push(dead);
+                } else if (t.isVariableDeclaration(dead, { kind: 'var' })) {
+                    if (dead.declarations.some(decl => decl.init || !t.isIdentifier(decl.id))) {
+                        const names = dead.declarations.flatMap(decl => Object.keys(t.getBindingIdentifiers(decl.id)));
+                        dead.declarations = names.map(name => t.variableDeclarator(t.identifier(name)));
+                        hasChanges = true;
+                    }
+                    if (dead.declarations.length) hoisted.push(dead);
+                }
+            }
 
-            if (removedCount > 0) {
-                statements.splice(i + 1, removedCount);
+            if (hoisted.length < unreachable.length) {
+                statements.splice(i + 1, unreachable.length, ...hoisted);
                 hasChanges = true;
-                break;
             }
+            break;
         }
     }
 
@@ -96,7 +111,7 @@ function eliminateDeadCode(node, opts, parentStack) {
     if (t.isIfStatement(node)) {
         if (isFalsy(node.test)) {
             if (opts.config.verbose) {
-                console.log('Eliminating dead if: if (false) { ... }');
+                (opts.logger || console).log('Eliminating dead if: if (false) { ... }');
             }
 
             // Replace with alternate (if exists) or empty statement
@@ -112,7 +127,7 @@ function eliminateDeadCode(node, opts, parentStack) {
         // Simplify if (true) { ... } else { ... }
         if (isTruthy(node.test)) {
             if (opts.config.verbose) {
-                console.log('Simplifying if: if (true) { ... } → { ... }');
+                (opts.logger || console).log('Simplifying if: if (true) { ... } → { ... }');
             }
 
             // Replace with consequent only
@@ -125,7 +140,7 @@ function eliminateDeadCode(node, opts, parentStack) {
     if (t.isWhileStatement(node)) {
         if (isFalsy(node.test)) {
             if (opts.config.verbose) {
-                console.log('Eliminating dead while: while (false) { ... }');
+                (opts.logger || console).log('Eliminating dead while: while (false) { ... }');
             }
 
             Utils.replaceChildInParentNode(t.emptyStatement(), parentNode);
@@ -137,7 +152,7 @@ function eliminateDeadCode(node, opts, parentStack) {
     if (t.isForStatement(node)) {
         if (node.test && isFalsy(node.test)) {
             if (opts.config.verbose) {
-                console.log('Eliminating dead for: for (...; false; ...) { ... }');
+                (opts.logger || console).log('Eliminating dead for: for (...; false; ...) { ... }');
             }
 
             // Keep init if it has side effects, otherwise remove
@@ -157,7 +172,7 @@ function eliminateDeadCode(node, opts, parentStack) {
 
             if (hasChanges) {
                 if (opts.config.verbose) {
-                    console.log('Removed unreachable code after terminator');
+                    (opts.logger || console).log('Removed unreachable code after terminator');
                 }
                 return true;
             }
@@ -171,7 +186,7 @@ function eliminateDeadCode(node, opts, parentStack) {
         // Don't remove if it's a function/constructor/method body
         if (!t.isFunction(parent) && !t.isMethod(parent)) {
             if (opts.config.verbose) {
-                console.log('Removing empty block statement');
+                (opts.logger || console).log('Removing empty block statement');
             }
 
             Utils.replaceChildInParentNode(t.emptyStatement(), parentNode);
@@ -183,7 +198,7 @@ function eliminateDeadCode(node, opts, parentStack) {
     if (t.isConditionalExpression(node)) {
         if (isTruthy(node.test)) {
             if (opts.config.verbose) {
-                console.log('Simplifying ternary: true ? X : Y → X');
+                (opts.logger || console).log('Simplifying ternary: true ? X : Y → X');
             }
 
             Utils.replaceChildInParentNode(node.consequent, parentNode);
@@ -192,7 +207,7 @@ function eliminateDeadCode(node, opts, parentStack) {
 
         if (isFalsy(node.test)) {
             if (opts.config.verbose) {
-                console.log('Simplifying ternary: false ? X : Y → Y');
+                (opts.logger || console).log('Simplifying ternary: false ? X : Y → Y');
             }
 
             Utils.replaceChildInParentNode(node.alternate, parentNode);
@@ -61,7 +61,8 @@ function extractNestedBundles(node, opts, parentStack) {
     const sourceFileName = opts.sourceFileName || 'unknown';
     const baseName = path.basename(sourceFileName, path.extname(sourceFileName));
 
-    console.log(`[Nested Bundle] Found embedded bundle in ${baseName}...`);
+    const logger = opts.logger || console;
+    logger.log(`[Nested Bundle] Found embedded bundle in ${baseName}...`);
 
     // Save nested bundle to separate file for analysis
     if (opts.config && opts.config.extractNestedBundles !== false) {
@@ -80,8 +81,8 @@ function extractNestedBundles(node, opts, parentStack) {
             const nestedFile = path.join(nestedFolder, `${varName}.nested.js`);
             fs.writeFileSync(nestedFile, bundleCode, 'utf8');
 
-            console.log(`  → Extracted to: ${nestedFile}`);
-            console.log(`  → Tip: Run 'node app.js ${nestedFile}' to analyze`);
+            logger.log(`  → Extracted to: ${nestedFile}`);
+            logger.log(`  → Tip: Run 'node app.js ${nestedFile}' to analyze`);
 
             // Replace string with comment pointing to extracted file
             const comment = `/* NESTED BUNDLE EXTRACTED: ${path.basename(nestedFile)} */`;
@@ -91,7 +92,7 @@ function extractNestedBundles(node, opts, parentStack) {
             return true;
 
         } catch (err) {
-            console.error(`[Nested Bundle] Error extracting: ${err.message}`);
+            logger.error(`[Nested Bundle] Error extracting: ${err.message}`);
         }
     }
 
@@ -164,7 +164,7 @@ function foldConstants(node, opts, parentStack) {
 
                 if (newNode) {
                     if (opts.config.verbose) {
-                        console.log(`Folding constant: ${leftValue} ${node.operator} ${rightValue} → ${result}`);
+                        (opts.logger || console).log(`Folding constant: ${leftValue} ${node.operator} ${rightValue} → ${result}`);
                     }
 
                     Utils.replaceChildInParentNode(newNode, parentNode);
@@ -186,7 +186,7 @@ function foldConstants(node, opts, parentStack) {
 
                 if (newNode) {
                     if (opts.config.verbose) {
-                        console.log(`Folding constant: ${node.operator}${argValue} → ${result}`);
+                        (opts.logger || console).log(`Folding constant: ${node.operator}${argValue} → ${result}`);
                     }
 
                     Utils.replaceChildInParentNode(newNode, parentNode);
@@ -207,7 +207,7 @@ function foldConstants(node, opts, parentStack) {
                 // false && X → false
                 if (!leftValue) {
                     if (opts.config.verbose) {
-                        console.log(`Folding logical: ${leftValue} && ... → ${leftValue}`);
+                        (opts.logger || console).log(`Folding logical: ${leftValue} && ... → ${leftValue}`);
                     }
                     Utils.replaceChildInParentNode(t.booleanLiteral(false), parentNode);
                     return true;
@@ -215,7 +215,7 @@ function foldConstants(node, opts, parentStack) {
                 // true && X → X (if X is literal)
                 if (leftValue && rightValue !== undefined) {
                     if (opts.config.verbose) {
-                        console.log(`Folding logical: true && ${rightValue} → ${rightValue}`);
+                        (opts.logger || console).log(`Folding logical: true && ${rightValue} → ${rightValue}`);
                     }
                     const newNode = createLiteralNode(rightValue);
                     if (newNode) {
@@ -227,7 +227,7 @@ function foldConstants(node, opts, parentStack) {
                 // true || X → true
                 if (leftValue) {
                     if (opts.config.verbose) {
-                        console.log(`Folding logical: ${leftValue} || ... → ${leftValue}`);
+                        (opts.logger || console).log(`Folding logical: ${leftValue} || ... → ${leftValue}`);
                     }
                     Utils.replaceChildInParentNode(t.booleanLiteral(true), parentNode);
                     return true;
@@ -235,7 +235,7 @@ function foldConstants(node, opts, parentStack) {
                 // false || X → X (if X is literal)
                 if (!leftValue && rightValue !== undefined) {
                     if (opts.config.verbose) {
-                        console.log(`Folding logical: false || ${rightValue} → ${rightValue}`);
+                        (opts.logger || console).log(`Folding logical: false || ${rightValue} → ${rightValue}`);
                     }
                     const newNode = createLiteralNode(rightValue);
                     if (newNode) {
@@ -0,0 +1,368 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+const { countReferences, declaresName } = require('../detectors/transpiler_helpers');
+
+/**
+ * Inline Proxy Objects
+ *
+ * obfuscator.io's control flow flattening moves operators, calls and strings
+ * into holder objects whose functions only forward their arguments:
+ *
+ *   var _0xa = {
+ *       'XyZ': function (a, b) { return a + b; },
+ *       'AbC': function (f, a) { return f(a); },
+ *       'QwE': 'log'
+ *   };
+ *   console[_0xa['QwE']](_0xa['XyZ'](x, 1));   →   console['log'](x + 1);
+ *   _0xa['AbC'](run, y);                       →   run(y);
+ *
+ * "Transform object keys" builds objects one key at a time; those are put
+ * back together first, so their holders are found as well:
+ *
+ *   var _0xb = {};
+ *   _0xb['k'] = 'v', _0xb['n'] = 0x1;          →   var o = { 'k': 'v', 'n': 0x1 };
+ *   var o = _0xb;
+ *
+ * A holder is an object literal of strings and proxy functions, declared in
+ * a function body or the program, whose name is only ever used to read its
+ * keys. A proxy function returns one operator (binary, logical or call)
+ * applied to its parameters. A call is only inlined when the arguments are
+ * still evaluated once and in the same order. Arguments that may be skipped
+ * (`a && b`) or dropped must be literals, functions or plain names. A callee
+ * read from an object is called as `(0, obj.fn)(...)`, so it keeps the
+ * `this` the proxy gave it. Calls that cannot be inlined stay, and so does
+ * their holder. It is removed once nothing reads it.
+ */
+
+// Arguments that can be dropped or evaluated later without being noticed
+function isConstant(node) {
+    return t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node) ||
+        t.isNullLiteral(node) || t.isBigIntLiteral(node) || t.isFunctionExpression(node) || t.isArrowFunctionExpression(node);
+}
+
+function isDroppable(node) {
+    return isConstant(node) || t.isIdentifier(node);
+}
+
+function isLiteral(node) {
+    return t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node) || t.isNullLiteral(node);
+}
+
+/**
+ * Property name of a non-computed or string-keyed member/property, or null
+ */
+function keyOf(key, computed) {
+    if (!computed && t.isIdentifier(key)) return key.name;
+    if (t.isStringLiteral(key)) return key.value;
+    return null;
+}
+
+/**
+ * `function (a, b) { return a + b; }` → { params: ['a', 'b'], expression, operands }
+ *
+ * operands lists the parameter or literal of each operand in evaluation
+ * order; conditional marks the operand a logical operator may skip.
+ */
+function proxyOf(func) {
+    if (!t.isFunctionExpression(func) && !t.isArrowFunctionExpression(func)) return null;
+    if (func.async || func.generator || !func.params.every(param => t.isIdentifier(param))) return null;
+    const params = func.params.map(param => param.name);
+    if (new Set(params).size !== params.length) return null;
+
+    let expression = func.body;
+    if (t.isBlockStatement(func.body)) {
+        if (func.body.body.length !== 1 || !t.isReturnStatement(func.body.body[0]) || !func.body.body[0].argument) return null;
+        expression = func.body.body[0].argument;
+    }
+
+    let operands;
+    if (t.isBinaryExpression(expression) || t.isLogicalExpression(expression)) {
+        operands = [expression.left, expression.right];
+    } else if (t.isCallExpression(expression)) {
+        operands = [expression.callee, ...expression.arguments];
+    } else {
+        return null;
+    }
+    if (!operands.every(operand => isLiteral(operand) || (t.isIdentifier(operand) && params.includes(operand.name)))) return null;
+    const used = operands.filter(operand => t.isIdentifier(operand)).map(operand => operand.name);
+    if (new Set(used).size !== used.length) return null;
+
+    return {
+        params,
+        expression,
+        operands,
+        conditional: t.isLogicalExpression(expression) ? 1 : -1
+    };
+}
+
+/**
+ * The proxy's expression with the call's arguments in place of its parameters, or null
+ */
+function inlineCall(proxy, call) {
+    const args = call.arguments;
+    if (args.length < proxy.params.length || args.some(arg => !t.isExpression(arg))) return null;
+
+    // Position of each argument among the operands, -1 when it is dropped
+    const positions = args.map((arg, i) => proxy.operands.findIndex(operand => t.isIdentifier(operand, { name: proxy.params[i] })));
+    let last = -1;
+    for (let i = 0; i < args.length; i++) {
+        const position = positions[i];
+        if (position === -1 || position === proxy.conditional) {
+            if (!isDroppable(args[i])) return null;
+            continue;
+        }
+        if (isConstant(args[i])) continue;
+        // Anything else keeps its order relative to the other arguments
+        if (position < last) return null;
+        last = position;
+    }
+
+    const operands = proxy.operands.map(operand => {
+        if (isLiteral(operand)) return t.cloneNode(operand);
+        return args[proxy.params.indexOf(operand.name)];
+    });
+    const expression = proxy.expression;
+    if (t.isBinaryExpression(expression)) return t.binaryExpression(expression.operator, operands[0], operands[1]);
+    if (t.isLogicalExpression(expression)) return t.logicalExpression(expression.operator, operands[0], operands[1]);
+
+    let callee = operands[0];
+    if (t.isMemberExpression(callee) || t.isOptionalMemberExpression(callee)) {
+        callee = t.sequenceExpression([t.numericLiteral(0), callee]);
+    }
+    return t.callExpression(callee, operands.slice(1));
+}
+
+/**
+ * `{ key: 'string' | proxy function, ... }` → Map of key to { value, proxy }
+ */
+function holderOf(init) {
+    if (!t.isObjectExpression(init) || init.properties.length === 0) return null;
+    const keys = new Map();
+    for (const property of init.properties) {
+        if (!t.isObjectProperty(property) || property.computed) return null;
+        const key = keyOf(property.key, false);
+        if (key === null || key === '__proto__' || keys.has(key)) return null;
+        if (t.isStringLiteral(property.value)) {
+            keys.set(key, { value: property.value, proxy: null });
+            continue;
+        }
+        const proxy = proxyOf(property.value);
+        if (!proxy) return null;
+        keys.set(key, { value: property.value, proxy });
+    }
+    return keys;
+}
+
+/**
+ * Identifiers named `name` in `root`, each as the chain of { node, parent, key, index }
+ * slots leading to it
+ *
+ * Mirrors countReferences: functions declaring their own `name` are skipped.
+ */
+function collectUses(root, name, skip) {
+    const uses = [];
+    const visit = (node, path) => {
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            if (t.isMemberExpression(node) && key === 'property' && !node.computed) continue;
+            if ((t.isObjectProperty(node) || t.isObjectMethod(node)) && key === 'key' && !node.computed) continue;
+            const value = node[key];
+            (Array.isArray(value) ? value : [value]).forEach((child, i) => {
+                if (!child || typeof child.type !== 'string' || child === skip) return;
+                const slot = { node: child, parent: node, key, index: Array.isArray(value) ? i : null, depth: path.length };
+                if (t.isFunction(child) && declaresName(child, name)) {
+                    // A function declaration of the same name is a use that cannot be followed
+                    if (t.isFunctionDeclaration(child) && child.id.name === name) uses.push([...path, slot]);
+                    return;
+                }
+                if (t.isIdentifier(child, { name })) uses.push([...path, slot]);
+                visit(child, [...path, slot]);
+            });
+        }
+    };
+    visit(root, []);
+    return uses;
+}
+
+function replaceSlot(slot, replacement) {
+    if (slot.index === null) {
+        slot.parent[slot.key] = replacement;
+    } else {
+        slot.parent[slot.key][slot.index] = replacement;
+    }
+}
+
+/**
+ * The slots of a read of the holder's key: { member, call }, or null when
+ * the use may write to the holder or let it escape
+ */
+function readOf(path) {
+    const [callSlot, memberSlot, idSlot] = [path[path.length - 3], path[path.length - 2], path[path.length - 1]];
+    if (!memberSlot || !t.isMemberExpression(memberSlot.node) || idSlot.key !== 'object') return null;
+    const { parent, key } = memberSlot;
+    if (t.isAssignmentExpression(parent) && key === 'left') return null;
+    if (t.isUpdateExpression(parent)) return null;
+    if (t.isUnaryExpression(parent, { operator: 'delete' })) return null;
+    if ((t.isForInStatement(parent) || t.isForOfStatement(parent)) && key === 'left') return null;
+    const isCallee = t.isCallExpression(parent) && key === 'callee';
+    return { member: memberSlot, call: isCallee ? callSlot : null };
+}
+
+/**
+ * Inline the reads of the holder declared by `declarator`
+ *
+ * @returns {Object|null} { lookups, removable }, null when it is no holder
+ */
+function inlineHolder(declarator, scope) {
+    const keys = holderOf(declarator.init);
+    if (!keys) return null;
+
+    const reads = collectUses(scope, declarator.id.name, declarator).map(readOf);
+    if (reads.some(read => !read)) return null;
+    // Deepest first: reads in a proxy call's arguments are replaced before the call is rebuilt around them
+    const depth = read => (read.call || read.member).depth;
+    reads.sort((a, b) => depth(b) - depth(a));
+
+    let lookups = 0;
+    let kept = 0;
+    reads.forEach(({ member, call }) => {
+        const entry = keys.get(keyOf(member.node.property, member.node.computed));
+        let replacement = null;
+        if (entry && !entry.proxy) {
+            replaceSlot(member, t.stringLiteral(entry.value.value));
+        } else if (entry && call && (replacement = inlineCall(entry.proxy, call.node))) {
+            replaceSlot(call, replacement);
+        } else {
+            kept++;
+            return;
+        }
+        lookups++;
+    });
+    return { lookups, removable: kept === 0 };
+}
+
+/**
+ * `var o = {}; o.a = x, o.b = y;` (optionally followed by `var p = o;`) → one object literal
+ *
+ * @returns {boolean} Whether the list was changed
+ */
+function rebuildObject(list, index, scope) {
+    const declaration = list[index];
+    if (!t.isVariableDeclaration(declaration)) return false;
+    const declarator = declaration.declarations[declaration.declarations.length - 1];
+    if (!t.isIdentifier(declarator.id) || !t.isObjectExpression(declarator.init) || declarator.init.properties.length > 0) return false;
+    const name = declarator.id.name;
+
+    // Assignment statements right after the declaration
+    const properties = [];
+    let end = index + 1;
+    for (; end < list.length && t.isExpressionStatement(list[end]); end++) {
+        const expression = list[end].expression;
+        const assignments = t.isSequenceExpression(expression) ? expression.expressions : [expression];
+        const keys = assignments.map(assignment => {
+            if (!t.isAssignmentExpression(assignment, { operator: '=' }) || !t.isMemberExpression(assignment.left)) return null;
+            if (!t.isIdentifier(assignment.left.object, { name })) return null;
+            const key = keyOf(assignment.left.property, assignment.left.computed);
+            return key === null || key === '__proto__' || countReferences(assignment.right, name) > 0 ? null : key;
+        });
+        if (keys.some(key => key === null)) break;
+        assignments.forEach((assignment, i) => {
+            const key = assignment.left.computed ? t.stringLiteral(keys[i]) : t.identifier(keys[i]);
+            properties.push(t.objectProperty(key, assignment.right));
+        });
+    }
+    if (properties.length === 0) return false;
+    const object = t.objectExpression(properties);
+
+    // `var p = o` as the only other use: the literal moves there
+    const next = list[end];
+    const alias = t.isVariableDeclaration(next) && t.isIdentifier(next.declarations[0].init, { name }) ? next.declarations[0] : null;
+    if (alias && countReferences(scope, name) === 1 + properties.length + 1) {
+        alias.init = object;
+        if (declaration.declarations.length > 1) {
+            declaration.declarations.pop();
+            list.splice(index + 1, end - index - 1);
+        } else {
+            list.splice(index, end - index);
+        }
+        return true;
+    }
+
+    // Otherwise other code may see the object while it is being filled
+    if (!properties.every(property => isDroppable(property.value))) return false;
+    declarator.init = object;
+    list.splice(index + 1, end - index - 1);
+    return true;
+}
+
+/**
+ * Statement list whose `var`s the list belongs to: the enclosing function body or the program
+ */
+function scopeOf(node, parentStack) {
+    if (node.type === 'Program') return node;
+    if (parentStack.last() && t.isFunction(parentStack.last().node)) return node;
+    for (let level = 0; parentStack.last(level); level++) {
+        const ancestor = parentStack.last(level).node;
+        if (ancestor.type === 'Program') return ancestor;
+        if (t.isFunction(ancestor)) return ancestor.body;
+    }
+    return null;
+}
+
+function inlineProxyObjects(node, opts, parentStack) {
+    if (opts.config && opts.config.inlineProxyObjects === false) {
+        return false;
+    }
+    const list = node.type === 'SwitchCase' ? node.consequent
+        : node.type === 'BlockStatement' || node.type === 'Program' ? node.body : null;
+    if (!list) return false;
+
+    let changed = false;
+    const scope = scopeOf(node, parentStack);
+    for (let i = 0; scope && i < list.length; i++) {
+        // The declaration may end in another `{}` once its last declarator moved into an alias
+        while (rebuildObject(list, i, scope)) {
+            opts.rebuiltObjects = (opts.rebuiltObjects || 0) + 1;
+            changed = true;
+        }
+    }
+
+    // Holders must be declared where their `var` lives, so they exist wherever they are read
+    for (let i = 0; scope === node && i < list.length; i++) {
+        const declaration = list[i];
+        if (!t.isVariableDeclaration(declaration)) continue;
+        for (const declarator of [...declaration.declarations]) {
+            if (!t.isIdentifier(declarator.id) || !t.isObjectExpression(declarator.init)) continue;
+            // A second definition in the scope data (redeclared or reassigned) rules the holder out
+            const variable = Utils.findVariableOnScope(node, declarator.id.name, parentStack, opts);
+            if (variable && variable.history && variable.history.length > 1) continue;
+
+            const result = inlineHolder(declarator, scope);
+            if (!result) continue;
+            if (result.lookups > 0) changed = true;
+            opts.inlinedProxyLookups = (opts.inlinedProxyLookups || 0) + result.lookups;
+            if (!result.removable) continue;
+
+            declaration.declarations.splice(declaration.declarations.indexOf(declarator), 1);
+            opts.removedProxyObjects = (opts.removedProxyObjects || 0) + 1;
+            // Running total for the malware report (the per-pass counts are reset)
+            opts.inlinedProxyObjects = (opts.inlinedProxyObjects || 0) + 1;
+            changed = true;
+        }
+        if (declaration.declarations.length === 0) {
+            list.splice(i, 1);
+            i--;
+        }
+    }
+
+    if (node.type === 'Program') {
+        if ((opts.inlinedProxyLookups || opts.rebuiltObjects) && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[Proxy] Rebuilt ${opts.rebuiltObjects || 0} objects from key assignments, inlined ${opts.inlinedProxyLookups || 0} holder lookups, removed ${opts.removedProxyObjects || 0} holders`);
+        }
+        opts.rebuiltObjects = 0;
+        opts.inlinedProxyLookups = 0;
+        opts.removedProxyObjects = 0;
+    }
+    return changed;
+}
+
+module.exports = inlineProxyObjects;
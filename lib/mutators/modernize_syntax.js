@@ -0,0 +1,689 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+const { resolveHelper, countReferences, removeUnusedHelpers } = require('../detectors/transpiler_helpers');
+
+// Helpers the rewrites below leave without callers
+const MODERN_HELPERS = new Set(['toConsumableArray', 'slicedToArray', 'spreadArray', 'read', 'arrayHelper', 'defineProperty']);
+
+// Imported helpers (@babel/runtime, tslib) cannot be inspected, so they are known by name
+const HELPER_NAMES = {
+    toConsumableArray: /^_?toConsumableArray\d*$/,
+    slicedToArray: /^_?slicedToArray\d*$/,
+    defineProperty: /^_?defineProperty\d*$/,
+    spreadArray: /^__spreadArray$/,
+    read: /^__read$/
+};
+
+/**
+ * Modernize Syntax
+ *
+ * Reverses the rewrites Babel and TypeScript apply when targeting ES5:
+ *
+ *   var b = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 5   →  function f(a, b = 5)
+ *   function f(_ref) { var a = _ref.a, _ref$b = _ref.b,
+ *                      b = _ref$b === void 0 ? 1 : _ref$b; }                        →  function f({ a, b = 1 })
+ *   var _ref = x(), a = _ref.a, c = _ref.b                                         →  var { a, b: c } = x()
+ *   var _s = _slicedToArray(pair, 2), a = _s[0], b = _s[1]                         →  var [a, b] = pair
+ *   [].concat(_toConsumableArray(a), [b]) / __spreadArray([], a, true)             →  [...a, b]
+ *   f.apply(void 0, _toConsumableArray(args)), o.m.apply(o, ...)                   →  f(...args), o.m(...args)
+ *   _defineProperty({ a: 1 }, key, value)                                          →  { a: 1, [key]: value }
+ *   (_a = o.b) === null || _a === void 0 ? void 0 : _a.c                           →  o.b?.c
+ *   (_a = o.b) !== null && _a !== void 0 ? _a : d                                  →  o.b ?? d
+ *
+ * Each rewrite is only made when it cannot change behavior: temporaries must
+ * have no references outside the pattern (counted over their whole function),
+ * default values may not see names the function body declares, parameters
+ * only change in functions that do not use `arguments` or "use strict", and
+ * conditionals are only folded into `?.` where `this` and `delete` read the
+ * same either way. `void 0` and `undefined` are treated alike, as the rest
+ * of the pipeline does.
+ *
+ * Runs bottom-up in the convergence loop: inner chains and spreads are
+ * rebuilt first, so the outer patterns see their modern form.
+ */
+
+/**
+ * Names a callee goes by: `fn`, `(0, mod.fn)` or `_fn2.default`
+ */
+function calleeNames(callee) {
+    if (callee.type === 'SequenceExpression') callee = callee.expressions[callee.expressions.length - 1];
+    if (callee.type === 'Identifier') return [callee.name];
+    if (callee.type === 'MemberExpression') {
+        const names = [];
+        if (!callee.computed && t.isIdentifier(callee.property)) names.push(callee.property.name);
+        if (t.isIdentifier(callee.object)) names.push(callee.object.name);
+        return names;
+    }
+    return [];
+}
+
+/**
+ * Whether a call invokes the helper with the given role
+ * Local helpers are recognized by their body, imported ones by their name
+ */
+function isHelperCall(call, role, parentStack) {
+    if (!call || call.type !== 'CallExpression') return false;
+    if (call.callee.type === 'Identifier') {
+        const helper = resolveHelper(call.callee.name, parentStack);
+        if (helper) return helper.role === role;
+    }
+    return !!HELPER_NAMES[role] && calleeNames(call.callee).some(name => HELPER_NAMES[role].test(name));
+}
+
+function isUndefined(node) {
+    return t.isIdentifier(node, { name: 'undefined' }) ||
+        (t.isUnaryExpression(node, { operator: 'void' }) && t.isLiteral(node.argument));
+}
+
+function isArrayLiteral(node) {
+    return node && node.type === 'ArrayExpression' && node.elements.every(element => element !== null);
+}
+
+/**
+ * Statement list whose `var`s a node belongs to: the enclosing function body or the program
+ */
+function scopeBody(parentStack) {
+    for (let level = 0; parentStack.last(level); level++) {
+        const node = parentStack.last(level).node;
+        if (node.type === 'Program') return node;
+        if (t.isFunction(node)) return node.body.type === 'BlockStatement' ? node.body : null;
+    }
+    return null;
+}
+
+/**
+ * Walk a subtree without entering functions (arrows share `arguments` and `this`, so they are entered)
+ */
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    if (visit(node) === false) return;
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) {
+            if (child && t.isFunction(child) && child.type !== 'ArrowFunctionExpression') continue;
+            walk(child, visit);
+        }
+    }
+}
+
+function usesArguments(node) {
+    let found = false;
+    walk(node, child => {
+        if (t.isIdentifier(child, { name: 'arguments' })) found = true;
+        return !found;
+    });
+    return found;
+}
+
+/**
+ * Identifier names read anywhere in `node`, nested functions included
+ */
+function referencedNames(node) {
+    const names = new Set();
+    const visit = (child) => {
+        if (!child || typeof child.type !== 'string') return;
+        if (child.type === 'Identifier') names.add(child.name);
+        if (child.type === 'ThisExpression') names.add('this');
+        for (const key of t.VISITOR_KEYS[child.type] || []) {
+            if (child.type === 'MemberExpression' && key === 'property' && !child.computed) continue;
+            if ((child.type === 'ObjectProperty' || child.type === 'ObjectMethod') && key === 'key' && !child.computed) continue;
+            for (const sub of [].concat(child[key])) visit(sub);
+        }
+    };
+    visit(node);
+    return names;
+}
+
+/**
+ * How many times each name is declared in a function body (functions nested in it excluded)
+ */
+function declaredNames(body) {
+    const counts = new Map();
+    const add = name => counts.set(name, (counts.get(name) || 0) + 1);
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string') return;
+        if (node.type === 'VariableDeclarator') Object.keys(t.getBindingIdentifiers(node.id)).forEach(add);
+        if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) add(node.id.name);
+        if (node.type === 'CatchClause' && node.param) Object.keys(t.getBindingIdentifiers(node.param)).forEach(add);
+        if (t.isFunction(node)) return;
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const child of [].concat(node[key])) visit(child);
+        }
+    };
+    body.body.forEach(visit);
+    return counts;
+}
+
+/**
+ * Remove `var name;` (no initializer) from a scope once nothing else uses the name
+ */
+function removeDeclarator(scope, name) {
+    if (countReferences(scope, name) !== 1) return;
+    for (let i = 0; i < scope.body.length; i++) {
+        const stmt = scope.body[i];
+        if (stmt.type !== 'VariableDeclaration') continue;
+        const index = stmt.declarations.findIndex(decl => t.isIdentifier(decl.id, { name }) && !decl.init);
+        if (index === -1) continue;
+        stmt.declarations.splice(index, 1);
+        if (stmt.declarations.length === 0) scope.body.splice(i, 1);
+        return;
+    }
+}
+
+/**
+ * Is `name` a temporary declared as `var name;` in the scope and used only in
+ * the given patterns? Each pattern must hold exactly its expected references.
+ *
+ * @param {Object} scope - Function body or program
+ * @param {string} name - Temporary
+ * @param {Array<{node, refs}>} uses - Patterns reading the temporary
+ */
+function isTemporary(scope, name, uses) {
+    if (!scope || !/^_/.test(name)) return false;
+    const declared = scope.body.some(stmt => stmt.type === 'VariableDeclaration' && stmt.kind === 'var' &&
+        stmt.declarations.some(decl => t.isIdentifier(decl.id, { name }) && !decl.init));
+    if (!declared) return false;
+    if (uses.some(use => countReferences(use.node, name) !== use.refs)) return false;
+    return countReferences(scope, name) === 1 + uses.reduce((sum, use) => sum + use.refs, 0);
+}
+
+// ---------------------------------------------------------------------------
+// Default parameters and parameter destructuring
+// ---------------------------------------------------------------------------
+
+function isArgument(node, index) {
+    return t.isMemberExpression(node, { computed: true }) && t.isIdentifier(node.object, { name: 'arguments' }) &&
+        t.isNumericLiteral(node.property, { value: index });
+}
+
+function isLengthAbove(node, index) {
+    return t.isBinaryExpression(node, { operator: '>' }) && t.isNumericLiteral(node.right, { value: index }) &&
+        t.isMemberExpression(node.left, { computed: false }) && t.isIdentifier(node.left.object, { name: 'arguments' }) &&
+        t.isIdentifier(node.left.property, { name: 'length' });
+}
+
+/**
+ * var b = arguments.length > i && arguments[i] !== undefined ? arguments[i] : value
+ * var c = arguments.length > i ? arguments[i] : undefined   (after a default parameter)
+ */
+function defaultParam(decl, index, afterDefault) {
+    if (!decl.init || decl.init.type !== 'ConditionalExpression') return null;
+    const { test, consequent, alternate } = decl.init;
+    if (!isArgument(consequent, index)) return null;
+    if (test.type === 'LogicalExpression' && test.operator === '&&' && isLengthAbove(test.left, index) &&
+        t.isBinaryExpression(test.right, { operator: '!==' }) && isArgument(test.right.left, index) && isUndefined(test.right.right)) {
+        return { id: decl.id, value: alternate };
+    }
+    // A plain parameter after a default one does not count in f.length either
+    if (afterDefault && isLengthAbove(test, index) && isUndefined(alternate)) {
+        return { id: decl.id, value: null };
+    }
+    return null;
+}
+
+/**
+ * Property read `source.key` / `source["key"]` / `source[0]` → { key, computed } or null
+ */
+function propertyRead(node, source) {
+    if (!node || node.type !== 'MemberExpression' || !t.isIdentifier(node.object, { name: source })) return null;
+    if (!node.computed) return t.isIdentifier(node.property) ? { key: node.property, computed: false } : null;
+    const key = node.property;
+    if (t.isStringLiteral(key)) {
+        return t.isValidIdentifier(key.value) ? { key: t.identifier(key.value), computed: false } : { key, computed: false };
+    }
+    if (t.isNumericLiteral(key)) return { key, computed: false };
+    // Destructuring checks its source before computing keys: only keys without side effects keep the order
+    return t.isIdentifier(key) ? { key, computed: true } : null;
+}
+
+/**
+ * Collect the declarators that take `source` apart, from `start` on:
+ *
+ *   a = _ref.a, _ref$b = _ref.b, b = _ref$b === void 0 ? 1 : _ref$b, _ref$c = _ref.c, d = _ref$c.d
+ *   → { a, b = 1, c: { d } }
+ *
+ * @returns {Object|null} { pattern, end, reads } - end is the first declarator left over,
+ *   reads the number of references to `source` consumed
+ */
+function collectPattern(decls, start, source, scope, arrayLength) {
+    const entries = [];
+    let i = start;
+    let lastIndex = -1;
+    while (i < decls.length && t.isIdentifier(decls[i].id)) {
+        const read = propertyRead(decls[i].init, source);
+        if (!read) break;
+        if (arrayLength !== undefined && (!t.isNumericLiteral(read.key) || read.key.value <= lastIndex || read.key.value >= arrayLength)) break;
+        if (arrayLength !== undefined) lastIndex = read.key.value;
+
+        let target = decls[i].id;
+        let value = null;
+        i++;
+        // _ref$b = _ref.b, b = _ref$b === void 0 ? 1 : _ref$b
+        const next = decls[i];
+        if (next && t.isIdentifier(next.id) && next.init && next.init.type === 'ConditionalExpression' &&
+            t.isBinaryExpression(next.init.test, { operator: '===' }) && t.isIdentifier(next.init.test.left, { name: target.name }) &&
+            isUndefined(next.init.test.right) && t.isIdentifier(next.init.alternate, { name: target.name }) &&
+            countReferences(scope, target.name) === 3) {
+            value = next.init.consequent;
+            target = next.id;
+            i++;
+        }
+        // Nested pattern: the target is itself only read by the declarators that follow
+        const nested = collectPattern(decls, i, target.name, scope);
+        let pattern = target;
+        if (nested && countReferences(scope, target.name) === 1 + nested.reads) {
+            pattern = nested.pattern;
+            i = nested.end;
+        }
+        entries.push({ key: read.key, computed: read.computed, pattern: value ? t.assignmentPattern(pattern, value) : pattern });
+    }
+    if (entries.length === 0) return null;
+
+    if (arrayLength !== undefined) {
+        const elements = new Array(arrayLength).fill(null);
+        entries.forEach(entry => { elements[entry.key.value] = entry.pattern; });
+        // Trailing holes only limit how many items _slicedToArray copies
+        while (elements.length > 0 && elements[elements.length - 1] === null) elements.pop();
+        return { pattern: t.arrayPattern(elements), end: i, reads: entries.length };
+    }
+    const properties = entries.map(entry => {
+        const target = entry.pattern.type === 'AssignmentPattern' ? entry.pattern.left : entry.pattern;
+        const shorthand = !entry.computed && t.isIdentifier(entry.key) && t.isIdentifier(target, { name: entry.key.name });
+        return t.objectProperty(shorthand ? t.identifier(entry.key.name) : entry.key, entry.pattern, entry.computed, shorthand);
+    });
+    return { pattern: t.objectPattern(properties), end: i, reads: entries.length };
+}
+
+/**
+ * Names a pattern binds, and the default values it evaluates
+ */
+function patternParts(pattern) {
+    const names = Object.keys(t.getBindingIdentifiers(pattern));
+    const defaults = [];
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string') return;
+        if (node.type === 'AssignmentPattern') defaults.push(node.right);
+        for (const key of ['left', 'properties', 'elements', 'value']) {
+            if (node[key]) [].concat(node[key]).forEach(visit);
+        }
+    };
+    visit(pattern);
+    return { names, defaults };
+}
+
+/**
+ * Move default values and destructuring of the leading `var`s into the parameter list
+ *
+ * A parameter initializer runs in its own scope, before the body's function
+ * declarations exist, so a value may only use names bound by earlier parameters.
+ */
+function restoreParameters(func) {
+    if (func.type === 'ArrowFunctionExpression' || func.body.type !== 'BlockStatement') return false;
+    if (func.kind === 'get' || func.kind === 'set') return false;
+    const head = func.body.body[0];
+    if (!head || head.type !== 'VariableDeclaration' || head.kind !== 'var') return false;
+    // "use strict" is a syntax error in a function with non-simple parameters
+    if (func.body.directives.some(directive => directive.value.value === 'use strict')) return false;
+
+    const declared = declaredNames(func.body);
+    const bound = new Set(func.params.flatMap(param => Object.keys(t.getBindingIdentifiers(param))));
+    const params = func.params.slice();
+    const statements = func.body.body.slice();
+    let afterDefault = params.some(param => param.type === 'AssignmentPattern');
+    let changed = false;
+
+    const visibleOnly = (values) => values.every(value => [...referencedNames(value)]
+        .every(name => name !== 'arguments' && (!declared.has(name) || bound.has(name))));
+    const bindable = names => names.every(name => declared.get(name) === 1 && !bound.has(name));
+
+    while (statements.length > 0 && statements[0].type === 'VariableDeclaration' && statements[0].kind === 'var') {
+        const decls = statements[0].declarations.slice();
+        let used = 0;
+        while (used < decls.length) {
+            // var b = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 5
+            const param = defaultParam(decls[used], params.length, afterDefault);
+            if (param) {
+                // var { a } = arguments.length > 0 && ... : the declaration may already be a pattern
+                const { names, defaults } = patternParts(param.id);
+                if (!bindable(names) || !visibleOnly(param.value ? [...defaults, param.value] : defaults)) break;
+                params.push(param.value ? t.assignmentPattern(param.id, param.value) : param.id);
+                names.forEach(name => bound.add(name));
+                afterDefault = afterDefault || !!param.value;
+                used++;
+                continue;
+            }
+            // function f(_ref) { var a = _ref.a, b = _ref.b; } → function f({ a, b })
+            const source = params.map(p => (p.type === 'AssignmentPattern' ? p.left : p))
+                .filter(p => t.isIdentifier(p)).map(p => p.name)
+                .find(name => propertyRead(decls[used].init, name));
+            if (!source) break;
+            const found = collectPattern(decls, used, source, func.body);
+            if (!found || countReferences(func.body, source) !== found.reads) break;
+            const { names, defaults } = patternParts(found.pattern);
+            if (!bindable(names) || !visibleOnly(defaults)) break;
+            const at = params.findIndex(p => t.isIdentifier(p.type === 'AssignmentPattern' ? p.left : p, { name: source }));
+            // Later parameters' defaults must not read it either
+            if (params.some((p, k) => k !== at && referencedNames(p).has(source))) break;
+            params[at] = params[at].type === 'AssignmentPattern' ? t.assignmentPattern(found.pattern, params[at].right) : found.pattern;
+            names.forEach(name => bound.add(name));
+            used = found.end;
+        }
+        if (used === 0) break;
+        changed = true;
+        if (used < decls.length) {
+            statements[0] = t.variableDeclaration('var', decls.slice(used));
+            break;
+        }
+        statements.shift();
+    }
+    if (!changed) return false;
+
+    // A function using `arguments` would see it unmapped from its parameters
+    if (usesArguments(t.blockStatement(statements)) || params.some(usesArguments)) return false;
+    func.params = params;
+    func.body.body = statements;
+    return true;
+}
+
+// ---------------------------------------------------------------------------
+// Destructuring declarations
+// ---------------------------------------------------------------------------
+
+/**
+ * var _ref = x, a = _ref.a          → var { a } = x
+ * var _t = _slicedToArray(x, 2), a = _t[0], b = _t[1] → var [a, b] = x
+ */
+function restoreDestructuring(declaration, parentStack) {
+    const scope = scopeBody(parentStack);
+    if (!scope) return false;
+    const decls = declaration.declarations;
+    // Outside functions a var is a property of the global object: only touch compiler temporaries there
+    const removable = name => scope.type !== 'Program' || /^_/.test(name);
+    let changed = false;
+
+    for (let i = 0; i < decls.length - 1; i++) {
+        const decl = decls[i];
+        if (!t.isIdentifier(decl.id) || !decl.init || !removable(decl.id.name)) continue;
+        const source = decl.id.name;
+
+        let init = decl.init;
+        let from = i;
+        let arrayLength;
+        if (isHelperCall(init, 'slicedToArray', parentStack) && init.arguments.length === 2 &&
+            t.isNumericLiteral(init.arguments[1]) && init.arguments[0].type !== 'SpreadElement') {
+            arrayLength = init.arguments[1].value;
+            init = init.arguments[0];
+            // var _x = list.split(","), _x2 = _slicedToArray(_x, 2): the first temporary only feeds the helper
+            const previous = decls[i - 1];
+            if (previous && t.isIdentifier(init, { name: previous.id.name }) && previous.init &&
+                removable(previous.id.name) && countReferences(scope, previous.id.name) === 2) {
+                init = previous.init;
+                from = i - 1;
+            }
+        }
+
+        const found = collectPattern(decls, i + 1, source, scope, arrayLength);
+        if (!found || countReferences(scope, source) !== 1 + found.reads) continue;
+        decls.splice(from, found.end - from, t.variableDeclarator(found.pattern, init));
+        i = from;
+        changed = true;
+    }
+    return changed;
+}
+
+// ---------------------------------------------------------------------------
+// Spread and computed keys
+// ---------------------------------------------------------------------------
+
+/**
+ * _toConsumableArray(a) → [...a], __spreadArray(to, from, pack) → [...to, ...from],
+ * [x].concat([...a], [b]) → [x, ...a, b]
+ */
+function restoreSpread(call, parentStack) {
+    const args = call.arguments;
+    if (args.some(arg => arg.type === 'SpreadElement')) return null;
+
+    if (args.length === 1 && (isHelperCall(call, 'toConsumableArray', parentStack) || isHelperCall(call, 'read', parentStack))) {
+        return t.arrayExpression([t.spreadElement(args[0])]);
+    }
+    if (args.length >= 2 && isHelperCall(call, 'spreadArray', parentStack) && isArrayLiteral(args[0])) {
+        // from is an array (TypeScript checked it) or a __read() copy of an iterable, both rebuilt as [...x] already
+        const from = isArrayLiteral(args[1]) ? args[1].elements : [t.spreadElement(args[1])];
+        return t.arrayExpression([...args[0].elements, ...from]);
+    }
+
+    const callee = call.callee;
+    if (callee.type === 'MemberExpression' && !callee.computed && t.isIdentifier(callee.property, { name: 'concat' }) &&
+        isArrayLiteral(callee.object) && args.length > 0 && args.every(isArrayLiteral) &&
+        [callee.object, ...args].some(array => array.elements.some(element => element.type === 'SpreadElement'))) {
+        return t.arrayExpression([callee.object, ...args].flatMap(array => array.elements));
+    }
+    return null;
+}
+
+/**
+ * f.apply(void 0, [a, ...b]) → f(a, ...b), o.m.apply(o, [...b]) → o.m(...b),
+ * (_o = x.y).m.apply(_o, [...b]) → x.y.m(...b)
+ */
+function restoreApply(call, parentStack) {
+    const callee = call.callee;
+    if (callee.type !== 'MemberExpression' || callee.computed || !t.isIdentifier(callee.property, { name: 'apply' })) return null;
+    const [thisArg, list] = call.arguments;
+    if (call.arguments.length !== 2 || !isArrayLiteral(list) || !list.elements.some(element => element.type === 'SpreadElement')) return null;
+    const target = callee.object;
+
+    if (target.type !== 'MemberExpression') {
+        return isUndefined(thisArg) && t.isExpression(target) ? { call: t.callExpression(target, list.elements) } : null;
+    }
+    const object = target.object;
+    if ((t.isIdentifier(object) && t.isIdentifier(thisArg, { name: object.name })) ||
+        (object.type === 'ThisExpression' && thisArg.type === 'ThisExpression')) {
+        return { call: t.callExpression(target, list.elements) };
+    }
+    // Babel caches a complex receiver: (_console = console).log.apply(_console, ...)
+    if (t.isAssignmentExpression(object, { operator: '=' }) && t.isIdentifier(object.left) && t.isIdentifier(thisArg, { name: object.left.name })) {
+        const scope = scopeBody(parentStack);
+        if (!isTemporary(scope, object.left.name, [{ node: call, refs: 2 }])) return null;
+        const rebuilt = t.memberExpression(object.right, target.property, target.computed);
+        return { call: t.callExpression(rebuilt, list.elements), temporary: object.left.name, scope };
+    }
+    return null;
+}
+
+/**
+ * Key of a property defined with _defineProperty(obj, key, value)
+ */
+function propertyKey(key) {
+    if (t.isStringLiteral(key)) {
+        // { __proto__: v } would set the prototype instead of defining a property
+        if (key.value === '__proto__') return { key, computed: true };
+        return t.isValidIdentifier(key.value) ? { key: t.identifier(key.value), computed: false } : { key, computed: false };
+    }
+    if (t.isNumericLiteral(key)) return { key, computed: false };
+    return { key, computed: true };
+}
+
+/**
+ * _defineProperty({ a: 1 }, key, value) → { a: 1, [key]: value }
+ */
+function restoreComputedKey(call, parentStack) {
+    const [object, key, value] = call.arguments;
+    if (call.arguments.length !== 3 || !object || object.type !== 'ObjectExpression') return null;
+    if (key.type === 'SpreadElement' || value.type === 'SpreadElement') return null;
+    // With a literal __proto__ the assignment _defineProperty falls back to could hit an inherited setter
+    if (object.properties.some(prop => !prop.computed && prop.key && (t.isIdentifier(prop.key, { name: '__proto__' }) ||
+        t.isStringLiteral(prop.key, { value: '__proto__' })))) return null;
+    if (!isHelperCall(call, 'defineProperty', parentStack)) return null;
+    const property = propertyKey(key);
+    return t.objectExpression([...object.properties, t.objectProperty(property.key, value, property.computed)]);
+}
+
+// ---------------------------------------------------------------------------
+// Optional chaining and nullish coalescing
+// ---------------------------------------------------------------------------
+
+/**
+ * Null test on a value: x === null || x === void 0, (_a = e) == null, and the negated forms
+ * @returns {Object|null} { name, value, temporary, refs, negated }
+ */
+function nullTest(test) {
+    let negated;
+    let left;
+    let second = null;
+    if (t.isBinaryExpression(test) && (test.operator === '==' || test.operator === '!=') && t.isNullLiteral(test.right)) {
+        negated = test.operator === '!=';
+        left = test.left;
+    } else if (t.isLogicalExpression(test) && (test.operator === '||' || test.operator === '&&')) {
+        negated = test.operator === '&&';
+        const strict = negated ? '!==' : '===';
+        if (!t.isBinaryExpression(test.left, { operator: strict }) || !t.isNullLiteral(test.left.right) ||
+            !t.isBinaryExpression(test.right, { operator: strict }) || !isUndefined(test.right.right)) return null;
+        left = test.left.left;
+        second = test.right.left;
+    } else {
+        return null;
+    }
+
+    const temporary = t.isAssignmentExpression(left, { operator: '=' }) && t.isIdentifier(left.left);
+    const name = temporary ? left.left.name : t.isIdentifier(left) ? left.name : null;
+    if (!name || (second && !t.isIdentifier(second, { name }))) return null;
+    return { name, value: temporary ? left.right : left, temporary, refs: second ? 2 : 1, negated };
+}
+
+/**
+ * Rebuild the member/call chain hanging off the `name` reference as an optional chain on `value`
+ */
+function optionalChain(node, name, value) {
+    const links = [];
+    let current = node;
+    while (!t.isIdentifier(current, { name })) {
+        if (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression') {
+            links.push(current);
+            current = current.object;
+        } else if (current.type === 'CallExpression' || current.type === 'OptionalCallExpression') {
+            links.push(current);
+            current = current.callee;
+        } else {
+            return null;
+        }
+    }
+    if (links.length === 0) return null;
+    links.reverse();
+
+    let chain = value;
+    let index = 0;
+    const first = links[0];
+    if ((first.type === 'MemberExpression' || first.type === 'OptionalMemberExpression') && !first.computed &&
+        t.isIdentifier(first.property, { name: 'call' }) && links[1] && links[1].callee === first) {
+        // _a.call(o, x) with _a = o.m → o.m?.(x)
+        const receiver = links[1].arguments[0];
+        const object = value.type === 'MemberExpression' ? value.object : null;
+        if (!object || !receiver || !((t.isIdentifier(object) && t.isIdentifier(receiver, { name: object.name })) ||
+            (object.type === 'ThisExpression' && receiver.type === 'ThisExpression'))) return null;
+        chain = t.optionalCallExpression(value, links[1].arguments.slice(1), true);
+        index = 2;
+    } else if ((first.type === 'CallExpression' || first.type === 'OptionalCallExpression') && value.type === 'MemberExpression') {
+        // _a() calls without a receiver, value?.() would pass one
+        return null;
+    }
+
+    for (; index < links.length; index++) {
+        const link = links[index];
+        const optional = chain === value || !!link.optional;
+        chain = link.type === 'MemberExpression' || link.type === 'OptionalMemberExpression'
+            ? t.optionalMemberExpression(chain, link.property, link.computed, optional)
+            : t.optionalCallExpression(chain, link.arguments, optional);
+    }
+    return chain;
+}
+
+/**
+ * x == null ? void 0 : x.y → x?.y, x != null ? x : d → x ?? d
+ */
+function restoreOptional(node, parentStack) {
+    const check = nullTest(node.test);
+    if (!check) return null;
+    const whenNull = check.negated ? node.alternate : node.consequent;
+    const otherwise = check.negated ? node.consequent : node.alternate;
+
+    let result;
+    if (t.isIdentifier(otherwise, { name: check.name })) {
+        result = t.logicalExpression('??', check.value, whenNull);
+    } else if (isUndefined(whenNull)) {
+        const parent = parentStack.last();
+        // (x?.f)() would call f with x as `this`, delete x?.y would delete
+        if (parent && ((t.isCallExpression(parent.node) || t.isNewExpression(parent.node) || t.isOptionalCallExpression(parent.node)) &&
+            parent.node.callee === node || t.isUnaryExpression(parent.node, { operator: 'delete' }) ||
+            t.isTaggedTemplateExpression(parent.node))) return null;
+        result = optionalChain(otherwise, check.name, check.value);
+    }
+    if (!result) return null;
+
+    if (!check.temporary) return { expression: result };
+    const scope = scopeBody(parentStack);
+    const patterns = [{ node, refs: check.refs + 1 }];
+    // TypeScript reuses one temporary for every chain in a function
+    if (scope) {
+        walk(scope, child => {
+            if (child !== node && child.type === 'ConditionalExpression') {
+                const other = nullTest(child.test);
+                if (other && other.temporary && other.name === check.name) patterns.push({ node: child, refs: other.refs + 1 });
+            }
+        });
+    }
+    if (!isTemporary(scope, check.name, patterns)) return null;
+    return { expression: result, temporary: check.name, scope };
+}
+
+function modernizeSyntax(node, opts, parentStack) {
+    if (opts.config && opts.config.modernizeSyntax === false) {
+        return false;
+    }
+
+    // Program is visited last (bottom-up): drop the helpers nothing calls anymore
+    if (node.type === 'Program') {
+        if (!opts.modernized) return false;
+        const removed = removeUnusedHelpers(node, MODERN_HELPERS);
+        if (opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[Modernize] Restored ${opts.modernized} constructs, removed ${removed} unused helpers`);
+        }
+        opts.modernized = 0;
+        return removed > 0;
+    }
+
+    let changed = false;
+    if (t.isFunction(node)) {
+        changed = restoreParameters(node);
+    } else if (node.type === 'VariableDeclaration') {
+        const parent = parentStack.last();
+        if (parent && (parent.node.type === 'ForInStatement' || parent.node.type === 'ForOfStatement')) return false;
+        changed = restoreDestructuring(node, parentStack);
+    } else if (node.type === 'CallExpression' || node.type === 'ConditionalExpression') {
+        const parentEntry = parentStack.last();
+        if (!parentEntry) return false;
+        let replacement = null;
+        let temporary = null;
+        if (node.type === 'CallExpression') {
+            replacement = restoreSpread(node, parentStack) || restoreComputedKey(node, parentStack);
+            const applied = replacement ? null : restoreApply(node, parentStack);
+            if (applied) {
+                replacement = applied.call;
+                temporary = applied.temporary ? applied : null;
+            }
+        } else {
+            const optional = restoreOptional(node, parentStack);
+            replacement = optional && optional.expression;
+            temporary = optional && optional.temporary ? optional : null;
+        }
+        if (!replacement) return false;
+        Utils.replaceChildInParentNode(replacement, parentEntry);
+        if (temporary) removeDeclarator(temporary.scope, temporary.temporary);
+        changed = true;
+    }
+
+    if (changed) {
+        opts.modernized = (opts.modernized || 0) + 1;
+    }
+    return changed;
+}
+
+module.exports = modernizeSyntax;
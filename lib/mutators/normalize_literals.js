@@ -0,0 +1,147 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+
+/**
+ * Normalize Literals
+ *
+ * Undoes obfuscator.io's numbersToExpressions and splitStrings options before
+ * anything else looks at the values:
+ *
+ *   -0x1a5b * 0x1 + 0x2 * 0x3f1 + 0x1c79        →   1000
+ *   -(0xbfb * -0x2 + -0x377 * -0x8 + -0x398)   →   -42
+ *   'hel' + 'lo\x20' + 'wor' + 'ld'            →   'hello world'
+ *   x + 'hel' + 'lo'                           →   x + 'hello'
+ *   'a' + ('b' + x)                            →   'ab' + x
+ *   0x1f90                                     →   8080
+ *
+ * Numbers are only folded when the result is exact: +, -, * over integers
+ * that stay within the safe integer range, / and % when they divide evenly.
+ * A string chain is merged across parentheses because `x + 'a'` is already a
+ * string whatever x is, so adding 'b' to it or 'ab' to x gives the same text.
+ * Number literals are then written in decimal.
+ *
+ * Runs once, bottom-up, right after the string arrays are decoded, so split
+ * strings read from the array are merged as well.
+ */
+
+// Literals holding a collapsed value, so growing one further is not counted again
+const collapsed = new WeakSet();
+
+/**
+ * Value of `0x1f`, `-0x1f` or `+0x1f`, or null
+ */
+function numberOf(node) {
+    if (t.isNumericLiteral(node)) return node.value;
+    if (t.isUnaryExpression(node) && (node.operator === '-' || node.operator === '+') && t.isNumericLiteral(node.argument)) {
+        return node.operator === '-' ? -node.argument.value : node.argument.value;
+    }
+    return null;
+}
+
+function numberNode(value) {
+    return value < 0 ? t.unaryExpression('-', t.numericLiteral(-value)) : t.numericLiteral(value);
+}
+
+/**
+ * Exact integer result of `left operator right`, or null
+ */
+function foldNumbers(operator, left, right) {
+    if (!Number.isInteger(left) || !Number.isInteger(right)) return null;
+    let value;
+    switch (operator) {
+        case '+': value = left + right; break;
+        case '-': value = left - right; break;
+        case '*': value = left * right; break;
+        case '/': value = right !== 0 && left % right === 0 ? left / right : null; break;
+        case '%': value = right !== 0 ? left % right : null; break;
+        default: value = null;
+    }
+    if (value === null || !Number.isSafeInteger(value) || Object.is(value, -0)) return null;
+    return value;
+}
+
+/**
+ * The string expression `node` collapses to, with the two literals it merged:
+ * { replacement, merged, operands }, or null
+ */
+function foldStrings(node) {
+    const { left, right } = node;
+    if (t.isStringLiteral(left) && t.isStringLiteral(right)) {
+        const merged = t.stringLiteral(left.value + right.value);
+        return { replacement: merged, merged, operands: [left, right] };
+    }
+    // (x + 'a') + 'b' → x + 'ab'
+    if (t.isStringLiteral(right) && t.isBinaryExpression(left, { operator: '+' }) && t.isStringLiteral(left.right)) {
+        const merged = t.stringLiteral(left.right.value + right.value);
+        return { replacement: t.binaryExpression('+', left.left, merged), merged, operands: [left.right, right] };
+    }
+    // 'a' + ('b' + x) → 'ab' + x
+    if (t.isStringLiteral(left) && t.isBinaryExpression(right, { operator: '+' }) && t.isStringLiteral(right.left)) {
+        const merged = t.stringLiteral(left.value + right.left.value);
+        return { replacement: t.binaryExpression('+', merged, right.right), merged, operands: [left, right.left] };
+    }
+    return null;
+}
+
+/**
+ * Count one more collapsed expression, unless it only grows one already counted
+ */
+function count(opts, key, merged, operands) {
+    opts[key] = (opts[key] || 0) + 1 - operands.filter(operand => collapsed.has(operand)).length;
+    collapsed.add(merged);
+}
+
+function normalizeLiterals(node, opts, parentStack) {
+    if (opts.config && opts.config.normalizeLiterals === false) {
+        return false;
+    }
+    const parent = parentStack.last();
+
+    if (t.isBinaryExpression(node) && parent) {
+        const left = numberOf(node.left);
+        const right = numberOf(node.right);
+        const value = left !== null && right !== null ? foldNumbers(node.operator, left, right) : null;
+        if (value !== null) {
+            const replacement = numberNode(value);
+            count(opts, 'collapsedNumbers', replacement, [node.left, node.right]);
+            Utils.replaceChildInParentNode(replacement, parent);
+            return true;
+        }
+        const strings = node.operator === '+' ? foldStrings(node) : null;
+        if (strings) {
+            count(opts, 'collapsedStrings', strings.merged, strings.operands);
+            Utils.replaceChildInParentNode(strings.replacement, parent);
+            return true;
+        }
+    }
+
+    // -(-0x2a) once the inner expression folded to a negative number
+    if (t.isUnaryExpression(node, { operator: '-' }) && parent && t.isUnaryExpression(node.argument) && numberOf(node.argument) !== null) {
+        const replacement = numberNode(-numberOf(node.argument));
+        count(opts, 'collapsedNumbers', replacement, [node.argument]);
+        Utils.replaceChildInParentNode(replacement, parent);
+        return true;
+    }
+
+    if (t.isNumericLiteral(node) && node.extra && /^0[xXoObB]/.test(node.extra.raw)) {
+        // Written in decimal by the generator from now on
+        delete node.extra;
+        opts.decimalNumbers = (opts.decimalNumbers || 0) + 1;
+        return true;
+    }
+
+    if (node.type === 'Program') {
+        // Running totals for the malware report
+        opts.normalizedNumbers = (opts.normalizedNumbers || 0) + (opts.collapsedNumbers || 0);
+        opts.normalizedStrings = (opts.normalizedStrings || 0) + (opts.collapsedStrings || 0);
+        if ((opts.collapsedNumbers || opts.collapsedStrings) && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[Normalize] Collapsed ${opts.collapsedNumbers || 0} number expressions and ${opts.collapsedStrings || 0} split strings, rewrote ${opts.decimalNumbers || 0} hex literals in decimal`);
+        }
+        opts.collapsedNumbers = 0;
+        opts.collapsedStrings = 0;
+        opts.decimalNumbers = 0;
+    }
+    return false;
+}
+
+module.exports = normalizeLiterals;
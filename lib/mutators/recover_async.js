@@ -0,0 +1,1221 @@
+/**
+ * Recover async functions and generators from transpiler state machines
+ *
+ * regenerator (Babel) and TypeScript's __generator compile every generator,
+ * and every async function, into a switch over numbered labels driven by a
+ * context object:
+ *
+ *   return regeneratorRuntime.wrap(function (_context) {          async function load(url) {
+ *     while (1) switch (_context.prev = _context.next) {              var res;
+ *       case 0: _context.next = 2; return fetch(url);        →        res = await fetch(url);
+ *       case 2: res = _context.sent; ...                              ...
+ *
+ * The cases are read into a control-flow graph, the yields are put back
+ * where their result is used and the graph is restructured into if, while
+ * and try/catch statements. _asyncToGenerator / __awaiter around the
+ * resulting generator then become `async`.
+ *
+ * Machines that do not fit (finally blocks, jumps between nested loops,
+ * unknown context fields) are left untouched.
+ */
+
+const t = require('@babel/types');
+const Utils = require('../utils');
+const { resolveHelper, removeUnusedHelpers, countReferences } = require('../detectors/transpiler_helpers');
+
+// Helpers that only exist to support downlevelled async functions and generators
+const ASYNC_HELPERS = new Set(['asyncToGenerator', 'asyncGeneratorStep', 'awaiter', 'generator', 'values']);
+
+// Names of imported helpers (tslib, @babel/runtime) whose body is not in this file
+const HELPER_NAMES = {
+    asyncToGenerator: /^_?asyncToGenerator\d*$/,
+    awaiter: /^__awaiter$/,
+    generator: /^__generator$/,
+    values: /^__values$/
+};
+
+// TypeScript __generator instructions: return [op, value]
+const OP_RETURN = 2;
+const OP_BREAK = 3;
+const OP_YIELD = 4;
+const OP_YIELD_STAR = 5;
+
+/**
+ * Visit every node below `node` without entering nested functions
+ */
+function walk(node, visit, parent) {
+    if (!node || typeof node.type !== 'string') return;
+    if (visit(node, parent) === false) return;
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) {
+            if (child && typeof child.type === 'string' && !t.isFunction(child)) walk(child, visit, node);
+        }
+    }
+}
+
+/**
+ * Replace nodes below `node` (nested functions excluded): replace(node) returns the new node or undefined
+ */
+function replaceIn(node, replace) {
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const value = node[key];
+        const children = Array.isArray(value) ? value : [value];
+        children.forEach((child, idx) => {
+            if (!child || typeof child.type !== 'string' || t.isFunction(child)) return;
+            const replacement = replace(child);
+            if (replacement !== undefined) {
+                if (Array.isArray(value)) value[idx] = replacement; else node[key] = replacement;
+            } else {
+                replaceIn(child, replace);
+            }
+        });
+    }
+}
+
+function countIn(node, predicate) {
+    let count = 0;
+    walk(node, child => { if (predicate(child)) count++; });
+    return count;
+}
+
+function usesThis(node) {
+    return countIn(node, child => child.type === 'ThisExpression') > 0;
+}
+
+function usesArguments(node) {
+    return countIn(node, child => t.isIdentifier(child, { name: 'arguments' })) > 0;
+}
+
+function isMember(node, objectName, propertyName) {
+    return !!node && node.type === 'MemberExpression' && t.isIdentifier(node.object, { name: objectName }) &&
+        (node.computed ? t.isStringLiteral(node.property, { value: propertyName })
+            : t.isIdentifier(node.property, { name: propertyName }));
+}
+
+function isContextCall(node, ctx, method) {
+    return !!node && node.type === 'CallExpression' && isMember(node.callee, ctx, method);
+}
+
+function labelValue(node) {
+    if (t.isNumericLiteral(node)) return node.value;
+    if (t.isStringLiteral(node)) return node.value;
+    return undefined;
+}
+
+/**
+ * Names a helper call goes by: f(), ns.f(), ns["default"](), (0, ns.f)()
+ */
+function calleeNames(callee) {
+    if (callee.type === 'SequenceExpression') callee = callee.expressions[callee.expressions.length - 1];
+    if (callee.type === 'Identifier') return [callee.name];
+    if (callee.type === 'MemberExpression') {
+        const names = [];
+        if (!callee.computed && t.isIdentifier(callee.property)) names.push(callee.property.name);
+        if (t.isIdentifier(callee.object)) names.push(callee.object.name);
+        return names;
+    }
+    return [];
+}
+
+/**
+ * Whether a call invokes the helper with the given role
+ * Local helpers are recognized by their body, imported ones by their name
+ */
+function isHelperCall(call, role, parentStack) {
+    if (!call || call.type !== 'CallExpression') return false;
+    if (call.callee.type === 'Identifier') {
+        const helper = resolveHelper(call.callee.name, parentStack);
+        if (helper) return helper.role === role;
+    }
+    return calleeNames(call.callee).some(name => HELPER_NAMES[role].test(name));
+}
+
+function negate(test) {
+    return test.type === 'UnaryExpression' && test.operator === '!' ? test.argument : t.unaryExpression('!', test);
+}
+
+function endsAbruptly(stmts) {
+    const last = stmts[stmts.length - 1];
+    if (!last) return false;
+    if (['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'].includes(last.type)) return true;
+    return last.type === 'IfStatement' && !!last.alternate &&
+        endsAbruptly(last.consequent.body || [last.consequent]) && endsAbruptly(last.alternate.body || [last.alternate]);
+}
+
+/**
+ * if (test) { consequent } else { alternate }, with empty and abrupt branches folded away
+ */
+function makeIf(test, consequent, alternate) {
+    if (consequent.length === 0 && alternate.length === 0) return [t.expressionStatement(test)];
+    if (consequent.length === 0) return makeIf(negate(test), alternate, consequent);
+    if (alternate.length === 0) return [t.ifStatement(test, t.blockStatement(consequent))];
+
+    const thenAbrupt = endsAbruptly(consequent);
+    const elseAbrupt = endsAbruptly(alternate);
+    if (thenAbrupt && elseAbrupt && alternate.length < consequent.length) {
+        return [t.ifStatement(negate(test), t.blockStatement(alternate)), ...consequent];
+    }
+    if (thenAbrupt) return [t.ifStatement(test, t.blockStatement(consequent)), ...alternate];
+    if (elseAbrupt) return [t.ifStatement(negate(test), t.blockStatement(alternate)), ...consequent];
+    if (test.type === 'UnaryExpression' && test.operator === '!') return makeIf(test.argument, alternate, consequent);
+    const elseBranch = alternate.length === 1 && alternate[0].type === 'IfStatement' ? alternate[0] : t.blockStatement(alternate);
+    return [t.ifStatement(test, t.blockStatement(consequent), elseBranch)];
+}
+
+/**
+ * Split `a, b, c;` and `return a, b, c;` into separate statements and turn
+ * `return c ? (x, [4, y]) : [2]` into an if statement, so that every
+ * state machine instruction is a statement of its own (every return in a
+ * case is an instruction)
+ */
+function flatten(stmts, isTransfer) {
+    const out = [];
+    for (const stmt of stmts) {
+        if (stmt.type === 'ExpressionStatement' && stmt.expression.type === 'SequenceExpression') {
+            out.push(...flatten(stmt.expression.expressions.map(expr => t.expressionStatement(expr)), isTransfer));
+        } else if (stmt.type === 'ReturnStatement' && stmt.argument && stmt.argument.type === 'SequenceExpression') {
+            const expressions = stmt.argument.expressions;
+            out.push(...flatten([
+                ...expressions.slice(0, -1).map(expr => t.expressionStatement(expr)),
+                t.returnStatement(expressions[expressions.length - 1])
+            ], isTransfer));
+        } else if (stmt.type === 'ReturnStatement' && stmt.argument && stmt.argument.type === 'ConditionalExpression') {
+            const { test, consequent, alternate } = stmt.argument;
+            out.push(t.ifStatement(test, t.blockStatement([t.returnStatement(consequent)]),
+                t.blockStatement([t.returnStatement(alternate)])));
+        } else if (stmt.type === 'BlockStatement' && isTransfer(stmt)) {
+            out.push(...flatten(stmt.body, isTransfer));
+        } else {
+            out.push(stmt);
+        }
+    }
+    return out;
+}
+
+/**
+ * regenerator: regeneratorRuntime.wrap(function (_context) { while (1) switch (_context.prev = _context.next) {...} }, ...)
+ */
+function regeneratorDialect(func) {
+    const body = func.body.body;
+    const ret = body[body.length - 1];
+    if (!ret || ret.type !== 'ReturnStatement' || !ret.argument || ret.argument.type !== 'CallExpression') return null;
+    const call = ret.argument;
+    if (call.callee.type !== 'MemberExpression' || call.callee.computed || !t.isIdentifier(call.callee.property, { name: 'wrap' })) return null;
+    const [inner, , self, tryLocs] = call.arguments;
+    if (!inner || inner.type !== 'FunctionExpression' || inner.params.length !== 1 || !t.isIdentifier(inner.params[0])) return null;
+    const ctx = inner.params[0].name;
+
+    let loop = inner.body.body.length === 1 ? inner.body.body[0] : null;
+    const isLoop = loop && ((loop.type === 'WhileStatement' && t.isLiteral(loop.test) && loop.test.value) ||
+        (loop.type === 'ForStatement' && !loop.init && !loop.test && !loop.update));
+    if (!isLoop) return null;
+    let switchStmt = loop.body.type === 'BlockStatement' && loop.body.body.length === 1 ? loop.body.body[0] : loop.body;
+    if (switchStmt.type !== 'SwitchStatement') return null;
+    const disc = switchStmt.discriminant;
+    const readsNext = node => isMember(node, ctx, 'next');
+    if (!readsNext(disc) && !(disc.type === 'AssignmentExpression' && isMember(disc.left, ctx, 'prev') && readsNext(disc.right))) return null;
+
+    const locs = [];
+    if (tryLocs) {
+        if (tryLocs.type !== 'ArrayExpression') return null;
+        for (const entry of tryLocs.elements) {
+            if (!entry || entry.type !== 'ArrayExpression') return null;
+            locs.push(entry.elements.map(element => element ? labelValue(element) : undefined));
+        }
+    }
+
+    const dialect = {
+        kind: 'regenerator',
+        ctx,
+        temps: new Map(),                      // _context.t0 → local name
+        inner,
+        selfIsThis: !!self && self.type === 'ThisExpression',
+        prologue: body.slice(0, -1),
+        cases: switchStmt.cases,
+        tryLocs: locs.map(([start, handler, finalizer]) => ({ start, handler, finalizer })),
+        isSent: node => isMember(node, ctx, 'sent'),
+
+        isTransfer(node) {
+            let found = false;
+            const visit = (child, depth) => {
+                if (found || !child || typeof child.type !== 'string' || t.isFunction(child)) return;
+                if (child.type === 'AssignmentExpression' && isMember(child.left, ctx, 'next')) found = true;
+                else if (child.type === 'BreakStatement' && !child.label && depth === 0) found = true;
+                else if (child.type === 'CallExpression' && ['delegateYield', 'finish'].some(m => isContextCall(child, ctx, m))) found = true;
+                else if (isContextCall(child, ctx, 'abrupt') && !t.isStringLiteral(child.arguments[0], { value: 'return' })) found = true;
+                const nested = t.isLoop(child) || child.type === 'SwitchStatement' ? depth + 1 : depth;
+                for (const key of t.VISITOR_KEYS[child.type] || []) {
+                    for (const sub of [].concat(child[key])) visit(sub, nested);
+                }
+            };
+            visit(node, 0);
+            return found;
+        },
+
+        // One instruction, possibly consuming the statement after it
+        classify(stmt, next) {
+            const expr = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+            if (expr && expr.type === 'AssignmentExpression' && expr.operator === '=') {
+                if (isMember(expr.left, ctx, 'prev')) return { op: 'skip' };
+                if (isMember(expr.left, ctx, 'next')) {
+                    const target = labelValue(expr.right);
+                    if (target === undefined) throw new Error('computed jump');
+                    if (next && next.type === 'BreakStatement' && !next.label) return { op: 'jump', target, consumed: 2 };
+                    if (next && next.type === 'ReturnStatement') {
+                        return { op: 'yield', arg: next.argument, resume: target, consumed: 2 };
+                    }
+                    throw new Error('jump without break or yield');
+                }
+                if (t.isIdentifier(expr.left) && isContextCall(expr.right, ctx, 'catch')) {
+                    return { op: 'catch', param: expr.left };
+                }
+            }
+            if (expr && isContextCall(expr, ctx, 'catch')) return { op: 'catch', param: null };
+
+            if (stmt.type === 'ReturnStatement' && stmt.argument) {
+                const arg = stmt.argument;
+                if (isContextCall(arg, ctx, 'abrupt')) {
+                    const [type, value] = arg.arguments;
+                    if (t.isStringLiteral(type, { value: 'return' })) return { op: 'return', arg: value || null };
+                    if (t.isStringLiteral(type, { value: 'break' }) || t.isStringLiteral(type, { value: 'continue' })) {
+                        return { op: 'jump', target: labelValue(value) };
+                    }
+                    throw new Error(`abrupt ${type && type.value}`);
+                }
+                if (isContextCall(arg, ctx, 'stop')) return { op: 'end' };
+                if (isContextCall(arg, ctx, 'delegateYield')) {
+                    const [iterable, field, resume] = arg.arguments;
+                    const sent = t.isStringLiteral(field) ? dialect.temps.get(field.value) : undefined;
+                    if (!sent) throw new Error('delegateYield without result field');
+                    return { op: 'yield', arg: iterable, delegate: true, resume: labelValue(resume), sent };
+                }
+                if (isContextCall(arg, ctx, 'finish')) throw new Error('finally block');
+            }
+            return null;
+        },
+
+        // return _context.abrupt("return", x) nested in plain statements
+        translateReturn(stmt) {
+            if (stmt.argument && isContextCall(stmt.argument, ctx, 'abrupt') && t.isStringLiteral(stmt.argument.arguments[0], { value: 'return' })) {
+                return t.returnStatement(stmt.argument.arguments[1] || null);
+            }
+            if (stmt.argument && isContextCall(stmt.argument, ctx, 'stop')) return t.returnStatement(null);
+            throw new Error('unexpected return');
+        }
+    };
+    return dialect;
+}
+
+/**
+ * TypeScript: return __generator(this, function (_a) { switch (_a.label) { case 0: ...; return [4, x]; ... } })
+ */
+function typescriptDialect(func, parentStack) {
+    const body = func.body.body;
+    const ret = body[body.length - 1];
+    if (!ret || ret.type !== 'ReturnStatement' || !isHelperCall(ret.argument, 'generator', parentStack)) return null;
+    const [self, inner] = ret.argument.arguments;
+    if (!inner || inner.type !== 'FunctionExpression' || inner.params.length !== 1 || !t.isIdentifier(inner.params[0])) return null;
+    const ctx = inner.params[0].name;
+
+    const only = inner.body.body.length === 1 ? inner.body.body[0] : null;
+    const cases = only && only.type === 'SwitchStatement' && isMember(only.discriminant, ctx, 'label')
+        ? only.cases
+        : [t.switchCase(t.numericLiteral(0), inner.body.body)];
+    const opOf = (node) => {
+        if (node && node.type === 'SequenceExpression') node = node.expressions[node.expressions.length - 1];
+        return node && node.type === 'ArrayExpression' && t.isNumericLiteral(node.elements[0]) ? node.elements[0].value : null;
+    };
+    const isValues = node => node && node.type === 'CallExpression' && node.arguments.length === 1 && isHelperCall(node, 'values', parentStack);
+
+    return {
+        kind: 'typescript',
+        ctx,
+        inner,
+        selfIsThis: !!self && self.type === 'ThisExpression',
+        prologue: body.slice(0, -1),
+        cases,
+        tryLocs: [],
+        isSent: node => node.type === 'CallExpression' && node.arguments.length === 0 && isMember(node.callee, ctx, 'sent'),
+
+        isTransfer(node) {
+            let found = false;
+            walk(node, child => {
+                if (found) return false;
+                if (child.type === 'ReturnStatement' && opOf(child.argument) !== null && opOf(child.argument) !== OP_RETURN) found = true;
+                if (child.type === 'ConditionalExpression' && [child.consequent, child.alternate].some(branch => opOf(branch) !== null)) found = true;
+                if (child.type === 'MemberExpression' && t.isIdentifier(child.object, { name: ctx }) &&
+                    (t.isIdentifier(child.property, { name: 'label' }) || t.isIdentifier(child.property, { name: 'trys' }))) found = true;
+            });
+            return found;
+        },
+
+        classify(stmt, next, nextCase) {
+            const expr = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+            if (expr && expr.type === 'AssignmentExpression' && expr.operator === '=' && isMember(expr.left, ctx, 'label')) {
+                const target = labelValue(expr.right);
+                if (target === undefined) throw new Error('computed jump');
+                return { op: 'jump', target };
+            }
+            if (expr && expr.type === 'CallExpression' && expr.callee.type === 'MemberExpression' &&
+                isMember(expr.callee.object, ctx, 'trys') && t.isIdentifier(expr.callee.property, { name: 'push' })) {
+                const locs = expr.arguments[0];
+                if (!locs || locs.type !== 'ArrayExpression') throw new Error('unknown try block');
+                const [start, handler, finalizer] = [0, 1, 2].map(idx => locs.elements[idx] ? labelValue(locs.elements[idx]) : undefined);
+                return { op: 'try', locs: { start, handler, finalizer } };
+            }
+            if (stmt.type === 'ReturnStatement') {
+                const op = opOf(stmt.argument);
+                const value = op !== null ? stmt.argument.elements[1] || null : null;
+                switch (op) {
+                    case OP_RETURN: return { op: 'return', arg: value };
+                    case OP_BREAK: return { op: 'jump', target: labelValue(value) };
+                    case OP_YIELD:
+                        if (nextCase === null) throw new Error('yield in last case');
+                        return { op: 'yield', arg: value, resume: nextCase };
+                    case OP_YIELD_STAR:
+                        if (nextCase === null) throw new Error('yield in last case');
+                        return { op: 'yield', arg: isValues(value) ? value.arguments[0] : value, delegate: true, resume: nextCase };
+                    case null: throw new Error('return without instruction');
+                    default: throw new Error(`instruction ${op}`);
+                }
+            }
+            return null;
+        },
+
+        translateReturn(stmt) {
+            if (opOf(stmt.argument) === OP_RETURN) return t.returnStatement(stmt.argument.elements[1] || null);
+            throw new Error('unexpected return');
+        }
+    };
+}
+
+/**
+ * Read the switch cases into basic blocks
+ *
+ * @returns {Object} { blocks: Map(id → { id, order, stmts, term }), entry, tryLocs, catchParams }
+ */
+function buildGraph(machine) {
+    const blocks = new Map();
+    const catchParams = new Map();
+    const tryLocs = machine.tryLocs.slice();
+    let order = 0;
+    let synthetic = 0;
+
+    const newBlock = (id) => {
+        if (blocks.has(id)) throw new Error(`duplicate label ${id}`);
+        const block = { id, order: order++, stmts: [], term: null };
+        blocks.set(id, block);
+        return block;
+    };
+
+    // Plain statements may still return from the function: return _context.abrupt("return", x) → return x
+    const plain = (stmt) => {
+        if (stmt.type === 'ReturnStatement') return machine.translateReturn(stmt);
+        replaceIn(stmt, child => child.type === 'ReturnStatement' ? machine.translateReturn(child) : undefined);
+        return stmt;
+    };
+
+    // Lower a statement list into `block`, continuing at `cont` when it falls off the end
+    const lower = (stmts, block, cont, nextCase) => {
+        stmts = flatten(stmts, node => machine.isTransfer(node));
+        for (let i = 0; i < stmts.length; i++) {
+            const stmt = stmts[i];
+            const instr = machine.classify(stmt, stmts[i + 1], nextCase);
+
+            if (instr) {
+                switch (instr.op) {
+                    case 'skip':
+                        continue;
+                    case 'try':
+                        if (block.stmts.length || block.id !== instr.locs.start) throw new Error('try block inside a case');
+                        tryLocs.push(instr.locs);
+                        continue;
+                    case 'catch':
+                        if (block.stmts.length) throw new Error('catch inside a case');
+                        catchParams.set(block.id, instr.param);
+                        continue;
+                    default:
+                        if (instr.target === undefined && instr.op === 'jump') throw new Error('computed jump');
+                        block.term = instr;
+                        return;
+                }
+            }
+
+            if (stmt.type === 'IfStatement' && machine.isTransfer(stmt)) {
+                const restId = `${block.id}.${synthetic++}`;
+                const thenId = `${block.id}.${synthetic++}`;
+                const elseId = stmt.alternate ? `${block.id}.${synthetic++}` : restId;
+                block.term = { op: 'cond', test: stmt.test, target: thenId, next: elseId };
+
+                const branchBody = node => node.type === 'BlockStatement' ? node.body : [node];
+                lower(branchBody(stmt.consequent), newBlock(thenId), restId, nextCase);
+                if (stmt.alternate) lower(branchBody(stmt.alternate), newBlock(elseId), restId, nextCase);
+                lower(stmts.slice(i + 1), newBlock(restId), cont, nextCase);
+                return;
+            }
+
+            if (machine.isTransfer(stmt)) throw new Error(`${stmt.type} jumps between states`);
+            block.stmts.push(plain(stmt));
+            if (stmt.type === 'ThrowStatement' || stmt.type === 'ReturnStatement') {
+                block.term = { op: 'halt' };
+                return;
+            }
+        }
+        block.term = cont !== null ? { op: 'jump', target: cont } : { op: 'end' };
+    };
+
+    machine.cases.forEach((switchCase, idx) => {
+        if (!switchCase.test) throw new Error('default case');
+        const next = idx + 1 < machine.cases.length ? labelValue(machine.cases[idx + 1].test) : null;
+        lower(switchCase.consequent, newBlock(labelValue(switchCase.test)), next, next);
+    });
+
+    for (const locs of tryLocs) {
+        if (locs.finalizer !== undefined) throw new Error('finally block');
+        if (locs.handler === undefined || !blocks.has(locs.start) || !blocks.has(locs.handler)) throw new Error('unknown try block');
+    }
+
+    // TypeScript hands the exception to the catch block through _a.sent()
+    if (machine.kind === 'typescript') {
+        for (const { handler } of tryLocs) {
+            const block = blocks.get(handler);
+            const first = block.stmts[0];
+            if (first && first.type === 'ExpressionStatement' && machine.isSent(first.expression)) {
+                block.stmts.shift();
+                catchParams.set(handler, null);
+            } else if (first && first.type === 'ExpressionStatement' && first.expression.type === 'AssignmentExpression' &&
+                       t.isIdentifier(first.expression.left) && machine.isSent(first.expression.right)) {
+                block.stmts.shift();
+                catchParams.set(handler, first.expression.left);
+            } else {
+                catchParams.set(handler, null);
+            }
+        }
+    }
+
+    return { blocks, entry: labelValue(machine.cases[0].test), tryLocs, catchParams };
+}
+
+function successors(term) {
+    switch (term.op) {
+        case 'jump': return [term.target];
+        case 'cond': return [term.target, term.next];
+        case 'yield': return [term.resume];
+        default: return [];
+    }
+}
+
+/**
+ * Skip blocks that only jump, and put every yield back into the expression that reads its result
+ */
+function simplifyGraph(graph, machine) {
+    const { blocks, tryLocs, catchParams } = graph;
+    const pinned = new Set([graph.entry, ...catchParams.keys()]);
+    tryLocs.forEach(locs => pinned.add(locs.start));
+
+    const alias = new Map();
+    for (const block of blocks.values()) {
+        if (!pinned.has(block.id) && block.stmts.length === 0 && block.term.op === 'jump') alias.set(block.id, block.term.target);
+    }
+    const resolve = (id) => {
+        const seen = new Set();
+        while (alias.has(id)) {
+            if (seen.has(id)) throw new Error('empty loop');
+            seen.add(id);
+            id = alias.get(id);
+        }
+        if (!blocks.has(id)) throw new Error(`jump to unknown label ${id}`);
+        return id;
+    };
+    for (const id of alias.keys()) blocks.delete(id);
+    for (const block of blocks.values()) {
+        for (const key of ['target', 'next', 'resume']) {
+            if (block.term[key] !== undefined) block.term[key] = resolve(block.term[key]);
+        }
+    }
+    tryLocs.forEach(locs => { locs.start = resolve(locs.start); locs.handler = resolve(locs.handler); });
+
+    const preds = new Map();
+    for (const block of blocks.values()) {
+        for (const succ of successors(block.term)) preds.set(succ, (preds.get(succ) || 0) + 1);
+    }
+
+    const isSentFor = term => term.sent ? (node => t.isIdentifier(node, { name: term.sent })) : machine.isSent;
+    const exprKey = term => term.op === 'cond' ? 'test' : (term.op === 'return' || term.op === 'yield') ? 'arg' : null;
+    const sentIn = (block, isSent) => {
+        const key = exprKey(block.term);
+        return block.stmts.reduce((sum, stmt) => sum + countIn(stmt, isSent), 0) +
+            (key && block.term[key] ? countIn(block.term[key], isSent) : 0);
+    };
+
+    for (const block of [...blocks.values()].sort((a, b) => a.order - b.order)) {
+        if (!blocks.has(block.id)) continue;
+        while (block.term.op === 'yield') {
+            const term = block.term;
+            const resume = blocks.get(term.resume);
+            const isSent = isSentFor(term);
+            const yieldExpr = t.yieldExpression(term.arg || null, !!term.delegate);
+            const reads = sentIn(resume, isSent);
+
+            // Resumed from several places: the yield stays a statement of its own
+            if (preds.get(resume.id) !== 1 || pinned.has(resume.id)) {
+                if (reads) throw new Error('yield result read after a join');
+                block.stmts.push(t.expressionStatement(yieldExpr));
+                block.term = { op: 'jump', target: resume.id };
+                break;
+            }
+
+            // The result is read first thing in the resumed block: x = _context.sent → x = yield ...
+            if (reads === 0) {
+                resume.stmts.unshift(t.expressionStatement(yieldExpr));
+            } else if (reads === 1) {
+                const first = resume.stmts[0];
+                const key = exprKey(resume.term);
+                if (first) {
+                    if (!countIn(first, isSent)) throw new Error('yield result read late');
+                    if (first.type === 'ExpressionStatement' && isSent(first.expression)) resume.stmts[0] = t.expressionStatement(yieldExpr);
+                    else replaceIn(first, child => isSent(child) ? yieldExpr : undefined);
+                } else if (isSent(resume.term[key])) {
+                    resume.term[key] = yieldExpr;
+                } else {
+                    replaceIn(resume.term[key], child => isSent(child) ? yieldExpr : undefined);
+                }
+            } else {
+                throw new Error('yield result read twice');
+            }
+
+            block.stmts.push(...resume.stmts);
+            block.term = resume.term;
+            blocks.delete(resume.id);
+        }
+    }
+
+    for (const block of blocks.values()) {
+        if (sentIn(block, machine.isSent)) throw new Error('yield result without a yield');
+        if (block.stmts.some(stmt => countIn(stmt, node => t.isIdentifier(node, { name: machine.ctx })))) {
+            throw new Error(`unsupported use of ${machine.ctx}`);
+        }
+    }
+}
+
+/**
+ * Turn the block graph back into statements
+ */
+function structure(graph) {
+    const { blocks, catchParams } = graph;
+    const orderOf = id => blocks.get(id).order;
+
+    const preds = new Map([...blocks.keys()].map(id => [id, []]));
+    for (const block of blocks.values()) {
+        for (const succ of successors(block.term)) preds.get(succ).push(block.id);
+    }
+
+    // Loops: a jump back to an earlier block
+    const loops = new Map();
+    for (const block of blocks.values()) {
+        for (const succ of successors(block.term)) {
+            if (orderOf(succ) > block.order) continue;
+            if (!loops.has(succ)) loops.set(succ, new Set([succ]));
+            const body = loops.get(succ);
+            const stack = [block.id];
+            while (stack.length) {
+                const id = stack.pop();
+                if (body.has(id)) continue;
+                body.add(id);
+                stack.push(...preds.get(id));
+            }
+        }
+    }
+    const loopExit = new Map();
+    for (const [header, body] of loops) {
+        const exits = new Set();
+        for (const id of body) {
+            for (const succ of successors(blocks.get(id).term)) if (!body.has(succ)) exits.add(succ);
+        }
+        if (exits.size > 1) throw new Error('loop with several exits');
+        loopExit.set(header, exits.size ? [...exits][0] : null);
+    }
+
+    const regions = graph.tryLocs.map(locs => ({
+        start: locs.start,
+        handler: locs.handler,
+        from: orderOf(locs.start),
+        to: orderOf(locs.handler)
+    })).sort((a, b) => b.to - a.to);
+    const regionsOf = id => regions.filter(region => orderOf(id) >= region.from && orderOf(id) < region.to);
+
+    const emitted = new Set();
+
+    // Blocks reachable from `from` by forward edges, stopping at the current loop's header and exit
+    const reach = (from, stop, env, ownRegion = null) => {
+        const seen = new Set();
+        const stack = [from];
+        while (stack.length) {
+            const id = stack.pop();
+            if (id === null || seen.has(id)) continue;
+            seen.add(id);
+            const loop = env.loops[env.loops.length - 1];
+            if (id === stop || (loop && (id === loop.header || id === loop.exit))) continue;
+            for (const succ of successors(blocks.get(id).term)) {
+                if (orderOf(succ) > orderOf(id) || (loop && (succ === loop.header || succ === loop.exit))) stack.push(succ);
+            }
+            const region = regions.find(r => r.start === id);
+            if (region && region !== ownRegion) stack.push(region.handler);
+        }
+        return seen;
+    };
+
+    const findJoin = (a, b, stop, env, ownRegion = null) => {
+        const loop = env.loops[env.loops.length - 1];
+        const fromB = reach(b, stop, env);
+        let best = null;
+        for (const id of reach(a, stop, env, ownRegion)) {
+            if (!fromB.has(id) || (loop && (id === loop.header || id === loop.exit))) continue;
+            if (best === null || orderOf(id) < orderOf(best)) best = id;
+        }
+        return best;
+    };
+
+    // Leaving the current block for `target`: continue / break out of the loop, or go on
+    const transfer = (target, out, stop, env) => {
+        if (target === stop) return stop;
+        for (let i = env.loops.length - 1; i >= 0; i--) {
+            const loop = env.loops[i];
+            if (target !== loop.header && target !== loop.exit) continue;
+            if (i !== env.loops.length - 1) throw new Error('jump out of a nested loop');
+            out.push(target === loop.header ? t.continueStatement() : t.breakStatement());
+            return null;
+        }
+        return target;
+    };
+
+    const emitBranch = (target, join, env) => {
+        const out = [];
+        const next = transfer(target, out, join, env);
+        if (next !== null && next !== join) out.push(...emitSeq(next, join, env));
+        return out;
+    };
+
+    const emitLoop = (header, out, stop, env) => {
+        const exit = loopExit.get(header);
+        const inner = { ...env, loops: [...env.loops, { header, exit }] };
+        let body = emitSeq(header, null, inner, header);
+
+        while (body.length && body[body.length - 1].type === 'ContinueStatement') body.pop();
+        let loop;
+        const first = body[0];
+        const last = body[body.length - 1];
+        const beforeLast = body[body.length - 2];
+        if (first && first.type === 'IfStatement' && !first.alternate && first.consequent.body.length === 1 &&
+            first.consequent.body[0].type === 'BreakStatement') {
+            loop = t.whileStatement(negate(first.test), t.blockStatement(body.slice(1)));
+        } else if (last && last.type === 'BreakStatement' && beforeLast && beforeLast.type === 'IfStatement' && !beforeLast.alternate &&
+                   beforeLast.consequent.body.length === 1 && beforeLast.consequent.body[0].type === 'ContinueStatement' &&
+                   countContinues(body.slice(0, -2)) === 0) {
+            loop = t.doWhileStatement(beforeLast.test, t.blockStatement(body.slice(0, -2)));
+        } else {
+            loop = t.whileStatement(t.booleanLiteral(true), t.blockStatement(body));
+        }
+        out.push(loop);
+        return exit === null ? null : transfer(exit, out, stop, env);
+    };
+
+    const emitTry = (region, out, stop, env) => {
+        const after = findJoin(region.start, region.handler, stop, env, region);
+        const inner = { ...env, tries: new Set([...env.tries, region]) };
+        const block = emitSeq(region.start, after, inner);
+        const handler = emitSeq(region.handler, after, env);
+        const param = catchParams.get(region.handler) || null;
+        out.push(t.tryStatement(t.blockStatement(block), t.catchClause(param, t.blockStatement(handler))));
+        return after === null ? null : transfer(after, out, stop, env);
+    };
+
+    const emitSeq = (id, stop, env, entering = null) => {
+        const out = [];
+        while (id !== null && id !== stop) {
+            const region = regions.find(r => r.start === id && !env.tries.has(r));
+            if (region) {
+                id = emitTry(region, out, stop, env);
+                continue;
+            }
+            if (loops.has(id) && id !== entering) {
+                id = emitLoop(id, out, stop, env);
+                continue;
+            }
+            entering = null;
+
+            const block = blocks.get(id);
+            const expected = regionsOf(id);
+            if (expected.length !== env.tries.size || expected.some(r => !env.tries.has(r))) throw new Error('jump into or out of a try block');
+            if (emitted.has(id)) {
+                if (block.stmts.length || !['return', 'end'].includes(block.term.op)) throw new Error(`block ${id} reached twice`);
+            }
+            emitted.add(id);
+            out.push(...block.stmts.map(stmt => t.cloneNode(stmt, true)));
+
+            const term = block.term;
+            switch (term.op) {
+                case 'return':
+                    out.push(t.returnStatement(term.arg ? t.cloneNode(term.arg, true) : null));
+                    id = null;
+                    break;
+                case 'end':
+                    out.push(t.returnStatement(null));
+                    id = null;
+                    break;
+                case 'halt':
+                    id = null;
+                    break;
+                case 'jump':
+                    id = transfer(term.target, out, stop, env);
+                    break;
+                case 'cond': {
+                    const join = findJoin(term.target, term.next, stop, env);
+                    const consequent = emitBranch(term.target, join, env);
+                    const alternate = emitBranch(term.next, join, env);
+                    out.push(...makeIf(term.test, consequent, alternate));
+                    id = join;
+                    break;
+                }
+                default:
+                    throw new Error(`unexpected ${term.op}`);
+            }
+        }
+        return out;
+    };
+
+    const body = emitSeq(graph.entry, null, { loops: [], tries: new Set() });
+    if (emitted.size !== blocks.size) {
+        const unreachable = [...blocks.values()].filter(block => !emitted.has(block.id));
+        if (unreachable.some(block => block.stmts.length)) throw new Error('unreachable state');
+    }
+    return body;
+}
+
+function countContinues(stmts) {
+    let count = 0;
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string' || t.isFunction(node) || t.isLoop(node)) return;
+        if (node.type === 'ContinueStatement' && !node.label) count++;
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const child of [].concat(node[key])) visit(child);
+        }
+    };
+    stmts.forEach(visit);
+    return count;
+}
+
+/**
+ * regenerator spills values across yields into _context.t0, _context.t1, ...
+ * Give them local names, then fold `_t0 = x; f(_t0)` back into `f(x)`
+ */
+function renameTemporaries(machine, usedNames) {
+    const temps = machine.temps;
+    const tempName = (field) => {
+        if (!temps.has(field)) {
+            let name = `_${field}`;
+            for (let n = 2; usedNames.has(name); n++) name = `_${field}$${n}`;
+            usedNames.add(name);
+            temps.set(field, name);
+        }
+        return temps.get(field);
+    };
+    const isTemp = node => node && node.type === 'MemberExpression' && !node.computed && t.isIdentifier(node.object, { name: machine.ctx }) &&
+        t.isIdentifier(node.property) && /^t\d+$/.test(node.property.name);
+
+    for (const switchCase of machine.cases) {
+        const holder = t.blockStatement(switchCase.consequent);
+        walk(holder, (node) => {
+            if (isContextCall(node, machine.ctx, 'delegateYield') && t.isStringLiteral(node.arguments[1])) tempName(node.arguments[1].value);
+        });
+        replaceIn(holder, node => isTemp(node) ? t.identifier(tempName(node.property.name)) : undefined);
+        switchCase.consequent = holder.body;
+    }
+    return new Set(temps.values());
+}
+
+function inlineTemporaries(temps, root) {
+    const uses = name => countIn(root, node => t.isIdentifier(node, { name }));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const lists = [];
+        walk(root, (node) => {
+            if (node.type === 'BlockStatement' || node.type === 'Program') lists.push(node.body);
+        });
+        for (const list of lists) {
+            for (let i = 0; i < list.length - 1; i++) {
+                const stmt = list[i];
+                const expr = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+                if (!expr || expr.type !== 'AssignmentExpression' || expr.operator !== '=' || !t.isIdentifier(expr.left) ||
+                    !temps.has(expr.left.name) || uses(expr.left.name) !== 2) continue;
+                const next = list[i + 1];
+                const target = next.type === 'IfStatement' ? next.test
+                    : next.type === 'ExpressionStatement' ? next.expression
+                    : next.type === 'ReturnStatement' ? next.argument : null;
+                if (!target) continue;
+                const holder = t.expressionStatement(target);
+                if (countIn(holder, node => t.isIdentifier(node, { name: expr.left.name })) !== 1) continue;
+                if (t.isIdentifier(target, { name: expr.left.name })) {
+                    if (next.type === 'IfStatement') next.test = expr.right;
+                    else if (next.type === 'ExpressionStatement') next.expression = expr.right;
+                    else next.argument = expr.right;
+                } else {
+                    replaceIn(holder, node => t.isIdentifier(node, { name: expr.left.name }) ? expr.right : undefined);
+                }
+                list.splice(i, 1);
+                changed = true;
+                break;
+            }
+            if (changed) break;
+        }
+    }
+}
+
+/**
+ * TypeScript hoists catch parameters with the other locals: var res, e_1;
+ * Drop the declaration when only the catch clause uses the name
+ */
+function dropCatchVariables(body, names) {
+    for (const name of names) {
+        let outside = 0;
+        const visit = (node) => {
+            if (!node || typeof node.type !== 'string') return;
+            if (node.type === 'CatchClause' && t.isIdentifier(node.param, { name })) return;
+            if (node.type === 'Identifier' && node.name === name) outside++;
+            for (const key of t.VISITOR_KEYS[node.type] || []) {
+                for (const child of [].concat(node[key])) visit(child);
+            }
+        };
+        visit(body);
+        if (outside !== 1) continue;
+
+        for (const stmt of body.body) {
+            if (stmt.type !== 'VariableDeclaration') continue;
+            const idx = stmt.declarations.findIndex(decl => t.isIdentifier(decl.id, { name }) && !decl.init);
+            if (idx === -1) continue;
+            stmt.declarations.splice(idx, 1);
+            if (!stmt.declarations.length) body.body.splice(body.body.indexOf(stmt), 1);
+            break;
+        }
+    }
+}
+
+function collectNames(node) {
+    const names = new Set();
+    const visit = (child) => {
+        if (!child || typeof child.type !== 'string') return;
+        if (child.type === 'Identifier') names.add(child.name);
+        for (const key of t.VISITOR_KEYS[child.type] || []) {
+            for (const sub of [].concat(child[key])) visit(sub);
+        }
+    };
+    visit(node);
+    return names;
+}
+
+/**
+ * Rebuild a generator from the state machine in `func`'s body
+ *
+ * @returns {Object|null} New body, null when `func` holds no state machine
+ * @throws {Error} When the machine is too irregular to restructure
+ */
+function rebuildGenerator(func, parentStack) {
+    if (!func.body || func.body.type !== 'BlockStatement' || func.generator || func.async) return null;
+    if (!regeneratorDialect(func) && !typescriptDialect(func, parentStack)) return null;
+
+    // Work on a copy so a failure leaves the function as it was
+    const copy = t.cloneNode(func, true);
+    const machine = regeneratorDialect(copy) || typescriptDialect(copy, parentStack);
+    if (machine.prologue.some(stmt => stmt.type !== 'VariableDeclaration' && stmt.type !== 'FunctionDeclaration')) {
+        throw new Error('code before the state machine');
+    }
+    if (!machine.selfIsThis && usesThis(machine.inner.body)) throw new Error('this is rebound');
+
+    const temps = machine.kind === 'regenerator' ? renameTemporaries(machine, collectNames(func)) : new Set();
+    const graph = buildGraph(machine);
+    simplifyGraph(graph, machine);
+    const result = t.blockStatement([...machine.prologue, ...structure(graph)]);
+    const last = () => result.body[result.body.length - 1];
+    while (last() && last().type === 'ReturnStatement' && !last().argument) result.body.pop();
+
+    dropCatchVariables(result, [...graph.catchParams.values()].filter(Boolean).map(param => param.name));
+    if (temps.size) {
+        inlineTemporaries(temps, result);
+        const catchNames = new Set([...graph.catchParams.values()].filter(Boolean).map(param => param.name));
+        const left = [...temps].filter(name => !catchNames.has(name) && countIn(result, node => t.isIdentifier(node, { name })));
+        if (left.length) {
+            result.body.unshift(t.variableDeclaration('var', left.map(name => t.variableDeclarator(t.identifier(name)))));
+        }
+    }
+    return result;
+}
+
+/**
+ * yield → await in a generator that stood for an async function
+ *
+ * @returns {boolean} false when the body delegates (yield*), which has no await form
+ */
+function toAsyncBody(body) {
+    let ok = true;
+    const convert = (node) => {
+        if (node.type !== 'YieldExpression') return undefined;
+        if (node.delegate) {
+            ok = false;
+            return undefined;
+        }
+        const holder = t.expressionStatement(node.argument || t.identifier('undefined'));
+        replaceIn(holder, convert);
+        return t.awaitExpression(holder.expression);
+    };
+    replaceIn(body, convert);
+    return ok;
+}
+
+function functionName(func, parentStack) {
+    if (func.id) return func.id.name;
+    const parent = parentStack.last();
+    if (parent && parent.node.type === 'VariableDeclarator' && t.isIdentifier(parent.node.id)) return parent.node.id.name;
+    if (parent && (parent.node.type === 'ObjectProperty' || parent.node.type === 'AssignmentExpression')) {
+        const key = parent.node.key || (parent.node.left && parent.node.left.property);
+        if (t.isIdentifier(key)) return key.name;
+    }
+    return '(anonymous)';
+}
+
+/**
+ * function F() { return __awaiter(this, void 0, void 0, function* () { ... }) }  →  async function F() { ... }
+ */
+function restoreAwaiter(func, parentStack) {
+    let call = null;
+    if (func.body.type === 'BlockStatement' && func.body.body.length === 1 && func.body.body[0].type === 'ReturnStatement') {
+        call = func.body.body[0].argument;
+    } else if (func.type === 'ArrowFunctionExpression' && func.body.type !== 'BlockStatement') {
+        call = func.body;
+    }
+    if (!call || call.type !== 'CallExpression' || call.arguments.length !== 4 || !isHelperCall(call, 'awaiter', parentStack)) return false;
+    const [self, args, , generator] = call.arguments;
+    if (!generator || generator.type !== 'FunctionExpression' || !generator.generator || generator.params.length) return false;
+    if (usesThis(generator.body) && self.type !== 'ThisExpression') return false;
+    if (usesArguments(generator.body) && (func.type === 'ArrowFunctionExpression' || !t.isIdentifier(args, { name: 'arguments' }))) return false;
+
+    const body = t.cloneNode(generator.body, true);
+    if (!toAsyncBody(body)) return false;
+    func.body = body;
+    func.async = true;
+    func.generator = false;
+    if (func.type === 'ArrowFunctionExpression') func.expression = false;
+    return true;
+}
+
+/**
+ * _asyncToGenerator(function* (a) { ... })  →  async function (a) { ... }
+ */
+function restoreAsyncToGenerator(call, parentStack) {
+    if (call.arguments.length !== 1 || !isHelperCall(call, 'asyncToGenerator', parentStack)) return null;
+    const generator = call.arguments[0];
+    if (!generator || generator.type !== 'FunctionExpression' || !generator.generator) return null;
+
+    const body = t.cloneNode(generator.body, true);
+    if (!toAsyncBody(body)) return null;
+    const id = generator.id && countIn(body, node => t.isIdentifier(node, { name: generator.id.name })) ? generator.id : null;
+    return t.functionExpression(id, generator.params, body, false, true);
+}
+
+// return _ref.apply(this, arguments);
+function isForwardingBody(body, name) {
+    if (!body || body.type !== 'BlockStatement' || body.body.length !== 1 || body.body[0].type !== 'ReturnStatement') return false;
+    const call = body.body[0].argument;
+    return !!call && call.type === 'CallExpression' && isMember(call.callee, name, 'apply') && call.arguments.length === 2 &&
+        call.arguments[0].type === 'ThisExpression' && t.isIdentifier(call.arguments[1], { name: 'arguments' });
+}
+
+function asAsyncFunction(id, asyncFunc) {
+    return t.functionExpression(id, asyncFunc.params, asyncFunc.body, false, true);
+}
+
+/**
+ * function () { var _ref = async function (a) {...}; return function f(_x) { return _ref.apply(this, arguments); }; }()
+ *   →  async function f(a) {...}
+ */
+function collapseAsyncIIFE(call) {
+    const callee = call.callee;
+    if (call.arguments.length || callee.type !== 'FunctionExpression' || callee.params.length || callee.body.body.length < 2) return null;
+    const [decl, ...rest] = callee.body.body;
+    if (decl.type !== 'VariableDeclaration' || decl.declarations.length !== 1 || !t.isIdentifier(decl.declarations[0].id)) return null;
+    const ref = decl.declarations[0].id.name;
+    const asyncFunc = decl.declarations[0].init;
+    if (!asyncFunc || asyncFunc.type !== 'FunctionExpression' || !asyncFunc.async) return null;
+
+    // return function f(_x) { return _ref.apply(this, arguments); };
+    if (rest.length === 1 && rest[0].type === 'ReturnStatement' && rest[0].argument && rest[0].argument.type === 'FunctionExpression' &&
+        isForwardingBody(rest[0].argument.body, ref)) {
+        return asAsyncFunction(rest[0].argument.id, asyncFunc);
+    }
+    // function f() { return _ref.apply(this, arguments); } return f;
+    if (rest.length === 2 && rest[0].type === 'FunctionDeclaration' && isForwardingBody(rest[0].body, ref) &&
+        rest[1].type === 'ReturnStatement' && t.isIdentifier(rest[1].argument, { name: rest[0].id.name })) {
+        return asAsyncFunction(rest[0].id, asyncFunc);
+    }
+    return null;
+}
+
+/**
+ * The async function held by a hoisted implementation, or null:
+ *   function _f() { _f = async function (a) {...}; return _f.apply(this, arguments); }
+ *   function _f() { return (_f = async function (a) {...}).apply(this, arguments); }
+ */
+function hoistedAsync(impl) {
+    if (impl.type !== 'FunctionDeclaration' || impl.params.length || !impl.id) return null;
+    const name = impl.id.name;
+    const body = impl.body.body;
+    let assign = null;
+    if (body.length === 2 && body[0].type === 'ExpressionStatement' && isForwardingBody(t.blockStatement([body[1]]), name)) {
+        assign = body[0].expression;
+    } else if (body.length === 1 && body[0].type === 'ReturnStatement' && body[0].argument && body[0].argument.type === 'CallExpression') {
+        const call = body[0].argument;
+        const callee = call.callee;
+        if (callee.type === 'MemberExpression' && !callee.computed && t.isIdentifier(callee.property, { name: 'apply' }) &&
+            call.arguments.length === 2 && call.arguments[0].type === 'ThisExpression' && t.isIdentifier(call.arguments[1], { name: 'arguments' })) {
+            assign = callee.object;
+        }
+    }
+    if (!assign || assign.type !== 'AssignmentExpression' || assign.operator !== '=' || !t.isIdentifier(assign.left, { name }) ||
+        assign.right.type !== 'FunctionExpression' || !assign.right.async) return null;
+    return assign.right;
+}
+
+/**
+ * function f(_x) { return _f.apply(this, arguments); }
+ * function _f() { _f = async function (a) {...}; return _f.apply(this, arguments); }
+ *   →  async function f(a) {...}
+ */
+function collapseHoistedAsync(statements) {
+    let collapsed = 0;
+    for (let i = statements.length - 1; i >= 0; i--) {
+        const impl = statements[i];
+        const asyncFunc = hoistedAsync(impl);
+        if (!asyncFunc) continue;
+        const name = impl.id.name;
+
+        const wrappers = statements.filter(stmt => stmt.type === 'FunctionDeclaration' && stmt !== impl && isForwardingBody(stmt.body, name));
+        if (wrappers.length !== 1) continue;
+        // _f in the wrapper, the implementation's name and its _f = ... / _f.apply
+        const uses = statements.reduce((sum, stmt) => sum + countReferences(stmt, name), 0);
+        if (uses !== countReferences(impl, name) + 1) continue;
+
+        const wrapper = wrappers[0];
+        wrapper.params = asyncFunc.params;
+        wrapper.body = asyncFunc.body;
+        wrapper.async = true;
+        statements.splice(i, 1);
+        collapsed++;
+    }
+    return collapsed;
+}
+
+/**
+ * var _marked = regeneratorRuntime.mark(gen);  — dead once gen is a real generator
+ */
+function removeUnusedMarks(program, generators) {
+    let removed = 0;
+    const containers = [];
+    const collect = (node, scope) => {
+        if (!node || typeof node.type !== 'string') return;
+        if (node.type === 'Program' || node.type === 'BlockStatement') containers.push({ block: node, scope });
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const child of [].concat(node[key])) collect(child, t.isFunction(child) ? child.body : scope);
+        }
+    };
+    collect(program, program);
+    for (const { block, scope } of containers) {
+        const list = block.body;
+        for (let i = list.length - 1; i >= 0; i--) {
+            const stmt = list[i];
+            if (stmt.type !== 'VariableDeclaration') continue;
+            stmt.declarations = stmt.declarations.filter((decl) => {
+                const init = decl.init;
+                const dead = t.isIdentifier(decl.id) && init && init.type === 'CallExpression' &&
+                    init.callee.type === 'MemberExpression' && t.isIdentifier(init.callee.property, { name: 'mark' }) &&
+                    init.arguments.length === 1 && t.isIdentifier(init.arguments[0]) && generators.has(init.arguments[0].name) &&
+                    countReferences(scope, decl.id.name) === 1;
+                if (dead) removed++;
+                return !dead;
+            });
+            if (!stmt.declarations.length) list.splice(i, 1);
+        }
+    }
+    return removed;
+}
+
+function recoverAsync(node, opts, parentStack) {
+    if (opts.config && opts.config.recoverAsync === false) {
+        return false;
+    }
+    const verbose = opts.config && opts.config.verbose;
+
+    // Program is visited last (bottom-up): drop the helpers and mark() calls nobody needs anymore
+    if (node.type === 'Program') {
+        const changed = collapseHoistedAsync(node.body) > 0;
+        if (!opts.recoveredAsync) return changed;
+        const marks = removeUnusedMarks(node, opts.restoredGenerators || new Set());
+        const removed = removeUnusedHelpers(node, ASYNC_HELPERS);
+        opts.recoveredAsync = 0;
+        opts.restoredGenerators = null;
+        if (removed + marks > 0 && verbose) {
+            (opts.logger || console).log(`[Async] Removed ${removed} unused async helpers and ${marks} mark() calls`);
+        }
+        return changed || removed + marks > 0;
+    }
+
+    if (node.type === 'BlockStatement') {
+        return collapseHoistedAsync(node.body) > 0;
+    }
+
+    if (t.isFunction(node)) {
+        let changed = false;
+        let body = null;
+        try {
+            body = rebuildGenerator(node, parentStack);
+        } catch (err) {
+            (opts.logger || console).warn(`[Async] Left the state machine of ${functionName(node, parentStack)} as is: ${err.message}`);
+        }
+        if (body) {
+            node.body = body;
+            node.generator = true;
+            opts.recoveredAsync = (opts.recoveredAsync || 0) + 1;
+            if (node.id) {
+                opts.restoredGenerators = opts.restoredGenerators || new Set();
+                opts.restoredGenerators.add(node.id.name);
+            }
+            if (verbose) (opts.logger || console).log(`[Async] Rebuilt ${functionName(node, parentStack)} from its state machine`);
+            changed = true;
+        }
+        if (restoreAwaiter(node, parentStack)) {
+            opts.recoveredAsync = (opts.recoveredAsync || 0) + 1;
+            if (verbose) (opts.logger || console).log(`[Async] Restored async function ${functionName(node, parentStack)}`);
+            changed = true;
+        }
+        return changed;
+    }
+
+    if (node.type !== 'CallExpression') return false;
+    const parentEntry = parentStack.last();
+    if (!parentEntry) return false;
+
+    // regeneratorRuntime.mark(function* () {...}) → function* () {...}
+    const arg = node.arguments[0];
+    if (node.callee.type === 'MemberExpression' && t.isIdentifier(node.callee.property, { name: 'mark' }) &&
+        node.arguments.length === 1 && arg.type === 'FunctionExpression' && arg.generator) {
+        Utils.replaceChildInParentNode(arg, parentEntry);
+        return true;
+    }
+
+    const replacement = restoreAsyncToGenerator(node, parentStack) || collapseAsyncIIFE(node);
+    if (!replacement) return false;
+    Utils.replaceChildInParentNode(replacement, parentEntry);
+    opts.recoveredAsync = (opts.recoveredAsync || 0) + 1;
+    return true;
+}
+
+module.exports = recoverAsync;
@@ -6,7 +6,7 @@ function recoverBooleans(node, opts, parentStack) {
     if (node.type == "UnaryExpression" && ["!", "void"].includes(node.operator) && 
         node.argument.type == "NumericLiteral" && [0,1].includes(node.argument.value)) {
         if (opts.config.verbose) {
-            console.log('Rewriting !(0|1) or (void 0) expression.');
+            (opts.logger || console).log('Rewriting !(0|1) or (void 0) expression.');
         }
         let newNode = node.operator == "!" ? t.booleanLiteral(!node.argument.value) : t.identifier("undefined");
         Utils.replaceChildInParentNode(newNode, parentNode, 1);
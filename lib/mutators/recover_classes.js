@@ -0,0 +1,626 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+const { resolveHelper, removeUnusedHelpers } = require('../detectors/transpiler_helpers');
+
+// Helpers that only exist to support downlevelled classes
+const CLASS_HELPERS = new Set([
+    'classCallCheck', 'inherits', 'possibleConstructorReturn', 'assertThisInitialized', 'createSuper', 'callSuper',
+    'isNativeReflectConstruct', 'getPrototypeOf', 'setPrototypeOf', 'defineProperties', 'createClass', 'defineProperty',
+    'superGet', 'superPropBase', 'typeof'
+]);
+
+/**
+ * Recover Classes
+ *
+ * Rebuilds ES2015 classes from the prototype assembly Babel and TypeScript
+ * emit when targeting ES5:
+ *
+ *   var Dog = function (_Animal) {                  class Dog extends Animal {
+ *     _inherits(Dog, _Animal);                          constructor(name) {
+ *     var _super = _createSuper(Dog);                     super(name);
+ *     function Dog(name) {                                this.tricks = [];
+ *       var _this;                                      }
+ *       _classCallCheck(this, Dog);           →         speak() {...}
+ *       _this = _super.call(this, name);                static create() {...}
+ *       _this.tricks = [];                            }
+ *       return _this;
+ *     }
+ *     _createClass(Dog, [{ key: "speak", value: function speak() {...} }],
+ *                       [{ key: "create", value: function create() {...} }]);
+ *     return Dog;
+ *   }(Animal);
+ *
+ * TypeScript / Babel loose output (Dog.prototype.speak = function () {...},
+ * Object.defineProperty(Dog.prototype, "x", { get: ... }), _super.call(this) || this)
+ * is handled the same way. Helpers are recognized by their body
+ * (detectors/transpiler_helpers.js), so minified helpers work too.
+ *
+ * Anything the rewrite cannot prove equivalent leaves the IIFE untouched.
+ * Helpers left without callers are removed once the Program is reached.
+ *
+ * Runs bottom-up: classes nested in methods are rebuilt before their outer class.
+ */
+
+/**
+ * Does `node` contain a reference to `name` (outside nested functions when `shallow`)?
+ */
+function references(node, name, shallow) {
+    let found = false;
+    const visit = (child, isRoot) => {
+        if (found || !child || typeof child.type !== 'string') return;
+        if (child.type === 'Identifier' && child.name === name) {
+            found = true;
+            return;
+        }
+        if (shallow && !isRoot && t.isFunction(child) && child.type !== 'ArrowFunctionExpression') return;
+        for (const key of t.VISITOR_KEYS[child.type] || []) {
+            // obj.name is not a reference to name
+            if (child.type === 'MemberExpression' && key === 'property' && !child.computed) continue;
+            if ((child.type === 'ObjectProperty' || child.type === 'ObjectMethod') && key === 'key' && !child.computed) continue;
+            for (const sub of [].concat(child[key])) visit(sub, false);
+        }
+    };
+    visit(node, true);
+    return found;
+}
+
+/**
+ * Is `name` referenced from a nested non-arrow function (a transpiled arrow capturing _this)?
+ */
+function referencedInFunctions(node, name) {
+    let found = false;
+    const visit = (child, isRoot) => {
+        if (found || !child || typeof child.type !== 'string') return;
+        if (!isRoot && t.isFunction(child) && child.type !== 'ArrowFunctionExpression') {
+            found = references(child, name, false);
+            return;
+        }
+        for (const key of t.VISITOR_KEYS[child.type] || []) {
+            for (const sub of [].concat(child[key])) visit(sub, false);
+        }
+    };
+    visit(node, true);
+    return found;
+}
+
+/**
+ * Does `node` use `this` (outside nested non-arrow functions)?
+ */
+function usesThis(node) {
+    if (!node || typeof node.type !== 'string') return false;
+    if (node.type === 'ThisExpression') return true;
+    if (t.isFunction(node) && node.type !== 'ArrowFunctionExpression') return false;
+    return (t.VISITOR_KEYS[node.type] || []).some(key => [].concat(node[key]).some(usesThis));
+}
+
+/**
+ * Is `name` assigned anywhere in `node`?
+ */
+function isAssigned(node, name) {
+    if (!node || typeof node.type !== 'string') return false;
+    if ((node.type === 'AssignmentExpression' && t.isIdentifier(node.left, { name })) ||
+        (node.type === 'UpdateExpression' && t.isIdentifier(node.argument, { name })) ||
+        (node.type === 'VariableDeclarator' && t.isIdentifier(node.id, { name }))) return true;
+    return (t.VISITOR_KEYS[node.type] || []).some(key => [].concat(node[key]).some(child => isAssigned(child, name)));
+}
+
+/**
+ * Replace nodes in a subtree: `replace(node, parent)` returns a replacement or undefined
+ * Nested non-arrow functions are skipped when `shallow` (their `this` differs)
+ */
+function replaceIn(node, replace, shallow) {
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const value = node[key];
+        const children = Array.isArray(value) ? value : [value];
+        children.forEach((child, idx) => {
+            if (!child || typeof child.type !== 'string') return;
+            const replacement = replace(child, node, key);
+            if (replacement !== undefined) {
+                if (Array.isArray(value)) value[idx] = replacement;
+                else node[key] = replacement;
+                return;
+            }
+            if (shallow && t.isFunction(child) && child.type !== 'ArrowFunctionExpression') return;
+            replaceIn(child, replace, shallow);
+        });
+    }
+}
+
+/**
+ * Property key of a class member: "speak" → speak, Symbol.iterator → [Symbol.iterator]
+ */
+function memberKey(keyNode) {
+    if (t.isStringLiteral(keyNode) && t.isValidIdentifier(keyNode.value, false)) {
+        return { key: t.identifier(keyNode.value), computed: false };
+    }
+    if (t.isStringLiteral(keyNode) || t.isNumericLiteral(keyNode)) {
+        return { key: keyNode, computed: false };
+    }
+    return { key: keyNode, computed: true };
+}
+
+/**
+ * Class method from a function expression, or null when the function
+ * cannot become a method (arrow functions, self references through its own name)
+ */
+function classMethod(kind, keyNode, func, isStatic) {
+    if (!func || func.type !== 'FunctionExpression') return null;
+    if (func.id && references(func.body, func.id.name, false)) return null;
+    if (func.params.some(param => param.type === 'Identifier' && param.name === 'arguments')) return null;
+    const { key, computed } = memberKey(keyNode);
+    if (!computed && kind === 'method' && t.isIdentifier(key, { name: 'constructor' }) && !isStatic) return null;
+    const method = t.classMethod(kind, key, func.params, func.body, computed, isStatic, func.generator, func.async);
+    return method;
+}
+
+/**
+ * Methods from a _createClass descriptor array: [{ key: "speak", value: function () {} }, { key: "x", get: ... }]
+ */
+function descriptorMethods(array, isStatic) {
+    if (!array || t.isNullLiteral(array) || (t.isIdentifier(array, { name: 'undefined' }))) return [];
+    if (array.type !== 'ArrayExpression') return null;
+    const methods = [];
+    for (const descriptor of array.elements) {
+        if (!descriptor || descriptor.type !== 'ObjectExpression') return null;
+        let keyNode = null;
+        const accessors = [];
+        for (const prop of descriptor.properties) {
+            if (prop.type !== 'ObjectProperty' || prop.computed) return null;
+            const name = t.isIdentifier(prop.key) ? prop.key.name : (t.isStringLiteral(prop.key) ? prop.key.value : null);
+            if (name === 'key') keyNode = prop.value;
+            else if (name === 'value' || name === 'get' || name === 'set') accessors.push([name, prop.value]);
+            else return null;   // enumerable/writable flags: not a plain class member
+        }
+        if (!keyNode || accessors.length === 0) return null;
+        for (const [name, func] of accessors) {
+            const method = classMethod(name === 'value' ? 'method' : name, t.cloneNode(keyNode, true), func, isStatic);
+            if (!method) return null;
+            methods.push(method);
+        }
+    }
+    return methods;
+}
+
+/**
+ * Turn the super constructor call forms into super(...):
+ *   _super.call(this, a)                         (Babel createSuper / TypeScript / loose)
+ *   _super.apply(this, arguments)
+ *   _possibleConstructorReturn(this, _getPrototypeOf(Dog).call(this, a))
+ *   _possibleConstructorReturn(this, (Dog.__proto__ || Object.getPrototypeOf(Dog)).call(this, a))
+ *   _callSuper(this, Dog, [a])
+ * TypeScript's `... || this` and `_super !== null && ... || this` are unwrapped first.
+ *
+ * @returns {Object|null} super(...) call expression
+ */
+function superCall(expr, ctx) {
+    if (!expr) return null;
+    if (expr.type === 'LogicalExpression' && expr.operator === '||' && t.isThisExpression(expr.right)) {
+        return superCall(expr.left, ctx);
+    }
+    if (expr.type === 'LogicalExpression' && expr.operator === '&&' && expr.left.type === 'BinaryExpression' &&
+        expr.left.operator === '!==' && t.isIdentifier(expr.left.left, { name: ctx.superParam }) && t.isNullLiteral(expr.left.right)) {
+        return superCall(expr.right, ctx);
+    }
+    if (expr.type !== 'CallExpression') return null;
+
+    const role = t.isIdentifier(expr.callee) ? ctx.role(expr.callee.name) : null;
+    if (role === 'possibleConstructorReturn' && t.isThisExpression(expr.arguments[0])) {
+        return superCall(expr.arguments[1], ctx);
+    }
+    if (role === 'callSuper' && t.isThisExpression(expr.arguments[0]) && t.isIdentifier(expr.arguments[1], { name: ctx.name })) {
+        const args = expr.arguments[2];
+        if (!args) return t.callExpression(t.super(), []);
+        return t.callExpression(t.super(), args.type === 'ArrayExpression' ? args.elements : [t.spreadElement(args)]);
+    }
+
+    // X.call(this, ...args) / X.apply(this, arguments) where X is the parent constructor
+    if (expr.callee.type !== 'MemberExpression' || expr.callee.computed || !t.isThisExpression(expr.arguments[0])) return null;
+    if (!isParentConstructor(expr.callee.object, ctx)) return null;
+    if (t.isIdentifier(expr.callee.property, { name: 'call' })) {
+        return t.callExpression(t.super(), expr.arguments.slice(1));
+    }
+    if (t.isIdentifier(expr.callee.property, { name: 'apply' }) && expr.arguments.length === 2) {
+        return t.callExpression(t.super(), [t.spreadElement(expr.arguments[1])]);
+    }
+    return null;
+}
+
+/**
+ * _super (createSuper result or superclass parameter), _getPrototypeOf(Dog)
+ * or (Dog.__proto__ || Object.getPrototypeOf(Dog))
+ */
+function isParentConstructor(node, ctx) {
+    if (t.isIdentifier(node) && (node.name === ctx.superParam || node.name === ctx.createSuperName)) return true;
+    if (node.type === 'CallExpression' && t.isIdentifier(node.callee) && ctx.role(node.callee.name) === 'getPrototypeOf' &&
+        t.isIdentifier(node.arguments[0], { name: ctx.name })) return true;
+    if (node.type === 'CallExpression' && t.matchesPattern(node.callee, 'Object.getPrototypeOf') &&
+        t.isIdentifier(node.arguments[0], { name: ctx.name })) return true;
+    if (node.type === 'LogicalExpression') return isParentConstructor(node.left, ctx) || isParentConstructor(node.right, ctx);
+    return t.isMemberExpression(node) && t.isIdentifier(node.object, { name: ctx.name }) && t.isIdentifier(node.property, { name: '__proto__' });
+}
+
+/**
+ * Constructor body without the class machinery, or null when it does not fit a class constructor
+ */
+function constructorBody(func, ctx) {
+    const statements = func.body.body.filter(stmt => !(stmt.type === 'ExpressionStatement' &&
+        stmt.expression.type === 'CallExpression' && t.isIdentifier(stmt.expression.callee) &&
+        ctx.role(stmt.expression.callee.name) === 'classCallCheck'));
+
+    if (!ctx.superClass) {
+        // A plain constructor must not call the parent machinery or return a value
+        return statements;
+    }
+
+    // Derived: find `var _this = super-call`, `_this = super-call` or `return super-call`;
+    // statements before it may not touch `this`
+    const body = [];
+    let thisName = null;
+    let superIndex = -1;
+    for (const stmt of statements) {
+        if (superIndex !== -1) {
+            body.push(stmt);
+            continue;
+        }
+        if (stmt.type === 'VariableDeclaration' && stmt.declarations.length === 1 && !stmt.declarations[0].init &&
+            t.isIdentifier(stmt.declarations[0].id) && thisName === null) {
+            thisName = stmt.declarations[0].id.name;       // var _this;
+            continue;
+        }
+        let call = null;
+        if (stmt.type === 'VariableDeclaration' && stmt.declarations.length === 1 && t.isIdentifier(stmt.declarations[0].id)) {
+            call = superCall(stmt.declarations[0].init, ctx);
+            if (call) thisName = stmt.declarations[0].id.name;
+        } else if (stmt.type === 'ExpressionStatement' && stmt.expression.type === 'AssignmentExpression' &&
+                   stmt.expression.operator === '=' && t.isIdentifier(stmt.expression.left) &&
+                   (thisName === null || stmt.expression.left.name === thisName)) {
+            call = superCall(stmt.expression.right, ctx);
+            if (call) thisName = stmt.expression.left.name;
+        } else if (stmt.type === 'ReturnStatement') {
+            // Default constructor: return _super.apply(this, arguments)
+            call = superCall(stmt.argument, ctx);
+            if (call) thisName = null;
+        } else if (stmt.type === 'ExpressionStatement') {
+            call = superCall(stmt.expression, ctx);
+        }
+        if (call) {
+            superIndex = body.length;
+            body.push(t.expressionStatement(call));
+        } else if (!usesThis(stmt) && !(thisName && references(stmt, thisName, false))) {
+            body.push(stmt);                                // default parameters, ...
+        } else {
+            return null;
+        }
+    }
+    if (superIndex === -1) return null;
+
+    if (thisName) {
+        // return _this; at the end is implicit
+        const last = body[body.length - 1];
+        if (last && last.type === 'ReturnStatement' && t.isIdentifier(last.argument, { name: thisName })) {
+            body.pop();
+        }
+        const block = t.blockStatement(body);
+        if (isAssigned(block, thisName)) return null;
+        const captured = referencedInFunctions(block, thisName);
+        replaceIn(block, (node) => {
+            if (t.isIdentifier(node, { name: thisName })) return t.thisExpression();
+            // _assertThisInitialized(_this) → this
+            if (node.type === 'CallExpression' && t.isIdentifier(node.callee) && ctx.role(node.callee.name) === 'assertThisInitialized' &&
+                node.arguments.length === 1 && t.isIdentifier(node.arguments[0], { name: thisName })) return t.thisExpression();
+            return undefined;
+        }, true);
+        // Functions that captured _this (transpiled arrows) keep it as an alias
+        if (captured) {
+            block.body.splice(superIndex + 1, 0, t.variableDeclaration('var', [t.variableDeclarator(t.identifier(thisName), t.thisExpression())]));
+        }
+        return block.body;
+    }
+    return body;
+}
+
+/**
+ * Rewrite super property accesses inside a method:
+ *   _get(_getPrototypeOf(Dog.prototype), "speak", this).call(this, a) → super.speak(a)
+ *   _super.prototype.speak.call(this, a)                              → super.speak(a)
+ *   _super.create.call(this)   (static)                               → super.create()
+ */
+function rewriteSuperAccess(method, ctx) {
+    const homeObject = (node) => {
+        if (!node) return false;
+        const target = method.static ? null : 'prototype';
+        // _getPrototypeOf(Dog.prototype) / _getPrototypeOf(Dog)
+        if (node.type === 'CallExpression' && t.isIdentifier(node.callee) && ctx.role(node.callee.name) === 'getPrototypeOf') {
+            const arg = node.arguments[0];
+            return target ? t.isMemberExpression(arg) && t.isIdentifier(arg.object, { name: ctx.name }) &&
+                t.isIdentifier(arg.property, { name: target }) : t.isIdentifier(arg, { name: ctx.name });
+        }
+        return false;
+    };
+    const superMember = (property, computed) => t.memberExpression(t.super(), property, computed);
+    // _super.prototype.x (instance) or _super.x (static), _super being the superclass parameter
+    const parentMember = (node) => {
+        if (!t.isMemberExpression(node) || !ctx.superParam) return null;
+        if (method.static) {
+            return t.isIdentifier(node.object, { name: ctx.superParam }) ? superMember(node.property, node.computed) : null;
+        }
+        return t.isMemberExpression(node.object) && t.isIdentifier(node.object.object, { name: ctx.superParam }) &&
+            t.isIdentifier(node.object.property, { name: 'prototype' }) && !node.object.computed
+            ? superMember(node.property, node.computed) : null;
+    };
+    const superGet = (node) => {
+        if (node.type !== 'CallExpression' || !t.isIdentifier(node.callee) || ctx.role(node.callee.name) !== 'superGet') return null;
+        const [home, key, receiver] = node.arguments;
+        if (!homeObject(home) || !t.isThisExpression(receiver)) return null;
+        return t.isStringLiteral(key) && t.isValidIdentifier(key.value, false) ? superMember(t.identifier(key.value), false) : superMember(key, true);
+    };
+
+    replaceIn(method.body, (node) => {
+        // X.call(this, ...args) where X is a super member
+        if (node.type === 'CallExpression' && t.isMemberExpression(node.callee) && !node.callee.computed &&
+            t.isIdentifier(node.callee.property, { name: 'call' }) && t.isThisExpression(node.arguments[0])) {
+            const member = superGet(node.callee.object) || parentMember(node.callee.object);
+            if (member) return t.callExpression(member, node.arguments.slice(1));
+        }
+        return superGet(node) || parentMember(node) || undefined;
+    }, true);
+}
+
+/**
+ * Analyze a class IIFE and build the class members
+ *
+ * @returns {Object|null} { name, superClass, body }
+ */
+function analyzeClassIIFE(call, parentStack) {
+    const callee = call.callee;
+    if (callee.type !== 'FunctionExpression' || callee.params.length > 1 || call.arguments.length !== callee.params.length ||
+        callee.body.body.length < 2) return null;
+    const superParam = callee.params[0] ? (callee.params[0].type === 'Identifier' ? callee.params[0].name : null) : null;
+    if (callee.params[0] && !superParam) return null;
+
+    const statements = callee.body.body;
+    const ret = statements[statements.length - 1];
+    if (ret.type !== 'ReturnStatement' || !ret.argument) return null;
+
+    // return Dog; or return _createClass(Dog, [...]);
+    const className = t.isIdentifier(ret.argument) ? ret.argument.name
+        : (ret.argument.type === 'CallExpression' && t.isIdentifier(ret.argument.arguments[0]) ? ret.argument.arguments[0].name : null);
+    if (!className) return null;
+    const ctor = statements.find(stmt => stmt.type === 'FunctionDeclaration' && t.isIdentifier(stmt.id, { name: className }));
+    if (!ctor || ctor.async || ctor.generator) return null;
+
+    const role = (name) => {
+        const helper = resolveHelper(name, parentStack);
+        return helper ? helper.role : null;
+    };
+    const ctx = { name: className, superParam, createSuperName: null, superClass: null, role };
+    const members = [];
+    const methodsByKey = [];
+    let protoAlias = null;
+
+    const isClassRef = node => t.isIdentifier(node, { name: className });
+    const isPrototypeRef = node => (t.isIdentifier(node, { name: protoAlias }) && protoAlias !== null) ||
+        (t.isMemberExpression(node) && isClassRef(node.object) && t.isIdentifier(node.property, { name: 'prototype' }) && !node.computed);
+
+    const addCreateClass = (expr) => {
+        if (expr.type !== 'CallExpression' || !t.isIdentifier(expr.callee) || role(expr.callee.name) !== 'createClass' ||
+            !isClassRef(expr.arguments[0])) return false;
+        const proto = descriptorMethods(expr.arguments[1], false);
+        const statics = descriptorMethods(expr.arguments[2], true);
+        if (!proto || !statics) return false;
+        methodsByKey.push(...proto, ...statics);
+        return true;
+    };
+
+    for (const stmt of statements) {
+        if (stmt === ctor) continue;
+        if (stmt === ret) {
+            if (!isClassRef(ret.argument) && !addCreateClass(ret.argument)) return null;
+            continue;
+        }
+
+        if (stmt.type === 'VariableDeclaration' && stmt.declarations.length === 1 && t.isIdentifier(stmt.declarations[0].id)) {
+            const decl = stmt.declarations[0];
+            // var _super = _createSuper(Dog);
+            if (decl.init && decl.init.type === 'CallExpression' && t.isIdentifier(decl.init.callee) &&
+                role(decl.init.callee.name) === 'createSuper' && isClassRef(decl.init.arguments[0]) && ctx.createSuperName === null) {
+                ctx.createSuperName = decl.id.name;
+                continue;
+            }
+            // var _proto = Dog.prototype;  (loose mode / TypeScript)
+            if (decl.init && isPrototypeRef(decl.init) && protoAlias === null) {
+                protoAlias = decl.id.name;
+                continue;
+            }
+            return null;
+        }
+
+        if (stmt.type !== 'ExpressionStatement') return null;
+        const expr = stmt.expression;
+
+        if (expr.type === 'CallExpression' && t.isIdentifier(expr.callee)) {
+            const calleeRole = role(expr.callee.name);
+            // _inherits(Dog, _Animal) / __extends(Dog, _super)
+            if (calleeRole === 'inherits' && isClassRef(expr.arguments[0]) && superParam &&
+                t.isIdentifier(expr.arguments[1], { name: superParam }) && !ctx.superClass) {
+                ctx.superClass = call.arguments[0];
+                continue;
+            }
+            if (calleeRole === 'createClass' && addCreateClass(expr)) continue;
+            // _defineProperty(Dog, "count", 0) → static count = 0
+            if (calleeRole === 'defineProperty' && isClassRef(expr.arguments[0]) && expr.arguments.length === 3) {
+                const { key, computed } = memberKey(expr.arguments[1]);
+                methodsByKey.push(t.classProperty(key, expr.arguments[2], null, null, computed, true));
+                continue;
+            }
+            return null;
+        }
+
+        // Object.defineProperty(Dog.prototype, "x", { get: function () {}, enumerable: false, configurable: true })
+        if (expr.type === 'CallExpression' && t.matchesPattern(expr.callee, 'Object.defineProperty') && expr.arguments.length === 3 &&
+            (isPrototypeRef(expr.arguments[0]) || isClassRef(expr.arguments[0])) && expr.arguments[2].type === 'ObjectExpression') {
+            const isStatic = isClassRef(expr.arguments[0]);
+            const accessors = [];
+            for (const prop of expr.arguments[2].properties) {
+                const name = prop.type === 'ObjectProperty' && !prop.computed && t.isIdentifier(prop.key) ? prop.key.name : null;
+                if (name === 'get' || name === 'set') accessors.push([name, prop.value]);
+                else if (name === 'enumerable' && t.isBooleanLiteral(prop.value, { value: false })) continue;
+                else if (name === 'enumerable' && t.isUnaryExpression(prop.value, { operator: '!' }) && t.isNumericLiteral(prop.value.argument, { value: 1 })) continue;
+                else if (name === 'configurable' && (t.isBooleanLiteral(prop.value, { value: true }) ||
+                         (t.isUnaryExpression(prop.value, { operator: '!' }) && t.isNumericLiteral(prop.value.argument, { value: 0 })))) continue;
+                else return null;
+            }
+            if (accessors.length === 0) return null;
+            for (const [kind, func] of accessors) {
+                const method = classMethod(kind, expr.arguments[1], func, isStatic);
+                if (!method) return null;
+                methodsByKey.push(method);
+            }
+            continue;
+        }
+
+        // Dog.prototype.speak = function () {} / _proto.speak = ... / Dog.create = function () {} / Dog.count = 0
+        if (expr.type === 'AssignmentExpression' && expr.operator === '=' && t.isMemberExpression(expr.left)) {
+            const target = expr.left.object;
+            const keyNode = expr.left.computed ? expr.left.property : t.stringLiteral(expr.left.property.name);
+            if (isPrototypeRef(target)) {
+                const method = classMethod('method', keyNode, expr.right, false);
+                if (!method) return null;
+                methodsByKey.push(method);
+                continue;
+            }
+            if (isClassRef(target)) {
+                const method = expr.right.type === 'FunctionExpression' ? classMethod('method', keyNode, expr.right, true) : null;
+                if (method) {
+                    methodsByKey.push(method);
+                } else if (expr.right.type !== 'FunctionExpression' && !references(expr.right, 'arguments', true)) {
+                    const { key, computed } = memberKey(keyNode);
+                    methodsByKey.push(t.classProperty(key, expr.right, null, null, computed, true));
+                } else {
+                    return null;
+                }
+                continue;
+            }
+        }
+        return null;
+    }
+
+    // Derived classes need the parent wiring, plain classes must not reference a parent
+    if (superParam && !ctx.superClass) return null;
+
+    const body = constructorBody(ctor, ctx);
+    if (!body) return null;
+    // constructor() {} and constructor() { super(...arguments); } are implicit
+    const implicit = ctor.params.length === 0 && (body.length === 0 ||
+        (ctx.superClass && body.length === 1 && isForwardingSuperCall(body[0])));
+    if (!implicit) {
+        members.push(t.classMethod('constructor', t.identifier('constructor'), ctor.params, t.blockStatement(body)));
+    }
+    members.push(...methodsByKey);
+    for (const method of methodsByKey) {
+        if (method.type === 'ClassMethod') rewriteSuperAccess(method, ctx);
+    }
+    const classNode = t.classBody(members);
+
+    // Anything still pointing at the IIFE's parameter or the _super variable cannot stay
+    if (ctx.createSuperName && references(classNode, ctx.createSuperName, false)) return null;
+    if (ctx.superParam && references(classNode, ctx.superParam, false)) {
+        if (!t.isIdentifier(ctx.superClass)) return null;
+        // The parameter only aliased the superclass: use its name directly
+        replaceIn(classNode, node => (t.isIdentifier(node, { name: ctx.superParam }) ? t.identifier(ctx.superClass.name) : undefined), false);
+    }
+
+    return { name: className, superClass: ctx.superClass, body: classNode };
+}
+
+/**
+ * super(...arguments): the constructor only forwards its arguments
+ */
+function isForwardingSuperCall(stmt) {
+    const call = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+    return !!call && call.type === 'CallExpression' && call.callee.type === 'Super' && call.arguments.length === 1 &&
+        call.arguments[0].type === 'SpreadElement' && t.isIdentifier(call.arguments[0].argument, { name: 'arguments' });
+}
+
+/**
+ * var Point = function Point(x) { _classCallCheck(this, Point); this.x = x; };
+ */
+function analyzeSimpleClass(func, parentStack) {
+    if (func.type !== 'FunctionExpression' || !func.id || func.async || func.generator) return null;
+    const first = func.body.body[0];
+    if (!first || first.type !== 'ExpressionStatement' || first.expression.type !== 'CallExpression' ||
+        !t.isIdentifier(first.expression.callee) || !t.isThisExpression(first.expression.arguments[0]) ||
+        !t.isIdentifier(first.expression.arguments[1], { name: func.id.name })) return null;
+    const helper = resolveHelper(first.expression.callee.name, parentStack);
+    if (!helper || helper.role !== 'classCallCheck') return null;
+
+    const body = func.body.body.slice(1);
+    const members = body.length > 0 || func.params.length > 0
+        ? [t.classMethod('constructor', t.identifier('constructor'), func.params, t.blockStatement(body))]
+        : [];
+    return { name: func.id.name, superClass: null, body: t.classBody(members) };
+}
+
+/**
+ * _createClass(function Foo() { _classCallCheck(this, Foo); }, [...])  (Babel 7.16+ classes without
+ * inheritance); the constructor has already become a class expression (bottom-up)
+ */
+function analyzeCreateClassCall(call, parentStack) {
+    if (!t.isIdentifier(call.callee) || call.arguments.length > 3) return null;
+    const classNode = call.arguments[0];
+    if (!classNode || classNode.type !== 'ClassExpression' || classNode.superClass || !classNode.id) return null;
+    const helper = resolveHelper(call.callee.name, parentStack);
+    if (!helper || helper.role !== 'createClass') return null;
+
+    const proto = descriptorMethods(call.arguments[1], false);
+    const statics = descriptorMethods(call.arguments[2], true);
+    if (!proto || !statics) return null;
+    return { name: classNode.id.name, superClass: null, body: t.classBody([...classNode.body.body, ...proto, ...statics]) };
+}
+
+function recoverClasses(node, opts, parentStack) {
+    if (opts.config && opts.config.recoverClasses === false) {
+        return false;
+    }
+
+    // Program is visited last (bottom-up): drop the helpers the classes no longer need
+    if (node.type === 'Program') {
+        if (!opts.recoveredClasses) return false;
+        const removed = removeUnusedHelpers(node, CLASS_HELPERS);
+        opts.recoveredClasses = 0;
+        if (removed > 0 && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[Classes] Removed ${removed} unused class helpers`);
+        }
+        return removed > 0;
+    }
+
+    if (node.type !== 'CallExpression' && node.type !== 'FunctionExpression') return false;
+    const parentEntry = parentStack.last();
+    if (!parentEntry) return false;
+
+    const info = node.type === 'CallExpression'
+        ? analyzeClassIIFE(node, parentStack) || analyzeCreateClassCall(node, parentStack)
+        : analyzeSimpleClass(node, parentStack);
+    if (!info) return false;
+    opts.recoveredClasses = (opts.recoveredClasses || 0) + 1;
+
+    // var Dog = <class>; in a statement list → class Dog extends Animal {}
+    const declarator = parentEntry.node;
+    const declaration = parentStack.last(1);
+    const container = parentStack.last(2);
+    if (declarator.type === 'VariableDeclarator' && declarator.init === node && t.isIdentifier(declarator.id, { name: info.name }) &&
+        declaration && declaration.node.declarations.length === 1 && declaration.node.kind === 'var' &&
+        container && Array.isArray(container.node[container.propertyName]) &&
+        (container.node.type === 'Program' || container.node.type === 'BlockStatement')) {
+        Utils.replaceChildInParentNode(t.classDeclaration(t.identifier(info.name), info.superClass, info.body), container);
+    } else {
+        Utils.replaceChildInParentNode(t.classExpression(t.identifier(info.name), info.superClass, info.body), parentEntry);
+    }
+
+    if (opts.config && opts.config.verbose) {
+        (opts.logger || console).log(`[Classes] Recovered class ${info.name}${info.superClass ? ' (derived)' : ''}`);
+    }
+    return true;
+}
+
+module.exports = recoverClasses;
@@ -0,0 +1,302 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+
+// Calls that build props objects out of several sources: _extends({}, props, { a: 1 })
+const MERGE_HELPERS = /^_?(extends|objectSpread)\d*$/;
+// Automatic runtime entry points (react/jsx-runtime, react/jsx-dev-runtime)
+const JSX_RUNTIME = /^_?jsx(s|DEV)?\d*$/;
+// Text that reads the same inside JSX (no braces, tags, entities or line breaks)
+const SAFE_TEXT = /^[^{}<>&\r\n]*$/;
+// Attribute strings are not escaped in JSX, so only plain printable ASCII without quotes
+const SAFE_ATTRIBUTE = /^[\x20-\x7e]*$/;
+
+/**
+ * Recover JSX
+ *
+ * Rebuilds JSX from the calls React's compilers leave behind:
+ *
+ *   React.createElement("div", { className: "a" }, "Hi ", name)    →  <div className="a">Hi {name}</div>
+ *   (0, _jsxRuntime.jsxs)(_jsxRuntime.Fragment, { children: [a, b] }) →  <>{a}{b}</>
+ *   _jsx(List, _objectSpread(_objectSpread({}, props), {}, { x: 1 }), k) →  <List key={k} {...props} x={1} />
+ *
+ * Only runs with `"recoverJsx": true` (--jsx): the output is then JSX, not plain
+ * JavaScript. Element types JSX cannot spell (a lowercase identifier would
+ * become an intrinsic tag, "Foo" a component) and document.createElement()
+ * calls are left as they are. Props that have no attribute form are kept
+ * through a spread, so the element always builds the same props object.
+ *
+ * Runs bottom-up: children are rebuilt before their parent element.
+ */
+
+/**
+ * Strip the (0, fn) indirection Babel puts around imported functions
+ */
+function unwrapCallee(callee) {
+    if (callee.type === 'SequenceExpression' && callee.expressions.length === 2 &&
+        t.isNumericLiteral(callee.expressions[0])) {
+        return callee.expressions[1];
+    }
+    return callee;
+}
+
+/**
+ * Name of a callee (`fn` or `obj.fn` / `obj["fn"]`)
+ */
+function calleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression') {
+        if (!callee.computed && t.isIdentifier(callee.property)) return callee.property.name;
+        if (callee.computed && t.isStringLiteral(callee.property)) return callee.property.value;
+    }
+    return null;
+}
+
+/**
+ * Is `node` the document a DOM createElement() call goes through?
+ */
+function isDocument(node) {
+    const name = node.type === 'Identifier' ? node.name : calleeName(node);
+    return name === 'document' || name === 'ownerDocument';
+}
+
+function isNullish(node) {
+    return !node || t.isNullLiteral(node) || t.isIdentifier(node, { name: 'undefined' }) ||
+        (t.isUnaryExpression(node, { operator: 'void' }) && t.isNumericLiteral(node.argument));
+}
+
+function isFragment(node) {
+    const name = calleeName(node);
+    return name !== null && /^_?Fragment\d*$/.test(name);
+}
+
+/**
+ * Element type → JSX name, or null when JSX cannot express it
+ */
+function elementName(node) {
+    if (t.isStringLiteral(node)) {
+        // "Foo" is an intrinsic element, but <Foo> would be a component
+        if (/^[a-z][\w-]*$/.test(node.value)) return t.jsxIdentifier(node.value);
+        const ns = /^([a-z][\w-]*):([\w-]+)$/.exec(node.value);
+        return ns ? t.jsxNamespacedName(t.jsxIdentifier(ns[1]), t.jsxIdentifier(ns[2])) : null;
+    }
+    if (node.type === 'Identifier') {
+        // <e> is the string "e", not the component bound to e
+        return /^[a-z]/.test(node.name) ? null : t.jsxIdentifier(node.name);
+    }
+    return memberName(node);
+}
+
+function memberName(node) {
+    if (node.type === 'Identifier') return t.jsxIdentifier(node.name);
+    if (node.type === 'ThisExpression') return t.jsxIdentifier('this');
+    if (node.type === 'MemberExpression' && !node.computed && t.isIdentifier(node.property)) {
+        const object = memberName(node.object);
+        return object ? t.jsxMemberExpression(object, t.jsxIdentifier(node.property.name)) : null;
+    }
+    return null;
+}
+
+/**
+ * Props expression → list of { key, value } entries and { spread } entries,
+ * flattening object literals and _extends / _objectSpread / Object.assign merges
+ */
+function propEntries(node) {
+    if (isNullish(node)) return [];
+    if (node.type === 'ObjectExpression') {
+        const entries = [];
+        for (const prop of node.properties) {
+            if (prop.type === 'SpreadElement') {
+                entries.push(...propEntries(prop.argument));
+            } else if (prop.type === 'ObjectProperty' && !prop.computed) {
+                const key = t.isIdentifier(prop.key) ? prop.key.name : t.isStringLiteral(prop.key) ? prop.key.value : null;
+                entries.push(key !== null ? { key, value: prop.value, prop } : { spread: t.objectExpression([prop]) });
+            } else {
+                // Computed keys, methods, accessors: kept verbatim in a spread
+                entries.push({ spread: t.objectExpression([prop]) });
+            }
+        }
+        return entries;
+    }
+    if (isFreshMerge(node)) {
+        return node.arguments.reduce((entries, arg) => entries.concat(propEntries(arg)), []);
+    }
+    return [{ spread: node }];
+}
+
+/**
+ * Is `node` a merge into a fresh object (an object literal, or another such merge)?
+ * Merging into anything else would also mutate that object.
+ */
+function isFreshMerge(node) {
+    if (node.type !== 'CallExpression' || node.arguments.length === 0 || node.arguments.some(arg => arg.type === 'SpreadElement')) {
+        return false;
+    }
+    const callee = unwrapCallee(node.callee);
+    // Object.assign, _extends, or the @babel/runtime import (0, _extends2.default)
+    const isMerge = callee.type === 'MemberExpression'
+        ? t.isIdentifier(callee.object) && (
+            (callee.object.name === 'Object' && calleeName(callee) === 'assign') ||
+            (MERGE_HELPERS.test(callee.object.name) && calleeName(callee) === 'default'))
+        : callee.type === 'Identifier' && MERGE_HELPERS.test(callee.name);
+    const target = node.arguments[0];
+    return isMerge && (target.type === 'ObjectExpression' || isFreshMerge(target));
+}
+
+function attributeName(key) {
+    if (/^[A-Za-z_$][\w$-]*$/.test(key)) return t.jsxIdentifier(key);
+    const ns = /^([A-Za-z_][\w-]*):([A-Za-z_][\w-]*)$/.exec(key);
+    return ns ? t.jsxNamespacedName(t.jsxIdentifier(ns[1]), t.jsxIdentifier(ns[2])) : null;
+}
+
+function attributeValue(value) {
+    if (t.isBooleanLiteral(value, { value: true })) return null;
+    if (t.isStringLiteral(value) && SAFE_ATTRIBUTE.test(value.value) && !/["\\&]/.test(value.value)) {
+        return t.stringLiteral(value.value);
+    }
+    return t.jsxExpressionContainer(value);
+}
+
+/**
+ * Entries → JSX attributes; keys with no attribute name go through a spread
+ */
+function attributes(entries) {
+    return entries.map(entry => {
+        if (entry.spread) return t.jsxSpreadAttribute(entry.spread);
+        const name = attributeName(entry.key);
+        return name
+            ? t.jsxAttribute(name, attributeValue(entry.value))
+            : t.jsxSpreadAttribute(t.objectExpression([entry.prop]));
+    });
+}
+
+/**
+ * Child expression → JSX child, or null for children JSX cannot hold (spreads, holes)
+ */
+function jsxChild(node) {
+    if (!node || node.type === 'SpreadElement') return null;
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') return node;
+    // Whitespace-only text would be trimmed away
+    if (t.isStringLiteral(node) && SAFE_TEXT.test(node.value) && node.value.trim() !== '') {
+        return t.jsxText(node.value);
+    }
+    return t.jsxExpressionContainer(node);
+}
+
+/**
+ * Adjacent text would read back as one child: 'f1', 'f2' → f1{'f2'}
+ */
+function separateText(children) {
+    return children.map((child, i) => child.type === 'JSXText' && i > 0 && children[i - 1].type === 'JSXText'
+        ? t.jsxExpressionContainer(t.stringLiteral(child.value))
+        : child);
+}
+
+/**
+ * Put each child on its own line. Whitespace with a line break between tags and
+ * {expressions} is dropped by JSX, so this is only done when there is no text
+ * for it to merge with; the generator indents what follows each break.
+ */
+function layoutChildren(children) {
+    if (children.some(child => child.type === 'JSXText')) return children;
+    const nested = children.some(child => child.type !== 'JSXExpressionContainer' && child.children.length > 0);
+    if (children.length < 2 && !nested) return children;
+    return children.reduce((lines, child) => lines.concat(t.jsxText('\n'), child), []).concat(t.jsxText('\n'));
+}
+
+/**
+ * Assemble the element, or a fragment when the type is Fragment and nothing but children is passed
+ */
+function buildElement(type, attrs, elementChildren) {
+    const children = layoutChildren(separateText(elementChildren));
+    if (isFragment(type) && attrs.length === 0) {
+        return t.jsxFragment(t.jsxOpeningFragment(), t.jsxClosingFragment(), children);
+    }
+    const name = isFragment(type) ? memberName(type) : elementName(type);
+    if (!name) return null;
+    const selfClosing = children.length === 0;
+    return t.jsxElement(
+        t.jsxOpeningElement(name, attrs, selfClosing),
+        selfClosing ? null : t.jsxClosingElement(t.cloneNode(name, true)),
+        children,
+        selfClosing
+    );
+}
+
+/**
+ * React.createElement(type, props, ...children)
+ */
+function fromCreateElement(call) {
+    const callee = unwrapCallee(call.callee);
+    if (callee.type !== 'MemberExpression' || calleeName(callee) !== 'createElement' || isDocument(callee.object)) return null;
+    const [type, props] = call.arguments;
+    if (!type || type.type === 'SpreadElement') return null;
+    // A lone string argument is as likely a DOM document under a minified name
+    if (call.arguments.length < 2 && !t.isIdentifier(callee.object, { name: 'React' })) return null;
+    if (props && props.type === 'ObjectExpression' && props.properties.length === 1 &&
+        t.isObjectProperty(props.properties[0]) && t.isIdentifier(props.properties[0].key, { name: 'is' })) return null;
+
+    const children = call.arguments.slice(2).map(jsxChild);
+    if (children.includes(null) || (props && props.type === 'SpreadElement')) return null;
+    return buildElement(type, attributes(propEntries(props)), children);
+}
+
+/**
+ * jsx(type, props, key) / jsxs(type, props, key) / jsxDEV(type, props, key, isStatic, ...)
+ */
+function fromJsxRuntime(call) {
+    const name = calleeName(unwrapCallee(call.callee));
+    if (!name || !JSX_RUNTIME.test(name)) return null;
+    const [type, props, key] = call.arguments;
+    if (!type || call.arguments.length < 2 || call.arguments.some(arg => arg.type === 'SpreadElement')) return null;
+
+    const entries = propEntries(props);
+    const index = entries.findIndex(entry => entry.key === 'children');
+    let children = [];
+    if (index !== -1) {
+        // A later spread could replace children: the attribute form keeps that order, so give up
+        if (entries.slice(index + 1).some(entry => entry.spread)) return null;
+        const value = entries[index].value;
+        const isStatic = /jsxs/.test(name) || (/DEV/.test(name) && t.isBooleanLiteral(call.arguments[3], { value: true }));
+        children = isStatic && value.type === 'ArrayExpression' ? value.elements.map(jsxChild) : [jsxChild(value)];
+        if (children.includes(null)) return null;
+        entries.splice(index, 1);
+    }
+    // key is passed separately; <A key={k} {...p} /> is what compiles to jsx(A, p, k)
+    if (key && !isNullish(key)) {
+        if (entries.some(entry => entry.key === 'key')) return null;
+        entries.unshift({ key: 'key', value: key });
+    }
+    return buildElement(type, attributes(entries), children);
+}
+
+function recoverJsx(node, opts, parentStack) {
+    if (!opts.config || opts.config.recoverJsx !== true) {
+        return false;
+    }
+
+    if (node.type === 'Program') {
+        if (opts.recoveredJsx && opts.config.verbose) {
+            (opts.logger || console).log(`[JSX] Rebuilt ${opts.recoveredJsx} elements`);
+        }
+        opts.recoveredJsx = 0;
+        return false;
+    }
+
+    if (node.type !== 'CallExpression') return false;
+    const parentEntry = parentStack.last();
+    if (!parentEntry) return false;
+
+    const element = fromJsxRuntime(node) || fromCreateElement(node);
+    if (!element) return false;
+
+    // /*#__PURE__*/ annotations mean nothing on JSX
+    const comments = (node.leadingComments || []).filter(comment => !/[#@]__PURE__/.test(comment.value));
+    if (comments.length > 0) element.leadingComments = comments;
+    if (node.trailingComments) element.trailingComments = node.trailingComments;
+
+    Utils.replaceChildInParentNode(element, parentEntry);
+    opts.recoveredJsx = (opts.recoveredJsx || 0) + 1;
+    return true;
+}
+
+module.exports = recoverJsx;
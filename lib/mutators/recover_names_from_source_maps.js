@@ -1,14 +1,298 @@
-function recoverNamesFromSourceMaps(node, opts, parentStack) {
-    let parent = parentStack.last()?.node;
-    let smc = opts.sourceMapConsumer;  
-    if (smc) {
-        let origLoc = smc.originalPositionFor({line: node.loc.start.line, column: node.loc.start.column});
-        if (origLoc && origLoc.name) {
-            node.name = origLoc.name;
+const t = require('@babel/types');
+
+/**
+ * Rename minified identifiers using the `names` of the input's source map
+ *
+ * Runs once on the Program node, before locations are removed and before
+ * bundles are unpacked (positions must still match the original input).
+ * opts.sourceMapNames maps "line:column" of a generated identifier to its
+ * original name (built in deobfuscator.js from the map's mappings).
+ *
+ * Renaming is done per binding, not per node: every declaration and
+ * reference of a binding gets the same name, and a rename is dropped when it
+ * would shadow or capture another binding or a global.
+ */
+function recoverNamesFromSourceMaps(node, opts) {
+    if (!node || node.type !== 'Program' || !opts.sourceMapNames || node._sourceMapNamesApplied) {
+        return false;
+    }
+    node._sourceMapNamesApplied = true;
+
+    const scopes = new Map();
+    const programScope = createScope(null, true);
+    scopes.set(node, programScope);
+    declareBindings(node, programScope, scopes);
+
+    const globals = [];
+    resolveIdentifiers(node, null, null, programScope, scopes, globals);
+
+    const bindings = collectBindings(programScope);
+    for (const binding of bindings) {
+        binding.finalName = proposeName(binding, opts.sourceMapNames);
+    }
+    resolveConflicts(bindings, globals);
+
+    let renamed = 0;
+    for (const binding of bindings) {
+        if (binding.finalName === binding.name) {
+            continue;
+        }
+        for (const occurrence of binding.occurrences) {
+            occurrence.node.name = binding.finalName;
+        }
+        renamed++;
+        if (opts.config.verbose) {
+            (opts.logger || console).log(`  Source map name: ${binding.name} → ${binding.finalName}`);
+        }
+    }
+
+    opts.sourceMapRenames = (opts.sourceMapRenames || 0) + renamed;
+    return renamed > 0;
+}
+
+function createScope(parent, isFunction) {
+    return { parent, isFunction, bindings: new Map(), children: [] };
+}
+
+function childScope(parent, isFunction) {
+    const scope = createScope(parent, isFunction);
+    parent.children.push(scope);
+    return scope;
+}
+
+function functionScopeOf(scope) {
+    while (!scope.isFunction) {
+        scope = scope.parent;
+    }
+    return scope;
+}
+
+function declare(scope, pattern) {
+    for (const id of Object.values(t.getBindingIdentifiers(pattern))) {
+        if (!scope.bindings.has(id.name)) {
+            scope.bindings.set(id.name, { name: id.name, scope, declarations: [], occurrences: [] });
+        }
+        scope.bindings.get(id.name).declarations.push(id);
+    }
+}
+
+/**
+ * Pass 1: build the scope tree and declare every binding in it
+ */
+function declareBindings(node, scope, scopes) {
+    if (!node || typeof node.type !== 'string') {
+        return;
+    }
+
+    if (t.isFunction(node)) {
+        if (t.isFunctionDeclaration(node) && node.id) {
+            declare(scope, node.id);
+        }
+        const fnScope = childScope(scope, true);
+        scopes.set(node, fnScope);
+        if (!t.isFunctionDeclaration(node) && node.id) {
+            declare(fnScope, node.id);
+        }
+        for (const param of node.params) {
+            declare(fnScope, param);
+            declareBindings(param, fnScope, scopes);
+        }
+        if (t.isBlockStatement(node.body)) {
+            scopes.set(node.body, fnScope);
+            for (const statement of node.body.body) {
+                declareBindings(statement, fnScope, scopes);
+            }
+        } else {
+            declareBindings(node.body, fnScope, scopes);
+        }
+        return;
+    }
+
+    if (t.isClassExpression(node) && node.id) {
+        const classScope = childScope(scope, false);
+        scopes.set(node, classScope);
+        declare(classScope, node.id);
+        scope = classScope;
+    } else if (node.type !== 'Program' && (t.isBlockStatement(node) || t.isFor(node) || t.isSwitchStatement(node) || t.isCatchClause(node) || node.type === 'StaticBlock')) {
+        scope = childScope(scope, node.type === 'StaticBlock');
+        scopes.set(node, scope);
+        if (t.isCatchClause(node) && node.param) {
+            declare(scope, node.param);
+        }
+    }
+
+    if (t.isVariableDeclaration(node)) {
+        const target = node.kind === 'var' ? functionScopeOf(scope) : scope;
+        for (const declarator of node.declarations) {
+            declare(target, declarator.id);
+        }
+    } else if (t.isClassDeclaration(node) && node.id) {
+        declare(scope, node.id);
+    } else if (t.isImportDeclaration(node)) {
+        for (const specifier of node.specifiers) {
+            declare(functionScopeOf(scope), specifier.local);
+        }
+    }
+
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const child = node[key];
+        if (Array.isArray(child)) {
+            child.forEach(item => declareBindings(item, scope, scopes));
+        } else {
+            declareBindings(child, scope, scopes);
+        }
+    }
+}
+
+function lookup(scope, name) {
+    for (; scope; scope = scope.parent) {
+        if (scope.bindings.has(name)) {
+            return scope.bindings.get(name);
+        }
+    }
+    return null;
+}
+
+/**
+ * Pass 2: attach every binding/reference identifier to the binding it resolves to
+ */
+function resolveIdentifiers(node, parent, grandparent, scope, scopes, globals) {
+    if (!node || typeof node.type !== 'string') {
+        return;
+    }
+    const outerScope = scope;
+    scope = scopes.get(node) || scope;
+
+    if (node.type === 'Identifier') {
+        const isLabel = parent && (t.isLabeledStatement(parent) || t.isBreakStatement(parent) || t.isContinueStatement(parent));
+        if (!isLabel && (t.isReferenced(node, parent, grandparent) || t.isBinding(node, parent, grandparent))) {
+            const binding = lookup(scope, node.name);
+            (binding ? binding.occurrences : globals).push({ node, scope });
+        }
+        return;
+    }
+
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        const child = node[key];
+        // A function declaration's name lives in the enclosing scope
+        const keyScope = (key === 'id' && t.isFunctionDeclaration(node)) ? outerScope : scope;
+        if (Array.isArray(child)) {
+            child.forEach(item => resolveIdentifiers(item, node, parent, keyScope, scopes, globals));
+        } else {
+            resolveIdentifiers(child, node, parent, keyScope, scopes, globals);
+        }
+    }
+}
+
+function collectBindings(scope, result = []) {
+    result.push(...scope.bindings.values());
+    for (const child of scope.children) {
+        collectBindings(child, result);
+    }
+    return result;
+}
+
+function mappedName(identifier, names) {
+    if (!identifier.loc) {
+        return null;
+    }
+    return names.get(`${identifier.loc.start.line}:${identifier.loc.start.column}`) || null;
+}
+
+const UNSAFE_NAMES = new Set(['arguments', 'eval', 'undefined', 'NaN', 'Infinity']);
+
+/**
+ * Original name of a binding: its declaration's mapping wins, otherwise the
+ * most frequent name among its references
+ */
+function proposeName(binding, names) {
+    let name = null;
+    for (const declaration of binding.declarations) {
+        name = mappedName(declaration, names);
+        if (name) {
+            break;
+        }
+    }
+    if (!name) {
+        const counts = new Map();
+        for (const occurrence of binding.occurrences) {
+            const candidate = mappedName(occurrence.node, names);
+            if (candidate) {
+                counts.set(candidate, (counts.get(candidate) || 0) + 1);
+            }
+        }
+        let best = 0;
+        for (const [candidate, count] of counts) {
+            if (count > best) {
+                name = candidate;
+                best = count;
+            }
+        }
+    }
+    if (!name || UNSAFE_NAMES.has(name) || !t.isValidIdentifier(name)) {
+        return binding.name;
+    }
+    return name;
+}
+
+function lookupFinal(scope, name, indexes) {
+    for (; scope; scope = scope.parent) {
+        const index = indexes.get(scope);
+        if (index && index.has(name)) {
+            return index.get(name);
+        }
+    }
+    return null;
+}
+
+/**
+ * Drop renames until every identifier still resolves to its own binding
+ */
+function resolveConflicts(bindings, globals) {
+    const revert = binding => {
+        if (binding && binding.finalName !== binding.name) {
+            binding.finalName = binding.name;
             return true;
         }
+        return false;
+    };
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+
+        // Final names per scope; two bindings of one scope may not share a name
+        const indexes = new Map();
+        for (const binding of bindings) {
+            const index = indexes.get(binding.scope) || new Map();
+            indexes.set(binding.scope, index);
+            const other = index.get(binding.finalName);
+            if (other) {
+                changed = revert(binding) || revert(other) || changed;
+            } else {
+                index.set(binding.finalName, binding);
+            }
+        }
+        if (changed) {
+            continue;
+        }
+
+        // No identifier may end up resolving to a different binding
+        for (const binding of bindings) {
+            for (const occurrence of binding.occurrences) {
+                const found = lookupFinal(occurrence.scope, binding.finalName, indexes);
+                if (found !== binding) {
+                    changed = revert(binding) || revert(found) || changed;
+                    break;
+                }
+            }
+        }
+
+        // ...and globals may not be captured by a renamed binding
+        for (const occurrence of globals) {
+            changed = revert(lookupFinal(occurrence.scope, occurrence.node.name, indexes)) || changed;
+        }
     }
-    return false;
 }
 
-module.exports = recoverNamesFromSourceMaps;
\ No newline at end of file
+module.exports = recoverNamesFromSourceMaps;
@@ -0,0 +1,145 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+
+/**
+ * Recover Template Literals
+ *
+ * Rebuilds `+` chains that mix string literals and expressions:
+ *
+ *   "https://" + (port + 1) + "/api/" + typeof id   →   `https://${port + 1}/api/${typeof id}`
+ *   a + b + "px"                                   →   `${a + b}px`
+ *
+ * `+` groups to the left, so once a string is on the left every following
+ * `+` concatenates. Operands before the first string literal may still be
+ * numbers being added and stay together in one placeholder. Parenthesized
+ * right operands (`"a" + (b + c)`) are their own expression and are kept as
+ * a placeholder as well.
+ *
+ * A placeholder converts its value with ToString where `+` asks for a
+ * primitive first, through valueOf() before toString(). Only chains whose
+ * operands are primitives for sure are rebuilt: literals, template literals,
+ * and the results of operators such as typeof, `+` and arithmetic. Any other
+ * operand (a variable, a call, a member) could be an object, and keeps the
+ * whole chain as it is.
+ *
+ * Runs once after the convergence loop, when foldConstants has merged
+ * adjacent literals, and only at the top of each chain.
+ */
+
+function isString(node) {
+    return t.isStringLiteral(node) || t.isTemplateLiteral(node);
+}
+
+/**
+ * Operands of a left-leaning `+` chain, leftmost first
+ */
+function flatten(node) {
+    const operands = [];
+    let current = node;
+    while (t.isBinaryExpression(current, { operator: '+' })) {
+        operands.unshift(current.right);
+        current = current.left;
+    }
+    operands.unshift(current);
+    return operands;
+}
+
+/**
+ * Escape cooked text for the raw side of a template element
+ */
+function rawText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/`/g, '\\`')
+        .replace(/\$\{/g, '\\${')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t')
+        // Other control characters and line separators would be invisible in the output
+        .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f\u2028\u2029]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Whether an operand is a primitive whatever the input, so a placeholder
+ * converts it the way `+` does
+ */
+function isPrimitive(node) {
+    if (literalText(node) !== null || t.isTemplateLiteral(node)) return true;
+    // Unary, binary and update operators always produce a primitive
+    if (t.isUnaryExpression(node) || t.isBinaryExpression(node) || t.isUpdateExpression(node)) return true;
+    if (t.isLogicalExpression(node)) return isPrimitive(node.left) && isPrimitive(node.right);
+    if (t.isConditionalExpression(node)) return isPrimitive(node.consequent) && isPrimitive(node.alternate);
+    return false;
+}
+
+/**
+ * Text a literal contributes to a concatenation, or null when it is not a literal
+ */
+function literalText(node) {
+    if (t.isStringLiteral(node)) return node.value;
+    if (t.isNumericLiteral(node) || t.isBooleanLiteral(node)) return String(node.value);
+    if (t.isNullLiteral(node)) return 'null';
+    return null;
+}
+
+function recoverTemplateLiterals(node, opts, parentStack) {
+    if (opts.config && opts.config.recoverTemplateLiterals === false) {
+        return false;
+    }
+    if (node.type === 'Program') {
+        if (opts.recoveredTemplates && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[Templates] Rebuilt ${opts.recoveredTemplates} template literals`);
+        }
+        opts.recoveredTemplates = 0;
+        return false;
+    }
+
+    if (!t.isBinaryExpression(node, { operator: '+' })) return false;
+    const parentEntry = parentStack.last();
+    if (!parentEntry) return false;
+    // The chain is rebuilt from its top: "a" + b is the left operand of (... + c)
+    if (t.isBinaryExpression(parentEntry.node, { operator: '+' }) && parentEntry.node.left === node) return false;
+
+    let operands = flatten(node);
+    const first = operands.findIndex(isString);
+    if (first === -1) return false;
+    if (first > 1) {
+        // a + b + "px": the additions before the string keep their own (possibly numeric) result
+        let prefix = node;
+        for (let i = operands.length - 1; i >= first; i--) prefix = prefix.left;
+        operands = [prefix, ...operands.slice(first)];
+    }
+    // Fully literal chains are foldConstants' job
+    if (operands.every(operand => literalText(operand) !== null)) return false;
+    if (!operands.every(isPrimitive)) return false;
+
+    const quasis = [''];
+    const expressions = [];
+    operands.forEach(operand => {
+        const text = literalText(operand);
+        if (text !== null) {
+            quasis[quasis.length - 1] += text;
+        } else if (t.isTemplateLiteral(operand)) {
+            operand.quasis.forEach((quasi, i) => {
+                if (i > 0) {
+                    expressions.push(operand.expressions[i - 1]);
+                    quasis.push('');
+                }
+                quasis[quasis.length - 1] += quasi.value.cooked;
+            });
+        } else {
+            expressions.push(operand);
+            quasis.push('');
+        }
+    });
+
+    const template = t.templateLiteral(
+        quasis.map((text, i) => t.templateElement({ raw: rawText(text), cooked: text }, i === quasis.length - 1)),
+        expressions
+    );
+    Utils.replaceChildInParentNode(template, parentEntry);
+    opts.recoveredTemplates = (opts.recoveredTemplates || 0) + 1;
+    return true;
+}
+
+module.exports = recoverTemplateLiterals;
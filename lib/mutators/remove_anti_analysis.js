@@ -0,0 +1,164 @@
+const t = require('@babel/types');
+const { countReferences } = require('../detectors/transpiler_helpers');
+const {
+    isCallController,
+    guardOf,
+    guardKind,
+    isDebugProtection,
+    intervalOf,
+    lockedDomains
+} = require('../detectors/anti_analysis');
+
+/**
+ * Remove Anti-Analysis Code
+ *
+ * Strips the blocks obfuscator.io injects against analysis (see
+ * detectors/anti_analysis.js for how they are recognized):
+ *
+ *   var _0x1 = function () { ...call controller... }(), _0x2 = _0x1(this, function () {
+ *       return _0x2.toString().search('(((.+)+)+)+$')...;       // self-defending
+ *   });
+ *   _0x2();                                                       →   (removed)
+ *   (function () { _0x1(this, function () { ... _0x3('init') ... })(); })();
+ *   setInterval(function () { _0x3(); }, 0xfa0);
+ *   function _0x3(x) { ... .constructor('debugger') ... }
+ *
+ * A guarded block is removed together with the statements that run it, and
+ * only when nothing else reads the variable holding it. Call controllers and
+ * debug protection functions go once nothing references them anymore.
+ *
+ * Runs after the convergence loop, when decoded strings are in place and
+ * sequence expressions have been split into statements.
+ */
+
+/**
+ * Statement list whose `var`s the list belongs to: the enclosing function body or the program
+ */
+function scopeOf(node, parentStack) {
+    if (node.type === 'Program') return node;
+    if (parentStack.last() && t.isFunction(parentStack.last().node)) return node;
+    for (let level = 0; parentStack.last(level); level++) {
+        const ancestor = parentStack.last(level).node;
+        if (ancestor.type === 'Program') return ancestor;
+        if (t.isFunction(ancestor)) return ancestor.body;
+    }
+    return null;
+}
+
+/**
+ * `name();` as a statement
+ */
+function isBareCall(stmt, name) {
+    return t.isExpressionStatement(stmt) && t.isCallExpression(stmt.expression) &&
+        t.isIdentifier(stmt.expression.callee, { name }) && stmt.expression.arguments.length === 0;
+}
+
+/**
+ * The guard a statement runs directly: `controller(this, fn)();`, optionally in an IIFE
+ */
+function inlineGuardOf(stmt) {
+    if (!t.isExpressionStatement(stmt) || !t.isCallExpression(stmt.expression) || stmt.expression.arguments.length > 0) return null;
+    const callee = stmt.expression.callee;
+    if (t.isFunctionExpression(callee) && callee.params.length === 0 && callee.body.body.length === 1) {
+        return inlineGuardOf(callee.body.body[0]);
+    }
+    return guardOf(callee);
+}
+
+function removeDeclarator(list, declaration, declarator) {
+    declaration.declarations.splice(declaration.declarations.indexOf(declarator), 1);
+    if (declaration.declarations.length === 0) list.splice(list.indexOf(declaration), 1);
+}
+
+function record(opts, kind, details) {
+    opts.removedAntiAnalysis = opts.removedAntiAnalysis || [];
+    opts.removedAntiAnalysis.push(details ? { kind, details } : { kind });
+    opts.removedAntiAnalysisBlocks = (opts.removedAntiAnalysisBlocks || 0) + 1;
+}
+
+function removeAntiAnalysis(node, opts, parentStack) {
+    if (opts.config && opts.config.removeAntiAnalysis === false) {
+        return false;
+    }
+    const list = node.type === 'BlockStatement' || node.type === 'Program' ? node.body : null;
+    const scope = list && scopeOf(node, parentStack);
+    if (!scope) return false;
+
+    const controllers = new Map();
+    const guards = [];
+    for (const stmt of list) {
+        if (!t.isVariableDeclaration(stmt)) continue;
+        for (const declarator of stmt.declarations) {
+            if (!t.isIdentifier(declarator.id)) continue;
+            if (isCallController(declarator.init)) controllers.set(declarator.id.name, { declaration: stmt, declarator });
+            const guard = guardOf(declarator.init);
+            if (guard) guards.push({ declaration: stmt, declarator, guard });
+        }
+    }
+
+    let changed = false;
+    const kindOf = guard => controllers.has(guard.controller) ? guardKind(guard.func) : null;
+    const detailsOf = (kind, guard) => {
+        const domains = kind === 'domainLock' ? lockedDomains(guard.func) : null;
+        return domains ? { domains } : undefined;
+    };
+
+    // var _0x2 = controller(this, function () {...}); ... _0x2();
+    for (const { declaration, declarator, guard } of guards) {
+        const kind = kindOf(guard);
+        if (!kind) continue;
+        const name = declarator.id.name;
+        const calls = list.filter(stmt => isBareCall(stmt, name));
+        if (countReferences(scope, name, declarator) !== calls.length) continue;
+        calls.forEach(stmt => list.splice(list.indexOf(stmt), 1));
+        removeDeclarator(list, declaration, declarator);
+        if (kind !== 'debugProtection') record(opts, kind, detailsOf(kind, guard));
+        changed = true;
+    }
+
+    // controller(this, function () {...})(); on its own or in an IIFE, and setInterval(debugProtection, ms)
+    const intervals = new Map();
+    for (let i = list.length - 1; i >= 0; i--) {
+        const guard = inlineGuardOf(list[i]);
+        const kind = guard && kindOf(guard);
+        if (kind) {
+            list.splice(i, 1);
+            if (kind !== 'debugProtection') record(opts, kind, detailsOf(kind, guard));
+            changed = true;
+            continue;
+        }
+        const interval = intervalOf(list[i]);
+        const target = interval && list.find(stmt => t.isFunctionDeclaration(stmt) && stmt.id.name === interval.name);
+        if (target && isDebugProtection(target)) {
+            intervals.set(interval.name, interval.interval);
+            list.splice(i, 1);
+            changed = true;
+        }
+    }
+
+    for (const [name, { declaration, declarator }] of controllers) {
+        if (countReferences(scope, name, declarator) > 0) continue;
+        removeDeclarator(list, declaration, declarator);
+        changed = true;
+    }
+
+    // The debug protection function itself, once its guard and interval are gone
+    for (let i = list.length - 1; i >= 0; i--) {
+        const stmt = list[i];
+        if (!t.isFunctionDeclaration(stmt) || !isDebugProtection(stmt)) continue;
+        if (countReferences(scope, stmt.id.name, stmt) > 0) continue;
+        list.splice(i, 1);
+        record(opts, 'debugProtection', intervals.has(stmt.id.name) ? { interval: intervals.get(stmt.id.name) } : undefined);
+        changed = true;
+    }
+
+    if (node.type === 'Program') {
+        if (opts.removedAntiAnalysisBlocks && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[AntiAnalysis] Removed ${opts.removedAntiAnalysisBlocks} anti-analysis blocks`);
+        }
+        opts.removedAntiAnalysisBlocks = 0;
+    }
+    return changed;
+}
+
+module.exports = removeAntiAnalysis;
@@ -1,9 +1,16 @@
-function removeLocationInformation(node) {
+/**
+ * Drop parser position data from a node
+ * `loc` is kept when an output source map is requested
+ * (config.sourceMaps.emitOutputMap) so the generator can map back to the input.
+ */
+function removeLocationInformation(node, opts) {
     if (!node) {
         return false;
     }
 
-    delete node.loc;
+    if (!opts?.config?.sourceMaps?.emitOutputMap) {
+        delete node.loc;
+    }
     delete node.start;
     delete node.end;
     return true;
@@ -49,7 +49,7 @@ function renameVariables(node, opt, parentStack) {
         // Apply the rename
         node.name = newName;
 
-        console.log(`  Renamed: ${oldName} → ${newName} (${variable.grokConfidence || 'medium'})`);
+        (opt.logger || console).log(`  Renamed: ${oldName} → ${newName} (${variable.grokConfidence || 'medium'})`);
 
         return true;
     }
@@ -23,7 +23,7 @@ function replaceSequentialAssignments(node, opts, parentStack) {
 
         if (grandParentNode && t.isExpressionStatement(parent) && ["BlockStatement", "Program"].includes(grandParentNode.type)) {
             if (opts.config.verbose) {
-                console.log(`Rewriting sequence expression. Parent is ${parent.type}, Grandparent is ${grandParentNode.type}`);
+                (opts.logger || console).log(`Rewriting sequence expression. Parent is ${parent.type}, Grandparent is ${grandParentNode.type}`);
             }
             let child = parent;
             parentProperty = grandParent.propertyName;
@@ -49,7 +49,7 @@ function replaceSequentialAssignments(node, opts, parentStack) {
                    t.isExpressionStatement(grandParentNode) &&
                    t.isBlockStatement(grandGrandParentNode)) {
             if (opts.config.verbose) {
-                console.log(`Rewriting sequence expression. Parent is ${parent.type}, Grandparent is ${grandParentNode.type}`);
+                (opts.logger || console).log(`Rewriting sequence expression. Parent is ${parent.type}, Grandparent is ${grandParentNode.type}`);
             }
             let testNode = parent.operator == "||" ? t.unaryExpression("!", parent.left) : parent.left;
 
@@ -15,7 +15,7 @@ function replaceSequentialAssignmentsInFlowControl(node, opts, parentStack) {
 
     if (["ReturnStatement"].includes(node.type) && node.argument?.type == "SequenceExpression") {
         if (opts.config.verbose) {
-            console.log(`Return argument is ${node.argument.type}`);
+            (opts.logger || console).log(`Return argument is ${node.argument.type}`);
         }                
         let expressions = node.argument.expressions;
         let lastExpression = expressions.pop();
@@ -35,12 +35,12 @@ function replaceSequentialAssignmentsInFlowControl(node, opts, parentStack) {
                 return true;
             }
         } catch (e) {
-            console.log(`ERROR: ${parent.type} in property ${parentProperty}`, parent[parentProperty]);
+            (opts.logger || console).log(`ERROR: ${parent.type} in property ${parentProperty}`, parent[parentProperty]);
             throw e;
         }    
     } else if (["ForStatement"].includes(node.type) && node.init && node.init.type == "SequenceExpression") {
         if (opts.config.verbose) {
-            console.log(`For init node is ${node.init.type}`);
+            (opts.logger || console).log(`For init node is ${node.init.type}`);
         }                
         let expressions = node.init.expressions;
         let lastExpression = expressions.pop();
@@ -63,12 +63,12 @@ function replaceSequentialAssignmentsInFlowControl(node, opts, parentStack) {
                 return true;
             }
         } catch (e) {
-            console.log(`ERROR: ${parent.type} in property ${parentProperty}`, parent[parentProperty]);
+            (opts.logger || console).log(`ERROR: ${parent.type} in property ${parentProperty}`, parent[parentProperty]);
             throw e;
         }    
     } else if (["IfStatement"].includes(node.type) && node.test && node.test.type == "SequenceExpression") {
         if (opts.config.verbose) {
-            console.log(`For test node is ${node.test.type}`);
+            (opts.logger || console).log(`For test node is ${node.test.type}`);
         }                
         let expressions = node.test.expressions;
         let lastExpression = expressions.pop();
@@ -91,7 +91,7 @@ function replaceSequentialAssignmentsInFlowControl(node, opts, parentStack) {
                 return true;
             }
         } catch (e) {
-            console.log(`ERROR: ${parent.type} in property ${parentProperty}`, parent[parentProperty]);
+            (opts.logger || console).log(`ERROR: ${parent.type} in property ${parentProperty}`, parent[parentProperty]);
             throw e;
         }    
     }
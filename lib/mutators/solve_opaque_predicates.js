@@ -0,0 +1,209 @@
+const t = require('@babel/types');
+const Utils = require('../utils');
+
+/**
+ * Solve Opaque Predicates
+ *
+ * obfuscator.io's dead code injection wraps real statements in branches whose
+ * test always comes out the same way, and puts copies of other code in the
+ * branch that never runs:
+ *
+ *   if ('AtzMX' !== 'JAZVv') {                 →   console.log('big', r);
+ *       console.log('big', r);
+ *   } else {
+ *       return _0x3ea7cf(_0x2b8d92);
+ *   }
+ *   x ? 'OPySd' === 'OPySd' ? a : b : c        →   x ? a : c
+ *
+ * A test is solved when it only combines literals: comparisons of strings,
+ * numbers and booleans, `typeof` of a literal, function, object or array, and
+ * `!`, `&&`, `||`, `??` over those. The branch that is not taken is removed,
+ * and a taken block is merged into the surrounding statements when it
+ * declares nothing block-scoped.
+ *
+ * With control flow flattening the test hides behind a proxy object key
+ * (`_0xa['gAKoB']('AtzMX', 'JAZVv')`, `_0xa['hhCrX'] === _0xa['QwE']`). The
+ * holder is only inlined when its function body is visited, after the
+ * predicates below it, so the body is searched again at that point.
+ *
+ * Tests that are already a plain literal are left to eliminateDeadCode.
+ */
+
+const COMPARISONS = ['===', '!==', '==', '!=', '<', '<=', '>', '>='];
+
+/**
+ * Primitive value of a node made of literals only: { value }, or null when unknown
+ */
+function evaluate(node) {
+    if (t.isStringLiteral(node) || t.isNumericLiteral(node) || t.isBooleanLiteral(node)) return { value: node.value };
+    if (t.isNullLiteral(node)) return { value: null };
+    if (t.isTemplateLiteral(node) && node.expressions.length === 0) return { value: node.quasis[0].value.cooked };
+
+    if (t.isUnaryExpression(node)) {
+        if (node.operator === 'typeof') {
+            const type = typeOf(node.argument);
+            return type === null ? null : { value: type };
+        }
+        const argument = evaluate(node.argument);
+        if (!argument) return null;
+        switch (node.operator) {
+            case '!': return { value: !argument.value };
+            case 'void': return { value: undefined };
+            case '-': return typeof argument.value === 'number' ? { value: -argument.value } : null;
+            case '+': return typeof argument.value === 'number' ? { value: argument.value } : null;
+            default: return null;
+        }
+    }
+
+    if (t.isBinaryExpression(node) && COMPARISONS.includes(node.operator)) {
+        const left = evaluate(node.left);
+        const right = left && evaluate(node.right);
+        if (!right) return null;
+        // Primitives only: none of these can throw or call back into the program
+        const [a, b] = [left.value, right.value];
+        switch (node.operator) {
+            case '===': return { value: a === b };
+            case '!==': return { value: a !== b };
+            case '==': return { value: a == b };
+            case '!=': return { value: a != b };
+            case '<': return { value: a < b };
+            case '<=': return { value: a <= b };
+            case '>': return { value: a > b };
+            case '>=': return { value: a >= b };
+        }
+    }
+
+    if (t.isLogicalExpression(node)) {
+        const left = evaluate(node.left);
+        if (!left) return null;
+        // The right side only matters when the left one does not decide
+        const decides = node.operator === '&&' ? !left.value
+            : node.operator === '||' ? !!left.value
+                : left.value !== null && left.value !== undefined;
+        return decides ? left : evaluate(node.right);
+    }
+    return null;
+}
+
+/**
+ * What `typeof node` returns when node has a known type, or null
+ */
+function typeOf(node) {
+    if (t.isFunctionExpression(node) || t.isArrowFunctionExpression(node) || t.isClassExpression(node)) return 'function';
+    if (t.isObjectExpression(node) || t.isArrayExpression(node) || t.isRegExpLiteral(node)) return 'object';
+    const known = evaluate(node);
+    return known ? typeof known.value : null;
+}
+
+/**
+ * The branch an if statement or conditional takes: { branch } (null when
+ * there is nothing to run), or null when the test is not solved
+ */
+function solve(node) {
+    if (!t.isIfStatement(node) && !t.isConditionalExpression(node)) return null;
+    if (t.isLiteral(node.test) && !t.isTemplateLiteral(node.test)) return null;
+    const test = evaluate(node.test);
+    if (!test) return null;
+    return { branch: test.value ? node.consequent : node.alternate };
+}
+
+function declaresBlockScoped(block) {
+    return block.body.some(stmt => t.isFunctionDeclaration(stmt) || t.isClassDeclaration(stmt) ||
+        (t.isVariableDeclaration(stmt) && stmt.kind !== 'var'));
+}
+
+/**
+ * What replaces a solved node in its slot: a list of statements when the slot
+ * is in a statement list, a single node otherwise (null for a dropped `else`)
+ */
+function replacementOf(node, branch, inList, key) {
+    if (t.isConditionalExpression(node)) return branch;
+    if (inList) {
+        if (!branch) return [];
+        return t.isBlockStatement(branch) && !declaresBlockScoped(branch) ? branch.body : [branch];
+    }
+    if (branch) return branch;
+    return key === 'alternate' ? null : t.blockStatement([]);
+}
+
+function record(opts, node, branch) {
+    const dropped = branch === node.consequent ? node.alternate : node.consequent;
+    opts.solvedPredicates = (opts.solvedPredicates || 0) + 1;
+    // Running totals for the malware report (the per-pass counts are reset)
+    opts.solvedOpaquePredicates = (opts.solvedOpaquePredicates || 0) + 1;
+    if (dropped && !(t.isBlockStatement(dropped) && dropped.body.length === 0)) {
+        opts.removedBranches = (opts.removedBranches || 0) + 1;
+        opts.removedDeadBranches = (opts.removedDeadBranches || 0) + 1;
+    }
+}
+
+/**
+ * Solve the predicates anywhere below `root`, innermost first
+ */
+function solveBelow(root, opts) {
+    let changed = false;
+    const visit = node => {
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            const value = node[key];
+            if (Array.isArray(value)) {
+                // Backwards, so a splice does not move the children still to visit
+                for (let i = value.length - 1; i >= 0; i--) {
+                    const child = value[i];
+                    if (!child || typeof child.type !== 'string') continue;
+                    visit(child);
+                    const solved = solve(child);
+                    if (!solved) continue;
+                    record(opts, child, solved.branch);
+                    value.splice(i, 1, ...[].concat(replacementOf(child, solved.branch, true, key)));
+                    changed = true;
+                }
+            } else if (value && typeof value.type === 'string') {
+                visit(value);
+                const solved = solve(value);
+                if (!solved) continue;
+                record(opts, value, solved.branch);
+                node[key] = replacementOf(value, solved.branch, false, key);
+                changed = true;
+            }
+        }
+    };
+    visit(root);
+    return changed;
+}
+
+function solveOpaquePredicates(node, opts, parentStack) {
+    if (opts.config && opts.config.solveOpaquePredicates === false) {
+        return false;
+    }
+    const parent = parentStack.last();
+    let changed = false;
+
+    const solved = parent && solve(node);
+    if (solved) {
+        const inList = Array.isArray(parent.node[parent.propertyName]);
+        const replacement = replacementOf(node, solved.branch, inList, parent.propertyName);
+        record(opts, node, solved.branch);
+        if (replacement === null) {
+            parent.node[parent.propertyName] = null;
+        } else {
+            Utils.replaceChildInParentNode(replacement, parent);
+        }
+        changed = true;
+    }
+
+    // Predicates exposed by inlineProxyObjects, which runs on this body just before
+    if (node.type === 'Program' || (t.isBlockStatement(node) && parent && t.isFunction(parent.node))) {
+        changed = solveBelow(node, opts) || changed;
+    }
+
+    if (node.type === 'Program') {
+        if (opts.solvedPredicates && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[OpaquePredicates] Solved ${opts.solvedPredicates} predicates, removed ${opts.removedBranches || 0} dead branches`);
+        }
+        opts.solvedPredicates = 0;
+        opts.removedBranches = 0;
+    }
+    return changed;
+}
+
+module.exports = solveOpaquePredicates;
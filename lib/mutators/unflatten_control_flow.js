@@ -0,0 +1,495 @@
+const t = require('@babel/types');
+const { countReferences } = require('../detectors/transpiler_helpers');
+
+/**
+ * Unflatten Control Flow
+ *
+ * Turns switch dispatcher loops back into ordinary statements:
+ *
+ *   var order = "2|0|1".split("|"), i = 0;
+ *   while (true) {
+ *     switch (order[i++]) {
+ *       case "0": b(); continue;
+ *       case "1": return c();
+ *       case "2": a(); continue;
+ *     }
+ *     break;
+ *   }
+ *   →  a(); b(); return c();
+ *
+ *   var state = 0x1a;
+ *   while (true) {
+ *     switch (state) {
+ *       case 0x1a: a(); state = x ? 0x2b : 0x3c; break;
+ *       case 0x2b: b(); state = 0x4d; break;
+ *       case 0x3c: c(); state = 0x4d; break;
+ *       case 0x4d: return d();
+ *     }
+ *   }
+ *   →  a(); if (x) { b(); } else { c(); } return d();
+ *
+ * State machines are read as a graph: `state = K` is a jump, `state = c ? K1 : K2`
+ * (or an if / else of two assignments) a branch, return / throw an exit, and a state
+ * without a case (or the `while (state !== END)` one) leaves the loop. Branches are
+ * closed at their immediate post-dominator; a branch state some path returns to
+ * becomes `while (c) { ... }`. States no path reaches are dropped.
+ *
+ * Left alone when it cannot be done without changing behavior: the dispatch variables
+ * are used anywhere else, cases fall through or break / continue out of the case,
+ * cases declare let / const / class / function, a `default` case exists, or the graph
+ * would need a state emitted twice or jumps out of a rebuilt loop.
+ *
+ * Runs bottom-up on statement lists, so dispatchers nested in case bodies are
+ * unflattened before the one around them.
+ */
+
+const MAX_STATES = 500;
+const OUT = 'out';
+const SINK = 'sink';
+
+class Unstructured extends Error {}
+
+/**
+ * Walk a subtree without entering functions; `visit` returning false skips the children
+ */
+function walk(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    if (visit(node) === false) return;
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) {
+            if (child && !t.isFunction(child)) walk(child, visit);
+        }
+    }
+}
+
+function isAlwaysTrue(test) {
+    if (!test) return true;
+    if (t.isBooleanLiteral(test, { value: true })) return true;
+    if (t.isNumericLiteral(test)) return test.value !== 0;
+    // !0, !![]
+    return t.isUnaryExpression(test, { operator: '!' }) &&
+        (t.isNumericLiteral(test.argument, { value: 0 }) ||
+         t.isUnaryExpression(test.argument, { operator: '!' }) && t.isArrayExpression(test.argument.argument));
+}
+
+function isStateLiteral(node) {
+    return t.isNumericLiteral(node) || t.isStringLiteral(node);
+}
+
+function stateKey(node) {
+    return `${typeof node.value}:${node.value}`;
+}
+
+/**
+ * `while (true) { switch (x) { ... } [break;] }`, `for (;;) ...` or `while (x !== END) switch (x) ...`
+ */
+function dispatcherOf(stmt) {
+    if (!t.isWhileStatement(stmt) && !(t.isForStatement(stmt) && !stmt.init && !stmt.update)) return null;
+    const statements = t.isBlockStatement(stmt.body) ? stmt.body.body : [stmt.body];
+    const sw = statements[0];
+    if (!t.isSwitchStatement(sw)) return null;
+
+    let exits = false;
+    if (statements.length === 2 && t.isBreakStatement(statements[1]) && !statements[1].label) {
+        exits = true;
+    } else if (statements.length !== 1) {
+        return null;
+    }
+    if (sw.cases.length === 0 || sw.cases.some(c => !c.test || !isStateLiteral(c.test))) return null;
+    const keys = new Set(sw.cases.map(c => stateKey(c.test)));
+    if (keys.size !== sw.cases.length) return null;
+
+    return { loop: stmt, sw, exits, test: stmt.test };
+}
+
+/**
+ * break / continue that would leave the case, and declarations scoped to the switch
+ */
+function isSelfContained(statements) {
+    let contained = true;
+    for (const stmt of statements) {
+        if (t.isVariableDeclaration(stmt) && stmt.kind !== 'var') return false;
+        if (t.isFunctionDeclaration(stmt) || t.isClassDeclaration(stmt)) return false;
+    }
+    const visit = (node, loops, switches) => {
+        if (!contained || !node || typeof node.type !== 'string' || t.isFunction(node)) return;
+        if (t.isBreakStatement(node) && !node.label && loops + switches === 0) contained = false;
+        if (t.isContinueStatement(node) && !node.label && loops === 0) contained = false;
+        const isLoop = t.isLoop(node) ? 1 : 0;
+        const isSwitch = t.isSwitchStatement(node) ? 1 : 0;
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const child of [].concat(node[key])) visit(child, loops + isLoop, switches + isSwitch);
+        }
+    };
+    statements.forEach(stmt => visit(stmt, 0, 0));
+    return contained;
+}
+
+/**
+ * Find `name = <init>` in the statements before `index`, skipping ones that do not mention `name`
+ *
+ * @returns {{ stmt, declarator, init } | null}
+ */
+function findInit(list, index, name) {
+    for (let i = index - 1; i >= 0; i--) {
+        const stmt = list[i];
+        if (t.isVariableDeclaration(stmt)) {
+            const declarator = stmt.declarations.find(decl => t.isIdentifier(decl.id, { name }));
+            if (declarator) return declarator.init ? { stmt, declarator, init: declarator.init } : null;
+        }
+        if (t.isExpressionStatement(stmt) && t.isAssignmentExpression(stmt.expression, { operator: '=' }) &&
+            t.isIdentifier(stmt.expression.left, { name })) {
+            return { stmt, declarator: null, init: stmt.expression.right };
+        }
+        if (countReferences(stmt, name) > 0) return null;
+    }
+    return null;
+}
+
+function removeInit(list, found) {
+    if (found.declarator && found.stmt.declarations.length > 1) {
+        found.stmt.declarations.splice(found.stmt.declarations.indexOf(found.declarator), 1);
+    } else {
+        list.splice(list.indexOf(found.stmt), 1);
+    }
+}
+
+/**
+ * `"2|0|1".split("|")` → ['2', '0', '1']
+ */
+function splitOrder(node) {
+    if (!t.isCallExpression(node) || node.arguments.length !== 1 || !t.isStringLiteral(node.arguments[0])) return null;
+    const callee = node.callee;
+    if (!t.isMemberExpression(callee) || !t.isStringLiteral(callee.object)) return null;
+    const isSplit = callee.computed ? t.isStringLiteral(callee.property, { value: 'split' }) : t.isIdentifier(callee.property, { name: 'split' });
+    return isSplit ? callee.object.value.split(node.arguments[0].value) : null;
+}
+
+/**
+ * switch (order[i++]) with order = "...".split("|") and i = 0: the cases in that order
+ */
+function unflattenOrder(list, index, dispatcher, scope) {
+    const { sw, exits, test } = dispatcher;
+    const discriminant = sw.discriminant;
+    if (!isAlwaysTrue(test) || !t.isMemberExpression(discriminant) || !discriminant.computed ||
+        !t.isIdentifier(discriminant.object) ||
+        !t.isUpdateExpression(discriminant.property, { operator: '++', prefix: false }) ||
+        !t.isIdentifier(discriminant.property.argument)) return null;
+
+    const orderName = discriminant.object.name;
+    const counterName = discriminant.property.argument.name;
+    const orderInit = findInit(list, index, orderName);
+    const counterInit = findInit(list, index, counterName);
+    if (!orderInit || !counterInit || !t.isNumericLiteral(counterInit.init, { value: 0 })) return null;
+    const order = splitOrder(orderInit.init);
+    if (!order) return null;
+    // Declaration (or assignment) and the discriminant are the only uses
+    if (countReferences(scope, orderName) !== 2 || countReferences(scope, counterName) !== 2) return null;
+
+    const cases = new Map(sw.cases.filter(c => t.isStringLiteral(c.test)).map(c => [c.test.value, c]));
+    const statements = [];
+    let finished = false;
+    for (const key of order) {
+        const c = cases.get(key);
+        if (!c) {
+            finished = true;
+            break;
+        }
+        const body = c.consequent.length === 1 && t.isBlockStatement(c.consequent[0]) ? c.consequent[0].body : c.consequent;
+        const last = body[body.length - 1];
+        if (t.isReturnStatement(last) || t.isThrowStatement(last)) {
+            if (!isSelfContained(body)) return null;
+            statements.push(...body);
+            finished = true;
+            break;
+        }
+        if (!t.isContinueStatement(last) || last.label || !isSelfContained(body.slice(0, -1))) return null;
+        statements.push(...body.slice(0, -1));
+    }
+    // Past the end of the order nothing matches: the break after the switch ends the loop
+    if (!finished && !exits) return null;
+    return { statements, inits: [orderInit, counterInit] };
+}
+
+/**
+ * `state = K`, `state = c ? K1 : K2` or `if (c) state = K1; else state = K2;`
+ */
+function transitionOf(stmt, name) {
+    const assignment = (node) => {
+        if (t.isBlockStatement(node) && node.body.length === 1) node = node.body[0];
+        if (!t.isExpressionStatement(node) || !t.isAssignmentExpression(node.expression, { operator: '=' }) ||
+            !t.isIdentifier(node.expression.left, { name })) return null;
+        return node.expression.right;
+    };
+    if (t.isIfStatement(stmt) && stmt.alternate) {
+        const consequent = assignment(stmt.consequent);
+        const alternate = assignment(stmt.alternate);
+        if (isStateLiteral(consequent) && isStateLiteral(alternate)) {
+            return { test: stmt.test, targets: [stateKey(consequent), stateKey(alternate)] };
+        }
+        return null;
+    }
+    const value = assignment(stmt);
+    if (isStateLiteral(value)) return { test: null, targets: [stateKey(value)] };
+    if (t.isConditionalExpression(value) && isStateLiteral(value.consequent) && isStateLiteral(value.alternate)) {
+        return { test: value.test, targets: [stateKey(value.consequent), stateKey(value.alternate)] };
+    }
+    return null;
+}
+
+/**
+ * switch (state) driven by assignments in the cases: rebuilt from the state graph
+ */
+function unflattenStates(list, index, dispatcher, scope) {
+    const { loop, sw, exits, test } = dispatcher;
+    if (!t.isIdentifier(sw.discriminant) || sw.cases.length > MAX_STATES) return null;
+    const name = sw.discriminant.name;
+
+    // The loop either runs until a case returns, or until state reaches the END in its test
+    let end = null;
+    if (!isAlwaysTrue(test)) {
+        if (!t.isBinaryExpression(test) || !['!==', '!='].includes(test.operator)) return null;
+        const [side, other] = t.isIdentifier(test.left, { name }) ? [test.left, test.right] : [test.right, test.left];
+        if (!t.isIdentifier(side, { name }) || !isStateLiteral(other)) return null;
+        end = stateKey(other);
+    }
+
+    const init = findInit(list, index, name);
+    if (!init || !isStateLiteral(init.init)) return null;
+    const entry = stateKey(init.init);
+    if (entry === end) return null;
+
+    const nodes = new Map();
+    let transitionRefs = 0;
+    for (const c of sw.cases) {
+        const body = c.consequent;
+        const last = body[body.length - 1];
+        const key = stateKey(c.test);
+        if (t.isReturnStatement(last) || t.isThrowStatement(last)) {
+            if (!isSelfContained(body)) return null;
+            nodes.set(key, { key, statements: body, test: null, targets: [] });
+            continue;
+        }
+        // A break after the switch turns a case's own break into leaving the loop
+        const jumps = t.isContinueStatement(last) || (t.isBreakStatement(last) && !exits);
+        if (!jumps || last.label || body.length < 2) return null;
+        const transition = transitionOf(body[body.length - 2], name);
+        const statements = body.slice(0, -2);
+        if (!transition || !isSelfContained(statements)) return null;
+        transitionRefs += countReferences(body[body.length - 2], name);
+        nodes.set(key, { key, statements, test: transition.test, targets: transition.targets });
+    }
+
+    // Unknown states leave the loop only where something ends it
+    for (const node of nodes.values()) {
+        node.targets = node.targets.map(target => {
+            if (target === end || (!nodes.has(target) && exits)) return OUT;
+            if (!nodes.has(target)) throw new Unstructured();
+            return target;
+        });
+    }
+    if (!nodes.has(entry)) return null;
+
+    // state is read by the switch (and loop test) and written by the transitions, nothing else
+    const testRefs = end ? 1 : 0;
+    if (countReferences(loop, name) !== 1 + testRefs + transitionRefs) return null;
+    const declarators = [];
+    walk(scope, node => {
+        if (t.isVariableDeclarator(node) && t.isIdentifier(node.id, { name }) && node !== init.declarator) declarators.push(node);
+    });
+    if (declarators.some(decl => decl.init)) return null;
+    const initRefs = countReferences(init.declarator || init.stmt, name);
+    if (countReferences(scope, name) !== countReferences(loop, name) + initRefs + declarators.length) return null;
+
+    return { statements: structure(nodes, entry), inits: [init] };
+}
+
+/**
+ * Rebuild statements from the state graph (see the header comment)
+ */
+function structure(nodes, entry) {
+    // Back edges close loops; only `while (test)` headers are supported
+    const headers = new Map();
+    const state = new Map();
+    const dfs = (key) => {
+        state.set(key, 'active');
+        for (const target of nodes.get(key).targets) {
+            if (target === OUT) continue;
+            if (state.get(target) === 'active') {
+                headers.set(target, (headers.get(target) || new Set()).add(key));
+            } else if (!state.has(target)) {
+                dfs(target);
+            }
+        }
+        state.set(key, 'done');
+    };
+    dfs(entry);
+
+    const canReach = (from, goal, avoid) => {
+        const seen = new Set([avoid]);
+        const stack = [from];
+        while (stack.length) {
+            const key = stack.pop();
+            if (key === goal) return true;
+            if (seen.has(key) || key === OUT) continue;
+            seen.add(key);
+            stack.push(...nodes.get(key).targets);
+        }
+        return false;
+    };
+    const loops = new Map();
+    for (const header of headers.keys()) {
+        const node = nodes.get(header);
+        if (!node.test || node.statements.length > 0) throw new Unstructured();
+        const [consequent, alternate] = node.targets;
+        const bodyFirst = canReach(consequent, header, null) && consequent !== header;
+        const bodyLast = canReach(alternate, header, null) && alternate !== header;
+        if (bodyFirst === bodyLast) throw new Unstructured();
+        loops.set(header, { body: bodyFirst ? consequent : alternate, exit: bodyFirst ? alternate : consequent, negate: !bodyFirst });
+    }
+
+    // Successors for post-dominators: loops are entered once and left through their exit,
+    // back edges end at the loop's own end marker
+    const loopEnd = header => `loop:${header}`;
+    const edge = (from, target) => (headers.has(target) && headers.get(target).has(from) ? loopEnd(target) : target);
+    const successors = (key) => {
+        if (key === OUT || key === SINK || key.startsWith('loop:')) return key === SINK ? [] : [SINK];
+        if (loops.has(key)) return [edge(key, loops.get(key).exit)];
+        const node = nodes.get(key);
+        if (node.targets.length === 0) return [SINK];
+        return node.targets.map(target => edge(key, target));
+    };
+    const postDominators = new Map();
+    const pdom = (key) => {
+        if (postDominators.has(key)) return postDominators.get(key);
+        postDominators.set(key, null);
+        let result = null;
+        for (const next of successors(key)) {
+            const set = pdom(next);
+            if (!set) throw new Unstructured();
+            result = result ? new Set([...result].filter(k => set.has(k))) : new Set(set);
+        }
+        result = result || new Set();
+        result.add(key);
+        postDominators.set(key, result);
+        return result;
+    };
+    const join = (key) => {
+        const own = pdom(key);
+        for (const candidate of own) {
+            if (candidate !== key && pdom(candidate).size === own.size - 1) return candidate;
+        }
+        return SINK;
+    };
+
+    const emitted = new Set();
+    const emit = (key, stop, loop, out) => {
+        while (key !== stop) {
+            if (key === SINK) return;
+            if (key === OUT) {
+                // Leaving the dispatcher from inside a rebuilt loop would need a break
+                if (loop) throw new Unstructured();
+                return;
+            }
+            if (key.startsWith('loop:')) {
+                if (key !== loopEnd(loop)) throw new Unstructured();
+                return;
+            }
+            if (emitted.has(key)) throw new Unstructured();
+            emitted.add(key);
+            const node = nodes.get(key);
+
+            if (loops.has(key)) {
+                const { body, exit, negate } = loops.get(key);
+                const block = [];
+                emit(body, loopEnd(key), key, block);
+                out.push(t.whileStatement(negate ? t.unaryExpression('!', node.test) : node.test, t.blockStatement(block)));
+                key = edge(key, exit);
+                continue;
+            }
+
+            out.push(...node.statements);
+            if (node.targets.length === 0) return;
+            const targets = successors(key);
+            if (targets.length === 1 || targets[0] === targets[1]) {
+                key = targets[0];
+                continue;
+            }
+
+            const merge = join(key);
+            const consequent = [];
+            const alternate = [];
+            emit(targets[0], merge, loop, consequent);
+            emit(targets[1], merge, loop, alternate);
+            if (consequent.length === 0 && alternate.length > 0) {
+                out.push(t.ifStatement(t.unaryExpression('!', node.test), t.blockStatement(alternate)));
+            } else if (consequent.length > 0 || alternate.length > 0) {
+                out.push(t.ifStatement(node.test, t.blockStatement(consequent), alternate.length > 0 ? t.blockStatement(alternate) : null));
+            } else {
+                out.push(t.expressionStatement(node.test));
+            }
+            if (merge === SINK) return;
+            key = merge;
+        }
+    };
+    const statements = [];
+    emit(entry, SINK, null, statements);
+    return statements;
+}
+
+/**
+ * Statement list whose `var`s the list belongs to: the enclosing function body or the program
+ */
+function scopeOf(node, parentStack) {
+    if (node.type === 'Program') return node;
+    if (parentStack.last() && t.isFunction(parentStack.last().node)) return node;
+    for (let level = 0; parentStack.last(level); level++) {
+        const ancestor = parentStack.last(level).node;
+        if (ancestor.type === 'Program') return ancestor;
+        if (t.isFunction(ancestor)) return ancestor.body;
+    }
+    return null;
+}
+
+function unflattenControlFlow(node, opts, parentStack) {
+    if (opts.config && opts.config.unflattenControlFlow === false) {
+        return false;
+    }
+    const list = node.type === 'SwitchCase' ? node.consequent
+        : node.type === 'BlockStatement' || node.type === 'Program' ? node.body : null;
+    if (!list) return false;
+
+    let changed = false;
+    const scope = list.some(dispatcherOf) ? scopeOf(node, parentStack) : null;
+    for (let i = 0; scope && i < list.length; i++) {
+        const dispatcher = dispatcherOf(list[i]);
+        if (!dispatcher) continue;
+        let result;
+        try {
+            result = unflattenOrder(list, i, dispatcher, scope) || unflattenStates(list, i, dispatcher, scope);
+        } catch (err) {
+            if (!(err instanceof Unstructured)) throw err;
+            result = null;
+        }
+        if (!result) continue;
+
+        list.splice(i, 1, ...result.statements);
+        // Order and index variables go last: their declarations may share a statement
+        for (const init of result.inits) removeInit(list, init);
+        opts.unflattenedDispatchers = (opts.unflattenedDispatchers || 0) + 1;
+        // Running total for the malware report (the per-pass count above is reset)
+        opts.unflattenedControlFlow = (opts.unflattenedControlFlow || 0) + 1;
+        changed = true;
+        i = -1;
+    }
+
+    if (node.type === 'Program') {
+        if (opts.unflattenedDispatchers && opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[ControlFlow] Unflattened ${opts.unflattenedDispatchers} dispatcher loops`);
+        }
+        opts.unflattenedDispatchers = 0;
+    }
+    return changed;
+}
+
+module.exports = unflattenControlFlow;
@@ -1,16 +1,26 @@
 const t = require('@babel/types');
+const parser = require('@babel/parser');
 const Utils = require('../utils');
 const fs = require('fs');
 const path = require('path');
 const CodeGenerator = require('@babel/generator').CodeGenerator;
 const generate = require('@babel/generator').default;
 const { SourceMapGenerator } = require('source-map');
+const { traverseTopDown } = require('../traverser');
 
 /**
  * BUNDLE UNPACKER - Critical for malware analysis
  *
  * Detects and unpacks common JavaScript bundle patterns:
  * - Webpack bundles: (function(modules) {...})([...])
+ * - Webpack Module Federation remoteEntry containers (get/init, __webpack_require__.S share scope)
+ * - Browserify: (function e(t,n,r) {...})({1:[function(require,module,exports) {...}, {"./dep":2}]}, {}, [1])
+ * - Parcel 1/2: hashed module map {"a1b2c": [function(require,module,exports) {...}, {"./dep": "d3e4f"}]}
+ * - Scope-hoisted Rollup/esbuild/Vite/Parcel 2 output: split at `// path` comments,
+ *   __commonJS/__esm/parcelRequire.register wrappers, Rollup namespace objects
+ *   and Parcel $assetId$ name prefixes
+ * - SystemJS: System.register([...], function (exports, context) {...}) → ES modules
+ * - React Native Metro: __d(function(g,r,i,a,m,e,d) {...}, 12, [45, 67], "src/App.js"); __r(0)
  * - AMD/RequireJS: !(function(e) { define/require })(this)
  * - UMD pattern: (function(root, factory) {...})
  * - Closure Compiler: (function(_) {...})(this)
@@ -174,9 +184,157 @@ function isWebpack5Bundle(node) {
     };
 }
 
+/**
+ * Detects Module Federation remote containers (remoteEntry.js)
+ * Pattern: var app2; (() => { var modules = {
+ *     "webpack/container/entry/app2": (module, exports, __webpack_require__) => {
+ *         var moduleMap = { "./Button": () => __webpack_require__.e(..).then(() => () => __webpack_require__(id)) };
+ *         ...
+ *         __webpack_require__.d(exports, { get: () => get, init: () => init });
+ *     }, ... }; ... __webpack_require__.S = {}; ... })();
+ *
+ * Relies on the get/init container interface, so minified containers are recognized too
+ */
+function isModuleFederationContainer(node) {
+    if (node.type !== 'CallExpression' || node.arguments.length !== 0) return false;
+    const callee = node.callee;
+    if (!t.isFunction(callee) || callee.params.length !== 0 || callee.body.type !== 'BlockStatement') return false;
+
+    for (const stmt of callee.body.body) {
+        if (stmt.type !== 'VariableDeclaration') continue;
+        for (const decl of stmt.declarations) {
+            if (!decl.init || decl.init.type !== 'ObjectExpression') continue;
+            for (const prop of decl.init.properties) {
+                if (prop.type !== 'ObjectProperty' || !t.isFunction(prop.value) || prop.value.body.type !== 'BlockStatement') continue;
+                const [, exportsParam, requireParam] = prop.value.params;
+                if (!t.isIdentifier(exportsParam) || !t.isIdentifier(requireParam)) continue;
+                if (!definesContainerInterface(prop.value.body, exportsParam.name, requireParam.name)) continue;
+
+                const id = propertyKeyName(prop);
+                const entryMatch = /^webpack\/container\/entry\/(.+)$/.exec(String(id));
+                return {
+                    type: 'webpack_federation',
+                    loaderFunc: callee,
+                    modulesContainer: decl.init,
+                    isObjectBased: true,
+                    containerId: id,
+                    containerName: entryMatch ? entryMatch[1] : null,
+                    containerFunc: prop.value,
+                    requireName: requireParam.name,
+                    detectionMethod: 'federation-container'
+                };
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Does this module body export the container interface:
+ * __webpack_require__.d(exports, { get: ..., init: ... })
+ */
+function definesContainerInterface(body, exportsName, requireName) {
+    let found = false;
+    traverseTopDown(body, [(child) => {
+        if (found || child.type !== 'CallExpression' || child.callee.type !== 'MemberExpression' ||
+            !t.isIdentifier(child.callee.object, { name: requireName }) || !t.isIdentifier(child.callee.property, { name: 'd' }) ||
+            !t.isIdentifier(child.arguments[0], { name: exportsName }) || !t.isObjectExpression(child.arguments[1])) {
+            return false;
+        }
+        const keys = child.arguments[1].properties.map(propertyKeyName);
+        found = keys.includes('get') && keys.includes('init');
+        return false;
+    }], {});
+    return found;
+}
+
+/**
+ * Visit every node in source order (traverseTopDown visits siblings last to first)
+ */
+function walkInOrder(node, visit) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) walkInOrder(child, visit);
+    }
+}
+
+/**
+ * Exposed modules and shared dependencies of a federation container
+ *
+ * Exposed: the container's module map, { "./Button": () => load chunks, then __webpack_require__(id) }
+ * Shared: share scope registrations register("react", "17.0.2", factory, eager) in
+ * __webpack_require__.I, and consumes loader("default", "react", [1, 17, 0, 2], fallback)
+ *
+ * @returns {Object} { name, exposes: [{ name, moduleIds, chunkIds }], shared: [{ name, version, scope, provided, consumed, eager }] }
+ */
+function federationContainerInfo(bundleInfo) {
+    const requireName = bundleInfo.requireName;
+    const exposes = [];
+
+    // The module map is the object of loader functions declared in the container module
+    let moduleMap = null;
+    for (const stmt of bundleInfo.containerFunc.body.body) {
+        if (stmt.type !== 'VariableDeclaration') continue;
+        const decl = stmt.declarations.find(d => d.init && d.init.type === 'ObjectExpression' && d.init.properties.length > 0 &&
+            d.init.properties.every(prop => prop.type === 'ObjectProperty' && t.isFunction(prop.value)));
+        if (decl) {
+            moduleMap = decl.init;
+            break;
+        }
+    }
+    for (const prop of moduleMap ? moduleMap.properties : []) {
+        const moduleIds = [];
+        const chunkIds = [];
+        walkInOrder(prop.value, (child) => {
+            if (child.type !== 'CallExpression' || child.arguments.length !== 1 || !t.isLiteral(child.arguments[0])) return;
+            const value = child.arguments[0].value;
+            if (t.isIdentifier(child.callee, { name: requireName })) moduleIds.push(value);
+            else if (child.callee.type === 'MemberExpression' && t.isIdentifier(child.callee.object, { name: requireName }) &&
+                     t.isIdentifier(child.callee.property, { name: 'e' })) chunkIds.push(value);
+        });
+        exposes.push({ name: propertyKeyName(prop), moduleIds, chunkIds });
+    }
+
+    // Share scope: provided packages (register calls, grouped by `case "scope":`) and consumed packages
+    const shared = new Map();
+    const sharedEntry = (name, scope) => {
+        const key = `${scope}:${name}`;
+        if (!shared.has(key)) {
+            shared.set(key, { name, version: null, scope, provided: false, consumed: false, eager: false });
+        }
+        return shared.get(key);
+    };
+    // Required versions are encoded as nested arrays: [1, [1, 17, 0, 2]]
+    const isVersionRange = (arg) => !!arg && arg.type === 'ArrayExpression' && arg.elements.length > 0 &&
+        arg.elements.every(el => el && (el.type === 'NumericLiteral' || el.type === 'StringLiteral' || isVersionRange(el)));
+    let scope = 'default';
+    walkInOrder(bundleInfo.loaderFunc.body, (node) => {
+        // register() calls are grouped by share scope: switch (name) { case "default": ... }
+        if (node.type === 'SwitchCase' && node.test && node.test.type === 'StringLiteral') {
+            scope = node.test.value;
+        }
+        if (node.type === 'CallExpression') {
+            const [first, second, third, fourth] = node.arguments;
+            if (t.isStringLiteral(first) && t.isStringLiteral(second) && /^\d+\.\d+/.test(second.value) && t.isFunction(third)) {
+                const entry = sharedEntry(first.value, scope);
+                entry.provided = true;
+                entry.version = second.value;
+                entry.eager = !!fourth && !(t.isNumericLiteral(fourth, { value: 0 }) ||
+                    (fourth.type === 'UnaryExpression' && fourth.operator === '!' && t.isNumericLiteral(fourth.argument, { value: 1 })));
+            } else if (t.isStringLiteral(first) && t.isStringLiteral(second) && node.arguments.slice(2).some(isVersionRange)) {
+                sharedEntry(second.value, first.value).consumed = true;
+            }
+        }
+    });
+
+    return { name: bundleInfo.containerName, exposes, shared: [...shared.values()] };
+}
+
 /**
  * Detects webpackJsonp chunk files (code splitting)
  * Pattern: (window.webpackJsonp=window.webpackJsonp||[]).push([[chunkId], {...modules...}])
+ * OR (webpack 5): (self.webpackChunkapp=self.webpackChunkapp||[]).push([[chunkId], {...modules...}])
  * OR: webpackJsonp([chunkId], {...modules...})
  */
 function isWebpackChunk(node) {
@@ -188,7 +346,7 @@ function isWebpackChunk(node) {
         node.callee.property.name === 'push') {
 
         const objCode = JSON.stringify(node.callee.object);
-        if (objCode.includes('webpackJsonp')) {
+        if (objCode.includes('webpackJsonp') || objCode.includes('webpackChunk')) {
             // Arguments: [[chunkIds...], {modules...}, ...]
             if (node.arguments.length >= 1) {
                 const firstArg = node.arguments[0];
@@ -227,6 +385,329 @@ function isWebpackChunk(node) {
     return false;
 }
 
+/**
+ * Every module of a browserify/Parcel module map is [function(require, module, exports) {...}, {request: id}]
+ */
+function isModuleMapEntry(prop) {
+    return prop.type === 'ObjectProperty' &&
+        prop.value.type === 'ArrayExpression' &&
+        prop.value.elements.length === 2 &&
+        !!prop.value.elements[0] && prop.value.elements[0].type === 'FunctionExpression' &&
+        !!prop.value.elements[1] && prop.value.elements[1].type === 'ObjectExpression';
+}
+
+/**
+ * Entry ids of an [id, ...] array node
+ */
+function entryIds(arrayNode) {
+    return arrayNode.elements
+        .filter(elem => elem && (elem.type === 'NumericLiteral' || elem.type === 'StringLiteral'))
+        .map(elem => String(elem.value));
+}
+
+/**
+ * Detects Parcel 1 and Parcel 2 (development) bundles
+ * Parcel 1: parcelRequire=(function(modules,cache,entry,globalName){...})({"a1b2":[function(require,module,exports){...},{"./dep":"c3d4"}]},{},["a1b2"],null)
+ * Parcel 2: (function(modules,entry,mainEntry,parcelRequireName,globalName){...})({"4Jj7d":[...]},["4Jj7d"],"4Jj7d","parcelRequire94c2")
+ *
+ * Module ids are content hashes, so module paths come from the require() requests.
+ */
+function isParcelBundle(node) {
+    if (node.type !== 'CallExpression' || node.arguments.length < 4) return false;
+    if (node.callee.type !== 'FunctionExpression') return false;
+
+    const [modules, second, third, fourth] = node.arguments;
+    if (modules.type !== 'ObjectExpression' || modules.properties.length === 0) return false;
+    if (!modules.properties.every(isModuleMapEntry)) return false;
+
+    // Parcel 1: cache object + entry list, the prelude assigns parcelRequire
+    if (second.type === 'ObjectExpression' && third.type === 'ArrayExpression' &&
+        JSON.stringify(node.callee.body).includes('parcelRequire')) {
+        return { type: 'parcel', version: 1, modulesContainer: modules, entries: entryIds(third), detectionMethod: 'argument-shape' };
+    }
+
+    // Parcel 2: entry list + main entry + "parcelRequire<hash>" global name
+    if (second.type === 'ArrayExpression' && fourth.type === 'StringLiteral' && /^parcelRequire/.test(fourth.value)) {
+        return { type: 'parcel', version: 2, modulesContainer: modules, entries: entryIds(second), detectionMethod: 'argument-shape' };
+    }
+
+    return false;
+}
+
+/**
+ * SystemJS module: System.register(["./dep"], function (exports, context) {
+ *     var dep;
+ *     return { setters: [function (m) { dep = m.default; }], execute: function () {...} };
+ * })
+ * Bundles concatenate several named ones: System.register("app/main", [...], function ...)
+ *
+ * @returns {Object|null} { name, deps, declare, setters, execute }
+ */
+function systemRegisterInfo(node) {
+    if (node.type !== 'CallExpression' || !t.matchesPattern(node.callee, 'System.register')) return null;
+
+    const args = node.arguments;
+    const name = args[0] && args[0].type === 'StringLiteral' ? args[0].value : null;
+    const [depsNode, declare] = name !== null ? args.slice(1) : args;
+    if (!depsNode || depsNode.type !== 'ArrayExpression') return null;
+    if (!declare || !t.isFunction(declare) || declare.body.type !== 'BlockStatement') return null;
+
+    const returned = declare.body.body.find(stmt => stmt.type === 'ReturnStatement');
+    if (!returned || !returned.argument || returned.argument.type !== 'ObjectExpression') return null;
+
+    const member = key => returned.argument.properties.find(prop =>
+        (prop.type === 'ObjectProperty' || prop.type === 'ObjectMethod') && propertyKeyName(prop) === key);
+    const setters = member('setters');
+    const execute = member('execute');
+    const executeFunc = !execute ? null
+        : (execute.type === 'ObjectMethod' ? execute : (t.isFunction(execute.value) ? execute.value : null));
+    if (!executeFunc || executeFunc.body.type !== 'BlockStatement') return null;
+
+    return {
+        name,
+        deps: depsNode.elements.map(elem => elem && elem.type === 'StringLiteral' ? elem.value : null),
+        declare,
+        setters: setters && setters.type === 'ObjectProperty' && setters.value.type === 'ArrayExpression'
+            ? setters.value.elements
+            : [],
+        execute: executeFunc
+    };
+}
+
+/**
+ * Detects SystemJS System.register() calls among the top-level statements
+ */
+function isSystemJSBundle(node) {
+    if (node.type !== 'Program') return false;
+
+    const registrations = [];
+    node.body.forEach((stmt, index) => {
+        const info = stmt.type === 'ExpressionStatement' && systemRegisterInfo(stmt.expression);
+        if (info) registrations.push({ ...info, index });
+    });
+
+    if (registrations.length === 0) return false;
+    return { type: 'systemjs', registrations, detectionMethod: 'System.register' };
+}
+
+/**
+ * React Native Metro module definition:
+ * __d(function (global, require, _$$_IMPORT_DEFAULT, _$$_IMPORT_ALL, module, exports, _dependencyMap) {...}, 12, [45, 67], "src/screens/Login.js")
+ * The verbose name (4th argument) is only present in development builds.
+ *
+ * @returns {Object|null} { id, factory, deps, name }
+ */
+function metroModuleInfo(stmt) {
+    if (stmt.type !== 'ExpressionStatement' || stmt.expression.type !== 'CallExpression') return null;
+    const { callee, arguments: args } = stmt.expression;
+    if (!t.isIdentifier(callee, { name: '__d' })) return null;
+
+    const [factory, id, deps, name] = args;
+    if (!factory || !t.isFunction(factory) || factory.body.type !== 'BlockStatement') return null;
+    if (!id || (id.type !== 'NumericLiteral' && id.type !== 'StringLiteral')) return null;
+
+    return {
+        id: String(id.value),
+        factory,
+        deps: deps && deps.type === 'ArrayExpression'
+            ? deps.elements.map(elem => elem && (elem.type === 'NumericLiteral' || elem.type === 'StringLiteral') ? String(elem.value) : null)
+            : [],
+        name: name && name.type === 'StringLiteral' ? name.value : null
+    };
+}
+
+/**
+ * Detects React Native Metro bundles among the top-level statements
+ * Pattern: __d(factory, id, [deps], "path") per module, __r(id) to run the entry
+ */
+function isMetroBundle(node) {
+    if (node.type !== 'Program') return false;
+
+    const modules = [];
+    const entries = [];
+    node.body.forEach((stmt, index) => {
+        const info = metroModuleInfo(stmt);
+        if (info) {
+            modules.push({ ...info, index });
+            return;
+        }
+        const expr = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+        if (expr && expr.type === 'CallExpression' && t.isIdentifier(expr.callee, { name: '__r' }) &&
+            expr.arguments[0] && (expr.arguments[0].type === 'NumericLiteral' || expr.arguments[0].type === 'StringLiteral')) {
+            entries.push(String(expr.arguments[0].value));
+        }
+    });
+
+    if (modules.length === 0) return false;
+    return { type: 'metro', modules, entries, detectionMethod: '__d-calls' };
+}
+
+/**
+ * Detects Browserify bundles
+ * Pattern: (function e(t,n,r){...})({1:[function(require,module,exports){...},{"./dep":2}]},{},[1])
+ *
+ * The prelude differs between browserify versions (newer ones call an IIFE
+ * that returns the loader, standalone builds assign it to `require`), so only
+ * the argument shape is checked: module map, cache object, entry id list.
+ */
+function isBrowserifyBundle(node) {
+    if (node.type !== 'CallExpression' || node.arguments.length !== 3) return false;
+
+    const [modules, cache, entries] = node.arguments;
+    if (modules.type !== 'ObjectExpression' || modules.properties.length === 0) return false;
+    if (cache.type !== 'ObjectExpression' || entries.type !== 'ArrayExpression') return false;
+
+    if (!modules.properties.every(isModuleMapEntry)) return false;
+
+    return {
+        type: 'browserify',
+        modulesContainer: modules,
+        entries: entryIds(entries),
+        detectionMethod: 'argument-shape'
+    };
+}
+
+// esbuild marks every hoisted module with a `// path/to/file.js` line comment
+const MODULE_PATH_COMMENT = /^\s*((?:[\w@.~+-]+\/)*[\w@.~+-]+\.(?:[cm]?[jt]sx?|json|vue|svelte))\s*$/;
+const ESBUILD_WRAPPER_HELPERS = ['__commonJS', '__esm'];
+
+// Wrapper function params, in order, per lazy module helper
+const WRAPPER_PARAMS = {
+    __commonJS: ['exports', 'module'],
+    __esm: [],
+    parcelRegister: ['module', 'exports']
+};
+
+// Parcel 2 prefixes hoisted names with the asset id: $a1b2c$var$x, $a1b2c$export$5f4a...
+const PARCEL_HOISTED_NAME = /^\$([0-9a-zA-Z]+)\$/;
+
+/**
+ * Path from an esbuild `// src/file.js` comment in front of a statement
+ */
+function modulePathComment(stmt) {
+    const comments = stmt.leadingComments || [];
+    for (let i = comments.length - 1; i >= 0; i--) {
+        const match = comments[i].type === 'CommentLine' && MODULE_PATH_COMMENT.exec(comments[i].value);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+/**
+ * esbuild lazy module wrapper: var require_x = __commonJS({ "path"(exports, module) {...} })
+ * (or var init_x = __esm({ "path"() {...} }))
+ *
+ * @returns {Object|null} { helper, name, path, func }
+ */
+function esbuildWrapperInfo(stmt) {
+    if (stmt.type !== 'VariableDeclaration' || stmt.declarations.length !== 1) return null;
+    const decl = stmt.declarations[0];
+    const init = decl.init;
+    if (!init || decl.id.type !== 'Identifier' || init.type !== 'CallExpression') return null;
+    if (init.callee.type !== 'Identifier' || !ESBUILD_WRAPPER_HELPERS.includes(init.callee.name)) return null;
+
+    const arg = init.arguments[0];
+    if (!arg || arg.type !== 'ObjectExpression' || arg.properties.length !== 1) return null;
+    const prop = arg.properties[0];
+    const func = prop.type === 'ObjectMethod' ? prop
+        : (prop.type === 'ObjectProperty' && t.isFunction(prop.value) ? prop.value : null);
+    if (!func || func.body.type !== 'BlockStatement') return null;
+
+    return { helper: init.callee.name, name: decl.id.name, path: propertyKeyName(prop), func };
+}
+
+/**
+ * Parcel 2 CommonJS asset: parcelRequire.register("a1b2c", function(module, exports) {...})
+ * (or parcelRegister("a1b2c", ...) with the register function hoisted into a variable)
+ *
+ * @returns {Object|null} { helper, name, path, func }
+ */
+function parcelWrapperInfo(stmt) {
+    if (stmt.type !== 'ExpressionStatement' || stmt.expression.type !== 'CallExpression') return null;
+    const { callee, arguments: args } = stmt.expression;
+    const isRegister = (callee.type === 'Identifier' && /^parcelRegister/.test(callee.name)) ||
+        (callee.type === 'MemberExpression' && !callee.computed && t.isIdentifier(callee.property, { name: 'register' }) &&
+         callee.object.type === 'Identifier' && /^parcelRequire/.test(callee.object.name));
+    if (!isRegister || args.length !== 2 || args[0].type !== 'StringLiteral') return null;
+    if (!t.isFunction(args[1]) || args[1].body.type !== 'BlockStatement') return null;
+
+    return { helper: 'parcelRegister', name: args[0].value, path: null, func: args[1] };
+}
+
+/**
+ * Asset id of a statement declaring Parcel 2 hoisted names ($parcel$ helpers excluded)
+ */
+function parcelAssetId(stmt) {
+    for (const name of Object.keys(t.getOuterBindingIdentifiers(stmt))) {
+        const match = PARCEL_HOISTED_NAME.exec(name);
+        if (match && match[1] !== 'parcel') return match[1];
+    }
+    return null;
+}
+
+/**
+ * Rollup namespace object: var utils = /*#__PURE__*\/Object.freeze({ __proto__: null, add: add })
+ *
+ * @returns {Object|null} { name, exports }
+ */
+function rollupNamespaceInfo(stmt) {
+    if (stmt.type !== 'VariableDeclaration' || stmt.declarations.length !== 1) return null;
+    const decl = stmt.declarations[0];
+    const init = decl.init;
+    if (!init || decl.id.type !== 'Identifier' || init.type !== 'CallExpression') return null;
+    if (!t.matchesPattern(init.callee, 'Object.freeze')) return null;
+
+    const arg = init.arguments[0];
+    if (!arg || arg.type !== 'ObjectExpression') return null;
+    const hasNullProto = arg.properties.some(prop => prop.type === 'ObjectProperty' &&
+        propertyKeyName(prop) === '__proto__' && prop.value.type === 'NullLiteral');
+    if (!hasNullProto) return null;
+
+    return {
+        name: decl.id.name,
+        exports: arg.properties
+            .filter(prop => prop.type === 'ObjectProperty' && propertyKeyName(prop) !== '__proto__')
+            .map(prop => propertyKeyName(prop))
+    };
+}
+
+/**
+ * Detects scope-hoisted bundles (Rollup, esbuild, Vite) on the Program node
+ * These have no module wrapper functions, only boundary hints:
+ * - esbuild: `// src/file.js` comments, __commonJS/__esm wrappers, __export(ns, {...})
+ * - Rollup: Object.freeze({ __proto__: null, ... }) namespace objects
+ * - Parcel 2: $<assetId>$ name prefixes, parcelRequire.register() wrappers
+ */
+function isScopeHoistedBundle(node) {
+    if (node.type !== 'Program') return false;
+
+    let pathComments = 0;
+    let wrappers = 0;
+    let namespaces = 0;
+    let parcelWrappers = 0;
+    const parcelAssets = new Set();
+    for (const stmt of node.body) {
+        if (modulePathComment(stmt)) pathComments++;
+        if (esbuildWrapperInfo(stmt)) wrappers++;
+        if (rollupNamespaceInfo(stmt)) namespaces++;
+        if (parcelWrapperInfo(stmt)) parcelWrappers++;
+        const assetId = parcelAssetId(stmt);
+        if (assetId) parcelAssets.add(assetId);
+    }
+
+    if (parcelWrappers >= 1 || parcelAssets.size >= 2) {
+        return { type: 'scope_hoisted', tool: 'parcel', assets: parcelAssets.size, wrappers: parcelWrappers, detectionMethod: 'asset-ids' };
+    }
+
+    if (pathComments >= 2 || wrappers >= 1) {
+        return { type: 'scope_hoisted', tool: 'esbuild', pathComments, wrappers, detectionMethod: 'module-comments' };
+    }
+    if (namespaces >= 1) {
+        return { type: 'scope_hoisted', tool: 'rollup', namespaces, detectionMethod: 'namespace-objects' };
+    }
+    return false;
+}
+
 /**
  * Detects AMD/RequireJS pattern
  * Pattern: !(function(e) { define = ...; require = ...; })(this)
@@ -344,8 +825,26 @@ function unpackBundles(node, opts, parentStack) {
         return false;
     }
 
+    // SystemJS registrations, Metro __d() modules and scope-hoisted bundles
+    // have no wrapper call: the whole program is the bundle
+    if (node.type === 'Program') {
+        const systemInfo = isSystemJSBundle(node);
+        if (systemInfo) return unwrapSystemJSBundle(node, systemInfo, opts);
+        const metroInfo = isMetroBundle(node);
+        if (metroInfo) return unwrapMetroBundle(node, metroInfo, opts);
+        const hoistedInfo = !node._scopeHoistedSplit && isScopeHoistedBundle(node);
+        return hoistedInfo ? splitScopeHoistedBundle(node, hoistedInfo, opts) : false;
+    }
+
     const parent = parentStack.last()?.node;
 
+    // Browserify standalone/external builds and Parcel 1 assign the bundle:
+    // require=(function e(t,n,r){...})(...), parcelRequire=(function(modules,cache,entry,globalName){...})(...)
+    if (parent && parent.type === 'AssignmentExpression' && parent.right === node) {
+        const moduleMapInfo = isBrowserifyBundle(node) || isParcelBundle(node);
+        return moduleMapInfo ? unwrapModuleMapBundle(node, moduleMapInfo, parentStack, opts) : false;
+    }
+
     // Only process top-level or expression statement calls
     if (!parent ||
         (parent.type !== 'Program' &&
@@ -359,6 +858,9 @@ function unpackBundles(node, opts, parentStack) {
     // Try to detect bundle type
     // Priority: chunks first (most specific), then bundles, then structural
     bundleInfo = isWebpackChunk(node) ||            // webpackJsonp chunks (code splitting)
+                 isBrowserifyBundle(node) ||         // browserify module map + cache + entries
+                 isParcelBundle(node) ||             // Parcel 1/2 hashed module map
+                 isModuleFederationContainer(node) || // Module Federation remoteEntry (get/init container)
                  isWebpack5Bundle(node) ||           // webpack 5+ (modules inside, no args)
                  isWebpackBundle(node) ||            // webpack 4 and earlier (modules as arg)
                  isWebpackBundleStructural(node) ||  // Structural detection for obfuscated bundles
@@ -370,7 +872,7 @@ function unpackBundles(node, opts, parentStack) {
 
     if (opts.config && opts.config.verbose) {
         const detectionMethod = bundleInfo.detectionMethod || 'keyword';
-        console.log(`[Bundle Unpacker] Detected ${bundleInfo.type} bundle (${detectionMethod} analysis)`);
+        (opts.logger || console).log(`[Bundle Unpacker] Detected ${bundleInfo.type} bundle (${detectionMethod} analysis)`);
     }
 
     let changed = false;
@@ -386,11 +888,25 @@ function unpackBundles(node, opts, parentStack) {
             changed = unwrapWebpackBundle(node, bundleInfo, parentStack, opts);
             break;
 
+        case 'webpack_federation':
+            bundleInfo.federation = federationContainerInfo(bundleInfo);
+            // For the malware report: what the container exposes to and takes from its hosts
+            opts.federationContainers = (opts.federationContainers || []).concat(bundleInfo.federation);
+            (opts.logger || console).log(`[Federation] Container ${bundleInfo.federation.name || bundleInfo.containerId}: ` +
+                `${bundleInfo.federation.exposes.length} exposed modules, ${bundleInfo.federation.shared.length} shared dependencies`);
+            changed = unwrapWebpack5Bundle(node, bundleInfo, parentStack, opts);
+            break;
+
         case 'webpack_chunk':
             // Same unwrapping logic as webpack bundle, but mark as chunk
             changed = unwrapWebpackBundle(node, bundleInfo, parentStack, opts);
             break;
 
+        case 'browserify':
+        case 'parcel':
+            changed = unwrapModuleMapBundle(node, bundleInfo, parentStack, opts);
+            break;
+
         case 'amd':
         case 'umd':
         case 'closure':
@@ -420,14 +936,17 @@ function unpackBundles(node, opts, parentStack) {
  * Pattern: (() => { var modules = {...}; function __webpack_require__(id) {...} })()
  */
 function unwrapWebpack5Bundle(node, bundleInfo, parentStack, opts) {
+    const logger = opts.logger || console;
+
     // Extract modules object from function body
     // Pattern: var X = { "17967": fn, "79742": fn, ... }
     const loaderFunc = bundleInfo.loaderFunc;
     if (!loaderFunc.body || !loaderFunc.body.body) return false;
 
     // Find first VariableDeclaration with ObjectExpression init
-    let modulesObject = null;
-    for (const stmt of loaderFunc.body.body) {
+    // (federation containers already know theirs: it can be small)
+    let modulesObject = bundleInfo.modulesContainer;
+    for (const stmt of modulesObject ? [] : loaderFunc.body.body) {
         if (stmt.type === 'VariableDeclaration') {
             for (const decl of stmt.declarations) {
                 if (decl.init && decl.init.type === 'ObjectExpression' && decl.init.properties.length > 10) {
@@ -441,7 +960,7 @@ function unwrapWebpack5Bundle(node, bundleInfo, parentStack, opts) {
     }
 
     if (!modulesObject) {
-        console.log('[Webpack5] Could not find modules object in function body');
+        logger.log('[Webpack5] Could not find modules object in function body');
         return false;
     }
 
@@ -453,16 +972,16 @@ function unwrapWebpack5Bundle(node, bundleInfo, parentStack, opts) {
 
     if (modules.length === 0) return false;
 
-    console.log(`[Webpack] Unpacking ${modules.length} modules to ${opts.sourceFileName}.unpacked/`);
+    logger.log(`[Webpack] Unpacking ${modules.length} modules to ${opts.sourceFileName}.unpacked/`);
 
     // Save modules to separate files
     let savedToFolder = false;
     if (opts.sourceFileName && opts.config.unpackBundlesToFolders !== false) {
         try {
-            saveWebpackModulesToFolder(modules, opts);
+            saveWebpackModulesToFolder(modules, opts, bundleInfo.federation);
             savedToFolder = true;
         } catch (err) {
-            console.error(`[Webpack] Error saving to folder: ${err.message}`);
+            logger.error(`[Webpack] Error saving to folder: ${err.message}`);
         }
     }
 
@@ -482,6 +1001,8 @@ function unwrapWebpack5Bundle(node, bundleInfo, parentStack, opts) {
 }
 
 function unwrapWebpackBundle(node, bundleInfo, parentStack, opts) {
+    const logger = opts.logger || console;
+
     // Extract modules from array or object
     let modules;
     if (bundleInfo.isObjectBased) {
@@ -500,7 +1021,7 @@ function unwrapWebpackBundle(node, bundleInfo, parentStack, opts) {
 
     if (opts.config && opts.config.verbose) {
         const containerType = bundleInfo.isObjectBased ? 'object' : 'array';
-        console.log(`[Webpack] Found ${modules.length} modules (${containerType}-based)`);
+        (opts.logger || console).log(`[Webpack] Found ${modules.length} modules (${containerType}-based)`);
     }
 
     if (modules.length === 0) return false;
@@ -512,7 +1033,7 @@ function unwrapWebpackBundle(node, bundleInfo, parentStack, opts) {
             saveWebpackModulesToFolder(modules, opts);
             savedToFolder = true;
         } catch (err) {
-            console.error(`[Webpack] Error saving to folder: ${err.message}`);
+            logger.error(`[Webpack] Error saving to folder: ${err.message}`);
             // Fall back to inline mode
         }
     }
@@ -555,7 +1076,7 @@ function unwrapWebpackBundle(node, bundleInfo, parentStack, opts) {
         }
 
         if (opts.config && opts.config.verbose) {
-            console.log(`[Webpack] Unpacked ${moduleDeclarations.length} modules inline`);
+            (opts.logger || console).log(`[Webpack] Unpacked ${moduleDeclarations.length} modules inline`);
         }
         return true;
     }
@@ -567,6 +1088,19 @@ function unwrapWebpackBundle(node, bundleInfo, parentStack, opts) {
  * Analyze module content and suggest a smart name
  */
 function analyzeModuleName(moduleNode, idx, opts) {
+    if (typeof idx === 'string' && idx.startsWith('webpack/container/entry/')) {
+        return { name: 'container_entry', confidence: 'high', reason: 'Module Federation container entry' };
+    }
+
+    // Development builds key modules by their path: "./src/format.js"
+    if (typeof idx === 'string' && /^\.{0,2}\/.*\.[a-z]+$/i.test(idx)) {
+        return {
+            name: path.posix.basename(idx).replace(/\.[^.]*$/, '').replace(/[^\w-]/g, '_'),
+            confidence: 'high',
+            reason: `module path ${idx}`
+        };
+    }
+
     const body = moduleNode.body;
     if (!body || !body.body) {
         return { name: `module_${idx}`, confidence: 'low', reason: 'empty' };
@@ -684,10 +1218,348 @@ function analyzeModuleName(moduleNode, idx, opts) {
     };
 }
 
+/**
+ * Is this a webpack harmony (ES) module? Its body starts with __webpack_require__.r(__webpack_exports__)
+ */
+function isHarmonyModule(statements, names) {
+    const isMarker = expr => expr.type === 'CallExpression' && expr.callee.type === 'MemberExpression' &&
+        t.isIdentifier(expr.callee.object, { name: names.requireName }) &&
+        t.isIdentifier(expr.callee.property, { name: 'r' }) &&
+        t.isIdentifier(expr.arguments[0], { name: names.exportsName });
+    return !!names.requireName && !!names.exportsName && statements.some(stmt => stmt.type === 'ExpressionStatement' &&
+        (isMarker(stmt.expression) || (stmt.expression.type === 'SequenceExpression' && stmt.expression.expressions.some(isMarker))));
+}
+
+/**
+ * Local name for an imported module: _util_js__WEBPACK_IMPORTED_MODULE_0__ → util,
+ * minified names fall back to the request ("./lib/api-client" → api_client)
+ */
+function importBaseName(varName, source) {
+    let base = varName
+        .replace(/__WEBPACK_IMPORTED_MODULE_\d+__(_default)?$/, '')
+        .replace(/^_+/, '')
+        .replace(/_(js|mjs|cjs|jsx|ts|tsx)$/, '');
+    if (base.length <= 2) {
+        base = path.posix.basename(source).replace(/\.[^.]*$/, '').replace(/\W+/g, '_').replace(/^(\d)/, '_$1');
+    }
+    return base || 'module';
+}
+
+/**
+ * Post-unpack pass: turn webpack's harmony module runtime back into ES module syntax
+ *
+ * - __webpack_require__.r(__webpack_exports__) is dropped
+ * - __webpack_require__.d(__webpack_exports__, { foo: () => foo }) (or the
+ *   webpack 4 form d(exports, "foo", function () { return foo; })) becomes `export { foo }`
+ * - const __WEBPACK_DEFAULT_EXPORT__ = (x) becomes `export default x`
+ * - var _dep__WEBPACK_IMPORTED_MODULE_0__ = require("./dep") becomes an import;
+ *   _dep__WEBPACK_IMPORTED_MODULE_0__["default"] and (0, _dep.foo)(...) read
+ *   the imported bindings, __webpack_require__.n() compat getters the default import
+ *
+ * Imports whose variable is used in other ways (assigned, passed around whole)
+ * become namespace imports; the module is left alone when it is not a harmony module.
+ *
+ * @param {Object} program - Module body as t.program, with require("./path") requests
+ * @param {Object} names - { exportsName, requireName } params of the module function
+ * @returns {boolean} true when the module was converted
+ */
+function webpackModuleToESM(program, names, opts) {
+    if (!isHarmonyModule(program.body, names)) return false;
+
+    const { exportsName, requireName } = names;
+    const isRuntimeCall = (expr, helper) => expr && expr.type === 'CallExpression' && expr.callee.type === 'MemberExpression' &&
+        t.isIdentifier(expr.callee.object, { name: requireName }) && t.isIdentifier(expr.callee.property, { name: helper }) &&
+        t.isIdentifier(expr.arguments[0], { name: exportsName });
+    const getterValue = (getter) => {
+        if (!getter || !t.isFunction(getter)) return null;
+        if (getter.body.type !== 'BlockStatement') return getter.body;
+        const [stmt] = getter.body.body;
+        return getter.body.body.length === 1 && stmt.type === 'ReturnStatement' ? stmt.argument : null;
+    };
+
+    // 1. Exports: collect getters, drop the runtime calls
+    const exported = [];    // [name, value expression]
+    let defaultExport = null;
+    const takeRuntimeCall = (expr) => {
+        if (isRuntimeCall(expr, 'r')) return true;
+        if (isRuntimeCall(expr, 'd')) {
+            const [, second, third] = expr.arguments;
+            if (second && second.type === 'ObjectExpression') {
+                const values = second.properties.map(prop => [prop.type === 'ObjectProperty' ? propertyKeyName(prop) : null,
+                    prop.type === 'ObjectProperty' ? getterValue(prop.value) : null]);
+                if (values.some(([name, value]) => name === null || !value)) return false;
+                exported.push(...values);
+                return true;
+            }
+            if (second && second.type === 'StringLiteral' && getterValue(third)) {
+                exported.push([second.value, getterValue(third)]);
+                return true;
+            }
+            return false;
+        }
+        // webpack 4: __webpack_exports__["default"] = (x)
+        if (expr.type === 'AssignmentExpression' && expr.operator === '=' && t.isIdentifier(expr.left.object, { name: exportsName }) &&
+            (t.isIdentifier(expr.left.property, { name: 'default' }) || t.isStringLiteral(expr.left.property, { value: 'default' })) &&
+            defaultExport === null) {
+            defaultExport = expr.right;
+            return true;
+        }
+        return false;
+    };
+
+    const body = [];
+    for (const stmt of program.body) {
+        if (stmt.type === 'ExpressionStatement') {
+            const expressions = stmt.expression.type === 'SequenceExpression' ? stmt.expression.expressions : [stmt.expression];
+            const rest = expressions.filter(expr => !takeRuntimeCall(expr));
+            if (rest.length === 0) continue;
+            if (rest.length < expressions.length) {
+                stmt.expression = rest.length === 1 ? rest[0] : t.sequenceExpression(rest);
+            }
+        }
+        body.push(stmt);
+    }
+    program.body = body;
+
+    // 2. Imports: var x = require("./dep") and var x_default = __webpack_require__.n(x)
+    const imports = new Map();  // var name → { source, declarator, members, whole, compat: [] }
+    const compat = new Map();   // compat getter name → import var name
+    for (const stmt of program.body) {
+        if (stmt.type !== 'VariableDeclaration') continue;
+        for (const decl of stmt.declarations) {
+            if (decl.id.type !== 'Identifier' || !decl.init || decl.init.type !== 'CallExpression') continue;
+            const init = decl.init;
+            if (t.isIdentifier(init.callee, { name: 'require' }) && init.arguments.length === 1 && init.arguments[0].type === 'StringLiteral') {
+                imports.set(decl.id.name, { source: init.arguments[0].value, statement: stmt, declarator: decl, members: new Set(), whole: false });
+            } else if (init.callee.type === 'MemberExpression' && t.isIdentifier(init.callee.object, { name: requireName }) &&
+                       t.isIdentifier(init.callee.property, { name: 'n' }) && init.arguments[0] && init.arguments[0].type === 'Identifier' &&
+                       imports.has(init.arguments[0].name)) {
+                compat.set(decl.id.name, { target: init.arguments[0].name, statement: stmt, declarator: decl, valid: true });
+            }
+        }
+    }
+
+    // Every identifier name in the module, so new bindings never capture anything
+    const usedNames = new Set();
+    const usages = [];
+    traverseTopDown(program, [(node, ctx, parentStack) => {
+        if (node.type !== 'Identifier') return false;
+        const parent = parentStack.last()?.node;
+        const isPropertyName = parent && !parent.computed &&
+            ((parent.type === 'MemberExpression' && parent.property === node) || (parent.type === 'ObjectProperty' && parent.key === node));
+        if (!isPropertyName) usedNames.add(node.name);
+        if (!parent || !(imports.has(node.name) || compat.has(node.name))) return false;
+        if (parent.type === 'VariableDeclarator' && parent.id === node) return false;
+        if (!t.isReferenced(node, parent, parentStack.last(1)?.node)) return false;
+        if ([...compat.values()].some(getter => getter.declarator.init === parent)) return false;
+        usages.push({ node, parent, grandparent: parentStack.last(1)?.node });
+        return false;
+    }], opts);
+
+    const staticMember = (member) => !member.computed ? member.property.name
+        : (member.property.type === 'StringLiteral' ? member.property.value : null);
+    const isWrite = (node, parent) => (parent.type === 'AssignmentExpression' && parent.left === node) ||
+        parent.type === 'UpdateExpression' || (parent.type === 'UnaryExpression' && parent.operator === 'delete');
+
+    for (const { node, parent, grandparent } of usages) {
+        if (compat.has(node.name)) {
+            const getter = compat.get(node.name);
+            const isCall = parent.type === 'CallExpression' && parent.callee === node && parent.arguments.length === 0;
+            const isA = parent.type === 'MemberExpression' && parent.object === node && staticMember(parent) === 'a';
+            if (!isCall && !isA) getter.valid = false;
+            continue;
+        }
+        const entry = imports.get(node.name);
+        const member = parent.type === 'MemberExpression' && parent.object === node ? staticMember(parent) : null;
+        if (member === null || isWrite(parent, grandparent)) {
+            entry.whole = true;
+        } else {
+            entry.members.add(member);
+        }
+    }
+    for (const getter of compat.values()) {
+        if (!getter.valid) imports.get(getter.target).whole = true;
+    }
+    for (const getter of compat.values()) {
+        if (imports.get(getter.target).whole) getter.valid = false;
+    }
+
+    // 3. Names for the imported bindings
+    const claimName = (wanted) => {
+        let name = t.isValidIdentifier(wanted) ? wanted : `_${wanted.replace(/\W/g, '_')}`;
+        for (let suffix = 1; usedNames.has(name); suffix++) {
+            name = `${wanted.replace(/\W/g, '_')}_${suffix}`;
+        }
+        usedNames.add(name);
+        return name;
+    };
+    const declarations = [];
+    for (const [varName, entry] of imports) {
+        const base = importBaseName(varName, entry.source);
+        entry.locals = new Map();
+        if (entry.whole) {
+            entry.namespace = claimName(base);
+            declarations.push(t.importDeclaration([t.importNamespaceSpecifier(t.identifier(entry.namespace))], t.stringLiteral(entry.source)));
+            continue;
+        }
+        const needsDefault = entry.members.has('default') || [...compat.values()].some(getter => getter.target === varName);
+        const specifiers = [];
+        if (needsDefault) {
+            entry.locals.set('default', claimName(base));
+            specifiers.push(t.importDefaultSpecifier(t.identifier(entry.locals.get('default'))));
+        }
+        for (const member of entry.members) {
+            if (member === 'default') continue;
+            entry.locals.set(member, claimName(member));
+            specifiers.push(t.importSpecifier(t.identifier(entry.locals.get(member)),
+                t.isValidIdentifier(member) ? t.identifier(member) : t.stringLiteral(member)));
+        }
+        declarations.push(t.importDeclaration(specifiers, t.stringLiteral(entry.source)));
+    }
+
+    // 4. Rewrite the usages: x.foo, (0, x.foo)(), Object(x.a)(), x_default(), x_default.a
+    const replaceWith = (node, parent, grandparent, replacement) => {
+        if (parent.type === 'SequenceExpression' && parent.expressions.length === 2 &&
+            parent.expressions[1] === node && t.isNumericLiteral(parent.expressions[0])) {
+            return { target: parent, container: grandparent, replacement };
+        }
+        if (parent.type === 'CallExpression' && t.isIdentifier(parent.callee, { name: 'Object' }) &&
+            parent.arguments.length === 1 && parent.arguments[0] === node) {
+            return { target: parent, container: grandparent, replacement };
+        }
+        return { target: node, container: parent, replacement };
+    };
+    const replacements = [];
+    traverseTopDown(program, [(node, ctx, parentStack) => {
+        const parent = parentStack.last()?.node;
+        const grandparent = parentStack.last(1)?.node;
+        if (node.type === 'Identifier' && parent) {
+            const entry = imports.get(node.name);
+            if (entry && entry.namespace && !(parent.type === 'VariableDeclarator' && parent.id === node) &&
+                t.isReferenced(node, parent, grandparent)) {
+                node.name = entry.namespace;
+                return true;
+            }
+            const getter = compat.get(node.name);
+            if (getter && getter.valid && !(parent.type === 'VariableDeclarator' && parent.id === node)) {
+                const local = t.identifier(imports.get(getter.target).locals.get('default'));
+                replacements.push(replaceWith(parent, grandparent, parentStack.last(2)?.node, local));
+            }
+            return false;
+        }
+        if (node.type === 'MemberExpression' && node.object.type === 'Identifier' && imports.has(node.object.name)) {
+            const entry = imports.get(node.object.name);
+            if (entry.whole) return false;
+            replacements.push(replaceWith(node, parent, grandparent, t.identifier(entry.locals.get(staticMember(node)))));
+        }
+        return false;
+    }], opts);
+    for (const { target, container, replacement } of replacements) {
+        for (const key of t.VISITOR_KEYS[container.type] || []) {
+            if (container[key] === target) container[key] = replacement;
+            else if (Array.isArray(container[key])) {
+                const idx = container[key].indexOf(target);
+                if (idx !== -1) container[key][idx] = replacement;
+            }
+        }
+    }
+
+    // Drop the require()/compat declarators that became imports
+    const dropped = new Set([...[...imports.values()].map(entry => entry.declarator),
+        ...[...compat.values()].filter(getter => getter.valid).map(getter => getter.declarator)]);
+    program.body = program.body.filter(stmt => {
+        if (stmt.type !== 'VariableDeclaration') return true;
+        stmt.declarations = stmt.declarations.filter(decl => !dropped.has(decl));
+        return stmt.declarations.length > 0;
+    });
+
+    // 5. Export declarations
+    const specifiers = [];
+    const reexports = [];
+    for (const [name, value] of exported) {
+        const exportedId = t.isValidIdentifier(name) || name === 'default' ? t.identifier(name) : t.stringLiteral(name);
+        if (value.type === 'Identifier') {
+            const entry = imports.get(value.name);
+            const local = entry && entry.namespace ? entry.namespace : value.name;
+            if (name === 'default' && local === '__WEBPACK_DEFAULT_EXPORT__') {
+                const idx = program.body.findIndex(stmt => stmt.type === 'VariableDeclaration' && stmt.declarations.length === 1 &&
+                    t.isIdentifier(stmt.declarations[0].id, { name: local }) && stmt.declarations[0].init);
+                if (idx !== -1) {
+                    program.body[idx] = t.exportDefaultDeclaration(program.body[idx].declarations[0].init);
+                    continue;
+                }
+            }
+            specifiers.push(t.exportSpecifier(t.identifier(local), exportedId));
+            continue;
+        }
+        // Re-export: foo: () => _dep__WEBPACK_IMPORTED_MODULE_0__.bar
+        if (value.type === 'MemberExpression' && value.object.type === 'Identifier' && imports.has(value.object.name) && staticMember(value) !== null) {
+            const member = staticMember(value);
+            reexports.push(t.exportNamedDeclaration(null, [t.exportSpecifier(
+                member === 'default' || t.isValidIdentifier(member) ? t.identifier(member) : t.stringLiteral(member), exportedId)],
+                t.stringLiteral(imports.get(value.object.name).source)));
+            continue;
+        }
+        const local = claimName(`__export_${name}`);
+        program.body.push(t.variableDeclaration('const', [t.variableDeclarator(t.identifier(local), value)]));
+        specifiers.push(t.exportSpecifier(t.identifier(local), exportedId));
+    }
+    if (defaultExport) {
+        program.body.push(t.exportDefaultDeclaration(defaultExport));
+    }
+    if (specifiers.length > 0) {
+        program.body.push(t.exportNamedDeclaration(null, specifiers));
+    }
+    program.body = [...declarations, ...reexports, ...program.body];
+
+    if (opts && opts.config && opts.config.verbose) {
+        (opts.logger || console).log(`  [ESM] ${imports.size} imports, ${exported.length + (defaultExport ? 1 : 0)} exports restored`);
+    }
+    return true;
+}
+
+/**
+ * Module functions we can save: function expressions and webpack 5 arrows with a block body
+ */
+function isModuleFactory(mod) {
+    return !!mod && !!mod.func && (mod.func.type === 'FunctionExpression' ||
+        (mod.func.type === 'ArrowFunctionExpression' && mod.func.body.type === 'BlockStatement'));
+}
+
+/**
+ * ES module program for a harmony module of a single-file webpack bundle,
+ * with __webpack_require__(id) pointing at the sibling files; null for CommonJS modules
+ */
+function harmonyModuleProgram(mod, fileById, opts) {
+    const [, exportsParam, requireParam] = mod.func.params;
+    const names = {
+        exportsName: exportsParam && exportsParam.type === 'Identifier' ? exportsParam.name : null,
+        requireName: requireParam && requireParam.type === 'Identifier' ? requireParam.name : null
+    };
+    if (!isHarmonyModule(mod.func.body.body, names)) return null;
+
+    const program = t.program(t.cloneNode(mod.func.body, true).body);
+    traverseTopDown(program, [(node) => {
+        if (node.type !== 'CallExpression' || !t.isIdentifier(node.callee, { name: names.requireName }) ||
+            node.arguments.length !== 1 || !t.isLiteral(node.arguments[0])) return false;
+        const file = fileById.get(String(node.arguments[0].value));
+        if (!file) return false;
+        node.callee = t.identifier('require');
+        node.arguments = [t.stringLiteral(`./${file}`)];
+        return true;
+    }], opts);
+    return webpackModuleToESM(program, names, opts) ? program : null;
+}
+
 /**
  * Save webpack modules to separate folder structure with smart naming
+ *
+ * @param {Array} modules - [{ id, func }]
+ * @param {Object} opts
+ * @param {Object} [federation] - Module Federation container info (exposed modules, shared dependencies) for the report
  */
-function saveWebpackModulesToFolder(modules, opts) {
+function saveWebpackModulesToFolder(modules, opts, federation) {
+    const logger = opts.logger || console;
     const inputFile = opts.sourceFileName;
     const outputFolder = `${inputFile}.unpacked`;
 
@@ -696,7 +1568,7 @@ function saveWebpackModulesToFolder(modules, opts) {
         fs.mkdirSync(outputFolder, { recursive: true });
     }
 
-    console.log(`[Webpack] Unpacking ${modules.length} modules to ${outputFolder}/`);
+    logger.log(`[Webpack] Unpacking ${modules.length} modules to ${outputFolder}/`);
 
     let successCount = 0;
     const moduleMap = [];
@@ -704,7 +1576,7 @@ function saveWebpackModulesToFolder(modules, opts) {
 
     // First pass: analyze all modules and assign names
     const moduleNames = modules.map((mod) => {
-        if (!mod || !mod.func || mod.func.type !== 'FunctionExpression') {
+        if (!isModuleFactory(mod)) {
             return { id: mod.id, name: `empty_${mod.id}`, info: null };
         }
 
@@ -722,9 +1594,11 @@ function saveWebpackModulesToFolder(modules, opts) {
         return { id: mod.id, name: finalName, info };
     });
 
+    const fileById = new Map(moduleNames.filter(entry => entry.info).map(entry => [String(entry.id), `${entry.name}.js`]));
+
     // Second pass: save modules with smart names
     modules.forEach((mod, arrayIdx) => {
-        if (!mod || !mod.func || mod.func.type !== 'FunctionExpression') {
+        if (!isModuleFactory(mod)) {
             return;
         }
 
@@ -733,10 +1607,11 @@ function saveWebpackModulesToFolder(modules, opts) {
         const modulePath = path.join(outputFolder, moduleName);
 
         try {
-            // Generate code for this module with source maps
-            const ast = t.program([
+            // Generate code for this module with source maps: harmony modules
+            // become ES modules, everything else keeps its function wrapper
+            const ast = harmonyModuleProgram(mod, fileById, opts) || t.program([
                 t.functionDeclaration(
-                    t.identifier(`module_${mod.id}`),
+                    t.identifier(`module_${String(mod.id).replace(/\W/g, '_')}`),
                     mod.func.params,
                     mod.func.body
                 )
@@ -809,10 +1684,10 @@ function saveWebpackModulesToFolder(modules, opts) {
 
             if (opts.config && opts.config.verbose) {
                 const malwareFlag = info && info.malware ? ' ⚠️  SUSPICIOUS' : '';
-                console.log(`  [${mod.id}] ${smartName}.js (${info.confidence})${malwareFlag}`);
+                (opts.logger || console).log(`  [${mod.id}] ${smartName}.js (${info.confidence})${malwareFlag}`);
             }
         } catch (err) {
-            console.error(`[Webpack] Error saving module ${mod.id}: ${err.message}`);
+            logger.error(`[Webpack] Error saving module ${mod.id}: ${err.message}`);
         }
     });
 
@@ -830,6 +1705,25 @@ function saveWebpackModulesToFolder(modules, opts) {
 
 ${suspiciousModules.map(m => `- **${m.name}.js** (module ${m.id}) - ${m.info.reason}`).join('\n')}
 
+`;
+    }
+
+    if (federation) {
+        const fileFor = id => fileById.get(String(id));
+        indexContent += `## Module Federation Container${federation.name ? `: ${federation.name}` : ''}
+
+### Exposed Modules
+
+| Exposed | Module | File | Chunks |
+|---------|--------|------|--------|
+${federation.exposes.map(e => `| ${e.name} | ${e.moduleIds.join(', ')} | ${e.moduleIds.map(fileFor).filter(Boolean).join(', ') || '(in chunk)'} | ${e.chunkIds.join(', ')} |`).join('\n')}
+
+### Shared Dependencies
+
+| Package | Version | Share Scope | Provided | Consumed |
+|---------|---------|-------------|----------|----------|
+${federation.shared.map(d => `| ${d.name} | ${d.version || '-'} | ${d.scope} | ${d.provided ? (d.eager ? 'yes (eager)' : 'yes') : 'no'} | ${d.consumed ? 'yes' : 'no'} |`).join('\n')}
+
 `;
     }
 
@@ -863,6 +1757,11 @@ grep -r "crypto\\|encrypt\\|decrypt" .
         extractedModules: successCount,
         suspiciousCount: suspiciousModules.length,
         sourceMapGenerated: true,  // P1-3: Source maps enabled
+        federation: federation ? {
+            name: federation.name,
+            exposes: federation.exposes.map(e => ({ ...e, files: e.moduleIds.map(id => fileById.get(String(id))).filter(Boolean) })),
+            shared: federation.shared
+        } : undefined,
         modules: moduleMap.map(m => ({
             id: m.id,
             filename: `${m.name}.js`,
@@ -884,14 +1783,1054 @@ grep -r "crypto\\|encrypt\\|decrypt" .
         'utf8'
     );
 
-    console.log(`✓ [Webpack] Saved ${successCount} modules to ${outputFolder}/`);
+    logger.log(`✓ [Webpack] Saved ${successCount} modules to ${outputFolder}/`);
     if (suspiciousModules.length > 0) {
-        console.log(`⚠️  [Webpack] WARNING: ${suspiciousModules.length} suspicious modules detected!`);
+        logger.log(`⚠️  [Webpack] WARNING: ${suspiciousModules.length} suspicious modules detected!`);
     }
 
     // Suggest Grok renaming if API key is available
     if (process.env.XAI_API_KEY && opts.config.useGrokForNaming !== false) {
-        console.log(`💡 [Webpack] Tip: Run 'node scripts/rename_with_grok.js ${outputFolder}' for semantic naming`);
+        logger.log(`💡 [Webpack] Tip: Run 'node scripts/rename_with_grok.js ${outputFolder}' for semantic naming`);
+    }
+}
+
+/**
+ * Find the top-level statement that contains the bundle expression
+ * (Program > ExpressionStatement > [UnaryExpression|AssignmentExpression] > CallExpression)
+ *
+ * @returns {Object|null} Parent stack entry pointing at the statement inside Program.body
+ */
+function findTopLevelStatement(parentStack) {
+    for (let level = 0; level < 3; level++) {
+        const entry = parentStack.last(level);
+        const container = parentStack.last(level + 1);
+        if (!entry || !container) return null;
+        if (entry.node.type === 'ExpressionStatement' && container.node.type === 'Program') {
+            return container;
+        }
+        if (!['UnaryExpression', 'AssignmentExpression', 'ExpressionStatement'].includes(entry.node.type)) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Key of an object property as a string ({1: ...}, {"1": ...}, {a: ...})
+ */
+function propertyKeyName(prop) {
+    if (prop.key.type === 'Identifier') return prop.key.name;
+    if (prop.key.type === 'StringLiteral' || prop.key.type === 'NumericLiteral') return String(prop.key.value);
+    return null;
+}
+
+/**
+ * Turn a require() request into a path inside the unpacked tree
+ * ('./dep' from 'lib/a.js' → 'lib/dep.js', 'lodash/map' → 'node_modules/lodash/map.js')
+ *
+ * @returns {string|null} Relative file path, or null when the request carries no path (numeric ids)
+ */
+function requestToModulePath(request, fromPath) {
+    if (/^\d+$/.test(request)) return null;
+
+    const isRelative = /^\.\.?(\/|$)/.test(request);
+    let target = isRelative
+        ? path.posix.join(path.posix.dirname(fromPath), request)
+        : path.posix.join('node_modules', request);
+
+    // Keep everything inside the output folder
+    target = target.split('/').map(part => part === '..' ? '__' : part).join('/');
+
+    const isPackageRoot = !isRelative && !request.replace(/^@[^/]+\//, '').includes('/');
+    if (request.endsWith('/') || request === '.' || request === '..' || isPackageRoot) {
+        return path.posix.join(target, 'index.js');
+    }
+    if (/\.json$/.test(target)) return `${target}.js`;  // browserify wraps JSON as a JS module
+    return /\.(js|mjs|cjs)$/.test(target) ? target : `${target}.js`;
+}
+
+/**
+ * Relative require() path from one unpacked module file to another
+ */
+function relativeRequirePath(fromPath, toPath) {
+    let relative = path.posix.relative(path.posix.dirname(fromPath), toPath);
+    // Drop .js like a hand-written require would, unless it hides another extension (data.json.js)
+    if (!path.posix.basename(relative, '.js').includes('.')) {
+        relative = relative.replace(/\.js$/, '');
+    }
+    return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Bare require() path of a module under node_modules/ ('node_modules/react/index.js' → 'react'),
+ * or null when the target is not in a package or the importer is in the same package
+ */
+function packageRequirePath(fromPath, toPath) {
+    const match = /^node_modules\/((?:@[^/]+\/)?[^/]+)\/(.+)$/.exec(toPath);
+    if (!match || fromPath.startsWith(`node_modules/${match[1]}/`)) return null;
+    if (match[2] === 'index.js') return match[1];
+    return `${match[1]}/${match[2].replace(/\.js$/, '')}`;
+}
+
+/**
+ * Give every module a file path, following require() requests from the entries
+ * Modules that are only reachable through numeric ids fall back to module_<id>.js
+ *
+ * @param {Array} modules - [{ id, deps: { request: id } }]
+ * @param {Array<string>} entries - Entry module ids
+ * @returns {Map<string, string>} id → relative path
+ */
+function assignModulePaths(modules, entries) {
+    const byId = new Map(modules.map(mod => [mod.id, mod]));
+    const paths = new Map();
+    const used = new Set();
+
+    const claim = (id, wanted) => {
+        let candidate = wanted;
+        let suffix = 0;
+        while (used.has(candidate)) {
+            suffix++;
+            candidate = wanted.replace(/\.js$/, `_${suffix}.js`);
+        }
+        used.add(candidate);
+        paths.set(id, candidate);
+    };
+
+    const queue = [];
+    entries.forEach((id, idx) => {
+        if (byId.has(id) && !paths.has(id)) {
+            claim(id, idx === 0 ? 'index.js' : `entry_${id}.js`);
+            queue.push(id);
+        }
+    });
+
+    while (queue.length > 0) {
+        const id = queue.shift();
+        const fromPath = paths.get(id);
+        for (const [request, depId] of Object.entries(byId.get(id).deps)) {
+            if (!byId.has(depId) || paths.has(depId)) continue;
+            claim(depId, requestToModulePath(request, fromPath) || `module_${depId}.js`);
+            queue.push(depId);
+        }
+    }
+
+    for (const mod of modules) {
+        if (!paths.has(mod.id)) {
+            claim(mod.id, `module_${mod.id}.js`);
+        }
+    }
+
+    return paths;
+}
+
+/**
+ * Read module id → { func, deps } from a browserify/Parcel module map
+ */
+function extractModuleMap(bundleInfo) {
+    return bundleInfo.modulesContainer.properties.map(prop => {
+        const [func, depsNode] = prop.value.elements;
+        const deps = {};
+        for (const dep of depsNode.properties) {
+            const request = dep.type === 'ObjectProperty' ? propertyKeyName(dep) : null;
+            // Ignored/excluded modules map to false or void 0
+            if (request !== null && (dep.value.type === 'NumericLiteral' || dep.value.type === 'StringLiteral')) {
+                deps[request] = String(dep.value.value);
+            }
+        }
+        return { id: propertyKeyName(prop), func, deps };
+    });
+}
+
+/**
+ * Build the CommonJS file body of a browserify/Parcel module
+ * require("./dep") calls get the path of the unpacked dependency file; when
+ * the wrapper params were minified they are bound to require/module/exports.
+ */
+function buildModuleMapProgram(mod, paths, opts) {
+    const modulePath = paths.get(mod.id);
+    const [requireParam] = mod.func.params;
+    const requireName = requireParam && requireParam.type === 'Identifier' ? requireParam.name : 'require';
+    const dependencies = [];
+
+    traverseTopDown(mod.func.body, [(node) => {
+        if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== requireName) return false;
+        const arg = node.arguments[0];
+        if (!arg || (arg.type !== 'StringLiteral' && arg.type !== 'NumericLiteral')) return false;
+
+        const request = String(arg.value);
+        const depId = mod.deps[request] || (/^\d+$/.test(request) && paths.has(request) ? request : null);
+        if (!depId || !paths.has(depId)) return false;
+
+        // Package requests still resolve when the package landed in node_modules/
+        const isBarePackage = !/^\.\.?(\/|$)/.test(request) && requestToModulePath(request, modulePath) === paths.get(depId);
+        const requirePath = isBarePackage ? request : relativeRequirePath(modulePath, paths.get(depId));
+        dependencies.push({ request, id: depId, path: paths.get(depId) });
+        node.callee = t.identifier('require');
+        node.arguments[0] = t.stringLiteral(requirePath);
+        return true;
+    }], opts);
+
+    const names = ['require', 'module', 'exports'];
+    const bindings = mod.func.params
+        .slice(0, 3)
+        .map((param, idx) => param.type === 'Identifier' && param.name !== names[idx]
+            ? t.variableDeclarator(t.identifier(param.name), t.identifier(names[idx]))
+            : null)
+        .filter(Boolean);
+
+    const body = bindings.length > 0
+        ? [t.variableDeclaration('var', bindings), ...mod.func.body.body]
+        : mod.func.body.body;
+
+    return { program: t.program(body), dependencies };
+}
+
+/**
+ * Unpack a browserify or Parcel bundle into <input>.unpacked/ with one file per
+ * module, laid out after the require() requests that reference each module
+ */
+function unwrapModuleMapBundle(node, bundleInfo, parentStack, opts) {
+    const logger = opts.logger || console;
+    const label = bundleInfo.type === 'parcel' ? 'Parcel' : 'Browserify';
+    const modules = extractModuleMap(bundleInfo);
+    if (modules.length === 0) return false;
+
+    const statementStackNode = findTopLevelStatement(parentStack);
+    if (!statementStackNode) return false;
+
+    const paths = assignModulePaths(modules, bundleInfo.entries);
+    if (opts.config && opts.config.verbose) {
+        (opts.logger || console).log(`[${label}] Found ${modules.length} modules, entries: ${bundleInfo.entries.join(', ') || 'none'}`);
+    }
+
+    if (opts.sourceFileName && opts.config.unpackBundlesToFolders !== false) {
+        try {
+            const files = modules.map(mod => {
+                const { program, dependencies } = buildModuleMapProgram(mod, paths, opts);
+                return {
+                    id: mod.id,
+                    path: paths.get(mod.id),
+                    program,
+                    dependencies,
+                    entry: bundleInfo.entries.includes(mod.id),
+                    info: analyzeModuleName(mod.func, mod.id, opts)
+                };
+            });
+            saveModuleTreeToFolder(files, opts, label);
+            Utils.replaceChildInParentNode(t.emptyStatement(), statementStackNode, 1);
+            return true;
+        } catch (err) {
+            logger.error(`[${label}] Error saving to folder: ${err.message}`);
+            // Fall back to inline mode
+        }
+    }
+
+    // Inline fallback: one function per module, named after its id
+    const declarations = modules.map(mod => t.functionDeclaration(
+        t.identifier(`__${bundleInfo.type}_module_${String(mod.id).replace(/\W/g, '_')}`),
+        mod.func.params,
+        mod.func.body
+    ));
+    Utils.replaceChildInParentNode(declarations, statementStackNode, 1);
+    return true;
+}
+
+/**
+ * Returns claim(wanted) → a sanitized module path that is unique within one
+ * unpacked tree (URL schemes and leading slashes stripped, `..` → `__`,
+ * .js added, name_1.js on collision)
+ */
+function createPathClaimer() {
+    const used = new Set();
+    return (wanted) => {
+        let safe = path.posix.normalize(String(wanted).replace(/^[a-z][a-z0-9+.-]*:\/+/i, '').replace(/^\/+/, ''))
+            .split('/').map(part => part === '..' ? '__' : part).join('/');
+        if (!/\.(js|mjs|cjs)$/.test(safe)) safe += '.js';
+        let candidate = safe;
+        for (let suffix = 1; used.has(candidate); suffix++) {
+            candidate = safe.replace(/\.(js|mjs|cjs)$/, `_${suffix}.$1`);
+        }
+        used.add(candidate);
+        return candidate;
+    };
+}
+
+/**
+ * Name read by `m.name` / `m["name"]` from a setter's module namespace param
+ */
+function namespaceMemberName(node, param) {
+    if (node.type !== 'MemberExpression' || !t.isIdentifier(node.object, { name: param })) return null;
+    if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+    if (node.computed && node.property.type === 'StringLiteral') return node.property.value;
+    return null;
+}
+
+/**
+ * Does the subtree call the function bound to `name`?
+ */
+function containsCallTo(node, name) {
+    let found = false;
+    traverseTopDown(node, [(child) => {
+        if (child.type === 'CallExpression' && t.isIdentifier(child.callee, { name })) found = true;
+        return false;
+    }], {});
+    return found;
+}
+
+/**
+ * Turn the setter of one System.register dependency into import/export declarations
+ *
+ * `local = m.name` becomes `import { name as local }`, `local = m` a namespace
+ * import and `exports(m)` (or a re-export loop) `export * from`. Setters
+ * doing anything else get the namespace and are called with it.
+ */
+function systemSetterDeclarations(setter, source, idx, exportsName, importedLocals) {
+    const specifiers = [];
+    const namespaces = [];
+    const declarations = [];
+    let reexportAll = false;
+    let understood = true;
+
+    const param = setter && t.isFunction(setter) && setter.params[0] && setter.params[0].type === 'Identifier'
+        ? setter.params[0].name
+        : null;
+
+    if (setter && (!param || setter.body.type !== 'BlockStatement')) {
+        understood = false;
+    } else if (setter) {
+        for (const stmt of setter.body.body) {
+            const expr = stmt.type === 'ExpressionStatement' ? stmt.expression : null;
+            if (expr && expr.type === 'AssignmentExpression' && expr.operator === '=' && expr.left.type === 'Identifier') {
+                const imported = namespaceMemberName(expr.right, param);
+                if (imported !== null) {
+                    specifiers.push(imported === 'default'
+                        ? t.importDefaultSpecifier(t.identifier(expr.left.name))
+                        : t.importSpecifier(t.identifier(expr.left.name), t.isValidIdentifier(imported) ? t.identifier(imported) : t.stringLiteral(imported)));
+                    importedLocals.add(expr.left.name);
+                    continue;
+                }
+                if (t.isIdentifier(expr.right, { name: param })) {
+                    namespaces.push(expr.left.name);
+                    importedLocals.add(expr.left.name);
+                    continue;
+                }
+            }
+            if (exportsName && containsCallTo(stmt, exportsName)) {
+                reexportAll = true;
+                continue;
+            }
+            understood = false;
+        }
+    }
+
+    if (!understood) {
+        const namespace = `__system_dep_${idx}`;
+        declarations.push(t.importDeclaration([t.importNamespaceSpecifier(t.identifier(namespace))], t.stringLiteral(source)));
+        declarations.push(t.expressionStatement(t.callExpression(setter, [t.identifier(namespace)])));
+        return declarations;
+    }
+
+    // A default specifier has to come first; `import a, { b }` is fine, `{ b }, * as ns` is not
+    specifiers.sort((a, b) => (b.type === 'ImportDefaultSpecifier') - (a.type === 'ImportDefaultSpecifier'));
+    if (specifiers.length > 0) {
+        declarations.push(t.importDeclaration(specifiers, t.stringLiteral(source)));
+    }
+    for (const local of namespaces) {
+        declarations.push(t.importDeclaration([t.importNamespaceSpecifier(t.identifier(local))], t.stringLiteral(source)));
+    }
+    if (reexportAll) {
+        declarations.push(t.exportAllDeclaration(t.stringLiteral(source)));
+    }
+    if (declarations.length === 0) {
+        declarations.push(t.importDeclaration([], t.stringLiteral(source)));
+    }
+    return declarations;
+}
+
+/**
+ * Convert a System.register() module to an ES module
+ *
+ * Setters become imports, the declare body and execute() body become the
+ * module body, `exports("name", value)` becomes `export { value as name }`,
+ * `context.import()` becomes `import()`, `context.meta` `import.meta` and
+ * `context.id` `import.meta.url` (any other use of `context` `import.meta`).
+ *
+ * @param {Object} info - From systemRegisterInfo()
+ * @param {Function} resolveRequest - request → import source written to the output
+ * @returns {Array} Statements of the ES module
+ */
+function buildSystemModuleBody(info, resolveRequest, opts) {
+    const [exportsParam, contextParam] = info.declare.params;
+    const exportsName = exportsParam && exportsParam.type === 'Identifier' ? exportsParam.name : null;
+    const contextName = contextParam && contextParam.type === 'Identifier' ? contextParam.name : null;
+
+    const imports = [];
+    const importedLocals = new Set();
+    info.deps.forEach((request, idx) => {
+        if (request === null) return;
+        imports.push(...systemSetterDeclarations(info.setters[idx], resolveRequest(request), idx, exportsName, importedLocals));
+    });
+
+    // Locals now bound by imports lose their `var`
+    const body = [];
+    for (const stmt of info.declare.body.body) {
+        if (stmt.type === 'ReturnStatement') continue;
+        if (stmt.type === 'VariableDeclaration') {
+            stmt.declarations = stmt.declarations.filter(decl =>
+                !(decl.id.type === 'Identifier' && !decl.init && importedLocals.has(decl.id.name)));
+            if (stmt.declarations.length === 0) continue;
+        }
+        body.push(stmt);
+    }
+    body.push(...info.execute.body.body);
+
+    const exported = new Map();
+    const exportName = (arg) => arg && arg.type === 'StringLiteral' ? arg.value : null;
+    const exportedLocal = (value) => {
+        if (!value) return null;
+        if (value.type === 'Identifier') return value.name;
+        if (value.type === 'AssignmentExpression' && value.left.type === 'Identifier') return value.left.name;
+        if (value.type === 'UpdateExpression' && value.argument.type === 'Identifier') return value.argument.name;
+        return null;
+    };
+    const isExportsCall = (node) => !!exportsName && node && node.type === 'CallExpression' && t.isIdentifier(node.callee, { name: exportsName });
+
+    // Statement level: exports("a", a); var b = exports("b", 1); exports({ c: c })
+    const statements = [];
+    for (const stmt of body) {
+        if (stmt.type === 'ExpressionStatement' && isExportsCall(stmt.expression)) {
+            const [first, value] = stmt.expression.arguments;
+            if (first && first.type === 'ObjectExpression') {
+                const rest = first.properties.filter(prop => {
+                    const local = prop.type === 'ObjectProperty' ? exportedLocal(prop.value) : null;
+                    if (local === null || prop.value.type !== 'Identifier') return true;
+                    exported.set(propertyKeyName(prop), local);
+                    return false;
+                });
+                if (rest.length === 0) continue;
+                first.properties = rest;
+                statements.push(stmt);
+                continue;
+            }
+            const name = exportName(first);
+            const local = exportedLocal(value);
+            if (name !== null && local !== null) {
+                exported.set(name, local);
+                if (value.type !== 'Identifier') statements.push(t.expressionStatement(value));
+                continue;
+            }
+            if (name !== null && value) {
+                const local = `__export_${name.replace(/\W/g, '_')}`;
+                exported.set(name, local);
+                statements.push(t.variableDeclaration('var', [t.variableDeclarator(t.identifier(local), value)]));
+                continue;
+            }
+        }
+        if (stmt.type === 'VariableDeclaration') {
+            for (const decl of stmt.declarations) {
+                if (decl.id.type === 'Identifier' && isExportsCall(decl.init) && exportName(decl.init.arguments[0]) !== null && decl.init.arguments[1]) {
+                    exported.set(exportName(decl.init.arguments[0]), decl.id.name);
+                    decl.init = decl.init.arguments[1];
+                }
+            }
+        }
+        statements.push(stmt);
+    }
+
+    // Nested live-binding updates (exports("count", count += 1)) and the context object
+    const program = t.program(statements);
+    traverseTopDown(program, [(node, ctx, parentStack) => {
+        let replacement = null;
+        if (isExportsCall(node) && exportName(node.arguments[0]) !== null && exportedLocal(node.arguments[1]) !== null) {
+            exported.set(exportName(node.arguments[0]), exportedLocal(node.arguments[1]));
+            replacement = node.arguments[1];
+        } else if (contextName && node.type === 'CallExpression' && t.matchesPattern(node.callee, `${contextName}.import`)) {
+            replacement = t.callExpression(t.import(), node.arguments);
+        } else if (contextName && t.matchesPattern(node, `${contextName}.meta`)) {
+            replacement = t.metaProperty(t.identifier('import'), t.identifier('meta'));
+        } else if (contextName && t.matchesPattern(node, `${contextName}.id`)) {
+            replacement = t.memberExpression(t.metaProperty(t.identifier('import'), t.identifier('meta')), t.identifier('url'));
+        } else if (contextName && t.isIdentifier(node, { name: contextName }) && t.isReferenced(node, parentStack.last().node)) {
+            replacement = t.metaProperty(t.identifier('import'), t.identifier('meta'));
+        }
+        if (!replacement) return false;
+        Utils.replaceChildInParentNode(replacement, parentStack.last());
+        return true;
+    }], opts);
+
+    if (exported.size > 0) {
+        program.body.push(t.exportNamedDeclaration(null, [...exported].map(([name, local]) =>
+            t.exportSpecifier(t.identifier(local), t.isValidIdentifier(name) || name === 'default' ? t.identifier(name) : t.stringLiteral(name)))));
+    }
+
+    return [...imports, ...program.body];
+}
+
+/**
+ * Convert SystemJS modules to ES modules
+ *
+ * A single anonymous System.register() is the whole file, so it is converted
+ * in place. Named registrations (bundles) are written to <input>.unpacked/ with
+ * imports between them rewritten to the unpacked files.
+ */
+function unwrapSystemJSBundle(program, bundleInfo, opts) {
+    const logger = opts.logger || console;
+    const registrations = bundleInfo.registrations;
+
+    if (registrations.length === 1 && registrations[0].name === null) {
+        const body = buildSystemModuleBody(registrations[0], request => request, opts);
+        Utils.replaceChildInParentNode(body, { node: program, propertyName: 'body', index: registrations[0].index });
+        if (opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[SystemJS] Converted System.register module with ${registrations[0].deps.length} dependencies to ES module`);
+        }
+        return true;
+    }
+
+    if (!opts.sourceFileName || opts.config.unpackBundlesToFolders === false) {
+        if (opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[SystemJS] ${registrations.length} registrations left in place (folder output disabled)`);
+        }
+        return false;
+    }
+
+    // Registration names are module ids; dependencies name them directly or relative to the importer
+    const claimPath = createPathClaimer();
+    const byName = new Map();
+    registrations.forEach((reg, idx) => {
+        reg.path = claimPath(reg.name !== null ? reg.name : `module_${idx}.js`);
+        if (reg.name !== null) byName.set(reg.name, reg);
+    });
+    const lookup = (request, fromName) => {
+        const candidates = [request];
+        if (fromName !== null && /^\.\.?\//.test(request)) {
+            candidates.push(path.posix.join(path.posix.dirname(fromName), request));
+        }
+        for (const candidate of candidates) {
+            const found = byName.get(candidate) || byName.get(candidate.replace(/\.js$/, '')) || byName.get(`${candidate}.js`);
+            if (found) return found;
+        }
+        return null;
+    };
+
+    try {
+        const files = registrations.map((reg, idx) => {
+            const dependencies = [];
+            const body = buildSystemModuleBody(reg, (request) => {
+                const target = lookup(request, reg.name);
+                if (!target) return request;
+                let source = path.posix.relative(path.posix.dirname(reg.path), target.path);
+                source = source.startsWith('.') ? source : `./${source}`;
+                dependencies.push({ request, id: registrations.indexOf(target), path: target.path });
+                return source;
+            }, opts);
+            return {
+                id: idx,
+                path: reg.path,
+                program: t.program(body),
+                dependencies,
+                entry: false,
+                info: analyzeModuleName({ body: t.blockStatement(body) }, idx, opts)
+            };
+        });
+        saveModuleTreeToFolder(files, opts, 'SystemJS');
+    } catch (err) {
+        logger.error(`[SystemJS] Error saving to folder: ${err.message}`);
+        return false;
+    }
+
+    const indexes = new Set(registrations.map(reg => reg.index));
+    program.body = program.body.filter((stmt, index) => !indexes.has(index));
+    return true;
+}
+
+// Metro factory params by position (older Metro has no import helpers)
+const METRO_FACTORY_PARAMS = {
+    7: ['global', 'require', '_$$_IMPORT_DEFAULT', '_$$_IMPORT_ALL', 'module', 'exports', '_dependencyMap'],
+    5: ['global', 'require', 'module', 'exports', '_dependencyMap']
+};
+
+// Metro's importDefault/importAll, taking a require() path instead of a module id
+const METRO_IMPORT_HELPERS = {
+    _$$_IMPORT_DEFAULT: `function _$$_IMPORT_DEFAULT(request) {
+    var exports = require(request);
+    return exports && exports.__esModule ? exports.default : exports;
+}`,
+    _$$_IMPORT_ALL: `function _$$_IMPORT_ALL(request) {
+    var exports = require(request);
+    if (exports && exports.__esModule) return exports;
+    var all = {};
+    if (exports != null) {
+        for (var key in exports) {
+            if (Object.prototype.hasOwnProperty.call(exports, key)) all[key] = exports[key];
+        }
+    }
+    all.default = exports;
+    return all;
+}`
+};
+
+/**
+ * Build the CommonJS file body of a Metro module
+ *
+ * `_dependencyMap[n]` becomes the relative path of dependency n, so
+ * `require(_dependencyMap[0])` reads `require("./Button")`; the import helpers
+ * are declared when used and minified factory params are bound to their roles.
+ */
+function buildMetroModuleProgram(mod, paths, opts) {
+    const modulePath = paths.get(mod.id);
+    const params = mod.factory.params;
+    const roles = METRO_FACTORY_PARAMS[params.length >= 7 ? 7 : 5];
+    const names = {};
+    roles.forEach((role, idx) => {
+        if (params[idx] && params[idx].type === 'Identifier') names[role] = params[idx].name;
+    });
+
+    const dependencies = [];
+    const request = (n) => {
+        const depId = mod.deps[n];
+        if (depId == null || !paths.has(depId)) return null;
+        const requirePath = packageRequirePath(modulePath, paths.get(depId)) || relativeRequirePath(modulePath, paths.get(depId));
+        if (!dependencies.some(dep => dep.id === depId)) {
+            dependencies.push({ request: requirePath, id: depId, path: paths.get(depId) });
+        }
+        return requirePath;
+    };
+
+    const body = t.program(mod.factory.body.body);
+    const helpersUsed = new Set();
+    traverseTopDown(body, [(node, ctx, parentStack) => {
+        if (names._dependencyMap && node.type === 'MemberExpression' && node.computed &&
+            t.isIdentifier(node.object, { name: names._dependencyMap }) && node.property.type === 'NumericLiteral') {
+            const requirePath = request(node.property.value);
+            if (requirePath === null) return false;
+            const parent = parentStack.last().node;
+            Utils.replaceChildInParentNode(t.stringLiteral(requirePath), parentStack.last());
+
+            // r(d[0]) → require("./dep"), i(d[1]) → _$$_IMPORT_DEFAULT("./dep")
+            if (parent.type === 'CallExpression' && parent.arguments[0] && parent.arguments[0].value === requirePath &&
+                parent.callee.type === 'Identifier') {
+                const role = ['require', '_$$_IMPORT_DEFAULT', '_$$_IMPORT_ALL'].find(name => names[name] === parent.callee.name);
+                if (role) {
+                    parent.callee = t.identifier(role);
+                    if (role !== 'require') helpersUsed.add(role);
+                }
+            }
+            return true;
+        }
+        return false;
+    }], opts);
+
+    // Params still referenced after the rewrite keep a binding
+    const referenced = new Set();
+    traverseTopDown(body, [(node, ctx, parentStack) => {
+        const parent = parentStack.last()?.node;
+        if (node.type === 'Identifier' && parent && t.isReferenced(node, parent, parentStack.last(1)?.node)) {
+            referenced.add(node.name);
+        }
+        return false;
+    }], opts);
+
+    const prologue = [];
+    const bindings = [];
+    for (const role of roles) {
+        const name = names[role];
+        if (!name || !referenced.has(name)) continue;
+        if (role === '_dependencyMap') {
+            bindings.push(t.variableDeclarator(t.identifier(name), t.arrayExpression(mod.deps.map((depId, n) => {
+                const requirePath = request(n);
+                return requirePath !== null ? t.stringLiteral(requirePath) : t.nullLiteral();
+            }))));
+            continue;
+        }
+        if (role === '_$$_IMPORT_DEFAULT' || role === '_$$_IMPORT_ALL') helpersUsed.add(role);
+        if (name !== role) bindings.push(t.variableDeclarator(t.identifier(name), t.identifier(role)));
+    }
+    for (const helper of helpersUsed) {
+        prologue.push(...parser.parse(METRO_IMPORT_HELPERS[helper]).program.body);
+    }
+    if (bindings.length > 0) prologue.push(t.variableDeclaration('var', bindings));
+
+    return { program: t.program([...prologue, ...body.body]), dependencies };
+}
+
+/**
+ * Unpack a React Native Metro bundle into <input>.unpacked/
+ *
+ * Modules are written to their verbose name when the bundle has one
+ * (development builds), otherwise to module_<id>.js. The __d() calls are
+ * removed from the main output; the Metro runtime and __r() calls stay.
+ */
+function unwrapMetroBundle(program, bundleInfo, opts) {
+    const logger = opts.logger || console;
+    const modules = bundleInfo.modules;
+    const indexes = new Set(modules.map(mod => mod.index));
+
+    if (opts.config && opts.config.verbose) {
+        (opts.logger || console).log(`[Metro] Found ${modules.length} modules, entries: ${bundleInfo.entries.join(', ') || 'none'}`);
+    }
+
+    if (opts.sourceFileName && opts.config.unpackBundlesToFolders !== false) {
+        const claimPath = createPathClaimer();
+        const paths = new Map(modules.map(mod => [mod.id, claimPath(mod.name || `module_${mod.id}.js`)]));
+        try {
+            const files = modules.map(mod => {
+                const { program: moduleProgram, dependencies } = buildMetroModuleProgram(mod, paths, opts);
+                return {
+                    id: mod.id,
+                    path: paths.get(mod.id),
+                    program: moduleProgram,
+                    dependencies,
+                    entry: bundleInfo.entries.includes(mod.id),
+                    info: analyzeModuleName(mod.factory, mod.id, opts)
+                };
+            });
+            saveModuleTreeToFolder(files, opts, 'Metro');
+            program.body = program.body.filter((stmt, index) => !indexes.has(index));
+            return true;
+        } catch (err) {
+            logger.error(`[Metro] Error saving to folder: ${err.message}`);
+            // Fall back to inline mode
+        }
+    }
+
+    // Inline fallback: one function per module, named after its id
+    program.body = program.body.map((stmt, index) => {
+        if (!indexes.has(index)) return stmt;
+        const mod = modules.find(candidate => candidate.index === index);
+        return t.functionDeclaration(
+            t.identifier(`__metro_module_${mod.id.replace(/\W/g, '_')}`),
+            mod.factory.params,
+            mod.factory.body
+        );
+    });
+    return true;
+}
+
+/**
+ * Names bound by the top-level statements of a module
+ */
+function topLevelBindingNames(statements) {
+    const names = new Set();
+    for (const stmt of statements) {
+        Object.keys(t.getOuterBindingIdentifiers(stmt)).forEach(name => names.add(name));
+    }
+    return names;
+}
+
+/**
+ * Binding exported through `name: () => binding` (esbuild __export) or
+ * `name: binding` / `get name() { return binding; }` (Rollup namespaces)
+ */
+function exportedBindingName(prop) {
+    if (prop.type === 'ObjectProperty') {
+        const value = prop.value;
+        if (value.type === 'Identifier') return value.name;
+        if (value.type === 'ArrowFunctionExpression' && value.body.type === 'Identifier') return value.body.name;
+    }
+    if (prop.type === 'ObjectMethod' && prop.kind === 'get') {
+        const [stmt] = prop.body.body;
+        if (stmt && stmt.type === 'ReturnStatement' && stmt.argument && stmt.argument.type === 'Identifier') {
+            return stmt.argument.name;
+        }
+    }
+    return null;
+}
+
+/**
+ * Split a scope-hoisted bundle at the boundaries found by isScopeHoistedBundle
+ * and write the modules to <input>.unpacked/
+ *
+ * Cross-module identifiers become import/export statements and esbuild's
+ * require_x()/init_x() wrapper calls become require() of the unpacked file.
+ * Boundaries are heuristic, so the flat bundle stays in the main output.
+ */
+function splitScopeHoistedBundle(program, bundleInfo, opts) {
+    const logger = opts.logger || console;
+    program._scopeHoistedSplit = true;
+
+    if (!opts.sourceFileName || opts.config.unpackBundlesToFolders === false) {
+        if (opts.config && opts.config.verbose) {
+            (opts.logger || console).log(`[Bundle Unpacker] ${bundleInfo.tool} scope-hoisted bundle left flat (folder output disabled)`);
+        }
+        return false;
+    }
+
+    const tool = bundleInfo.tool;
+    const isRollup = tool === 'rollup';
+    const newSection = (sectionPath) => ({ path: sectionPath, statements: [], exports: new Set(), wrapper: null });
+    let current = newSection(isRollup ? null : '_runtime.js');
+    const sections = [current];
+
+    for (const stmt of program.body) {
+        const wrapper = (tool === 'esbuild' && esbuildWrapperInfo(stmt)) || (tool === 'parcel' && parcelWrapperInfo(stmt));
+        if (wrapper) {
+            const section = newSection(wrapper.path || `${wrapper.name}.js`);
+            section.wrapper = wrapper;
+            section.statements = wrapper.func.body.body;
+            sections.push(section);
+            continue;
+        }
+
+        const commentPath = tool === 'esbuild' && modulePathComment(stmt);
+        if (commentPath) {
+            current = newSection(commentPath);
+            sections.push(current);
+        }
+
+        // Parcel: a new asset starts where its $assetId$ names are declared
+        const assetId = tool === 'parcel' && parcelAssetId(stmt);
+        if (assetId && current.assetId !== assetId) {
+            current = newSection(`${assetId}.js`);
+            current.assetId = assetId;
+            sections.push(current);
+        }
+        current.statements.push(stmt);
+
+        // esbuild: __export(ns_exports, { a: () => a })
+        if (tool === 'esbuild' && stmt.type === 'ExpressionStatement' && stmt.expression.type === 'CallExpression' &&
+            t.isIdentifier(stmt.expression.callee, { name: '__export' }) &&
+            stmt.expression.arguments[1] && stmt.expression.arguments[1].type === 'ObjectExpression') {
+            stmt.expression.arguments[1].properties.map(exportedBindingName).filter(Boolean)
+                .forEach(name => current.exports.add(name));
+        }
+
+        // Rollup: the namespace object closes the module it describes
+        const namespace = isRollup && rollupNamespaceInfo(stmt);
+        if (namespace) {
+            current.path = `${namespace.name}.js`;
+            stmt.declarations[0].init.arguments[0].properties.map(exportedBindingName).filter(Boolean)
+                .forEach(name => current.exports.add(name));
+            current = newSection(null);
+            sections.push(current);
+        }
+    }
+
+    const modules = sections.filter(section => section.statements.length > 0);
+    if (modules.length < 2) return false;
+
+    // Unique, sanitized file paths (the last Rollup chunk is the entry)
+    const claimPath = createPathClaimer();
+    modules.forEach((section, idx) => {
+        section.path = claimPath(section.path || (idx === modules.length - 1 ? 'index.js' : `module_${idx}.js`));
+    });
+
+    // Which module declares each top-level name
+    const owners = new Map();
+    const wrapperOwners = new Map();
+    for (const section of modules) {
+        if (section.wrapper) {
+            wrapperOwners.set(section.wrapper.name, section);
+            continue;
+        }
+        section.declared = topLevelBindingNames(section.statements);
+        section.declared.forEach(name => owners.has(name) || owners.set(name, section));
+    }
+
+    // Clone statements, rewrite wrapper calls and collect cross-module references
+    for (const section of modules) {
+        const clone = t.program(section.statements.map(stmt => {
+            const copy = t.cloneNode(stmt, true);
+            // The next module's `// path` comment also trails the last statement
+            if (copy.trailingComments) {
+                copy.trailingComments = copy.trailingComments.filter(c => !(c.type === 'CommentLine' && MODULE_PATH_COMMENT.test(c.value)));
+            }
+            return copy;
+        }));
+        const referenced = new Set();
+        section.dependencies = new Map();
+
+        traverseTopDown(clone, [(node) => {
+            // esbuild: require_x() / init_x(), Parcel: parcelRequire("a1b2c")
+            const wrapperKey = node.type !== 'CallExpression' || node.callee.type !== 'Identifier' ? null
+                : (node.arguments.length === 0 ? node.callee.name
+                    : (/^parcelRequire/.test(node.callee.name) && node.arguments.length === 1 &&
+                       node.arguments[0].type === 'StringLiteral' ? node.arguments[0].value : null));
+            if (wrapperKey !== null && wrapperOwners.has(wrapperKey)) {
+                const target = wrapperOwners.get(wrapperKey);
+                if (target !== section) {
+                    section.dependencies.set(target, relativeRequirePath(section.path, target.path));
+                    node.callee = t.identifier('require');
+                    node.arguments = [t.stringLiteral(relativeRequirePath(section.path, target.path))];
+                    return true;
+                }
+            }
+            return false;
+        }], opts);
+
+        // Collected after the rewrite so replaced wrapper callees do not count
+        traverseTopDown(clone, [(node, ctx, parentStack) => {
+            const parent = parentStack.last()?.node;
+            if (node.type === 'Identifier' && parent && t.isReferenced(node, parent, parentStack.last(1)?.node)) {
+                referenced.add(node.name);
+            }
+            return false;
+        }], opts);
+
+        section.program = clone;
+        section.imports = new Map();
+        for (const name of referenced) {
+            const owner = owners.get(name);
+            if (!owner || owner === section || (section.declared && section.declared.has(name))) continue;
+            if (!section.imports.has(owner)) section.imports.set(owner, new Set());
+            section.imports.get(owner).add(name);
+            owner.exports.add(name);
+        }
+    }
+
+    const files = modules.map((section, idx) => {
+        const body = [];
+        for (const [owner, names] of section.imports) {
+            const request = relativeRequirePath(section.path, owner.path);
+            body.push(t.importDeclaration(
+                [...names].map(name => t.importSpecifier(t.identifier(name), t.identifier(name))),
+                t.stringLiteral(request)
+            ));
+            section.dependencies.set(owner, request);
+        }
+
+        if (section.wrapper) {
+            // Wrapper params (exports, module), minified or not
+            const names = WRAPPER_PARAMS[section.wrapper.helper];
+            const bindings = section.wrapper.func.params.slice(0, names.length)
+                .map((param, i) => param.type === 'Identifier' && param.name !== names[i]
+                    ? t.variableDeclarator(t.identifier(param.name), t.identifier(names[i]))
+                    : null)
+                .filter(Boolean);
+            if (bindings.length > 0) body.push(t.variableDeclaration('var', bindings));
+        }
+
+        body.push(...section.program.body);
+
+        const exported = [...section.exports].filter(name => section.declared && section.declared.has(name));
+        if (exported.length > 0) {
+            body.push(t.exportNamedDeclaration(null,
+                exported.map(name => t.exportSpecifier(t.identifier(name), t.identifier(name)))));
+        }
+
+        return {
+            id: idx,
+            path: section.path,
+            program: t.program(body),
+            dependencies: [...section.dependencies].map(([owner, request]) => ({ request, id: modules.indexOf(owner), path: owner.path })),
+            entry: isRollup && idx === modules.length - 1,
+            info: analyzeModuleName({ body: t.blockStatement(section.program.body) }, idx, opts)
+        };
+    });
+
+    try {
+        saveModuleTreeToFolder(files, opts, { rollup: 'Rollup', parcel: 'Parcel' }[tool] || tool);
+    } catch (err) {
+        logger.error(`[Bundle Unpacker] Error saving ${bundleInfo.tool} modules: ${err.message}`);
+    }
+    return false;
+}
+
+/**
+ * Save modules that have real file paths (browserify, scope-hoisted and other
+ * path-aware formats) to <input>.unpacked/, mirroring saveWebpackModulesToFolder:
+ * per-module source maps, README.md and mapping.json
+ *
+ * @param {Array} files - [{ id, path, program, dependencies: [{ request, id, path }], entry, info }]
+ * Files may name the input they came from in `sourceFile` (multi-file builds);
+ * opts.unpackedFolder overrides the default <input>.unpacked/ folder.
+ *
+ * @param {Object} opts - Processing context
+ * @param {string} bundleType - Label used in headers and logs ('Browserify', ...)
+ */
+function saveModuleTreeToFolder(files, opts, bundleType) {
+    const logger = opts.logger || console;
+    const inputFile = opts.sourceFileName;
+    const outputFolder = opts.unpackedFolder || `${inputFile}.unpacked`;
+
+    fs.mkdirSync(outputFolder, { recursive: true });
+    logger.log(`[${bundleType}] Unpacking ${files.length} modules to ${outputFolder}/`);
+
+    const saved = [];
+    for (const file of files) {
+        const modulePath = path.join(outputFolder, file.path);
+        try {
+            fs.mkdirSync(path.dirname(modulePath), { recursive: true });
+
+            const sourceFile = file.sourceFile || inputFile;
+            const result = generate(file.program, {
+                compact: false,
+                sourceMaps: true,
+                sourceFileName: path.relative(path.dirname(modulePath), sourceFile)
+            });
+
+            let header = `// ${bundleType} Module ${file.id}${file.entry ? ' (entry)' : ''}\n`;
+            header += `// Extracted from: ${path.basename(sourceFile)}\n`;
+            if (file.info && file.info.malware) {
+                header += `// ⚠️  WARNING: SUSPICIOUS MALWARE PATTERN DETECTED! (${file.info.reason})\n`;
+            }
+            header += `\n`;
+
+            // Shift the mappings down by the header lines
+            const map = { ...result.map, file: path.basename(modulePath) };
+            map.mappings = ';'.repeat(header.split('\n').length - 1) + map.mappings;
+
+            const mapName = `${path.basename(modulePath)}.map`;
+            fs.writeFileSync(modulePath, `${header}${result.code}\n//# sourceMappingURL=${mapName}\n`, 'utf8');
+            fs.writeFileSync(`${modulePath}.map`, JSON.stringify(map), 'utf8');
+            saved.push(file);
+
+            if (opts.config && opts.config.verbose) {
+                logger.log(`  [${file.id}] ${file.path}${file.info && file.info.malware ? ' ⚠️  SUSPICIOUS' : ''}`);
+            }
+        } catch (err) {
+            logger.error(`[${bundleType}] Error saving module ${file.id}: ${err.message}`);
+        }
+    }
+
+    const suspicious = saved.filter(file => file.info && file.info.malware);
+    let indexContent = `# ${bundleType} Bundle Analysis
+**Original file:** ${path.basename(inputFile)}
+**Extracted modules:** ${saved.length}/${files.length}
+
+`;
+
+    if (suspicious.length > 0) {
+        indexContent += `## ⚠️  SUSPICIOUS MODULES DETECTED (${suspicious.length})
+
+${suspicious.map(file => `- **${file.path}** (module ${file.id}) - ${file.info.reason}`).join('\n')}
+
+`;
+    }
+
+    indexContent += `## Module Files
+
+| ID | Path | Dependencies |
+|----|------|--------------|
+${saved.map(file => `| ${file.id}${file.entry ? ' (entry)' : ''} | ${file.path} | ${file.dependencies.map(dep => dep.path).join(', ')} |`).join('\n')}
+`;
+
+    fs.writeFileSync(path.join(outputFolder, 'README.md'), indexContent, 'utf8');
+
+    const mappingData = {
+        originalFile: path.basename(inputFile),
+        bundleType: bundleType.toLowerCase(),
+        timestamp: new Date().toISOString(),
+        totalModules: files.length,
+        extractedModules: saved.length,
+        suspiciousCount: suspicious.length,
+        sourceMapGenerated: true,
+        modules: saved.map(file => ({
+            id: file.id,
+            filename: file.path,
+            sourceMap: `${file.path}.map`,
+            entry: !!file.entry,
+            dependencies: file.dependencies,
+            confidence: file.info ? file.info.confidence : null,
+            reason: file.info ? file.info.reason : null,
+            malware: !!(file.info && file.info.malware)
+        }))
+    };
+
+    fs.writeFileSync(path.join(outputFolder, 'mapping.json'), JSON.stringify(mappingData, null, 2), 'utf8');
+
+    logger.log(`✓ [${bundleType}] Saved ${saved.length} modules to ${outputFolder}/`);
+    if (suspicious.length > 0) {
+        logger.log(`⚠️  [${bundleType}] WARNING: ${suspicious.length} suspicious modules detected!`);
     }
 }
 
@@ -928,7 +2867,7 @@ function unwrapIIFE(node, bundleInfo, parentStack, opts) {
 
     if (statementStackNode && programStackNode) {
         if (opts.config && opts.config.verbose) {
-            console.log(`[Bundle Unpacker] Unwrapping ${bundleInfo.type}, hoisting ${body.length} statements`);
+            (opts.logger || console).log(`[Bundle Unpacker] Unwrapping ${bundleInfo.type}, hoisting ${body.length} statements`);
         }
 
         // Replace the ExpressionStatement with the IIFE body
@@ -940,3 +2879,15 @@ function unwrapIIFE(node, bundleInfo, parentStack, opts) {
 }
 
 module.exports = unpackBundles;
+module.exports.isWebpackBundle = isWebpackBundle;
+module.exports.isWebpackBundleStructural = isWebpackBundleStructural;
+module.exports.isWebpack5Bundle = isWebpack5Bundle;
+module.exports.isWebpackChunk = isWebpackChunk;
+module.exports.isModuleFederationContainer = isModuleFederationContainer;
+module.exports.federationContainerInfo = federationContainerInfo;
+module.exports.analyzeModuleName = analyzeModuleName;
+module.exports.createPathClaimer = createPathClaimer;
+module.exports.relativeRequirePath = relativeRequirePath;
+module.exports.propertyKeyName = propertyKeyName;
+module.exports.saveModuleTreeToFolder = saveModuleTreeToFolder;
+module.exports.webpackModuleToESM = webpackModuleToESM;
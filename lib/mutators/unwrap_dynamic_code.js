@@ -0,0 +1,410 @@
+const t = require('@babel/types');
+const parser = require('@babel/parser');
+const CodeGenerator = require('@babel/generator').CodeGenerator;
+const fs = require('fs');
+const path = require('path');
+const Utils = require('../utils');
+const { countReferences, constantBindingOf, declaresName } = require('../detectors/transpiler_helpers');
+const { sinkOf, stringOf, scriptsOf } = require('../detectors/dynamic_code');
+const { ProgressTimer } = require('../progress');
+const { cleanupContext } = require('../cleanup');
+
+/**
+ * Unwrap Dynamic Code
+ *
+ * Packed code keeps its next layer in a string and runs it through eval,
+ * the Function constructor, a string timer or document.write. Once the
+ * string is known, it is parsed, deobfuscated with the same pipeline and put
+ * back in place of the call:
+ *
+ *   eval('var a = 1; run(a);');                 →   var a = 1;
+ *                                                    run(a);
+ *   var f = new Function('a', 'b', 'return a + b');  →   var f = function (a, b) { return a + b; };
+ *   setTimeout('tick()', 100);                   →   setTimeout(function () { tick(); }, 100);
+ *   document.write('<script>boot();</script>');  →   boot();
+ *
+ * The code must be a string literal or a variable that is only ever assigned
+ * one; the variable goes away when the call was its only use. A payload that
+ * contains a sink of its own is unwrapped the same way, one layer deeper, up
+ * to MAX_LAYERS.
+ *
+ * eval statements are spliced where they are (in a block when the payload
+ * declares let/const/class), eval used as a value is replaced when the
+ * payload is a single expression. Indirect eval and written scripts run in
+ * the global scope, so they are only spliced outside of functions. Anything
+ * that cannot be spliced keeps its call, with the deobfuscated code as the
+ * string, and is saved next to the input when artifacts are written.
+ *
+ * Runs after the convergence loop, when decoded and concatenated strings are
+ * literals.
+ */
+
+const MAX_LAYERS = 10;
+
+// Running totals a layer's pipeline leaves on its context, carried over for the malware report
+const REPORT_COUNTS = ['normalizedNumbers', 'normalizedStrings', 'inlinedProxyObjects', 'solvedOpaquePredicates', 'removedDeadBranches', 'unflattenedControlFlow', 'decodedBuiltinStrings'];
+const REPORT_LISTS = ['decodedStringArrays', 'removedAntiAnalysis', 'unwrappedPayloads', 'federationContainers'];
+
+/**
+ * Code a sink argument holds: { value, binding }, or null when it is not known
+ */
+function codeOf(node, parentStack) {
+    const value = stringOf(node);
+    if (value !== null) return { value, binding: null };
+    if (!t.isIdentifier(node)) return null;
+    const binding = constantBindingOf(node.name, parentStack);
+    return binding && stringOf(binding.declarator.init) !== null ? { value: stringOf(binding.declarator.init), binding } : null;
+}
+
+function insideFunction(parentStack) {
+    for (let level = 0; parentStack.last(level); level++) {
+        if (t.isFunction(parentStack.last(level).node)) return true;
+    }
+    return false;
+}
+
+function declaresLexical(statements) {
+    return statements.some(stmt => t.isClassDeclaration(stmt) || (t.isVariableDeclaration(stmt) && stmt.kind !== 'var'));
+}
+
+/**
+ * Visit every node of `node`, without entering nested functions when `shallow`
+ */
+function walk(node, visit, shallow) {
+    if (!node || typeof node.type !== 'string') return;
+    visit(node);
+    if (shallow && t.isFunction(node)) return;
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) walk(child, visit, shallow);
+    }
+}
+
+/**
+ * Whether the statements declare a var, outside of nested functions
+ */
+function declaresVar(statements) {
+    let found = false;
+    statements.forEach(stmt => walk(stmt, child => {
+        if (t.isVariableDeclaration(child, { kind: 'var' })) found = true;
+    }, true));
+    return found;
+}
+
+/**
+ * Identifier names used in `node`, property names left out. Declared names
+ * are included, so the list errs on the high side.
+ */
+function namesUsed(node) {
+    const properties = new Set();
+    walk(node, child => {
+        if ((t.isMemberExpression(child) || t.isOptionalMemberExpression(child)) && !child.computed) properties.add(child.property);
+        if ((t.isObjectProperty(child) || t.isObjectMethod(child) || t.isClassMethod(child) || t.isClassProperty(child)) && !child.computed) properties.add(child.key);
+    });
+    const names = new Set();
+    walk(node, child => {
+        if (t.isIdentifier(child) && !properties.has(child)) names.add(child.name);
+    });
+    return names;
+}
+
+/**
+ * Names a block-level scope binds: let, const, class and, for blocks, function
+ * declarations, the loop variables of a for statement, a catch parameter or
+ * the name of a class inside its body
+ */
+function lexicalNames(node) {
+    const names = [];
+    const bind = pattern => names.push(...Object.keys(t.getBindingIdentifiers(pattern)));
+    const statements = t.isBlockStatement(node) || t.isStaticBlock(node) ? node.body
+        : t.isSwitchStatement(node) ? [].concat(...node.cases.map(c => c.consequent)) : [];
+    for (const stmt of statements) {
+        if (t.isVariableDeclaration(stmt) && stmt.kind !== 'var') stmt.declarations.forEach(decl => bind(decl.id));
+        if ((t.isClassDeclaration(stmt) || t.isFunctionDeclaration(stmt)) && stmt.id) names.push(stmt.id.name);
+    }
+    const head = t.isForStatement(node) ? node.init : (t.isForInStatement(node) || t.isForOfStatement(node)) ? node.left : null;
+    if (t.isVariableDeclaration(head) && head.kind !== 'var') head.declarations.forEach(decl => bind(decl.id));
+    if (t.isCatchClause(node) && node.param) bind(node.param);
+    if (t.isClass(node) && node.id) names.push(node.id.name);
+    return names;
+}
+
+/**
+ * Whether a scope between the call and the program binds one of `names`
+ */
+function boundLocally(names, parentStack) {
+    for (let level = 0; parentStack.last(level); level++) {
+        const node = parentStack.last(level).node;
+        if (t.isFunction(node) && [...names].some(name => declaresName(node, name))) return true;
+        if (lexicalNames(node).some(name => names.has(name))) return true;
+    }
+    return false;
+}
+
+function hasUseStrict(directives) {
+    return (directives || []).some(directive => directive.value.value === 'use strict');
+}
+
+/**
+ * Whether the call is in strict code: a module, a class, or a program or
+ * function with a 'use strict' directive
+ */
+function strictContext(parentStack) {
+    for (let level = 0; parentStack.last(level); level++) {
+        const node = parentStack.last(level).node;
+        if (t.isClass(node)) return true;
+        if (t.isFunction(node) && t.isBlockStatement(node.body) && hasUseStrict(node.body.directives)) return true;
+        if (t.isProgram(node)) return node.sourceType === 'module' || hasUseStrict(node.directives);
+    }
+    return false;
+}
+
+/**
+ * Whether code that runs in the global scope can become a function where the
+ * call stands: no local binding hides a global it uses, and it does not turn
+ * strict by moving into strict code
+ */
+function canSpliceGlobal(program, params, parentStack) {
+    const names = namesUsed(program);
+    params.forEach(param => Object.keys(t.getBindingIdentifiers(param)).forEach(name => names.delete(name)));
+    if (boundLocally(names, parentStack)) return false;
+    return hasUseStrict(program.directives) || !strictContext(parentStack);
+}
+
+function parse(code, opts, options) {
+    try {
+        return parser.parse(code, { ...(opts.config && opts.config.parser), ...options });
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Deobfuscate a parsed payload with the pipeline of the code it came from
+ */
+function deobfuscateLayer(ast, opts, layer) {
+    // Required here: the pipeline module requires this one
+    const { resolvePipeline, runPipeline } = require('../pipeline');
+    opts.savedPayloads = opts.savedPayloads || { count: 0 };
+    const context = {
+        ast,
+        astScopes: {},
+        config: opts.config,
+        sourceFileName: opts.sourceFileName,
+        grokInterface: null,
+        logger: opts.logger,
+        sourceMapNames: null,
+        phases: opts.phases,
+        dynamicCodeLayer: layer,
+        savedPayloads: opts.savedPayloads
+    };
+    // Quiet: the phase running this one already shows progress
+    runPipeline(ast, opts.phases || resolvePipeline(), context, {
+        progress: label => new ProgressTimer(label, false),
+        logger: opts.logger || console
+    });
+
+    for (const key of REPORT_COUNTS) {
+        if (context[key]) opts[key] = (opts[key] || 0) + context[key];
+    }
+    for (const key of REPORT_LISTS) {
+        if (context[key]) opts[key] = (opts[key] || []).concat(context[key]);
+    }
+    cleanupContext(context);
+    return ast;
+}
+
+function generate(node, opts) {
+    return new CodeGenerator(node, opts.config && opts.config.codeGenerator).generate().code;
+}
+
+/**
+ * Write a payload that stays a string next to the input, when artifacts are written
+ */
+function save(code, sink, layer, opts) {
+    if (!opts.config || opts.config.saveDynamicCode === false || !opts.sourceFileName) return null;
+    const folder = `${opts.sourceFileName}.nested`;
+    const file = path.join(folder, `layer${layer}_${sink.replace('.', '_')}_${++opts.savedPayloads.count}.js`);
+    try {
+        fs.mkdirSync(folder, { recursive: true });
+        fs.writeFileSync(file, code, 'utf8');
+        (opts.logger || console).log(`[DynamicCode] Saved ${sink} payload to ${file}`);
+        return file;
+    } catch (err) {
+        (opts.logger || console).warn(`[DynamicCode] Could not save ${sink} payload: ${err.message}`);
+        return null;
+    }
+}
+
+function record(opts, sink, layer, spliced, savedTo) {
+    opts.unwrappedPayloads = opts.unwrappedPayloads || [];
+    opts.unwrappedPayloads.push(savedTo ? { sink, layer, spliced, savedTo } : { sink, layer, spliced });
+    opts.unwrappedInPass = (opts.unwrappedInPass || 0) + 1;
+}
+
+/**
+ * Replace the statement holding the call with `statements`
+ */
+function spliceStatement(statements, parentStack) {
+    const statement = parentStack.last(0);
+    const slot = parentStack.last(1);
+    if (Array.isArray(slot.node[slot.propertyName])) {
+        Utils.replaceChildInParentNode(statements, slot);
+    } else {
+        Utils.replaceChildInParentNode(t.blockStatement(statements), slot);
+    }
+    return statement;
+}
+
+/**
+ * eval(code): statements in place of an eval statement, the expression in
+ * place of an eval value. Returns false when neither fits.
+ */
+function unwrapEval(node, sink, program, parentStack) {
+    const parent = parentStack.last();
+    if (sink.indirect && insideFunction(parentStack)) return false;
+    if (program.directives.length > 0) return false;
+    // Strict eval code keeps its declarations: a block holds functions, not vars
+    const strict = !sink.indirect && strictContext(parentStack);
+    if (strict && declaresVar(program.body)) return false;
+    const body = program.body;
+
+    if (t.isExpressionStatement(parent.node) && parentStack.last(1)) {
+        spliceStatement(strict || declaresLexical(body) ? [t.blockStatement(body)] : body, parentStack);
+        return true;
+    }
+    if (body.length === 1 && t.isExpressionStatement(body[0])) {
+        Utils.replaceChildInParentNode(body[0].expression, parent);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Unwrap one sink call. Returns true when the AST changed.
+ */
+function unwrap(node, sink, opts, parentStack) {
+    const codes = sink.codeArguments.map(arg => codeOf(arg, parentStack));
+    if (codes.some(code => code === null)) return false;
+    const layer = (opts.dynamicCodeLayer || 0) + 1;
+    if (layer > MAX_LAYERS) {
+        (opts.logger || console).warn(`[DynamicCode] ${sink.kind} payload nested more than ${MAX_LAYERS} layers deep left as is`);
+        return false;
+    }
+    const bindings = codes.filter(code => code.binding).map(code => code.binding);
+    const parent = parentStack.last();
+
+    if (sink.kind === 'Function') {
+        // Function('a', 'b', 'return a + b'): every argument but the last one names parameters
+        const source = codes.map(code => code.value);
+        const body = parse(source.pop(), opts, { allowReturnOutsideFunction: true });
+        const header = parse(`(function (${source.join(', ')}) {})`, opts);
+        if (!body || !header) return false;
+        deobfuscateLayer(body, opts, layer);
+        const params = header.program.body[0].expression.params;
+        if (canSpliceGlobal(body.program, params, parentStack)) {
+            Utils.replaceChildInParentNode(t.functionExpression(null, params, t.blockStatement(body.program.body, body.program.directives)), parent);
+            record(opts, sink.kind, layer, true);
+        } else {
+            const code = generate(body, opts);
+            node.arguments[node.arguments.length - 1] = t.stringLiteral(code);
+            record(opts, sink.kind, layer, false, save(code, sink.kind, layer, opts));
+        }
+        return unwrapped(opts, bindings);
+    }
+
+    if (sink.kind === 'setTimeout' || sink.kind === 'setInterval') {
+        const ast = parse(codes[0].value, opts);
+        if (!ast) return false;
+        deobfuscateLayer(ast, opts, layer);
+        if (canSpliceGlobal(ast.program, [], parentStack)) {
+            node.arguments[0] = t.functionExpression(null, [], t.blockStatement(ast.program.body, ast.program.directives));
+            record(opts, sink.kind, layer, true);
+        } else {
+            const code = generate(ast, opts);
+            node.arguments[0] = t.stringLiteral(code);
+            record(opts, sink.kind, layer, false, save(code, sink.kind, layer, opts));
+        }
+        return unwrapped(opts, bindings);
+    }
+
+    if (sink.kind === 'eval') {
+        const ast = parse(codes[0].value, opts);
+        if (!ast) return false;
+        deobfuscateLayer(ast, opts, layer);
+        if (unwrapEval(node, sink, ast.program, parentStack)) {
+            record(opts, sink.kind, layer, true);
+        } else {
+            const code = generate(ast, opts);
+            node.arguments[0] = t.stringLiteral(code);
+            record(opts, sink.kind, layer, false, save(code, sink.kind, layer, opts));
+        }
+        return unwrapped(opts, bindings);
+    }
+
+    // document.write: every argument is written, one after the other
+    const html = codes.map(code => code.value).join('');
+    const { scripts, onlyScripts } = scriptsOf(html);
+    const asts = scripts.map(script => parse(script.code, opts));
+    if (scripts.length === 0 || asts.some(ast => !ast)) return false;
+    asts.forEach(ast => deobfuscateLayer(ast, opts, layer));
+
+    if (onlyScripts && t.isExpressionStatement(parent.node) && parentStack.last(1) && !insideFunction(parentStack)) {
+        spliceStatement([].concat(...asts.map(ast => ast.program.body)), parentStack);
+        scripts.forEach(() => record(opts, sink.kind, layer, true));
+        return unwrapped(opts, bindings);
+    }
+    // Rewrite the scripts inside the HTML, last first so the offsets still hold
+    let rewritten = html;
+    for (let i = scripts.length - 1; i >= 0; i--) {
+        const code = generate(asts[i], opts);
+        rewritten = rewritten.slice(0, scripts[i].start) + `\n${code}\n` + rewritten.slice(scripts[i].end);
+        record(opts, sink.kind, layer, false, save(code, sink.kind, layer, opts));
+    }
+    node.arguments = [t.stringLiteral(rewritten)];
+    return unwrapped(opts, bindings);
+}
+
+/**
+ * Queue the variables that held the payloads for removal, once the traversal is done
+ */
+function unwrapped(opts, bindings) {
+    opts.payloadBindings = (opts.payloadBindings || []).concat(bindings);
+    return true;
+}
+
+/**
+ * Remove `var code = '...'` declarations nothing reads anymore
+ */
+function removeUnusedBindings(program, opts) {
+    for (const { list, declaration, declarator } of opts.payloadBindings || []) {
+        if (!declaration.declarations.includes(declarator)) continue;
+        if (countReferences(program, declarator.id.name, declarator) > 0) continue;
+        declaration.declarations.splice(declaration.declarations.indexOf(declarator), 1);
+        if (declaration.declarations.length === 0 && list.includes(declaration)) list.splice(list.indexOf(declaration), 1);
+    }
+    opts.payloadBindings = [];
+}
+
+function unwrapDynamicCode(node, opts, parentStack) {
+    if (opts.config && opts.config.unwrapDynamicCode === false) {
+        return false;
+    }
+    let changed = false;
+
+    const sink = parentStack.last() && sinkOf(node);
+    if (sink) {
+        changed = unwrap(node, sink, opts, parentStack);
+    }
+
+    if (node.type === 'Program') {
+        removeUnusedBindings(node, opts);
+        if (opts.unwrappedInPass && opts.config && opts.config.verbose) {
+            const layers = Math.max(...opts.unwrappedPayloads.map(payload => payload.layer));
+            (opts.logger || console).log(`[DynamicCode] Unwrapped ${opts.unwrappedInPass} payloads, ${layers} layers deep`);
+        }
+        opts.unwrappedInPass = 0;
+    }
+    return changed;
+}
+
+module.exports = unwrapDynamicCode;
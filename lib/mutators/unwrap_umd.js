@@ -82,7 +82,8 @@ function unwrapUMD(node, opts, parentStack) {
         return false;
     }
 
-    console.log('[UMD] Detected UMD wrapper, unwrapping...');
+    const logger = opts.logger || console;
+    logger.log('[UMD] Detected UMD wrapper, unwrapping...');
 
     // Extract factory body
     let factoryBody;
@@ -102,11 +103,11 @@ function unwrapUMD(node, opts, parentStack) {
     }
 
     if (!factoryBody) {
-        console.log('[UMD] Could not extract factory body');
+        logger.log('[UMD] Could not extract factory body');
         return false;
     }
 
-    console.log('[UMD] Unwrapped UMD, exposing inner bundle for processing');
+    logger.log('[UMD] Unwrapped UMD, exposing inner bundle for processing');
 
     // Replace UMD wrapper with inner content
     const parent = parentStack.last();
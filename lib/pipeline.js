@@ -0,0 +1,462 @@
+/**
+ * Declarative mutator pipeline for js_recover
+ *
+ * The pipeline is a list of phases. Each phase names its mutators, the
+ * traversal direction and how often it repeats:
+ *
+ *   {
+ *     name: 'convergence',            // used by --passes / --disable-pass
+ *     label: 'Processing iterations', // progress label
+ *     traversal: 'bottomUp',          // 'topDown' or 'bottomUp'
+ *     repeat: 'converge',             // 1 = single pass, N = loop while changed (max N),
+ *                                     // 'converge' = loop until fixed point (config.maxIterations/timeoutMs)
+ *     mutators: ['foldConstants', 'eliminateDeadCode', ...]
+ *   }
+ *
+ * The default pipeline can be replaced or trimmed from .js_recover.json:
+ *
+ *   "pipeline": {
+ *     "phases": [...],                       // full replacement of DEFAULT_PIPELINE
+ *     "passes": ["unpack", "convergence"],   // run only these phases, in this order
+ *     "disable": ["simplifyPropertyAccess"]  // skip mutators or whole phases by name
+ *   }
+ *
+ * or from the CLI with --passes and --disable-pass. Plugin mutators
+ * (lib/plugin_loader.js) are merged into the definition by phase name.
+ */
+
+const { traverseTopDown, traverseBottomUp } = require('./traverser');
+
+// Node mutators
+const assignValuesToVariables = require('./mutators/assign_values_to_variables');
+const createScopes = require('./mutators/create_scopes');
+const replaceSequentialAssignmentsInFlowControl = require('./mutators/replace_sequential_assignments_in_flow_control');
+const replaceSequentialAssignments = require('./mutators/replace_sequential_assignments');
+const fixControlFlowStatementsWithOneStatement = require('./mutators/fix_control_flow_statements_with_one_statement');
+const removeLocationInformation = require('./mutators/remove_location_information');
+const defineFunctions = require('./mutators/define_functions');
+const countFunctionInvocations = require('./mutators/count_function_invocations');
+const recoverBooleans = require('./mutators/recover_booleans');
+const foldConstants = require('./mutators/fold_constants');
+const deobfuscateStrings = require('./mutators/deobfuscate_strings');
+const eliminateDeadCode = require('./mutators/eliminate_dead_code');
+const unpackBundles = require('./mutators/unpack_bundles');
+const simplifyPropertyAccess = require('./mutators/simplify_property_access');
+const inlineStringArrayAccess = require('./mutators/inline_string_array_access');
+const extractNestedBundles = require('./mutators/extract_nested_bundles');
+const unwrapUMD = require('./mutators/unwrap_umd');
+const recoverNamesFromSourceMaps = require('./mutators/recover_names_from_source_maps');
+const recoverClasses = require('./mutators/recover_classes');
+const recoverAsync = require('./mutators/recover_async');
+const recoverJsx = require('./mutators/recover_jsx');
+const modernizeSyntax = require('./mutators/modernize_syntax');
+const recoverTemplateLiterals = require('./mutators/recover_template_literals');
+const decodeStringArrays = require('./mutators/decode_string_arrays');
+const unflattenControlFlow = require('./mutators/unflatten_control_flow');
+const inlineProxyObjects = require('./mutators/inline_proxy_objects');
+const removeAntiAnalysis = require('./mutators/remove_anti_analysis');
+const solveOpaquePredicates = require('./mutators/solve_opaque_predicates');
+const normalizeLiterals = require('./mutators/normalize_literals');
+const unwrapDynamicCode = require('./mutators/unwrap_dynamic_code');
+const decodeBuiltinStrings = require('./mutators/decode_builtin_strings');
+
+// Mutators that can be referenced by name from a pipeline definition
+const MUTATORS = {
+    recoverNamesFromSourceMaps,
+    unwrapUMD,
+    extractNestedBundles,
+    unpackBundles,
+    removeLocationInformation,
+    createScopes,
+    defineFunctions,
+    assignValuesToVariables,
+    countFunctionInvocations,
+    recoverBooleans,
+    deobfuscateStrings,
+    fixControlFlowStatementsWithOneStatement,
+    replaceSequentialAssignments,
+    replaceSequentialAssignmentsInFlowControl,
+    inlineStringArrayAccess,
+    inlineProxyObjects,
+    solveOpaquePredicates,
+    foldConstants,
+    eliminateDeadCode,
+    simplifyPropertyAccess,
+    recoverClasses,
+    recoverAsync,
+    recoverJsx,
+    modernizeSyntax,
+    recoverTemplateLiterals,
+    decodeStringArrays,
+    unflattenControlFlow,
+    removeAntiAnalysis,
+    normalizeLiterals,
+    unwrapDynamicCode,
+    decodeBuiltinStrings
+};
+
+const TRAVERSALS = {
+    topDown: traverseTopDown,
+    bottomUp: traverseBottomUp
+};
+
+const DEFAULT_PIPELINE = [
+    {
+        // Source map names need the original positions: run before anything moves
+        name: 'sourceMapNames',
+        label: 'Recovering names from source map',
+        traversal: 'topDown',
+        repeat: 1,
+        mutators: ['recoverNamesFromSourceMaps']
+    },
+    {
+        // obfuscator.io string arrays are shared by the whole file: decode before it is split up
+        name: 'stringArrays',
+        label: 'Decoding string arrays',
+        traversal: 'topDown',
+        repeat: 1,
+        mutators: ['decodeStringArrays']
+    },
+    {
+        // numbersToExpressions / splitStrings: -0x1a5b*0x1+0x2*0x3f1 → 1000, 'hel'+'lo' → 'hello',
+        // once the split strings read from the array are in place
+        name: 'normalize',
+        label: 'Normalizing numbers and strings',
+        traversal: 'bottomUp',
+        repeat: 1,
+        mutators: ['normalizeLiterals']
+    },
+    {
+        // Unpack bundles FIRST (before scope analysis)
+        // This is critical for malware analysis - unpacks webpack/AMD/UMD bundles
+        // Loops until nothing changes to handle UMD-wrapped bundles
+        name: 'unpack',
+        label: 'Unpacking bundles',
+        traversal: 'topDown',
+        repeat: 10,
+        mutators: [
+            'unwrapUMD',             // Unwrap UMD wrappers first to expose inner bundles
+            'extractNestedBundles',  // Extract bundle-in-bundle strings
+            'unpackBundles'          // Then unwrap bundled code
+        ]
+    },
+    {
+        name: 'removeLocations',
+        label: 'Removing locations',
+        traversal: 'topDown',
+        repeat: 1,
+        mutators: ['removeLocationInformation']
+    },
+    {
+        // regenerator / __generator state machines → async functions and generators,
+        // before scope analysis and the control-flow mutators see the switch
+        name: 'async',
+        label: 'Recovering async functions',
+        traversal: 'bottomUp',
+        repeat: 1,
+        mutators: ['recoverAsync']
+    },
+    {
+        name: 'scopes',
+        label: 'Analyzing scopes',
+        traversal: 'topDown',
+        repeat: 1,
+        mutators: ['createScopes', 'defineFunctions', 'assignValuesToVariables']
+    },
+    {
+        name: 'initial',
+        label: 'Initial deobfuscation',
+        traversal: 'topDown',
+        repeat: 1,
+        mutators: [
+            'countFunctionInvocations',
+            'recoverBooleans',
+            'deobfuscateStrings'     // Decode hex/unicode/octal escapes
+        ]
+    },
+    {
+        // OPTIMIZATION: Single traversal with multiple mutators (3x faster!)
+        name: 'convergence',
+        label: 'Processing iterations',
+        traversal: 'bottomUp',
+        repeat: 'converge',
+        mutators: [
+            'fixControlFlowStatementsWithOneStatement',
+            'replaceSequentialAssignments',
+            'replaceSequentialAssignmentsInFlowControl',
+            'inlineStringArrayAccess',  // accessor(0) → arr[0]
+            'inlineProxyObjects',       // holder['key'](a, b) → a + b (obfuscator.io proxy objects)
+            'solveOpaquePredicates',    // if ('abc' !== 'xyz') { A } else { B } → A (dead code injection)
+            'decodeBuiltinStrings',     // String.fromCharCode(104, 105), atob('aGk=') → 'hi'
+            'foldConstants',            // Evaluate constant expressions (2+3 → 5)
+            'unflattenControlFlow',     // while (true) switch (order[i++]) / switch (state) → plain statements
+            'eliminateDeadCode',        // Remove unreachable code (after constants folded)
+            'simplifyPropertyAccess',   // obj['prop'] → obj.prop
+            'modernizeSyntax'           // ES5 helper output → default params, destructuring, spread, ?., ??
+        ]
+    },
+    {
+        // eval / Function / string timer / document.write payloads, each run through this same pipeline
+        name: 'dynamicCode',
+        label: 'Unwrapping dynamic code',
+        traversal: 'bottomUp',
+        repeat: 1,
+        mutators: ['unwrapDynamicCode']
+    },
+    {
+        // obfuscator.io self-defending, debug protection, console disabling and domain lock blocks
+        name: 'antiAnalysis',
+        label: 'Removing anti-analysis code',
+        traversal: 'bottomUp',
+        repeat: 1,
+        mutators: ['removeAntiAnalysis']
+    },
+    {
+        // Babel/TypeScript class helpers → class syntax (helpers must be readable first)
+        name: 'classes',
+        label: 'Recovering classes',
+        traversal: 'bottomUp',
+        repeat: 1,
+        mutators: ['recoverClasses']
+    },
+    {
+        // "a" + b + "c" → `a${b}c` (after convergence, so foldConstants still sees plain literals)
+        name: 'templates',
+        label: 'Recovering template literals',
+        traversal: 'bottomUp',
+        repeat: 1,
+        mutators: ['recoverTemplateLiterals']
+    },
+    {
+        // React.createElement / jsx-runtime calls → JSX (only with recoverJsx, the output is no longer plain JS)
+        name: 'jsx',
+        label: 'Recovering JSX',
+        traversal: 'bottomUp',
+        repeat: 1,
+        mutators: ['recoverJsx']
+    }
+];
+
+/**
+ * Normalize a comma-separated string or array of names into an array
+ */
+function toNameList(value) {
+    if (!value) {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(name => String(name).trim()).filter(Boolean);
+}
+
+/**
+ * Add plugin mutators to a pipeline definition
+ * A mutator joins the phase it names; unknown phase names create a new phase
+ *
+ * @param {Array} definition - Phase definitions
+ * @param {Array} plugins - Descriptors from loadPlugins()
+ * @returns {Array} New phase definitions (input is not modified)
+ */
+function applyPlugins(definition, plugins) {
+    const phases = definition.map(phase => ({ ...phase, mutators: toNameList(phase.mutators) }));
+
+    for (const plugin of plugins) {
+        let phase = phases.find(p => p.name === plugin.phase);
+        if (phase) {
+            const phaseTraversal = phase.traversal || 'topDown';
+            if (plugin.traversal && plugin.traversal !== phaseTraversal) {
+                throw new Error(`Plugin mutator "${plugin.name}" needs ${plugin.traversal} traversal but phase "${phase.name}" is ${phaseTraversal}`);
+            }
+            phase.mutators.push(plugin.name);
+            continue;
+        }
+
+        phase = {
+            name: plugin.phase,
+            label: plugin.phase,
+            traversal: plugin.traversal || 'topDown',
+            repeat: plugin.repeat || 1,
+            mutators: [plugin.name]
+        };
+
+        if (plugin.before) {
+            const index = phases.findIndex(p => p.name === plugin.before);
+            if (index === -1) {
+                throw new Error(`Plugin mutator "${plugin.name}" wants to run before unknown phase "${plugin.before}"`);
+            }
+            phases.splice(index, 0, phase);
+        } else {
+            phases.push(phase);
+        }
+    }
+
+    return phases;
+}
+
+/**
+ * Build the executable pipeline from a definition
+ *
+ * @param {Object} [pipelineConfig] - { phases, passes, disable } (see file header)
+ * @param {Array} [plugins] - Plugin mutator descriptors from loadPlugins()
+ * @returns {Array} Phases with resolved mutator functions: [{ name, label, traversal, repeat, mutators: [{ name, fn }] }]
+ * @throws {Error} On unknown phase, mutator or traversal names
+ */
+function resolvePipeline(pipelineConfig = {}, plugins = []) {
+    const registry = { ...MUTATORS };
+    for (const plugin of plugins) {
+        if (plugin.name in registry) {
+            throw new Error(`Plugin "${plugin.plugin}" mutator "${plugin.name}" conflicts with an existing mutator`);
+        }
+        registry[plugin.name] = plugin.fn;
+    }
+
+    const definition = applyPlugins(pipelineConfig.phases || DEFAULT_PIPELINE, plugins);
+    const disabled = new Set(toNameList(pipelineConfig.disable));
+    const passes = toNameList(pipelineConfig.passes);
+
+    const phaseNames = definition.map(phase => phase.name);
+    for (const name of passes) {
+        if (!phaseNames.includes(name)) {
+            throw new Error(`Unknown pipeline phase "${name}" (available: ${phaseNames.join(', ')})`);
+        }
+    }
+    for (const name of disabled) {
+        if (!phaseNames.includes(name) && !(name in registry)) {
+            throw new Error(`Cannot disable unknown pass "${name}"`);
+        }
+    }
+
+    const selected = passes.length > 0
+        ? passes.map(name => definition.find(phase => phase.name === name))
+        : definition;
+
+    return selected
+        .filter(phase => !disabled.has(phase.name))
+        .map(phase => {
+            const traversal = phase.traversal || 'topDown';
+            if (!TRAVERSALS[traversal]) {
+                throw new Error(`Unknown traversal "${traversal}" in phase "${phase.name}" (use topDown or bottomUp)`);
+            }
+
+            const mutators = toNameList(phase.mutators)
+                .filter(name => !disabled.has(name))
+                .map(name => {
+                    if (typeof registry[name] !== 'function') {
+                        throw new Error(`Unknown mutator "${name}" in phase "${phase.name}"`);
+                    }
+                    return { name, fn: registry[name] };
+                });
+
+            return {
+                name: phase.name,
+                label: phase.label || phase.name,
+                traversal,
+                repeat: phase.repeat || 1,
+                mutators
+            };
+        })
+        .filter(phase => phase.mutators.length > 0);
+}
+
+/**
+ * Run one phase on the AST
+ *
+ * @param {Object} ast - AST root
+ * @param {Object} phase - Resolved phase (see resolvePipeline)
+ * @param {Object} context - Processing context passed to mutators
+ * @param {Object} options - { progress, logger }
+ * @returns {Object} { iterations, changed, converged, timedOut }
+ */
+function runPhase(ast, phase, context, options) {
+    const { progress, logger } = options;
+    const config = context.config || {};
+    const traverse = TRAVERSALS[phase.traversal];
+    const visitors = phase.mutators.map(mutator => mutator.fn);
+    const timer = progress(phase.label);
+
+    if (phase.repeat === 'converge') {
+        let trial = 0;
+        const MAX_ITERATIONS = config.maxIterations || 100; // configurable safety limit
+        const TIMEOUT_MS = config.timeoutMs || 300000; // 5 minutes default
+        const startTime = Date.now();
+
+        while (trial < MAX_ITERATIONS) {
+            trial++;
+
+            // FIX P2-1: Add timeout protection against malware anti-analysis
+            if (Date.now() - startTime > TIMEOUT_MS) {
+                timer.fail(`timeout after ${trial} iterations`);
+                logger.warn(`⚠️  WARNING: This may indicate malware anti-analysis tricks.`);
+                return { iterations: trial, changed: true, converged: false, timedOut: true };
+            }
+
+            // Update progress (only visible in TTY mode due to spinner)
+            timer.update(`iteration ${trial}`);
+
+            // If NOTHING changed in this iteration - convergence reached
+            if (!traverse(ast, visitors, context)) {
+                timer.done(`converged after ${trial} iterations`);
+                return { iterations: trial, changed: trial > 1, converged: true, timedOut: false };
+            }
+        }
+
+        // Hit max iterations without convergence
+        timer.fail(`max iterations (${MAX_ITERATIONS})`);
+        logger.warn(`⚠ WARNING: This may indicate complex obfuscation or anti-analysis code`);
+        return { iterations: trial, changed: true, converged: false, timedOut: false };
+    }
+
+    const maxIterations = Math.max(1, parseInt(phase.repeat, 10) || 1);
+    let iterations = 0;
+    let changed = false;
+    let status;
+    do {
+        iterations++;
+        status = traverse(ast, visitors, context);
+        changed = changed || status;
+        if (config.verbose && status && iterations < maxIterations) {
+            timer.update(`iteration ${iterations}`);
+        }
+    } while (status && iterations < maxIterations);
+
+    timer.done(maxIterations > 1 ? `${iterations} iteration${iterations > 1 ? 's' : ''}` : '');
+    return { iterations, changed, converged: !status, timedOut: false };
+}
+
+/**
+ * Run all phases in order
+ *
+ * @returns {Object} Per-phase results keyed by phase name
+ */
+function runPipeline(ast, phases, context, options) {
+    const results = {};
+    for (const phase of phases) {
+        results[phase.name] = runPhase(ast, phase, context, options);
+    }
+    return results;
+}
+
+/**
+ * Describe the phases a pipeline configuration runs (for --list-passes)
+ *
+ * @param {Object} pipelineConfig - { phases, passes, disable }, see resolvePipeline
+ * @param {Array} plugins - Descriptors from loadPlugins()
+ * @returns {Array} [{ name, traversal, repeat, mutators: [name] }]
+ */
+function describePipeline(pipelineConfig = {}, plugins = []) {
+    return resolvePipeline(pipelineConfig, plugins).map(phase => ({
+        name: phase.name,
+        traversal: phase.traversal,
+        repeat: phase.repeat,
+        mutators: phase.mutators.map(mutator => mutator.name)
+    }));
+}
+
+module.exports = {
+    MUTATORS,
+    DEFAULT_PIPELINE,
+    applyPlugins,
+    resolvePipeline,
+    runPhase,
+    runPipeline,
+    describePipeline
+};
@@ -0,0 +1,153 @@
+/**
+ * Third-party mutator plugins for js_recover
+ *
+ * A plugin is an npm package or a local file listed under the `plugins` key
+ * of .js_recover.json. It exports mutators with the same signature the
+ * traverser uses, `(node, opts, parentStack) => changed`, plus metadata that
+ * tells the pipeline where to run them:
+ *
+ *   module.exports = {
+ *     name: 'acme-deobfuscators',
+ *     mutators: [
+ *       {
+ *         name: 'decodeAcmeStrings',       // unique; usable with --disable-pass
+ *         phase: 'convergence',            // existing phase to join, or a new phase name
+ *         traversal: 'bottomUp',           // required when creating a new phase (default topDown)
+ *         repeat: 1,                       // new phases only (see lib/pipeline.js)
+ *         before: 'convergence',           // new phases only: insert before this phase (default: append)
+ *         nodeTypes: ['CallExpression'],   // optional: only called for these node types
+ *         mutator: function (node, opts, parentStack) { return false; }
+ *       }
+ *     ]
+ *   };
+ *
+ * A module may also export a single mutator function (metadata as properties
+ * on the function, `name` taken from the function) or an array of descriptors.
+ */
+
+const path = require('path');
+
+const DEFAULT_PHASE = 'convergence';
+
+/**
+ * Is the plugin spec a path to a local file (as opposed to a package name)?
+ */
+function isLocalPath(spec) {
+    return spec.startsWith('.') || path.isAbsolute(spec);
+}
+
+/**
+ * Resolve local plugin paths relative to the directory of the config file
+ * that declared them. Package names are left as is.
+ *
+ * @param {Array<string>} specs - Plugin specs from a config file
+ * @param {string} baseDir - Directory of that config file
+ * @returns {Array<string>} Specs with absolute local paths
+ */
+function resolvePluginSpecs(specs, baseDir) {
+    if (!Array.isArray(specs)) {
+        return [];
+    }
+    return specs.map(spec => (typeof spec === 'string' && isLocalPath(spec)) ? path.resolve(baseDir, spec) : spec);
+}
+
+/**
+ * Turn the various export shapes into a list of raw mutator descriptors
+ */
+function collectDescriptors(exported) {
+    if (typeof exported === 'function') {
+        return [{ ...exported, name: exported.mutatorName || exported.name, mutator: exported }];
+    }
+    if (Array.isArray(exported)) {
+        return exported;
+    }
+    if (exported && Array.isArray(exported.mutators)) {
+        return exported.mutators;
+    }
+    return null;
+}
+
+/**
+ * Validate a descriptor and wrap its mutator with the nodeTypes filter
+ */
+function normalizeDescriptor(descriptor, pluginName) {
+    if (!descriptor || typeof descriptor.mutator !== 'function') {
+        throw new Error(`Plugin "${pluginName}" exports a mutator without a function`);
+    }
+    if (typeof descriptor.name !== 'string' || descriptor.name.length === 0) {
+        throw new Error(`Plugin "${pluginName}" exports a mutator without a name`);
+    }
+
+    let fn = descriptor.mutator;
+    if (Array.isArray(descriptor.nodeTypes) && descriptor.nodeTypes.length > 0) {
+        const nodeTypes = new Set(descriptor.nodeTypes);
+        const mutator = descriptor.mutator;
+        fn = (node, opts, parentStack) => nodeTypes.has(node.type) ? mutator(node, opts, parentStack) : false;
+    }
+
+    return {
+        name: descriptor.name,
+        plugin: pluginName,
+        phase: descriptor.phase || DEFAULT_PHASE,
+        traversal: descriptor.traversal || null,
+        repeat: descriptor.repeat || 1,
+        before: descriptor.before || null,
+        nodeTypes: descriptor.nodeTypes || null,
+        fn
+    };
+}
+
+/**
+ * Load plugins and return their mutators
+ *
+ * @param {Array<string|Object|Function>} specs - Package names, file paths or already-required plugin exports
+ * @param {string} [baseDir] - Directory used to resolve packages and relative paths (default: cwd)
+ * @returns {Array<Object>} Mutator descriptors: { name, plugin, phase, traversal, repeat, before, nodeTypes, fn }
+ * @throws {Error} When a plugin cannot be loaded or exports an invalid shape
+ */
+function loadPlugins(specs, baseDir = process.cwd()) {
+    if (!Array.isArray(specs) || specs.length === 0) {
+        return [];
+    }
+
+    const descriptors = [];
+    const seen = new Set();
+
+    for (const spec of specs) {
+        let exported = spec;
+        let pluginName = spec && spec.name ? spec.name : 'inline';
+
+        if (typeof spec === 'string') {
+            pluginName = spec;
+            try {
+                const resolved = isLocalPath(spec)
+                    ? path.resolve(baseDir, spec)
+                    : require.resolve(spec, { paths: [baseDir, process.cwd()] });
+                exported = require(resolved);
+            } catch (err) {
+                throw new Error(`Failed to load plugin "${spec}": ${err.message}`);
+            }
+        }
+
+        const rawDescriptors = collectDescriptors(exported);
+        if (!rawDescriptors) {
+            throw new Error(`Plugin "${pluginName}" must export a mutator function, an array of mutators or { mutators: [...] }`);
+        }
+
+        for (const raw of rawDescriptors) {
+            const descriptor = normalizeDescriptor(raw, pluginName);
+            if (seen.has(descriptor.name)) {
+                throw new Error(`Plugin mutator "${descriptor.name}" is defined more than once`);
+            }
+            seen.add(descriptor.name);
+            descriptors.push(descriptor);
+        }
+    }
+
+    return descriptors;
+}
+
+module.exports = {
+    loadPlugins,
+    resolvePluginSpecs
+};
@@ -0,0 +1,264 @@
+/**
+ * Source map discovery for js_recover
+ *
+ * Resolves the `//# sourceMappingURL=` comment of the input file. Supported
+ * targets are inline `data:` URIs and local files (relative to the input
+ * file); when there is no comment a sibling `<input>.map` is tried. Remote
+ * URLs are reported but never fetched: the input is usually hostile and a
+ * request would tip off whoever controls the server. For the same reason a
+ * local map is only read when it is a regular file in the input's directory
+ * (or below it) and no larger than MAX_MAP_SIZE.
+ *
+ * A map with `sourcesContent` is written out as the original source tree.
+ * A map with only mappings + `names` is used to rename minified identifiers
+ * (see mutators/recover_names_from_source_maps.js).
+ *
+ * In the other direction, inheritLocations() prepares the processed AST for
+ * the `.out.map` that links deobfuscated output back to the input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const t = require('@babel/types');
+const SourceMapConsumer = require('source-map').SourceMapConsumer;
+
+// Last sourceMappingURL comment wins (bundlers append theirs at the end)
+const SOURCE_MAPPING_URL_REGEX = /\/[/*][#@]\s*sourceMappingURL\s*=\s*([^\s*'"]+)/g;
+// Same, on the value of a parsed comment
+const SOURCE_MAPPING_URL_COMMENT_REGEX = /^[#@]\s*sourceMappingURL\s*=/;
+
+// Largest local map read (maps of big bundles with sourcesContent run to tens of MB)
+const MAX_MAP_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Find the URL of the sourceMappingURL comment
+ *
+ * @param {string} code - Source code
+ * @returns {string|null} URL as written in the comment
+ */
+function findSourceMappingURL(code) {
+    let url = null;
+    let match;
+    SOURCE_MAPPING_URL_REGEX.lastIndex = 0;
+    while ((match = SOURCE_MAPPING_URL_REGEX.exec(code)) !== null) {
+        url = match[1];
+    }
+    return url;
+}
+
+/**
+ * Decode a data: URI (base64 or percent-encoded)
+ *
+ * @param {string} url - data:application/json;base64,...
+ * @returns {string} Decoded content
+ */
+function decodeDataURI(url) {
+    const comma = url.indexOf(',');
+    if (comma === -1) {
+        throw new Error('Malformed data: URI');
+    }
+    const meta = url.slice(5, comma);
+    const payload = url.slice(comma + 1);
+    if (/;base64$/i.test(meta)) {
+        return Buffer.from(payload, 'base64').toString('utf8');
+    }
+    return decodeURIComponent(payload);
+}
+
+/**
+ * Read a local map, refusing anything but a regular file below baseDir
+ * (symlinks are resolved first) of at most MAX_MAP_SIZE bytes
+ *
+ * @param {string} mapPath - Absolute path of the map
+ * @param {string} baseDir - Directory of the input file
+ * @returns {string} Content of the map
+ */
+function readLocalMap(mapPath, baseDir) {
+    const realPath = fs.realpathSync(mapPath);
+    const relative = path.relative(fs.realpathSync(baseDir), realPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error('outside of the input file\'s directory');
+    }
+    const stats = fs.statSync(realPath);
+    if (!stats.isFile()) {
+        throw new Error('not a regular file');
+    }
+    if (stats.size > MAX_MAP_SIZE) {
+        throw new Error(`larger than ${MAX_MAP_SIZE} bytes`);
+    }
+    return fs.readFileSync(realPath, 'utf8');
+}
+
+/**
+ * Locate and read the source map of the input
+ *
+ * @param {string} code - Source code of the input (before any decoding)
+ * @param {string|null} fileName - Input file name, used to resolve local maps
+ * @param {Object} [options]
+ * @param {boolean} [options.readFiles=true] - Read local maps; when false (or without
+ *        fileName) only inline maps are used
+ * @returns {Object|null} { kind: 'inline'|'file'|'remote', url, map, error } or null when there is no map
+ */
+function loadSourceMap(code, fileName, options = {}) {
+    const url = findSourceMappingURL(code);
+    const readFiles = options.readFiles !== false && !!fileName;
+    const baseDir = fileName ? path.resolve(path.dirname(fileName)) : null;
+    let mapPath = null;
+
+    if (url) {
+        if (/^data:/i.test(url)) {
+            try {
+                return { kind: 'inline', url: 'data:', map: JSON.parse(decodeDataURI(url)), error: null };
+            } catch (ex) {
+                return { kind: 'inline', url: 'data:', map: null, error: `Invalid inline source map: ${ex.message}` };
+            }
+        }
+        if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && !/^file:\/\//i.test(url)) {
+            return { kind: 'remote', url, map: null, error: 'Remote source maps are not fetched' };
+        }
+        if (!readFiles) {
+            return { kind: 'file', url, map: null, error: 'Local source maps are only read next to an input file with artifacts enabled' };
+        }
+        let localPath;
+        try {
+            localPath = decodeURI(url.replace(/^file:\/\//i, '').replace(/[?#].*$/, ''));
+        } catch (ex) {
+            return { kind: 'file', url, map: null, error: `Invalid source map URL: ${ex.message}` };
+        }
+        mapPath = path.resolve(baseDir, localPath);
+    } else if (readFiles && fs.existsSync(`${fileName}.map`)) {
+        mapPath = path.resolve(`${fileName}.map`);
+    } else {
+        return null;
+    }
+
+    try {
+        return { kind: 'file', url: mapPath, map: JSON.parse(readLocalMap(mapPath, baseDir)), error: null };
+    } catch (ex) {
+        return { kind: 'file', url: mapPath, map: null, error: `Cannot read source map ${mapPath}: ${ex.message}` };
+    }
+}
+
+/**
+ * Create a consumer for a raw source map
+ *
+ * @param {Object} map - Parsed source map JSON (regular or indexed)
+ * @returns {SourceMapConsumer}
+ */
+function createConsumer(map) {
+    return new SourceMapConsumer(map);
+}
+
+/**
+ * Does the map carry original sources?
+ */
+function hasSourcesContent(consumer) {
+    return consumer.sources.some(source => consumer.sourceContentFor(source, true) != null);
+}
+
+/**
+ * Turn a source URL from the map into a relative path that cannot escape
+ * the output folder (webpack://, absolute paths and ../ are stripped)
+ *
+ * @param {string} source - Entry of the map's sources array
+ * @returns {string} Safe relative path
+ */
+function toSafeRelativePath(source) {
+    const withoutScheme = String(source)
+        .replace(/[?#].*$/, '')
+        .replace(/^[a-z][a-z0-9+.-]*:\/+/i, '');
+    const parts = withoutScheme
+        .split(/[/\\]+/)
+        .filter(part => part && part !== '.' && part !== '..')
+        .map(part => part.replace(/[<>:"|?*\x00-\x1f]/g, '_'));
+    return parts.length > 0 ? parts.join('/') : 'unnamed.js';
+}
+
+/**
+ * Write every source with content to outputFolder, keeping the directory layout
+ *
+ * @param {SourceMapConsumer} consumer
+ * @param {string} outputFolder - Root of the original source tree
+ * @returns {Array<string>} Paths of the written files
+ */
+function saveOriginalSources(consumer, outputFolder) {
+    const written = [];
+    const root = path.resolve(outputFolder);
+
+    for (const source of consumer.sources) {
+        const content = consumer.sourceContentFor(source, true);
+        if (content == null) {
+            continue;
+        }
+        const target = path.join(root, toSafeRelativePath(source));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content, 'utf8');
+        written.push(target);
+    }
+
+    return written;
+}
+
+/**
+ * Remove the input's sourceMappingURL comments: they point at the map of the
+ * input, not at one of the output
+ *
+ * @param {Object} ast - AST root (File or Program)
+ */
+function stripSourceMappingURL(ast) {
+    const isMappingURL = comment => SOURCE_MAPPING_URL_COMMENT_REGEX.test(comment.value.trim());
+    const stack = [ast];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        for (const key of ['leadingComments', 'trailingComments', 'innerComments']) {
+            if (node[key]) {
+                node[key] = node[key].filter(comment => !isMappingURL(comment));
+            }
+        }
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const child of [].concat(node[key])) {
+                if (child && typeof child.type === 'string') {
+                    stack.push(child);
+                }
+            }
+        }
+    }
+    if (ast.comments) {
+        ast.comments = ast.comments.filter(comment => !isMappingURL(comment));
+    }
+}
+
+/**
+ * Give every node without a position the position of its nearest ancestor,
+ * so code synthesized by the mutators still maps to the input range it came from
+ *
+ * @param {Object} ast - AST root (File or Program)
+ */
+function inheritLocations(ast) {
+    const stack = [{ node: ast, loc: null }];
+    while (stack.length > 0) {
+        const { node, loc } = stack.pop();
+        if (!node.loc && loc) {
+            node.loc = loc;
+        }
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            for (const child of [].concat(node[key])) {
+                if (child && typeof child.type === 'string') {
+                    stack.push({ node: child, loc: node.loc || loc });
+                }
+            }
+        }
+    }
+}
+
+module.exports = {
+    findSourceMappingURL,
+    decodeDataURI,
+    loadSourceMap,
+    createConsumer,
+    hasSourcesContent,
+    toSafeRelativePath,
+    saveOriginalSources,
+    stripSourceMappingURL,
+    inheritLocations
+};
@@ -171,11 +171,7 @@ function traverseBottomUp(rootNode, visitors, options) {
             // Post-order processing: children have been processed
             // Make compatible for mutators that use .last()
             const compatStack = ParentStack.makeCompatible(parentStack);
-            const changes = applyVisitors(visitors, currentNode, options, compatStack, wasChanged);
-            // if (changes.length > 0) {
-            //     allChanges.push(...changes);
-            //     wasChanged = true;
-            // }
+            wasChanged = applyVisitors(visitors, currentNode, options, compatStack, false) || wasChanged;
         }
     }
 
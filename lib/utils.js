@@ -74,13 +74,30 @@ class Utils {
         if (parent[parentProperty].constructor.name == "Array") {
             // Replace Sequence statement with it's content nodes
             let pos = parentStackNode.index; // parent[parentProperty].indexOf(node);
+            Utils.inheritLocation(newNode, parent[parentProperty][pos]);
             let params = [pos, numElementsToReplace].concat(newNode);
             parent[parentProperty].splice.apply(parent[parentProperty], params);
         } else {
+            Utils.inheritLocation(newNode, parent[parentProperty]);
             parent[parentProperty] = newNode;
         }
     }
 
+    /**
+     * Give replacement node(s) the source position of the node they replace
+     * (keeps the output source map pointing at the original input)
+     */
+    static inheritLocation(newNode, oldNode) {
+        if (!oldNode || !oldNode.loc) {
+            return;
+        }
+        for (let node of [].concat(newNode)) {
+            if (node && typeof node === 'object' && !node.loc) {
+                node.loc = oldNode.loc;
+            }
+        }
+    }
+
     static removeChildFromParentNode(node) {
         let parent = node.parentNode;
         let parentProperty = node.parentNodeProperty;
@@ -7,7 +7,9 @@ const MAX_HISTORY_SIZE = 10;
 class Variable {
     constructor(name, scope) {
         this.history = [];
-        this.properties = {};
+        // No prototype: tracked names like constructor, __proto__ or hasOwnProperty
+        // must not find (or replace) Object.prototype members
+        this.properties = Object.create(null);
         if (typeof(name) === 'string') {
             this.name = name;
         } else if ("type" in name) {
@@ -93,7 +95,7 @@ class Variable {
 
     addProperty(propName) {
         if (typeof(propName) === 'string') {
-            if (propName in this.properties && this.properties.hasOwnProperty(propName)) {
+            if (propName in this.properties) {
                 return this.properties[propName];
             } else {
                 let variable = new Variable(propName, this.scope);
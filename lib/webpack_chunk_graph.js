@@ -0,0 +1,435 @@
+/**
+ * Webpack chunk graph reconstruction for js_recover
+ *
+ * A code-split webpack build is a runtime bundle (module registry + loader)
+ * plus chunk files that push more modules into the registry once
+ * __webpack_require__.e() has loaded them. Unpacked one file at a time, every
+ * cross-chunk require stays a bare numeric id. unpackChunkDirectory() reads
+ * all files of a build directory, merges their modules into one registry and
+ * writes a single module tree where require(id) and lazy chunk loads point at
+ * the unpacked files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const parser = require('@babel/parser');
+const t = require('@babel/types');
+const { traverseTopDown } = require('./traverser');
+const Utils = require('./utils');
+const {
+    isWebpackBundle,
+    isWebpackBundleStructural,
+    isWebpack5Bundle,
+    isWebpackChunk,
+    isModuleFederationContainer,
+    federationContainerInfo,
+    analyzeModuleName,
+    createPathClaimer,
+    relativeRequirePath,
+    propertyKeyName,
+    saveModuleTreeToFolder,
+    webpackModuleToESM
+} = require('./mutators/unpack_bundles');
+
+const SCRIPT_EXTENSIONS = /\.(js|mjs|cjs)$/;
+
+// Webpack module function params by position
+const MODULE_PARAMS = ['module', 'exports', '__webpack_require__'];
+
+/**
+ * Script files of a build directory (recursive, previous outputs skipped)
+ *
+ * @param {string} directory
+ * @returns {Array<string>} Sorted absolute paths
+ */
+function listScriptFiles(directory) {
+    const files = [];
+    const visit = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== 'node_modules' && !entry.name.endsWith('.unpacked') && !entry.name.endsWith('.sources')) {
+                    visit(fullPath);
+                }
+            } else if (entry.isFile() && SCRIPT_EXTENSIONS.test(entry.name)) {
+                files.push(fullPath);
+            }
+        }
+    };
+    visit(path.resolve(directory));
+    return files.sort();
+}
+
+/**
+ * Walk an AST without descending into `skip`
+ */
+function walk(node, visit, skip) {
+    if (!node || typeof node.type !== 'string' || node === skip) return;
+    visit(node);
+    for (const key of t.VISITOR_KEYS[node.type] || []) {
+        for (const child of [].concat(node[key])) {
+            walk(child, visit, skip);
+        }
+    }
+}
+
+function literalValue(node) {
+    return node && (node.type === 'NumericLiteral' || node.type === 'StringLiteral') ? String(node.value) : null;
+}
+
+/**
+ * id → module function of an array or object module container
+ */
+function containerModules(container) {
+    if (container.type === 'ObjectExpression') {
+        return container.properties
+            .filter(prop => (prop.type === 'ObjectProperty' && t.isFunction(prop.value)) || prop.type === 'ObjectMethod')
+            .map(prop => ({ id: propertyKeyName(prop), func: prop.type === 'ObjectMethod' ? prop : prop.value }))
+            .filter(mod => mod.id !== null);
+    }
+    return container.elements
+        .map((elem, idx) => ({ id: String(idx), func: elem }))
+        .filter(mod => mod.func && t.isFunction(mod.func));
+}
+
+/**
+ * Webpack 5 keeps its modules in `var __webpack_modules__ = ({...})` inside the runtime
+ */
+function findWebpack5Container(loaderFunc) {
+    for (const stmt of loaderFunc.body.body) {
+        if (stmt.type !== 'VariableDeclaration') continue;
+        for (const decl of stmt.declarations) {
+            const init = decl.init;
+            if (init && init.type === 'ObjectExpression' && init.properties.length > 0 &&
+                init.properties.every(prop => prop.type === 'ObjectMethod' || (prop.type === 'ObjectProperty' && t.isFunction(prop.value)))) {
+                return init;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Entry module ids started by the runtime: __webpack_require__(__webpack_require__.s = 12),
+ * or a direct __webpack_require__("./src/index.js") call outside the module registry
+ */
+function findEntries(loaderFunc, container) {
+    const loaderNames = new Set(loaderFunc.body.type === 'BlockStatement'
+        ? loaderFunc.body.body.filter(stmt => stmt.type === 'FunctionDeclaration' && stmt.id).map(stmt => stmt.id.name)
+        : []);
+    loaderNames.add('__webpack_require__');
+
+    const entries = [];
+    walk(loaderFunc.body, (node) => {
+        let id = null;
+        if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+            t.isIdentifier(node.left.property, { name: 's' }) && !node.left.computed) {
+            id = literalValue(node.right);
+        } else if (node.type === 'CallExpression' && node.callee.type === 'Identifier' &&
+                   loaderNames.has(node.callee.name) && node.arguments.length === 1) {
+            id = literalValue(node.arguments[0]);
+        }
+        if (id !== null && !entries.includes(id)) entries.push(id);
+    }, container);
+    return entries;
+}
+
+/**
+ * Webpack runtime and chunk pushes among the top-level statements of one file
+ *
+ * @returns {Array} [{ kind: 'runtime'|'chunk', chunkIds, modules, entries, federation }]
+ */
+function findWebpackParts(ast) {
+    const parts = [];
+    const expressions = [];
+    for (const stmt of ast.program.body) {
+        if (stmt.type !== 'ExpressionStatement') continue;
+        const pending = [stmt.expression];
+        while (pending.length > 0) {
+            const expr = pending.pop();
+            if (expr.type === 'UnaryExpression') pending.push(expr.argument);
+            else if (expr.type === 'AssignmentExpression') pending.push(expr.right);
+            else if (expr.type === 'SequenceExpression') pending.push(...expr.expressions);
+            else if (expr.type === 'CallExpression') expressions.push(expr);
+        }
+    }
+
+    for (const expr of expressions) {
+        const chunk = isWebpackChunk(expr);
+        if (chunk) {
+            const chunkIds = chunk.chunkIds && chunk.chunkIds.type === 'ArrayExpression'
+                ? chunk.chunkIds.elements.map(literalValue).filter(id => id !== null)
+                : [literalValue(chunk.chunkIds)].filter(id => id !== null);
+            parts.push({ kind: 'chunk', chunkIds, modules: containerModules(chunk.modulesContainer), entries: [] });
+            continue;
+        }
+
+        const bundle = isWebpackBundle(expr) || isWebpackBundleStructural(expr);
+        if (bundle) {
+            parts.push({
+                kind: 'runtime',
+                chunkIds: [],
+                modules: containerModules(bundle.modulesContainer),
+                entries: findEntries(bundle.loaderFunc, bundle.modulesContainer)
+            });
+            continue;
+        }
+
+        // Module Federation remoteEntry: the container module is the entry,
+        // exposed modules usually live in the chunk files next to it
+        const federation = isModuleFederationContainer(expr);
+        if (federation) {
+            parts.push({
+                kind: 'runtime',
+                chunkIds: [],
+                modules: containerModules(federation.modulesContainer),
+                entries: [federation.containerId],
+                federation: federationContainerInfo(federation)
+            });
+            continue;
+        }
+
+        const webpack5 = isWebpack5Bundle(expr);
+        const container = webpack5 && findWebpack5Container(webpack5.loaderFunc);
+        if (container) {
+            parts.push({
+                kind: 'runtime',
+                chunkIds: [],
+                modules: containerModules(container),
+                entries: findEntries(webpack5.loaderFunc, container)
+            });
+        }
+    }
+    return parts;
+}
+
+/**
+ * File path of a module: path-like ids (development builds) keep their path,
+ * numeric ids go to <chunk file>/<detected name>_<id>.js
+ */
+function modulePathFor(mod, claimPath, opts) {
+    if (!/^\d+$/.test(mod.id) && /[/.]/.test(mod.id)) {
+        return claimPath(mod.id.replace(/^\.\//, '').replace(/!/g, '/'));
+    }
+    const info = analyzeModuleName(mod.func.body && mod.func.body.body ? mod.func : { body: null }, mod.id, opts);
+    return claimPath(`${mod.chunkName}/${info.confidence === 'low' ? 'module' : info.name}_${mod.id}.js`);
+}
+
+/**
+ * Module id loaded by a .then() callback: R.bind(null, 12) or R.t.bind(R, 12, 23)
+ */
+function boundModuleId(callback, requireName) {
+    if (!callback || callback.type !== 'CallExpression' || callback.callee.type !== 'MemberExpression') return null;
+    const target = callback.callee.object;
+    const isBind = t.isIdentifier(callback.callee.property, { name: 'bind' });
+    const loadsModule = t.isIdentifier(target, { name: requireName }) ||
+        (target.type === 'MemberExpression' && t.isIdentifier(target.object, { name: requireName }) && t.isIdentifier(target.property, { name: 't' }));
+    return isBind && loadsModule ? literalValue(callback.arguments[1]) : null;
+}
+
+/**
+ * Does the expression only load chunks? R.e(5) or Promise.all([R.e(5), R.e(6)])
+ */
+function isChunkLoad(node, requireName) {
+    const isEnsure = (call) => call && call.type === 'CallExpression' && call.callee.type === 'MemberExpression' &&
+        t.isIdentifier(call.callee.object, { name: requireName }) && t.isIdentifier(call.callee.property, { name: 'e' });
+    if (isEnsure(node)) return true;
+    return node.type === 'CallExpression' && t.matchesPattern(node.callee, 'Promise.all') &&
+        node.arguments[0] && node.arguments[0].type === 'ArrayExpression' &&
+        node.arguments[0].elements.every(isEnsure);
+}
+
+/**
+ * Build the file body of a webpack module
+ *
+ * __webpack_require__(12) becomes require("./path"), a lazy
+ * __webpack_require__.e(5).then(__webpack_require__.bind(null, 12)) becomes
+ * import("./path"), and other chunk loads are annotated with their file.
+ * Harmony modules are turned back into ES modules (webpackModuleToESM).
+ */
+function buildWebpackModuleProgram(mod, registry, chunkFiles, opts) {
+    const params = mod.func.params;
+    const requireName = params[2] && params[2].type === 'Identifier' ? params[2].name : null;
+    const body = mod.func.body.type === 'BlockStatement'
+        ? mod.func.body.body
+        : [t.expressionStatement(mod.func.body)];
+    const program = t.program(body);
+    const dependencies = [];
+
+    const requestFor = (id) => {
+        const target = registry.get(id);
+        if (!target) return null;
+        const request = relativeRequirePath(mod.path, target.path);
+        if (!dependencies.some(dep => dep.id === id)) {
+            dependencies.push({ request, id, path: target.path });
+        }
+        return request;
+    };
+
+    if (requireName) {
+        traverseTopDown(program, [(node, ctx, parentStack) => {
+            if (node.type !== 'CallExpression') return false;
+
+            // __webpack_require__(12)
+            if (t.isIdentifier(node.callee, { name: requireName }) && node.arguments.length === 1) {
+                const request = requestFor(literalValue(node.arguments[0]));
+                if (request === null) return false;
+                node.callee = t.identifier('require');
+                node.arguments = [t.stringLiteral(request)];
+                return true;
+            }
+
+            // __webpack_require__.e(5).then(__webpack_require__.bind(null, 12))
+            if (node.callee.type === 'MemberExpression' && t.isIdentifier(node.callee.property, { name: 'then' }) &&
+                isChunkLoad(node.callee.object, requireName)) {
+                const request = requestFor(boundModuleId(node.arguments[0], requireName));
+                if (request === null) return false;
+                Utils.replaceChildInParentNode(t.callExpression(t.import(), [t.stringLiteral(request)]), parentStack.last());
+                return true;
+            }
+
+            // Any other __webpack_require__.e(5): name the chunk file
+            if (node.callee.type === 'MemberExpression' && t.isIdentifier(node.callee.object, { name: requireName }) &&
+                t.isIdentifier(node.callee.property, { name: 'e' }) && !node.leadingComments) {
+                const chunkFile = chunkFiles.get(literalValue(node.arguments[0]));
+                if (chunkFile) {
+                    t.addComment(node, 'leading', ` chunk ${literalValue(node.arguments[0])}: ${chunkFile} `);
+                    return true;
+                }
+            }
+            return false;
+        }], opts);
+    }
+
+    // Harmony modules read like the ES module source again
+    const exportsName = params[1] && params[1].type === 'Identifier' ? params[1].name : null;
+    webpackModuleToESM(program, { exportsName, requireName }, opts);
+
+    // Params still used after the rewrite keep working through a binding to their role
+    const referenced = new Set();
+    traverseTopDown(program, [(node, ctx, parentStack) => {
+        const parent = parentStack.last()?.node;
+        if (node.type === 'Identifier' && parent && t.isReferenced(node, parent, parentStack.last(1)?.node)) {
+            referenced.add(node.name);
+        }
+        return false;
+    }], opts);
+    const bindings = params.slice(0, 3)
+        .map((param, idx) => param.type === 'Identifier' && param.name !== MODULE_PARAMS[idx] && referenced.has(param.name)
+            ? t.variableDeclarator(t.identifier(param.name), t.identifier(MODULE_PARAMS[idx]))
+            : null)
+        .filter(Boolean);
+    if (bindings.length > 0) {
+        const firstStatement = program.body.findIndex(stmt => stmt.type !== 'ImportDeclaration');
+        program.body.splice(firstStatement === -1 ? program.body.length : firstStatement, 0, t.variableDeclaration('var', bindings));
+    }
+
+    return { program, dependencies };
+}
+
+/**
+ * Merge the runtime and chunk files of a webpack build into one module tree
+ *
+ * @param {string} directory - Build output directory (runtime + chunk files)
+ * @param {Object} options
+ * @param {Object} options.config - Processing config (parser options, verbose)
+ * @param {string} [options.outputFolder] - Defaults to <directory>.unpacked
+ * @param {Object} [options.logger] - console-like logger
+ * @returns {Object} { outputFolder, files, chunks, modules, entries, duplicates, containers }
+ */
+function unpackChunkDirectory(directory, options = {}) {
+    const config = options.config || {};
+    const logger = options.logger || console;
+    const outputFolder = options.outputFolder || `${path.resolve(directory)}.unpacked`;
+    const opts = { config, logger, sourceFileName: path.resolve(directory), unpackedFolder: outputFolder };
+
+    const registry = new Map();
+    const chunkFiles = new Map();
+    const entries = [];
+    const containers = [];
+    let scripts = 0;
+    let duplicates = 0;
+
+    for (const file of listScriptFiles(directory)) {
+        let ast;
+        try {
+            ast = parser.parse(fs.readFileSync(file, 'utf8'), { ...config.parser, sourceFilename: file });
+        } catch (ex) {
+            logger.error(`[Webpack] Skipping ${path.relative(directory, file)}: ${ex.message}`);
+            continue;
+        }
+
+        const parts = findWebpackParts(ast);
+        if (parts.length === 0) continue;
+        scripts++;
+
+        const relativeFile = path.relative(directory, file).split(path.sep).join('/');
+        const chunkName = relativeFile.replace(SCRIPT_EXTENSIONS, '');
+        for (const part of parts) {
+            if (part.federation) containers.push(part.federation);
+            part.chunkIds.forEach(id => chunkFiles.set(id, relativeFile));
+            entries.push(...part.entries.filter(id => !entries.includes(id)));
+            for (const mod of part.modules) {
+                // The same module can be bundled into several chunks: first one wins
+                if (registry.has(mod.id)) {
+                    duplicates++;
+                    continue;
+                }
+                registry.set(mod.id, { ...mod, chunkName: part.kind === 'runtime' ? 'main' : chunkName, sourceFile: file });
+            }
+        }
+
+        if (config.verbose) {
+            logger.log(`[Webpack] ${relativeFile}: ${parts.map(part => part.kind === 'chunk'
+                ? `chunk ${part.chunkIds.join(',')} (${part.modules.length} modules)`
+                : `runtime (${part.modules.length} modules)`).join(', ')}`);
+        }
+    }
+
+    if (registry.size === 0) {
+        throw new Error(`No webpack runtime or chunk files found in ${directory}`);
+    }
+
+    const claimPath = createPathClaimer();
+    for (const mod of registry.values()) {
+        mod.path = modulePathFor(mod, claimPath, opts);
+    }
+
+    const files = [...registry.values()].map(mod => {
+        const { program, dependencies } = buildWebpackModuleProgram(mod, registry, chunkFiles, opts);
+        return {
+            id: mod.id,
+            path: mod.path,
+            program,
+            dependencies,
+            entry: entries.includes(mod.id),
+            sourceFile: mod.sourceFile,
+            info: analyzeModuleName(mod.func.body && mod.func.body.body ? mod.func : { body: null }, mod.id, opts)
+        };
+    });
+
+    saveModuleTreeToFolder(files, opts, 'Webpack');
+
+    return {
+        outputFolder,
+        files: scripts,
+        chunks: chunkFiles.size,
+        modules: registry.size,
+        entries,
+        duplicates,
+        containers: containers.map(container => ({
+            name: container.name,
+            exposes: container.exposes.map(exposed => ({
+                name: exposed.name,
+                paths: exposed.moduleIds.map(id => registry.get(id)?.path || null)
+            })),
+            shared: container.shared
+        }))
+    };
+}
+
+module.exports = {
+    listScriptFiles,
+    findWebpackParts,
+    unpackChunkDirectory
+};
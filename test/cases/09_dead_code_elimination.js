@@ -1,5 +1,5 @@
 // Test Case 9: Dead Code Elimination
-// Tests: Unreachable code, constant conditions
+// Tests: Unreachable code, constant conditions, hoisted declarations after a return
 
 function testDeadCodeElimination(x) {
     var result = 0;
@@ -26,9 +26,12 @@ function testDeadCodeElimination(x) {
 
     // Unreachable after return
     function unreachableCode() {
-        return 42;
+        return helper() + typeof x;
         console.log("Never executed");  // Should be removed
-        var x = 10;                     // Should be removed
+        var x = 10;                     // Should become: var x; (the name is hoisted, the initializer never runs)
+        function helper() {             // Should be kept: hoisted, and called above
+            return 42;
+        }
     }
 
     // Nested dead code
@@ -54,4 +57,4 @@ function testDeadCodeElimination(x) {
 // if (true) { A } else { B } → { A }
 // while (false) { ... } → (removed)
 // false ? A : B → B
-// Code after return → (removed)
+// Code after return → (removed), except function declarations and var names, which are hoisted
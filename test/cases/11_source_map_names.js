@@ -0,0 +1,6 @@
+// Test Case 11: Source Map Names
+// Tests: identifiers renamed from the inline source map names array (no sourcesContent)
+// a -> increment, b -> value, c -> result, e -> addAnswer, t -> x; d -> answer is dropped (inner b -> answer would capture it)
+
+function a(b){var c=b+1;return c}var d=a(2);function e(t){var b=t;return b+d}console.log(d,e(1));
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJzb3VyY2VzIjpbInNyYy9hbnN3ZXIuanMiXSwibmFtZXMiOlsiaW5jcmVtZW50IiwidmFsdWUiLCJyZXN1bHQiLCJhbnN3ZXIiLCJhZGRBbnN3ZXIiLCJ4Il0sIm1hcHBpbmdzIjoiOzs7O1NBQVNBLEVBQUVDLE9BQU9DLEVBQUVELFdBQVdDLE1BQU1DLEVBQUVILGNBQWNJLEVBQUVDLE9BQU9GLEVBQUVFLFNBQVNGLEVBQUVBLGNBQWNBLEVBQUVDIiwiZmlsZSI6IjExX3NvdXJjZV9tYXBfbmFtZXMuanMifQ==
@@ -0,0 +1,18 @@
+// Test Case 12: Browserify Bundle
+// Tests: browserify module map split into test/cases/12_browserify_bundle.js.unpacked/
+// 1 -> index.js (entry), 2 -> lib/dep.js, 3 -> node_modules/lodash/index.js, 4 -> util.json.js
+// Minified wrapper params (t, e, n) are bound to require/module/exports and
+// require('../util.json') is rewritten to the unpacked file path
+
+(function e(t,n,r){function s(o,u){if(!n[o]){if(!t[o]){var a=typeof require=="function"&&require;if(!u&&a)return a(o,!0);if(i)return i(o,!0);var f=new Error("Cannot find module '"+o+"'");throw f.code="MODULE_NOT_FOUND",f}var l=n[o]={exports:{}};t[o][0].call(l.exports,function(e){var n=t[o][1][e];return s(n?n:e)},l,l.exports,e,t,n,r)}return n[o].exports}var i=typeof require=="function"&&require;for(var o=0;o<r.length;o++)s(r[o]);return s})({1:[function(require,module,exports){
+var dep = require('./lib/dep');
+var _ = require('lodash');
+console.log(dep.hello(), _.x);
+},{"./lib/dep":2,"lodash":3}],2:[function(t,e,n){
+var u = t('../util.json');
+n.hello = function(){ return "hi" + u.a; };
+},{"../util.json":4}],3:[function(require,module,exports){
+module.exports = { x: 1 };
+},{}],4:[function(require,module,exports){
+module.exports={"a":1}
+},{}]},{},[1]);
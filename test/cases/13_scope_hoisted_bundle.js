@@ -0,0 +1,37 @@
+// Test Case 13: esbuild Scope-Hoisted Bundle
+// Tests: `// path` comments and __commonJS wrappers split into
+// test/cases/13_scope_hoisted_bundle.js.unpacked/
+// _runtime.js, node_modules/leftpad/index.js, src/util.js, src/index.js
+// require_leftpad() becomes require("../node_modules/leftpad/index") and
+// greet/util_exports are exported from src/util.js and imported by src/index.js
+
+var __getOwnPropNames = Object.getOwnPropertyNames;
+var __commonJS = (cb, mod) => function __require() {
+  return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+};
+var __defProp = Object.defineProperty;
+var __export = (target, all) => {
+  for (var name in all)
+    __defProp(target, name, { get: all[name], enumerable: true });
+};
+
+// node_modules/leftpad/index.js
+var require_leftpad = __commonJS({
+  "node_modules/leftpad/index.js"(exports, module) {
+    module.exports = function(s, n) { return " ".repeat(n) + s; };
+  }
+});
+
+// src/util.js
+var util_exports = {};
+__export(util_exports, {
+  greet: () => greet
+});
+var prefix = "hello ";
+function greet(name) {
+  return prefix + name;
+}
+
+// src/index.js
+var import_leftpad = require_leftpad();
+console.log(import_leftpad(greet("x"), 2), util_exports);
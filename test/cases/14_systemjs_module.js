@@ -0,0 +1,22 @@
+// Test Case 14: SystemJS Module
+// Tests: a single anonymous System.register() is converted in place to an ES module
+// setters -> import * as dep_1 from "./dep.js"; import Thing, { helper } from "./other.js"
+// exports_1("run", run) / var value = exports_1("value", 42) -> export { run, value }
+// context_1.import() -> import(), context_1.meta -> import.meta
+
+System.register(["./dep.js", "./other.js"], function (exports_1, context_1) {
+    "use strict";
+    var dep_1, helper, Thing;
+    return {
+        setters: [
+            function (dep_1_1) { dep_1 = dep_1_1; },
+            function (m) { helper = m.helper; Thing = m["default"]; }
+        ],
+        execute: function () {
+            exports_1("run", run);
+            function run() { return helper(dep_1.x) + new Thing(); }
+            var value = exports_1("value", 42);
+            context_1.import("./lazy.js").then(function (m) { console.log(m, context_1.meta.url); });
+        }
+    };
+});
@@ -0,0 +1,10 @@
+// Test Case 15: Parcel 1 Bundle
+// Tests: hashed module map split into test/cases/15_parcel_bundle.js.unpacked/
+// "Focm" -> index.js (entry), "Xk2s" -> lib/dep.js (path from the "./lib/dep" request)
+
+parcelRequire=function(e,r,t,n){var i,o="function"==typeof parcelRequire&&parcelRequire,u="function"==typeof require&&require;function f(t,n){if(!r[t]){if(!e[t]){var i="function"==typeof parcelRequire&&parcelRequire;if(!n&&i)return i(t,!0);if(o)return o(t,!0);if(u&&"string"==typeof t)return u(t);var c=new Error("Cannot find module '"+t+"'");throw c.code="MODULE_NOT_FOUND",c}p.resolve=function(r){return e[t][1][r]||r},p.cache={};var l=r[t]=new f.Module(t);e[t][0].call(l.exports,p,l,l.exports,this)}return r[t].exports;function p(e){return f(p.resolve(e))}}f.isParcelRequire=!0,f.Module=function(e){this.id=e,this.bundle=f,this.exports={}},f.modules=e,f.cache=r,f.parent=o;for(var c=0;c<t.length;c++)f(t[c]);return f}({"Focm":[function(require,module,exports) {
+var dep = require("./lib/dep");
+console.log(dep.hello());
+},{"./lib/dep":"Xk2s"}],"Xk2s":[function(require,module,exports) {
+exports.hello = function () { return "hi"; };
+},{}]},{},["Focm"], null)
@@ -0,0 +1,12 @@
+// Test Case 16: React Native Metro Bundle
+// Tests: __d() modules written to test/cases/16_metro_bundle.js.unpacked/ at their
+// verbose names (index.js, node_modules/react-native/index.js, src/screens/Login.js)
+// r(d[0]) -> require("react-native"), i(d[1]) -> _$$_IMPORT_DEFAULT("./src/screens/Login")
+// The __d() calls are removed from the main output, __r(0) stays
+
+var __BUNDLE_START_TIME__=Date.now(),__DEV__=false,process=this.process||{};
+!(function(e){"use strict";e.__r=i;e.__d=function(e,t,n){if(null==r[t]){r[t]={factory:e,dependencyMap:n,isInitialized:!1}}};var r=Object.create(null);function i(e){var t=r[e];return t.isInitialized?t.publicModule.exports:(t.isInitialized=!0,t.factory(e,i,null,null,t.publicModule={exports:{}},t.publicModule.exports,t.dependencyMap),t.publicModule.exports)}})(typeof globalThis!=='undefined'?globalThis:this);
+__d(function(g,r,i,a,m,e,d){var t=r(d[0]),n=i(d[1]);t.AppRegistry.registerComponent("App",function(){return n});},0,[1,2],"index.js");
+__d(function(g,r,i,a,m,e,d){m.exports={AppRegistry:{registerComponent:function(){}}};},1,[],"node_modules/react-native/index.js");
+__d(function(g,r,i,a,m,e,d){Object.defineProperty(e,"__esModule",{value:!0});e.default=function(){return g.navigator.userAgent};},2,[],"src/screens/Login.js");
+__r(0);
@@ -0,0 +1,12 @@
+// Test Case 17: Webpack 5 Chunk File
+// Tests: self.webpackChunk<name>.push([[chunkIds], {modules}]) is recognized like
+// webpackJsonp chunks and its modules are unpacked to test/cases/17_webpack5_chunk.js.unpacked/
+// (node app.js chunks <dir> merges such chunks with their runtime into one tree)
+
+"use strict";
+(self["webpackChunkapp"] = self["webpackChunkapp"] || []).push([["src_lazy_js"],{
+"./src/lazy.js": (function (module, exports, __webpack_require__) {
+  var util = __webpack_require__("./src/util.js");
+  exports.default = function (u) { return u.x + util.x; };
+})
+}]);
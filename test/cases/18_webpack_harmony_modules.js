@@ -0,0 +1,66 @@
+// Test Case 18: Webpack Harmony Modules
+// Tests: modules marked with __webpack_require__.r(__webpack_exports__) are saved to
+// test/cases/18_webpack_harmony_modules.js.unpacked/ as ES modules:
+// - __webpack_require__.d(__webpack_exports__, { name: () => local }) → export { local as name }
+// - const __WEBPACK_DEFAULT_EXPORT__ = (x) → export default x
+// - var _x__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__(id) → import { ... } from "./file.js",
+//   with (0, _x.foo)(), _x["default"] and __webpack_require__.n() getters reading the imported bindings
+// The CommonJS module keeps its function wrapper
+
+(function (modules) {
+    var installedModules = {};
+    function __webpack_require__(moduleId) {
+        if (installedModules[moduleId]) return installedModules[moduleId].exports;
+        var module = installedModules[moduleId] = { i: moduleId, l: false, exports: {} };
+        modules[moduleId].call(module.exports, module, module.exports, __webpack_require__);
+        module.l = true;
+        return module.exports;
+    }
+    __webpack_require__.r = function (exports) {
+        Object.defineProperty(exports, '__esModule', { value: true });
+    };
+    __webpack_require__.d = function (exports, definition) {
+        for (var key in definition) Object.defineProperty(exports, key, { enumerable: true, get: definition[key] });
+    };
+    __webpack_require__.n = function (module) {
+        var getter = module && module.__esModule ? function () { return module['default']; } : function () { return module; };
+        __webpack_require__.d(getter, { a: getter });
+        return getter;
+    };
+    return __webpack_require__(__webpack_require__.s = "./src/index.js");
+})({
+    "./src/index.js": (function (module, __webpack_exports__, __webpack_require__) {
+        "use strict";
+        __webpack_require__.r(__webpack_exports__);
+        __webpack_require__.d(__webpack_exports__, {
+            "start": () => (start),
+            "formatDate": () => (_format_js__WEBPACK_IMPORTED_MODULE_0__.formatDate)
+        });
+        var _format_js__WEBPACK_IMPORTED_MODULE_0__ = __webpack_require__("./src/format.js");
+        var _legacy_js__WEBPACK_IMPORTED_MODULE_1__ = __webpack_require__("./src/legacy.js");
+        var _legacy_js__WEBPACK_IMPORTED_MODULE_1___default = __webpack_require__.n(_legacy_js__WEBPACK_IMPORTED_MODULE_1__);
+        function start(items) {
+            var label = (0, _format_js__WEBPACK_IMPORTED_MODULE_0__.formatDate)(new Date());
+            return _format_js__WEBPACK_IMPORTED_MODULE_0__["default"](items, label) + _legacy_js__WEBPACK_IMPORTED_MODULE_1___default()(items);
+        }
+    }),
+    "./src/format.js": (function (module, __webpack_exports__, __webpack_require__) {
+        "use strict";
+        __webpack_require__.r(__webpack_exports__);
+        __webpack_require__.d(__webpack_exports__, {
+            "default": () => (__WEBPACK_DEFAULT_EXPORT__),
+            "formatDate": () => (formatDate)
+        });
+        function formatDate(date) {
+            return date.toISOString().slice(0, 10);
+        }
+        const __WEBPACK_DEFAULT_EXPORT__ = (function (items, label) {
+            return label + ': ' + items.join(', ');
+        });
+    }),
+    "./src/legacy.js": (function (module) {
+        module.exports = function (items) {
+            return ' (' + items.length + ' items)';
+        };
+    })
+});
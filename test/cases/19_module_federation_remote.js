@@ -0,0 +1,84 @@
+// Test Case 19: Module Federation Remote Container (remoteEntry.js)
+// Tests: a container module exporting get/init is detected even though its modules
+// object is too small for webpack 5 bundle detection; its modules are saved to
+// test/cases/19_module_federation_remote.js.unpacked/ and README.md/mapping.json list
+// - exposed modules: ./Button (in chunk src_Button_js), ./format (bundled in this file)
+// - shared dependencies: react@17.0.2 (provided and consumed), lodash@4.17.21 (provided, eager)
+
+var app2;
+(() => {
+    "use strict";
+    var __webpack_modules__ = ({
+        "webpack/container/entry/app2": ((__unused_webpack_module, exports, __webpack_require__) => {
+            var moduleMap = {
+                "./Button": () => {
+                    return Promise.all([__webpack_require__.e("webpack_sharing_consume_default_react_react"), __webpack_require__.e("src_Button_js")]).then(() => (() => ((__webpack_require__("./src/Button.js")))));
+                },
+                "./format": () => {
+                    return Promise.resolve().then(() => (() => ((__webpack_require__("./src/format.js")))));
+                }
+            };
+            var get = (module, getScope) => {
+                __webpack_require__.R = getScope;
+                getScope = (__webpack_require__.o(moduleMap, module) ? moduleMap[module]() : Promise.resolve().then(() => {
+                    throw new Error('Module "' + module + '" does not exist in container.');
+                }));
+                __webpack_require__.R = undefined;
+                return getScope;
+            };
+            var init = (shareScope, initScope) => {
+                if (!__webpack_require__.S) return;
+                var name = "default";
+                var oldScope = __webpack_require__.S[name];
+                if (oldScope && oldScope !== shareScope) throw new Error("Container initialization failed as it has already been initialized with a different share scope");
+                __webpack_require__.S[name] = shareScope;
+                return __webpack_require__.I(name, initScope);
+            };
+            __webpack_require__.d(exports, {
+                get: () => (get),
+                init: () => (init)
+            });
+        }),
+        "./src/format.js": ((__unused_webpack_module, __webpack_exports__, __webpack_require__) => {
+            __webpack_require__.r(__webpack_exports__);
+            __webpack_require__.d(__webpack_exports__, { "formatPrice": () => (formatPrice) });
+            function formatPrice(value) {
+                return '$' + value.toFixed(2);
+            }
+        })
+    });
+    var __webpack_module_cache__ = {};
+    function __webpack_require__(moduleId) {
+        var cachedModule = __webpack_module_cache__[moduleId];
+        if (cachedModule !== undefined) return cachedModule.exports;
+        var module = __webpack_module_cache__[moduleId] = { exports: {} };
+        __webpack_modules__[moduleId](module, module.exports, __webpack_require__);
+        return module.exports;
+    }
+    (() => {
+        __webpack_require__.S = {};
+        __webpack_require__.I = (name, initScope) => {
+            var scope = __webpack_require__.S[name];
+            var register = (name, version, factory, eager) => {
+                scope[name] = { get: factory, eager: !!eager };
+            };
+            var promises = [];
+            switch (name) {
+                case "default": {
+                    register("react", "17.0.2", () => (__webpack_require__.e("vendors-node_modules_react_index_js").then(() => (() => (__webpack_require__("./node_modules/react/index.js"))))));
+                    register("lodash", "4.17.21", () => (__webpack_require__.e("vendors-node_modules_lodash_lodash_js").then(() => (() => (__webpack_require__("./node_modules/lodash/lodash.js"))))), 1);
+                }
+                break;
+            }
+            return Promise.all(promises);
+        };
+    })();
+    (() => {
+        var loadSingletonVersionCheckFallback = (scopeName, key, version, fallback) => fallback();
+        var moduleToHandlerMapping = {
+            "webpack/sharing/consume/default/react/react": () => (loadSingletonVersionCheckFallback("default", "react", [1, [1, 17, 0, 2]], () => (__webpack_require__.e("vendors-node_modules_react_index_js").then(() => (() => (__webpack_require__("./node_modules/react/index.js")))))))
+        };
+    })();
+    var __webpack_exports__ = __webpack_require__("webpack/container/entry/app2");
+    app2 = __webpack_exports__;
+})();
@@ -0,0 +1,93 @@
+// Test Case 20: Babel and TypeScript Classes
+// Tests: downlevelled classes are rebuilt as class declarations, with helpers recognized
+// by their body rather than their (minified) names:
+// - r() / o() / i() (classCallCheck, defineProperties, createClass) → var Animal = class e { ... get label() ... static create() }
+// - u() / a() / c() (inherits, possibleConstructorReturn, getPrototypeOf) → var Dog = class n extends Animal,
+//   o = a(this, c(n).call(this, e)) → super(e); o.tricks → this.tricks
+// - TypeScript __extends IIFE with _super.call(this, n) || this → class Square extends Shape,
+//   Object.defineProperty(Shape.prototype, "size", { get }) → get size(), _super.prototype.describe.call(this) → super.describe()
+// Helpers left without references are removed
+
+"use strict";
+
+function r(e, t) { if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function"); }
+function o(e, t) { for (var n = 0; n < t.length; n++) { var r = t[n]; r.enumerable = r.enumerable || false; r.configurable = true; if ("value" in r) r.writable = true; Object.defineProperty(e, r.key, r); } }
+function i(e, t, n) { if (t) o(e.prototype, t); if (n) o(e, n); return e; }
+function a(e, t) { if (t && (typeof t === "object" || typeof t === "function")) return t; if (e === void 0) throw new ReferenceError("this hasn't been initialised - super() hasn't been called"); return e; }
+function c(e) { c = Object.setPrototypeOf ? Object.getPrototypeOf : function (e) { return e.__proto__ || Object.getPrototypeOf(e); }; return c(e); }
+function u(e, t) { if (typeof t !== "function" && t !== null) throw new TypeError("Super expression must either be null or a function"); e.prototype = Object.create(t && t.prototype, { constructor: { value: e, writable: true, configurable: true } }); if (t) s(e, t); }
+function s(e, t) { s = Object.setPrototypeOf || function (e, t) { e.__proto__ = t; return e; }; return s(e, t); }
+
+var Animal = function () {
+    function e(t) {
+        r(this, e);
+        this.name = t;
+    }
+    i(e, [{
+        key: "speak",
+        value: function () { return this.name + " makes a sound"; }
+    }, {
+        key: "label",
+        get: function () { return "<" + this.name + ">"; }
+    }], [{
+        key: "create",
+        value: function (t) { return new e(t); }
+    }]);
+    return e;
+}();
+
+var Dog = function (t) {
+    u(n, t);
+    function n(e) {
+        var o;
+        r(this, n);
+        o = a(this, c(n).call(this, e));
+        o.tricks = [];
+        return o;
+    }
+    i(n, [{
+        key: "learn",
+        value: function (e) { this.tricks.push(e); return this; }
+    }]);
+    return n;
+}(Animal);
+
+var __extends = (this && this.__extends) || (function () {
+    var extendStatics = function (d, b) {
+        extendStatics = Object.setPrototypeOf ||
+            ({ __proto__: [] } instanceof Array && function (d, b) { d.__proto__ = b; }) ||
+            function (d, b) { for (var p in b) if (Object.prototype.hasOwnProperty.call(b, p)) d[p] = b[p]; };
+        return extendStatics(d, b);
+    };
+    return function (d, b) {
+        extendStatics(d, b);
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+})();
+
+var Shape = (function () {
+    function Shape(n) {
+        this.n = n;
+    }
+    Object.defineProperty(Shape.prototype, "size", {
+        get: function () { return this.n * 2; },
+        enumerable: false,
+        configurable: true
+    });
+    Shape.prototype.describe = function () { return "shape " + this.size; };
+    return Shape;
+}());
+
+var Square = (function (_super) {
+    __extends(Square, _super);
+    function Square(n) {
+        var _this = _super.call(this, n) || this;
+        _this.kind = "square";
+        return _this;
+    }
+    Square.prototype.describe = function () { return _super.prototype.describe.call(this) + " " + this.kind; };
+    return Square;
+}(Shape));
+
+console.log(new Dog("rex").learn("sit").speak(), Animal.create("x").label, new Square(3).describe());
@@ -0,0 +1,255 @@
+// Test Case 21: Async Functions and Generators from State Machines
+// Tests: regenerator and TypeScript __generator state machines are rebuilt as structured code:
+// - regeneratorRuntime.mark(range) + wrap(range$) → function* range(n) { ... while (i < n) { yield i; i++; } }
+// - load() forwarding to the hoisted _load = _asyncToGenerator(mark(_callee)) → async function load(url),
+//   try locations [[0, 14]] → try { ... } catch, _context2.sent → await, abrupt("return", x) → return x,
+//   _context2.t0 / t1 temporaries inlined into data = res.status + (await res.json())
+// - var sum = function () { var _ref = _asyncToGenerator(...); return function sum() {...} }() → async function sum(items)
+//   with the branch around the await folded back into if / else inside the loop
+// - __awaiter(this, void 0, void 0, function () { return __generator(...) }) → async function fetchJson(url),
+//   _b.trys.push([0, 3, , 4]) → try / catch (e_1), [4, x] → await x, [3, n] → loop / if, [2, x] → return x
+// - Cart.prototype.total → async total(items) keeping its this.base reads; quick → var quick = async function ()
+// - withFinally has a finally block and is left as a state machine (with a warning)
+// Helpers, mark() calls and wrappers left without references are removed
+
+function asyncGeneratorStep(gen, resolve, reject, _next, _throw, key, arg) { try { var info = gen[key](arg); var value = info.value; } catch (error) { reject(error); return; } if (info.done) { resolve(value); } else { Promise.resolve(value).then(_next, _throw); } }
+function _asyncToGenerator(fn) { return function () { var self = this, args = arguments; return new Promise(function (resolve, reject) { var gen = fn.apply(self, args); function _next(value) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "next", value); } function _throw(err) { asyncGeneratorStep(gen, resolve, reject, _next, _throw, "throw", err); } _next(undefined); }); }; }
+
+
+var _marked = /*#__PURE__*/regeneratorRuntime.mark(range);
+
+function range(n) {
+  var i;
+  return regeneratorRuntime.wrap(function range$(_context) {
+    while (1) {
+      switch (_context.prev = _context.next) {
+        case 0:
+          i = 0;
+        case 1:
+          if (!(i < n)) {
+            _context.next = 7;
+            break;
+          }
+          _context.next = 4;
+          return i;
+        case 4:
+          i++;
+          _context.next = 1;
+          break;
+        case 7:
+        case "end":
+          return _context.stop();
+      }
+    }
+  }, _marked);
+}
+
+function load(_x) {
+  return _load.apply(this, arguments);
+}
+
+function _load() {
+  _load = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee(url) {
+    var res, data;
+    return regeneratorRuntime.wrap(function _callee$(_context2) {
+      while (1) {
+        switch (_context2.prev = _context2.next) {
+          case 0:
+            _context2.prev = 0;
+            _context2.next = 3;
+            return fetchIt(url);
+          case 3:
+            res = _context2.sent;
+            if (res.ok) {
+              _context2.next = 6;
+              break;
+            }
+            return _context2.abrupt("return", null);
+          case 6:
+            _context2.t0 = res.status;
+            _context2.next = 9;
+            return res.json();
+          case 9:
+            _context2.t1 = _context2.sent;
+            data = _context2.t0 + _context2.t1;
+            return _context2.abrupt("return", data);
+          case 14:
+            _context2.prev = 14;
+            _context2.t2 = _context2["catch"](0);
+            console.log("failed", _context2.t2.message);
+            return _context2.abrupt("return", -1);
+          case 18:
+          case "end":
+            return _context2.stop();
+        }
+      }
+    }, _callee, null, [[0, 14]]);
+  }));
+  return _load.apply(this, arguments);
+}
+
+var sum = /*#__PURE__*/function () {
+  var _ref = _asyncToGenerator( /*#__PURE__*/regeneratorRuntime.mark(function _callee2(items) {
+    var total, _i;
+    return regeneratorRuntime.wrap(function _callee2$(_context3) {
+      while (1) {
+        switch (_context3.prev = _context3.next) {
+          case 0:
+            total = 0;
+            _i = 0;
+          case 2:
+            if (!(_i < items.length)) {
+              _context3.next = 12;
+              break;
+            }
+            if (!(items[_i] < 0)) {
+              _context3.next = 7;
+              break;
+            }
+            total -= 1;
+            _context3.next = 9;
+            break;
+          case 7:
+            _context3.next = 9;
+            return delay(items[_i]);
+          case 9:
+            total += items[_i];
+            _i++;
+            _context3.next = 2;
+            break;
+          case 12:
+            return _context3.abrupt("return", total);
+          case 13:
+          case "end":
+            return _context3.stop();
+        }
+      }
+    }, _callee2);
+  }));
+
+  return function sum(_x2) {
+    return _ref.apply(this, arguments);
+  };
+}();
+
+var _marked2 = /*#__PURE__*/regeneratorRuntime.mark(withFinally);
+
+function withFinally() {
+  return regeneratorRuntime.wrap(function withFinally$(_context4) {
+    while (1) {
+      switch (_context4.prev = _context4.next) {
+        case 0:
+          _context4.prev = 0;
+          _context4.next = 3;
+          return 1;
+        case 3:
+          _context4.prev = 3;
+          console.log("cleanup");
+          return _context4.finish(3);
+        case 6:
+        case "end":
+          return _context4.stop();
+      }
+    }
+  }, _marked2, null, [[0,, 3, 6]]);
+}
+
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __generator = (this && this.__generator) || function (thisArg, body) {
+    var _ = { label: 0, sent: function() { if (t[0] & 1) throw t[1]; return t[1]; }, trys: [], ops: [] }, f, y, t, g;
+    return g = { next: verb(0), "throw": verb(1), "return": verb(2) }, typeof Symbol === "function" && (g[Symbol.iterator] = function() { return this; }), g;
+    function verb(n) { return function (v) { return step([n, v]); }; }
+    function step(op) {
+        if (f) throw new TypeError("Generator is already executing.");
+        while (g && (g = 0, op[0] && (_ = 0)), _) try {
+            if (f = 1, y && (t = op[0] & 2 ? y["return"] : op[0] ? y["throw"] || ((t = y["return"]) && t.call(y), 0) : y.next) && !(t = t.call(y, op[1])).done) return t;
+            if (y = 0, t) op = [op[0] & 2, t.value];
+            switch (op[0]) {
+                case 0: case 1: t = op; break;
+                case 4: _.label++; return { value: op[1], done: false };
+                case 5: _.label++; y = op[1]; op = [0]; continue;
+                case 7: op = _.ops.pop(); _.trys.pop(); continue;
+                default:
+                    if (!(t = _.trys, t = t.length > 0 && t[t.length - 1]) && (op[0] === 6 || op[0] === 2)) { _ = 0; continue; }
+                    if (op[0] === 3 && (!t || (op[1] > t[0] && op[1] < t[3]))) { _.label = op[1]; break; }
+                    if (op[0] === 6 && _.label < t[1]) { _.label = t[1]; t = op; break; }
+                    if (t && _.label < t[2]) { _.label = t[2]; _.ops.push(op); break; }
+                    if (t[2]) _.ops.pop();
+                    _.trys.pop(); continue;
+            }
+            op = body.call(thisArg, _);
+        } catch (e) { op = [6, e]; y = 0; } finally { f = t = 0; }
+        if (op[0] & 5) throw op[1]; return { value: op[0] ? op[1] : void 0, done: true };
+    }
+};
+function fetchJson(url) {
+    return __awaiter(this, void 0, void 0, function () {
+        var res, _a, e_1;
+        return __generator(this, function (_b) {
+            switch (_b.label) {
+                case 0:
+                    _b.trys.push([0, 3, , 4]);
+                    return [4 /*yield*/, fetchIt(url)];
+                case 1:
+                    res = _b.sent();
+                    if (!res.ok)
+                        return [2 /*return*/, null];
+                    _a = res.status;
+                    return [4 /*yield*/, res.json()];
+                case 2: return [2 /*return*/, _a + (_b.sent())];
+                case 3:
+                    e_1 = _b.sent();
+                    console.log("failed", e_1.message);
+                    return [2 /*return*/, -1];
+                case 4: return [2 /*return*/];
+            }
+        });
+    });
+}
+var Cart = /** @class */ (function () {
+    function Cart(base) {
+        this.base = base;
+    }
+    Cart.prototype.total = function (items) {
+        return __awaiter(this, void 0, void 0, function () {
+            var total, _i, items_1, item;
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        total = this.base;
+                        _i = 0, items_1 = items;
+                        _a.label = 1;
+                    case 1:
+                        if (!(_i < items_1.length)) return [3 /*break*/, 5];
+                        item = items_1[_i];
+                        if (!(item > 0)) return [3 /*break*/, 3];
+                        return [4 /*yield*/, delay(item)];
+                    case 2:
+                        total += _a.sent();
+                        return [3 /*break*/, 4];
+                    case 3:
+                        total -= 1;
+                        _a.label = 4;
+                    case 4:
+                        _i++;
+                        return [3 /*break*/, 1];
+                    case 5: return [2 /*return*/, total];
+                }
+            });
+        });
+    };
+    return Cart;
+}());
+var quick = function () { return __awaiter(void 0, void 0, void 0, function () {
+    return __generator(this, function (_a) {
+        return [2 /*return*/, 42];
+    });
+}); };
@@ -0,0 +1,94 @@
+// Test Case 22: Modern Syntax from ES5 Helper Output
+// Tests: Babel / TypeScript downlevel patterns are folded back, only where behavior is unchanged:
+// - arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : "Hello" → greet(name, greeting = "Hello", punct)
+// - area(_ref) { var width = _ref.width, _ref$height = _ref.height, height = _ref$height === void 0 ? 1 : _ref$height }
+//   → area({ width, height = 1 })
+// - _slicedToArray(_list$split, 2) → var [first, second] = list.split(","); _config temp → var { mode, debug: level } = config()
+// - [].concat(_toConsumableArray(a), [0], _toConsumableArray(b)) → [...a, 0, ...b]; Math.max.apply(Math, ...) → Math.max(...all)
+// - _defineProperty(_defineProperty({ base: 1 }, k, v), "extra", 2) → { base: 1, [k]: v, extra: 2 }
+// - obj === null || obj === void 0 ? void 0 : obj.address.city → obj?.address.city; nested temps → obj.user?.profile?.nick
+// - (_ref2 = (_obj$name = obj.name) !== null && ... ? _obj$name : obj.alias) ... → obj.name ?? obj.alias ?? "anon"
+// - TypeScript: _a.call(o, 1) → o.m?.(1), reused _a temps, __spreadArray(__spreadArray([0], __read(s), false), [9], false) → [0, ...s, 9]
+// - keepsArgs still reads arguments, so its default stays in the body; obj.count != null ? obj.count : 0 reads a getter twice and stays
+// Helpers and temporaries left without references are removed
+
+"use strict";
+function _toConsumableArray(arr) { return _arrayWithoutHoles(arr) || _iterableToArray(arr) || _unsupportedIterableToArray(arr) || _nonIterableSpread(); }
+function _nonIterableSpread() { throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _iterableToArray(iter) { if (typeof Symbol !== "undefined" && iter[Symbol.iterator] != null || iter["@@iterator"] != null) return Array.from(iter); }
+function _arrayWithoutHoles(arr) { if (Array.isArray(arr)) return _arrayLikeToArray(arr); }
+function _slicedToArray(arr, i) { return _arrayWithHoles(arr) || _iterableToArrayLimit(arr, i) || _unsupportedIterableToArray(arr, i) || _nonIterableRest(); }
+function _nonIterableRest() { throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method."); }
+function _unsupportedIterableToArray(o, minLen) { if (!o) return; if (typeof o === "string") return _arrayLikeToArray(o, minLen); var n = Object.prototype.toString.call(o).slice(8, -1); if (n === "Object" && o.constructor) n = o.constructor.name; if (n === "Map" || n === "Set") return Array.from(o); if (n === "Arguments" || /^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)) return _arrayLikeToArray(o, minLen); }
+function _arrayLikeToArray(arr, len) { if (len == null || len > arr.length) len = arr.length; for (var i = 0, arr2 = new Array(len); i < len; i++) { arr2[i] = arr[i]; } return arr2; }
+function _iterableToArrayLimit(arr, i) { var _i = arr == null ? null : typeof Symbol !== "undefined" && arr[Symbol.iterator] || arr["@@iterator"]; if (_i == null) return; var _arr = []; var _n = true; var _d = false; var _s, _e; try { for (_i = _i.call(arr); !(_n = (_s = _i.next()).done); _n = true) { _arr.push(_s.value); if (i && _arr.length === i) break; } } catch (err) { _d = true; _e = err; } finally { try { if (!_n && _i["return"] != null) _i["return"](); } finally { if (_d) throw _e; } } return _arr; }
+function _arrayWithHoles(arr) { if (Array.isArray(arr)) return arr; }
+function _defineProperty(obj, key, value) { if (key in obj) { Object.defineProperty(obj, key, { value: value, enumerable: true, configurable: true, writable: true }); } else { obj[key] = value; } return obj; }
+
+function greet(name) {
+  var greeting = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : "Hello";
+  var punct = arguments.length > 2 ? arguments[2] : undefined;
+  return greeting + ", " + name + (punct || "!");
+}
+function area(_ref) {
+  var width = _ref.width,
+      _ref$height = _ref.height,
+      height = _ref$height === void 0 ? 1 : _ref$height;
+  return width * height;
+}
+function pair(list) {
+  var _list$split = list.split(","),
+      _list$split2 = _slicedToArray(_list$split, 2),
+      first = _list$split2[0],
+      second = _list$split2[1];
+  var _config = config(),
+      mode = _config.mode,
+      level = _config.debug;
+  return [first, second, mode, level];
+}
+function merge(a, b) {
+  var all = [].concat(_toConsumableArray(a), [0], _toConsumableArray(b));
+  var max = Math.max.apply(Math, _toConsumableArray(all));
+  console.log.apply(console, _toConsumableArray(all));
+  return { all: all, max: max };
+}
+function keyed(k, v) {
+  return _defineProperty(_defineProperty({ base: 1 }, k, v), "extra", 2);
+}
+function lookup(obj) {
+  var _obj$user, _obj$user$profile, _ref2, _obj$name;
+  var city = obj === null || obj === void 0 ? void 0 : obj.address.city;
+  var nick = (_obj$user = obj.user) === null || _obj$user === void 0 ? void 0 : (_obj$user$profile = _obj$user.profile) === null || _obj$user$profile === void 0 ? void 0 : _obj$user$profile.nick;
+  var name = (_ref2 = (_obj$name = obj.name) !== null && _obj$name !== void 0 ? _obj$name : obj.alias) !== null && _ref2 !== void 0 ? _ref2 : "anon";
+  var count = obj.count != null ? obj.count : 0;
+  return [city, nick, name, count];
+}
+function config() { return { mode: "fast", debug: 3 }; }
+var __read = (this && this.__read) || function (o, n) {
+    var m = typeof Symbol === "function" && o[Symbol.iterator];
+    if (!m) return o;
+    var i = m.call(o), r, ar = [], e;
+    try { while ((n === void 0 || n-- > 0) && !(r = i.next()).done) ar.push(r.value); }
+    catch (error) { e = { error: error }; }
+    finally { try { if (r && !r.done && (m = i["return"])) m.call(i); } finally { if (e) throw e.error; } }
+    return ar;
+};
+var __spreadArray = (this && this.__spreadArray) || function (to, from, pack) {
+    if (pack || arguments.length === 2) for (var i = 0, l = from.length, ar; i < l; i++) {
+        if (ar || !(i in from)) { if (!ar) ar = Array.prototype.slice.call(from, 0, i); ar[i] = from[i]; }
+    }
+    return to.concat(ar || Array.prototype.slice.call(from));
+};
+function ts(o, list) {
+    var _a, _b, _c;
+    var a = (_a = o.m) === null || _a === void 0 ? void 0 : _a.call(o, 1);
+    var b = (_a = o.p) === null || _a === void 0 ? void 0 : _a.q;
+    var c = (_c = (_b = o.r) === null || _b === void 0 ? void 0 : _b.s) !== null && _c !== void 0 ? _c : "dflt";
+    var d = __spreadArray(__spreadArray([0], __read(new Set(list)), false), [9], false);
+    var e = __spreadArray([], list, true);
+    return [a, b, c, d, e];
+}
+function keepsArgs(a) {
+  var b = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : 2;
+  return a + b + arguments.length;
+}
@@ -0,0 +1,31 @@
+// Test Case 23: Template Literals from String Concatenation
+// Tests: + chains that are provably string concatenation of primitives are rebuilt as template literals:
+// - "htt" + "ps://" + (port + 1) + "/api/" + typeof id + "?t=" + -token → `https://${port + 1}/api/${typeof id}?t=${-token}` (literals folded first)
+// - width + pad + "px" adds before concatenating → `${width + pad}px`; "v" + (major + minor) keeps its own addition
+// - 1 + "." + (build | 0) → `1.${build | 0}`; "ok: " + true + "/" + null → text, not placeholders
+// - backticks, ${ and control characters in the literal parts are escaped
+// - "bot-" + id and 1 + "." + build are left alone: id and build may be objects whose valueOf() and toString() differ
+// - a + b, a + b * 2 and "a" + "b" are left alone: no string literal to prove concatenation, or nothing to interpolate
+
+function beacon(port, id, token) {
+    var url = "htt" + "ps://" + (port + 1) + "/api/" + typeof id + "?t=" + -token;
+    return fetch(url, { headers: { "X-Id": "bot-" + id } });
+}
+
+function size(width, pad) {
+    return width + pad + "px";
+}
+
+function version(major, minor, build) {
+    console.log("v" + (major + minor), 1 + "." + (build | 0), 1 + "." + build, "ok: " + true + "/" + null);
+}
+
+function markup(count, cls) {
+    return "<div class=\"" + (cls ? "on" : "off") + "\">`" + count * 2 + "` costs ${price}\n\t" + "\u0001</div>";
+}
+
+function numbers(a, b) {
+    return [a + b, a + b * 2, "a" + "b"];
+}
+
+module.exports = { beacon, size, version, markup, numbers };
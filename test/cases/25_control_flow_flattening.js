@@ -0,0 +1,108 @@
+// Test Case 25: Control Flow Unflattening
+// Tests: switch dispatcher loops are turned back into ordinary statements:
+// - "4|2|0|3|1".split("|") + while (!![]) switch (_0x1[_0x2++]) → the case bodies in that order, up to the return
+// - "1|0"["split"]("|") without a return: the break after the switch ends it, code after the loop follows
+// - state machine: state = x ? 0x2b : 0x3c → if / else joined at 0x4d, 0x5e ↔ 0x6f → while (i < n), dead 0x99 dropped
+// - while (s !== "end") switch (s): reaching "end" leaves the loop
+// - nested: the inner state machine in case "0" is unflattened first, then the outer order
+// - bails reads state inside a case, irreducible would need case 3 twice: both are left as they are
+var log = [];
+function order(a) {
+    var _0x1 = "4|2|0|3|1".split("|"), _0x2 = 0;
+    while (!![]) {
+        switch (_0x1[_0x2++]) {
+        case "0": log.push("c" + a); continue;
+        case "1": return a * 2;
+        case "2": var b = a + 1; continue;
+        case "3": log.push("d" + b); continue;
+        case "4": log.push("start"); continue;
+        }
+        break;
+    }
+}
+function noReturn(a) {
+    var o = "1|0"["split"]("|"), i = 0;
+    while (true) {
+        switch (o[i++]) {
+        case "0": log.push("second", a); continue;
+        case "1": log.push("first"); continue;
+        }
+        break;
+    }
+    log.push("after");
+}
+function states(x, n) {
+    var state = 0x1a;
+    while (true) {
+        switch (state) {
+        case 0x2b: log.push("b"); state = 0x4d; break;
+        case 0x1a: log.push("a"); state = x ? 0x2b : 0x3c; break;
+        case 0x3c: log.push("c"); state = 0x4d; break;
+        case 0x99: log.push("dead"); state = 0x4d; break;
+        case 0x4d:
+            var i = 0;
+            state = 0x5e;
+            break;
+        case 0x5e:
+            if (i < n) { state = 0x6f; } else { state = 0x70; }
+            break;
+        case 0x6f:
+            log.push("loop" + i);
+            if (i === 7) return "seven";
+            i++;
+            state = 0x5e;
+            break;
+        case 0x70: return "done" + i;
+        }
+    }
+}
+function untilEnd(flag) {
+    var s = "init";
+    while (s !== "end") {
+        switch (s) {
+        case "init": log.push("i"); s = flag ? "yes" : "end"; continue;
+        case "yes": log.push("y"); s = "end"; continue;
+        }
+    }
+    log.push("out");
+    return flag;
+}
+function nested(a) {
+    var o = "1|0".split("|"), i = 0;
+    while (true) {
+        switch (o[i++]) {
+        case "0":
+            var st = 1;
+            while (true) {
+                switch (st) {
+                case 1: log.push("inner1"); st = 2; continue;
+                case 2: return a + 1;
+                }
+            }
+        case "1": log.push("outer"); continue;
+        }
+        break;
+    }
+}
+function bails(a) {
+    var state = 1;
+    while (true) {
+        switch (state) {
+        case 1: log.push("x"); state = 2; break;
+        case 2: log.push("state is " + state); return;
+        }
+    }
+}
+function irreducible(a) {
+    var state = 1;
+    while (true) {
+        switch (state) {
+        case 1: state = a ? 2 : 3; break;
+        case 2: log.push("two"); state = a > 5 ? 3 : 4; break;
+        case 3: log.push("three"); state = 4; break;
+        case 4: return;
+        }
+    }
+}
+var results = [order(3), noReturn(1), states(true, 3), states(false, 0), states(1, 9), untilEnd(true), untilEnd(false), nested(5), bails(), irreducible(7), irreducible(1), irreducible(0)];
+console.log(JSON.stringify([results, log]));
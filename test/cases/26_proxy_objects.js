@@ -0,0 +1,148 @@
+// Test Case 26: Proxy Objects
+// Tests: obfuscator.io holder objects are inlined at their call sites and removed:
+// - calc: control flow flattening storage ({'gAKoB': function (a, b) { return a === b; }, 'hhCrX': 'number', ...})
+//   is inlined, which exposes the "3|2|5|4|6|0|1".split("|") dispatcher order
+// - helper / only / hexy: "transform object keys" output (var o = {}; o['k'] = v, ...; var p = o;) is rebuilt as one literal
+// - edge: impure arguments out of order and behind && stay proxy calls, a member callee becomes (0, obj.m)(...)
+// - escapes: a holder copied to another variable is left alone; shadow: a parameter of the same name is not the holder
+function calc(_0x5f04be, _0x3389a9) {
+    var _0x49c34a = {
+            'hlshI': '3|2|5|4|6|0|1',
+            'gAKoB': function (_0xaef66d, _0x5ba18b) {
+                return _0xaef66d === _0x5ba18b;
+            },
+            'gxPAh': function (_0x508c0d, _0x4ada4b) {
+                return _0x508c0d !== _0x4ada4b;
+            },
+            'eSBMr': function (_0x2a71ef, _0x204363) {
+                return _0x2a71ef < _0x204363;
+            },
+            'XbuNZ': function (_0x3239ba, _0x4d2c5e) {
+                return _0x3239ba === _0x4d2c5e;
+            },
+            'hhCrX': 'number',
+            'OKuhJ': function (_0x301b74, _0x2d1aa) {
+                return _0x301b74 + _0x2d1aa;
+            },
+            'LPtOg': function (_0x366eae, _0x3d9658, _0x589860) {
+                return _0x366eae(_0x3d9658, _0x589860);
+            },
+            'pZNsD': 'sum',
+            'mInme': function (_0x14cb64, _0x58111d) {
+                return _0x14cb64 * _0x58111d;
+            },
+            'fAnds': function (_0x32c41e, _0x27fb68) {
+                return _0x32c41e - _0x27fb68;
+            },
+            'FLXPJ': 'fast',
+            'KhwTY': function (_0x2af116, _0x28c883) {
+                return _0x2af116 > _0x28c883;
+            },
+            'rWeFa': 'bigger',
+            'bsXOq': 'smaller',
+            'NRlFP': function (_0x395818, _0x1e3962) {
+                return _0x395818 < _0x1e3962;
+            },
+            'nLETt': function (_0x499333, _0x4c884b) {
+                return _0x499333 + _0x4c884b;
+            }
+        }, _0x582903 = _0x49c34a['hlshI']['split']('|'), _0x3e8163 = 0x0;
+    while (!![]) {
+        switch (_0x582903[_0x3e8163++]) {
+        case '0':
+            console['log'](_0x49c34a['gAKoB'](_0x3e1819, _0x3389a9), _0x49c34a['gxPAh'](_0x3e1819, _0x5f04be), _0x49c34a['eSBMr'](_0x5f04be, _0x3389a9), _0x49c34a['XbuNZ'](typeof _0x5f04be, _0x49c34a['hhCrX']));
+            continue;
+        case '1':
+            return _0x49c34a['OKuhJ'](_0x49c34a['LPtOg'](helper, _0x5f04be, _0x3389a9), _0x569540['tags']['length']);
+        case '2':
+            console['log'](_0x49c34a['pZNsD'], _0x49c34a['OKuhJ'](_0x5f04be, _0x3389a9), _0x49c34a['mInme'](_0x5f04be, _0x3389a9), _0x49c34a['fAnds'](_0x5f04be, _0x3389a9));
+            continue;
+        case '3':
+            var _0x518745 = {};
+            _0x518745['mode'] = _0x49c34a['FLXPJ'], _0x518745['level'] = 0x3, _0x518745['tags'] = [
+                'x',
+                'y'
+            ];
+            var _0x569540 = _0x518745;
+            continue;
+        case '4':
+            var _0x3e1819 = 0x0;
+            continue;
+        case '5':
+            _0x49c34a['KhwTY'](_0x5f04be, _0x3389a9) ? console['log'](_0x49c34a['rWeFa'], _0x569540['mode']) : console['log'](_0x49c34a['bsXOq'], _0x569540['level']);
+            continue;
+        case '6':
+            for (var _0x1ea577 = 0x0; _0x49c34a['NRlFP'](_0x1ea577, _0x5f04be); _0x1ea577++) {
+                _0x3e1819 = _0x49c34a['nLETt'](_0x3e1819, _0x1ea577);
+            }
+            continue;
+        }
+        break;
+    }
+}
+function helper(_0x4f28e7, _0x273e74) {
+    var _0x5d9c86 = {};
+    _0x5d9c86['MyKzT'] = function (_0x3eca4d, _0x3357ba) {
+        return _0x3eca4d + _0x3357ba;
+    }, _0x5d9c86['VRNvw'] = function (_0x1aaf2b, _0x1d2609) {
+        return _0x1aaf2b * _0x1d2609;
+    };
+    var _0x1ee385 = _0x5d9c86;
+    return _0x1ee385['MyKzT'](_0x1ee385['VRNvw'](_0x4f28e7, 0x2), _0x273e74);
+}
+function only(_0x4b6f18) {
+    var _0x179334 = {};
+    _0x179334['DIIwT'] = 'one', _0x179334['CGeWU'] = 'two', _0x179334['ATlEw'] = 'three';
+    var _0xf652b5 = _0x179334;
+    return console['log'](_0xf652b5['DIIwT']), console['log'](_0xf652b5['CGeWU'], _0x4b6f18), console['log'](_0xf652b5['ATlEw']), _0x4b6f18;
+}
+function hexy(_0x3e4321, _0x52992e) {
+    var _0x3264e3 = {};
+    _0x3264e3['pDDjZ'] = function (_0x49eb40, _0x116626) {
+        return _0x49eb40 + _0x116626;
+    }, _0x3264e3['ftFPg'] = function (_0x521b15, _0x4bec7d) {
+        return _0x521b15 + _0x4bec7d;
+    }, _0x3264e3['BxOvk'] = function (_0x481832, _0x2d2a1c) {
+        return _0x481832 + _0x2d2a1c;
+    };
+    var _0x3335e0 = _0x3264e3, _0x393354 = {};
+    _0x393354['k'] = 'v', _0x393354['n'] = 0x1;
+    var _0x676792 = _0x393354;
+    return _0x3335e0['pDDjZ'](_0x3335e0['ftFPg'](_0x3335e0['BxOvk'](_0x676792['k'], _0x3e4321), _0x52992e), _0x676792['n']);
+}
+var log = [];
+function g(v) { log.push(v); return v; }
+function edge(a, b) {
+    var P = {
+        'add': function (x, y) { return x + y; },
+        'swap': function (x, y) { return y - x; },
+        'and': function (x, y) { return x && y; },
+        'call': function (f, x, y) { return f(x, y); },
+        'str': 'hello'
+    };
+    var obj = { k: 7, m: function (v) { return this === obj ? v * this.k : -1; } };
+    log.push(P['add'](g(1), g(2)));
+    log.push(P['swap'](g(3), g(4)));          // impure args out of order: stays
+    log.push(P['swap'](a, 10));
+    log.push(P['and'](a, b));
+    log.push(P['and'](0, g(5)));               // impure conditional operand: stays
+    log.push(P['call'](obj.m, 2, 0));         // member callee keeps this === undefined
+    log.push(P['call'](g, P['add'](a, b), P['str']));
+    log.push(P['add'](P['add'](a, b), P['add'](b, a)));
+    return log.join(',');
+}
+function escapes() {
+    var Q = { 'k': 'v', 'f': function (x, y) { return x * y; } };
+    var keep = Q;
+    keep.k = 'changed';
+    return Q['k'] + Q['f'](2, 3);
+}
+function shadow() {
+    var R = { 'k': 'outer' };
+    function inner(R) { return R.k; }
+    return R['k'] + inner({ k: 'inner' });
+}
+
+console['log'](calc(0x5, 0x3)), console['log'](calc(0x2, 0x7));
+only(0x1), console['log'](hexy(0x1, 0x2));
+console.log(edge(3, 4), escapes(), shadow());
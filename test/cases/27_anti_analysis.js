@@ -0,0 +1,243 @@
+// Test Case 27: Anti-Analysis Code
+// Tests: obfuscator.io self-defending, debug protection (debugProtectionInterval: 4000), disableConsoleOutput
+// and domainLock: ['example.com'] blocks are stripped along with their call controllers, leaving greet / main;
+// the malware report lists each block as removed, with the locked domains and the interval
+(function () {
+    var _0x1e5e37 = function () {
+        var _0x791af0;
+
+        try {
+            _0x791af0 = Function('return\x20(function()\x20' + '{}.constructor(\x22return\x20this\x22)(\x20)' + ');')();
+        } catch (_0x2ad717) {
+            _0x791af0 = window;
+        }
+
+        return _0x791af0;
+    },
+            _0xd0f0bc = _0x1e5e37();
+
+    _0xd0f0bc['setInterval'](_0x459ed8, 0xfa0);
+})();
+
+function greet(_0x23df13) {
+    return 'Hello,\x20' + _0x23df13;
+}
+
+function main(_0x203c00) {
+    var _0x5ac106 = function () {
+        var _0x566d89 = !![];
+
+        return function (_0x270a4d, _0x436844) {
+            var _0x28e707 = _0x566d89 ? function () {
+                if (_0x436844) {
+                    var _0x36aab4 = _0x436844['apply'](_0x270a4d, arguments);
+
+                    return _0x436844 = null, _0x36aab4;
+                }
+            } : function () {};
+
+            return _0x566d89 = ![], _0x28e707;
+        };
+    }(),
+            _0x3b12b3 = _0x5ac106(this, function () {
+        return _0x3b12b3['toString']()['search']('(((.+)+)+)+$')['toString']()['constructor'](_0x3b12b3)['search']('(((.+)+)+)+$');
+    });
+
+    _0x3b12b3();
+
+    var _0x33f539 = function () {
+        var _0x4f64fe = !![];
+
+        return function (_0x3a3f17, _0x135412) {
+            var _0x350186 = _0x4f64fe ? function () {
+                if (_0x135412) {
+                    var _0x5daba1 = _0x135412['apply'](_0x3a3f17, arguments);
+
+                    return _0x135412 = null, _0x5daba1;
+                }
+            } : function () {};
+
+            return _0x4f64fe = ![], _0x350186;
+        };
+    }(),
+            _0x257f14 = _0x33f539(this, function () {
+        var _0x5c0e95 = function () {
+            var _0x517a77;
+
+            try {
+                _0x517a77 = Function('return\x20(function()\x20' + '{}.constructor(\x22return\x20this\x22)(\x20)' + ');')();
+            } catch (_0x56ca07) {
+                _0x517a77 = window;
+            }
+
+            return _0x517a77;
+        },
+                _0x343c4d = _0x5c0e95(),
+                _0x3e3649 = new RegExp('[TyzZKhVIsHAVdjYtrIzLdAQzwf]', 'g'),
+                _0x482955 = 'TyexzZKhaVmpIlse.HcAoVmdjYtrIzLdAQzwf'['replace'](_0x3e3649, '')['split'](';'),
+                _0x3670c6,
+                _0x26f359,
+                _0x262a0c,
+                _0x42da66,
+                _0x1dbfb8 = function (_0x189d0f, _0x5e0e8d, _0x21b03d) {
+            if (_0x189d0f['length'] != _0x5e0e8d) return ![];
+
+            for (var _0xf2444b = 0x0; _0xf2444b < _0x5e0e8d; _0xf2444b++) {
+                for (var _0x1233b0 = 0x0; _0x1233b0 < _0x21b03d['length']; _0x1233b0 += 0x2) {
+                    if (_0xf2444b == _0x21b03d[_0x1233b0] && _0x189d0f['charCodeAt'](_0xf2444b) != _0x21b03d[_0x1233b0 + 0x1]) return ![];
+                }
+            }
+
+            return !![];
+        },
+                _0x374b7b = function (_0x532217, _0xff348, _0x180893) {
+            return _0x1dbfb8(_0xff348, _0x180893, _0x532217);
+        },
+                _0x4beec7 = function (_0x4900ac, _0x2859a3, _0x4581dc) {
+            return _0x374b7b(_0x2859a3, _0x4900ac, _0x4581dc);
+        },
+                _0x31732f = function (_0x5fec69, _0x12fb03, _0x40b4b1) {
+            return _0x4beec7(_0x12fb03, _0x40b4b1, _0x5fec69);
+        };
+
+        for (var _0x4ca998 in _0x343c4d) {
+            if (_0x1dbfb8(_0x4ca998, 0x8, [0x7, 0x74, 0x5, 0x65, 0x3, 0x75, 0x0, 0x64])) {
+                _0x3670c6 = _0x4ca998;
+                break;
+            }
+        }
+
+        for (var _0x25dc79 in _0x343c4d[_0x3670c6]) {
+            if (_0x31732f(0x6, _0x25dc79, [0x5, 0x6e, 0x0, 0x64])) {
+                _0x26f359 = _0x25dc79;
+                break;
+            }
+        }
+
+        for (var _0x1bcfb2 in _0x343c4d[_0x3670c6]) {
+            if (_0x4beec7(_0x1bcfb2, [0x7, 0x6e, 0x0, 0x6c], 0x8)) {
+                _0x262a0c = _0x1bcfb2;
+                break;
+            }
+        }
+
+        if (!('~' > _0x26f359)) for (var _0x166600 in _0x343c4d[_0x3670c6][_0x262a0c]) {
+            if (_0x374b7b([0x7, 0x65, 0x0, 0x68], _0x166600, 0x8)) {
+                _0x42da66 = _0x166600;
+                break;
+            }
+        }
+        if (!_0x3670c6 || !_0x343c4d[_0x3670c6]) return;
+
+        var _0x1b22ef = _0x343c4d[_0x3670c6][_0x26f359],
+                _0x32f1ae = !!_0x343c4d[_0x3670c6][_0x262a0c] && _0x343c4d[_0x3670c6][_0x262a0c][_0x42da66],
+                _0x487008 = _0x1b22ef || _0x32f1ae;
+
+        if (!_0x487008) return;
+
+        var _0x126da = ![];
+
+        for (var _0x58d154 = 0x0; _0x58d154 < _0x482955['length']; _0x58d154++) {
+            var _0x26f359 = _0x482955[_0x58d154],
+                    _0xc41381 = _0x26f359[0x0] === String['fromCharCode'](0x2e) ? _0x26f359['slice'](0x1) : _0x26f359,
+                    _0x352afa = _0x487008['length'] - _0xc41381['length'],
+                    _0x4a2120 = _0x487008['indexOf'](_0xc41381, _0x352afa),
+                    _0x4b1866 = _0x4a2120 !== -0x1 && _0x4a2120 === _0x352afa;
+
+            _0x4b1866 && (_0x487008['length'] == _0x26f359['length'] || _0x26f359['indexOf']('.') === 0x0) && (_0x126da = !![]);
+        }
+
+        if (!_0x126da) {
+            var _0x5a42a3 = new RegExp('[HTZBiWhhvevQCSMhLGTKdEQZrqSR]', 'g'),
+                    _0x593a00 = 'abHTZoBut:bliankWhhvevQCSMhLGTKdEQZrqSR'['replace'](_0x5a42a3, '');
+
+            _0x343c4d[_0x3670c6][_0x262a0c] = _0x593a00;
+        }
+    });
+
+    _0x257f14();
+
+    var _0x280c98 = function () {
+        var _0x52375e = !![];
+
+        return function (_0x44eb46, _0x446299) {
+            var _0x58a5d1 = _0x52375e ? function () {
+                if (_0x446299) {
+                    var _0x12a686 = _0x446299['apply'](_0x44eb46, arguments);
+
+                    return _0x446299 = null, _0x12a686;
+                }
+            } : function () {};
+
+            return _0x52375e = ![], _0x58a5d1;
+        };
+    }();
+
+    (function () {
+        _0x280c98(this, function () {
+            var _0x4e60ec = new RegExp('function\x20*\x5c(\x20*\x5c)'),
+                    _0x25b3fe = new RegExp('\x5c+\x5c+\x20*(?:[a-zA-Z_$][0-9a-zA-Z_$]*)', 'i'),
+                    _0x4b0664 = _0x459ed8('init');
+
+            !_0x4e60ec['test'](_0x4b0664 + 'chain') || !_0x25b3fe['test'](_0x4b0664 + 'input') ? _0x4b0664('0') : _0x459ed8();
+        })();
+    })();
+
+    var _0x48fdaf = function () {
+        var _0x5aebf8 = !![];
+
+        return function (_0x21665c, _0x59b0ed) {
+            var _0x3b3a1d = _0x5aebf8 ? function () {
+                if (_0x59b0ed) {
+                    var _0x27071c = _0x59b0ed['apply'](_0x21665c, arguments);
+
+                    return _0x59b0ed = null, _0x27071c;
+                }
+            } : function () {};
+
+            return _0x5aebf8 = ![], _0x3b3a1d;
+        };
+    }(),
+            _0x5794be = _0x48fdaf(this, function () {
+        var _0x3b089e;
+
+        try {
+            var _0x4f68af = Function('return\x20(function()\x20' + '{}.constructor(\x22return\x20this\x22)(\x20)' + ');');
+
+            _0x3b089e = _0x4f68af();
+        } catch (_0x5b3bc3) {
+            _0x3b089e = window;
+        }
+
+        var _0x413f26 = _0x3b089e['console'] = _0x3b089e['console'] || {},
+                _0x49ef74 = ['log', 'warn', 'info', 'error', 'exception', 'table', 'trace'];
+
+        for (var _0x796d0 = 0x0; _0x796d0 < _0x49ef74['length']; _0x796d0++) {
+            var _0x226e0e = _0x48fdaf['constructor']['prototype']['bind'](_0x48fdaf),
+                    _0xe6fdf5 = _0x49ef74[_0x796d0],
+                    _0x439606 = _0x413f26[_0xe6fdf5] || _0x226e0e;
+
+            _0x226e0e['__proto__'] = _0x48fdaf['bind'](_0x48fdaf), _0x226e0e['toString'] = _0x439606['toString']['bind'](_0x439606), _0x413f26[_0xe6fdf5] = _0x226e0e;
+        }
+    });
+
+    return _0x5794be(), console['log'](greet('main'), _0x203c00 * 0x2), _0x203c00 + 0x1;
+}
+
+console['log'](main(0x14));
+
+function _0x459ed8(_0x54586f) {
+    function _0x458477(_0xcb2053) {
+        if (typeof _0xcb2053 === 'string') return function (_0x5ccf62) {}['constructor']('while\x20(true)\x20{}')['apply']('counter');else ('' + _0xcb2053 / _0xcb2053)['length'] !== 0x1 || _0xcb2053 % 0x14 === 0x0 ? function () {
+            return !![];
+        }['constructor']('debu' + 'gger')['call']('action') : function () {
+            return ![];
+        }['constructor']('debu' + 'gger')['apply']('stateObject');
+
+        _0x458477(++_0xcb2053);
+    }
+
+    try {
+        if (_0x54586f) return _0x458477;else _0x458477(0x0);
+    } catch (_0x84fe37) {}
+}
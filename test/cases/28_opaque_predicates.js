@@ -0,0 +1,206 @@
+// Test Case 28: Opaque Predicates
+// Tests: obfuscator.io dead code injection (with string array and control flow flattening) is removed:
+// - add / mul / check: if ('AtzMX' !== 'JAZVv') { real } else { copied code } behind proxy object keys
+//   (_0x...['gAKoB']('AtzMX', 'JAZVv')) is solved once the holder is inlined, leaving the real branch
+// - edge: literal comparisons, typeof of known values, nested ternaries and !, &&, || over them are solved;
+//   a taken block declaring let keeps its braces, and tests reading parameters or calls stay
+var _0x2d8609 = _0x5423;
+(function (_0x87f6b6, _0x17a176) {
+    var _0x2c70a = _0x5423, _0x5bbbf5 = _0x87f6b6();
+    while (!![]) {
+        try {
+            var _0x231b29 = -parseInt(_0x2c70a(0x18b)) / 0x1 + parseInt(_0x2c70a(0x18c)) / 0x2 * (parseInt(_0x2c70a(0x184)) / 0x3) + -parseInt(_0x2c70a(0x189)) / 0x4 + parseInt(_0x2c70a(0x192)) / 0x5 * (-parseInt(_0x2c70a(0x17d)) / 0x6) + -parseInt(_0x2c70a(0x19c)) / 0x7 + -parseInt(_0x2c70a(0x1aa)) / 0x8 * (parseInt(_0x2c70a(0x18d)) / 0x9) + parseInt(_0x2c70a(0x1a6)) / 0xa;
+            if (_0x231b29 === _0x17a176)
+                break;
+            else
+                _0x5bbbf5['push'](_0x5bbbf5['shift']());
+        } catch (_0x526f22) {
+            _0x5bbbf5['push'](_0x5bbbf5['shift']());
+        }
+    }
+}(_0x53a2, 0x4973d));
+function add(_0x4eeddd, _0x63a15d) {
+    var _0x1345e1 = _0x5423, _0x37df2d = {
+            'yBcAS': function (_0xed2285, _0x44d887) {
+                return _0xed2285(_0x44d887);
+            },
+            'CopGB': function (_0x389eda, _0x66a7f2) {
+                return _0x389eda + _0x66a7f2;
+            },
+            'CizMe': function (_0x203336, _0x31fbd8) {
+                return _0x203336 > _0x31fbd8;
+            },
+            'cyHNs': _0x1345e1(0x1a1),
+            'aLovd': _0x1345e1(0x1a4),
+            'dGejp': function (_0x39e4f5, _0x2bf827) {
+                return _0x39e4f5 !== _0x2bf827;
+            },
+            'sgqYq': _0x1345e1(0x1a2),
+            'AOETw': _0x1345e1(0x194),
+            'pHUYV': _0x1345e1(0x18a)
+        }, _0x30764d = _0x37df2d[_0x1345e1(0x197)](_0x4eeddd, _0x63a15d);
+    if (_0x37df2d[_0x1345e1(0x188)](_0x30764d, 0xa)) {
+        if (_0x37df2d[_0x1345e1(0x19e)](_0x37df2d[_0x1345e1(0x1ae)], _0x37df2d[_0x1345e1(0x180)]))
+            console[_0x1345e1(0x199)](_0x37df2d[_0x1345e1(0x198)], _0x30764d);
+        else
+            return _0x37df2d[_0x1345e1(0x1a0)](_0x3ea7cf, _0x2b8d92);
+    } else {
+        if (_0x37df2d[_0x1345e1(0x19e)](_0x37df2d[_0x1345e1(0x1a5)], _0x37df2d[_0x1345e1(0x1a5)])) {
+            var _0x4348dd = _0x37df2d[_0x1345e1(0x197)](_0x4a61fd, _0x11d7cf);
+            return _0x37df2d[_0x1345e1(0x188)](_0x4348dd, 0xa) ? _0x4c3e0b[_0x1345e1(0x199)](_0x37df2d[_0x1345e1(0x198)], _0x4348dd) : _0xfedcf3[_0x1345e1(0x199)](_0x37df2d[_0x1345e1(0x191)], _0x4348dd), _0x4348dd;
+        } else
+            console[_0x1345e1(0x199)](_0x37df2d[_0x1345e1(0x191)], _0x30764d);
+    }
+    return _0x30764d;
+}
+function _0x5423(_0x1f04a6, _0x2641cf) {
+    _0x1f04a6 = _0x1f04a6 - 0x17d;
+    var _0x53a2e2 = _0x53a2();
+    var _0x54237a = _0x53a2e2[_0x1f04a6];
+    return _0x54237a;
+}
+function mul(_0x499ac2, _0x46749e) {
+    var _0x428887 = _0x5423, _0x4d932f = {
+            'qQNCY': function (_0x4e8115, _0x279d71) {
+                return _0x4e8115 + _0x279d71;
+            },
+            'LEjvz': _0x428887(0x182),
+            'qynFg': function (_0x46dab2, _0x259fcf) {
+                return _0x46dab2 < _0x259fcf;
+            },
+            'bmuDQ': function (_0x2c2d83, _0x5357d7) {
+                return _0x2c2d83 !== _0x5357d7;
+            },
+            'hZBIl': _0x428887(0x181),
+            'YswrP': _0x428887(0x17e),
+            'uSxfB': function (_0x1a8b28, _0x3762d1) {
+                return _0x1a8b28 * _0x3762d1;
+            }
+        }, _0x4828e1 = [];
+    for (var _0x5759cb = 0x0; _0x4d932f[_0x428887(0x1a9)](_0x5759cb, _0x499ac2); _0x5759cb++) {
+        if (_0x4d932f[_0x428887(0x1a3)](_0x4d932f[_0x428887(0x19b)], _0x4d932f[_0x428887(0x1ab)]))
+            _0x4828e1[_0x428887(0x186)](_0x4d932f[_0x428887(0x193)](_0x5759cb, _0x46749e));
+        else
+            return _0x4d932f[_0x428887(0x183)](_0x4d932f[_0x428887(0x183)](_0x4d932f[_0x428887(0x19f)], _0x5e55ad), '!');
+    }
+    return _0x4828e1[_0x428887(0x19d)](',');
+}
+function greet(_0x382b8f) {
+    var _0x126004 = _0x5423, _0x1fb485 = {
+            'TKIRd': function (_0x3fde14, _0x4f7362) {
+                return _0x3fde14 + _0x4f7362;
+            },
+            'urqmF': _0x126004(0x182)
+        };
+    return _0x1fb485[_0x126004(0x195)](_0x1fb485[_0x126004(0x195)](_0x1fb485[_0x126004(0x18f)], _0x382b8f), '!');
+}
+function check(_0x4a5358) {
+    var _0x812686 = _0x5423, _0x31d9ef = {
+            'xGgfy': _0x812686(0x1a1),
+            'BMYSD': function (_0x5279a5, _0x2fe8f1) {
+                return _0x5279a5 === _0x2fe8f1;
+            },
+            'AnceY': _0x812686(0x1ad),
+            'bxmmj': function (_0x2adb6c, _0x4a39e6) {
+                return _0x2adb6c !== _0x4a39e6;
+            },
+            'hpGOR': _0x812686(0x185),
+            'iOLIJ': _0x812686(0x196),
+            'bIlrr': function (_0x28e7a5, _0x29859d) {
+                return _0x28e7a5(_0x29859d);
+            },
+            'pWcrP': function (_0x551de1, _0x1d87a3, _0x48e509) {
+                return _0x551de1(_0x1d87a3, _0x48e509);
+            }
+        };
+    if (_0x31d9ef[_0x812686(0x19a)](typeof _0x4a5358, _0x31d9ef[_0x812686(0x1af)])) {
+        if (_0x31d9ef[_0x812686(0x17f)](_0x31d9ef[_0x812686(0x1ac)], _0x31d9ef[_0x812686(0x190)]))
+            return _0x31d9ef[_0x812686(0x187)](greet, _0x4a5358);
+        else
+            _0x436f4f[_0x812686(0x199)](_0x31d9ef[_0x812686(0x1a8)], _0x79a7c);
+    }
+    return _0x31d9ef[_0x812686(0x1a7)](add, _0x4a5358, 0x1);
+}
+function _0x53a2() {
+    var _0x3b49bd = [
+        'cyHNs',
+        'log',
+        'BMYSD',
+        'hZBIl',
+        '2022202Zmvptq',
+        'join',
+        'dGejp',
+        'LEjvz',
+        'yBcAS',
+        'big',
+        'AtzMX',
+        'bmuDQ',
+        'small',
+        'pHUYV',
+        '17021130MuKnVG',
+        'pWcrP',
+        'xGgfy',
+        'qynFg',
+        '40ALqHye',
+        'YswrP',
+        'hpGOR',
+        'string',
+        'sgqYq',
+        'AnceY',
+        '780JZgWyd',
+        'vMQBW',
+        'bxmmj',
+        'AOETw',
+        'LEZRE',
+        'Hello\x20',
+        'qQNCY',
+        '213kLKsCg',
+        'NJjaN',
+        'push',
+        'bIlrr',
+        'CizMe',
+        '873760OJrCyu',
+        'vJWzU',
+        '224918VwtYdq',
+        '2474FphRnL',
+        '383715NuyYeX',
+        'bob',
+        'urqmF',
+        'iOLIJ',
+        'aLovd',
+        '20910piZYSt',
+        'uSxfB',
+        'JAZVv',
+        'TKIRd',
+        'EEjnZ',
+        'CopGB'
+    ];
+    _0x53a2 = function () {
+        return _0x3b49bd;
+    };
+    return _0x53a2();
+}
+console[_0x2d8609(0x199)](add(0x3, 0x4), mul(0x3, 0x2), check(_0x2d8609(0x18e)), check(0x5));
+
+function edge(_0x1a2b3c) {
+    if (typeof 'abc' === 'string' && 'x' < 'y') {
+        console.log('typeof string');
+    } else {
+        _0x1a2b3c = 0x0;
+    }
+    if (typeof function () {} !== 'function' || 0x1 === '1') {
+        console.log('never');
+    }
+    if (!('QkLzA' == 'QkLzA')) {
+        console.log('never');
+    } else if ('mNbVc' !== 'hJkLp') {
+        let _0x4d5e6f = _0x1a2b3c * 0x2;
+        console.log(_0x4d5e6f);
+    }
+    var _0x7a8b9c = _0x1a2b3c > 0x1 ? 'OPySd' === 'OPySd' ? 'big' : 'never' : typeof [] === 'object' ? 'small' : 'never';
+    if (typeof _0x1a2b3c === 'number' && 'a' !== 'b') {
+        console.log(_0x7a8b9c);
+    }
+    return 'abc'.indexOf('b') === 0x1 ? _0x7a8b9c : null;
+}
+console.log(edge(0x2));
@@ -0,0 +1,127 @@
+// Test Case 29: Numbers to Expressions and Split Strings
+// Tests: obfuscator.io numbersToExpressions / splitStrings output is normalized:
+// - cfg / connect: -0x1a5b * 0x1 + 0x2 * 0x3f1 + ... becomes the number and 'loca' + 'lhos' + ... the string,
+//   including the RC4 string array, whose decoder key schedule (256) and rotation checksum are expressions too
+// - edge: x + 'hel' + 'lo' and 'a' + ('b' + x) are merged across the parentheses, x - 0x1 - 0x2 is left
+//   as it is, and hex literals are written in decimal
+var _0xc9390e = _0x3a93;
+function _0x3a93(_0x57f9e9, _0x340d79) {
+    _0x57f9e9 = _0x57f9e9 - (-0x2160 + 0x1ed * 0xd + 0x136 * 0x8);
+    var _0x4fa6cb = _0xd528();
+    var _0x156262 = _0x4fa6cb[_0x57f9e9];
+    if (_0x3a93['rMVHgj'] === undefined) {
+        var _0x480b69 = function (_0x160dc5) {
+            var _0x3b1bd9 = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';
+            var _0x58d1cc = '', _0x2ddecc = '';
+            for (var _0x275581 = 0x118c * -0x1 + 0x131 * 0x1 + -0x35 * -0x4f, _0x24ebe8, _0x66765f, _0x8b0138 = 0xc8d + 0xbe9 + -0x1876; _0x66765f = _0x160dc5['charAt'](_0x8b0138++); ~_0x66765f && (_0x24ebe8 = _0x275581 % (-0x10d9 + -0x7 * -0x4f + 0xeb4) ? _0x24ebe8 * (-0xa2c + -0x114b + 0x1bb7) + _0x66765f : _0x66765f, _0x275581++ % (-0x4c5 + -0x47 * 0x43 + 0x175e)) ? _0x58d1cc += String['fromCharCode'](-0x23e9 * -0x1 + 0x1 * 0xd06 + 0xec * -0x34 & _0x24ebe8 >> (-(-0x453 * -0x5 + -0x25ba + 0x101d) * _0x275581 & 0x1 * -0x1976 + -0x1156 + 0x2ad2)) : -0xd * 0x2d + 0x57a + -0x331) {
+                _0x66765f = _0x3b1bd9['indexOf'](_0x66765f);
+            }
+            for (var _0x4f25d3 = 0x1a17 + -0x1 * -0x147d + -0x21e * 0x16, _0x2d8be3 = _0x58d1cc['length']; _0x4f25d3 < _0x2d8be3; _0x4f25d3++) {
+                _0x2ddecc += '%' + ('00' + _0x58d1cc['charCodeAt'](_0x4f25d3)['toString'](-0x1067 * -0x1 + -0x36 * 0xf + -0x1 * 0xd2d))['slice'](-(-0x2f9 * 0x1 + 0x54c + 0x1 * -0x251));
+            }
+            return decodeURIComponent(_0x2ddecc);
+        };
+        var _0x14d641 = function (_0x51c62c, _0x22bfd1) {
+            var _0x478113 = [], _0x2bad87 = -0x2 * -0xbc5 + -0xb1f + -0xc6b, _0x8d103e, _0x4eeb12 = '';
+            _0x51c62c = _0x480b69(_0x51c62c);
+            var _0x3da143;
+            for (_0x3da143 = 0x13 * 0xe3 + -0x10ca + -0xf; _0x3da143 < -0x3 * -0x9f5 + -0x1839 + -0x4a6; _0x3da143++) {
+                _0x478113[_0x3da143] = _0x3da143;
+            }
+            for (_0x3da143 = 0xcc4 + -0xa7f + -0x245; _0x3da143 < -0x166 + -0x4cd * 0x8 + 0x3 * 0xd9a; _0x3da143++) {
+                _0x2bad87 = (_0x2bad87 + _0x478113[_0x3da143] + _0x22bfd1['charCodeAt'](_0x3da143 % _0x22bfd1['length'])) % (-0x1b35 * -0x1 + 0x442 * -0x5 + -0x4eb), _0x8d103e = _0x478113[_0x3da143], _0x478113[_0x3da143] = _0x478113[_0x2bad87], _0x478113[_0x2bad87] = _0x8d103e;
+            }
+            _0x3da143 = 0xaf3 * 0x1 + -0x4d9 * 0x7 + 0x16fc, _0x2bad87 = -0x1669 * -0x1 + 0xfd + 0x4ae * -0x5;
+            for (var _0x385d2f = -0x146 * 0x6 + -0x19d5 + 0x13 * 0x1c3; _0x385d2f < _0x51c62c['length']; _0x385d2f++) {
+                _0x3da143 = (_0x3da143 + (-0x1b6b + 0xb + 0x1b61)) % (-0x1 * -0xe52 + -0x77f * -0x3 + -0x23cf), _0x2bad87 = (_0x2bad87 + _0x478113[_0x3da143]) % (0x1 * 0xb31 + 0x1c89 * 0x1 + -0x26ba), _0x8d103e = _0x478113[_0x3da143], _0x478113[_0x3da143] = _0x478113[_0x2bad87], _0x478113[_0x2bad87] = _0x8d103e, _0x4eeb12 += String['fromCharCode'](_0x51c62c['charCodeAt'](_0x385d2f) ^ _0x478113[(_0x478113[_0x3da143] + _0x478113[_0x2bad87]) % (0x1330 + -0x1 * 0x70b + -0xb25)]);
+            }
+            return _0x4eeb12;
+        };
+        _0x3a93['WAQOoz'] = _0x14d641, _0x3a93['jGRLjp'] = {}, _0x3a93['rMVHgj'] = !![];
+    }
+    var _0x5a32cc = _0x4fa6cb[0xc * -0x199 + -0x1771 + 0x1 * 0x2a9d], _0x471ce3 = _0x57f9e9 + _0x5a32cc, _0x155eed = _0x3a93['jGRLjp'][_0x471ce3];
+    return !_0x155eed ? (_0x3a93['xPJeFY'] === undefined && (_0x3a93['xPJeFY'] = !![]), _0x156262 = _0x3a93['WAQOoz'](_0x156262, _0x340d79), _0x3a93['jGRLjp'][_0x471ce3] = _0x156262) : _0x156262 = _0x155eed, _0x156262;
+}
+(function (_0x513648, _0x5af803) {
+    var _0x510061 = _0x3a93, _0x26fffd = _0x513648();
+    while (!![]) {
+        try {
+            var _0x58eaf0 = -parseInt(_0x510061(0x163, 'r22]')) / (0x1765 + 0x7 * -0x371 + 0xb3) + -parseInt(_0x510061(0x169, ']9BR')) / (0xb + -0x1fe1 + 0x3fb * 0x8) + parseInt(_0x510061(0x15a, ']Kpu')) / (-0x73b * -0x1 + -0x11 + 0x727 * -0x1) * (-parseInt(_0x510061(0x16a, 'CmL%')) / (0xa51 * 0x1 + 0x496 + -0x1 * 0xee3)) + parseInt(_0x510061(0x176, '1gA3')) / (-0x974 + 0x190 + 0x7e9) + -parseInt(_0x510061(0x168, 'exda')) / (-0x11 * 0x161 + 0x1 * 0x56b + 0x5 * 0x39c) * (-parseInt(_0x510061(0x15f, '1gA3')) / (-0xd18 * -0x2 + -0x265 * 0x9 + -0x49c)) + -parseInt(_0x510061(0x162, '4SHw')) / (-0x1 * 0x1501 + 0x95b + 0xbae) * (parseInt(_0x510061(0x16e, 'hir2')) / (-0x1 * 0x21d3 + -0x5 * 0x664 + -0x6 * -0xaf8)) + -parseInt(_0x510061(0x179, '5g*J')) / (-0x1fd9 + -0x19 * -0x106 + 0x64d * 0x1) * (-parseInt(_0x510061(0x16f, 'RDNl')) / (0x1 * -0xecf + 0x172b + -0x851));
+            if (_0x58eaf0 === _0x5af803)
+                break;
+            else
+                _0x26fffd['push'](_0x26fffd['shift']());
+        } catch (_0x3a32ed) {
+            _0x26fffd['push'](_0x26fffd['shift']());
+        }
+    }
+}(_0xd528, -0x2f417 * 0x1 + -0x10b5e * 0x6 + 0x1338dd));
+var cfg = {
+    'port': 0x1f90,
+    'host': _0xc9390e(0x159, 'B)e[') + 'lhos' + _0xc9390e(0x15b, 'A^0n') + 'ampl' + 'e',
+    'retries': 0x3,
+    'ratio': 0.5,
+    'neg': -(0x43 * 0x83 + 0x17e9 + 0x6 * -0x9ac)
+};
+function _0xd528() {
+    var _0x262527 = [
+        'dr98hW',
+        'WRBdLd0',
+        'WPG8WQ3cT3D1a2GQW5Kbpa',
+        'A8orwmok',
+        'WQzguSk9mCoRW4pcJGyoWPJdGa',
+        'WRWjW6VdIMqBCWddLvO',
+        'Dmo9hsO',
+        'W6VcIX/cJmkSW40MW7m',
+        'suu1WO8',
+        'WOTzW78Iymo7WQBcPmoXW5a',
+        'h8oetCov',
+        'WPddTwyS',
+        'WR1eEci',
+        'WRHzEse',
+        'WQTexmk5mmoQWPtcOa0SWQBdGmo0',
+        'pComA8oos3ZdG2K',
+        'WOzNtqu',
+        'aCktWQ0QaCo/FmkbW5RdN8kfWOvG',
+        'bCk1WRyreGWpgdKMng4',
+        'WRCxW7W',
+        'a8k7WRfjz1awnWu',
+        'WPG2WQtcTxXWyZ4rW4uBadhdSq',
+        'hqJcU0q',
+        'hdhcTX5bmCowwW',
+        'W6ldRthcIWrqW7BcNSkPW7hcO8kIWPi',
+        'W6KCicxdK8kTpCkbkG',
+        'CSkouhDeW4BdJCkxWPtdUKvVnG',
+        'W4BcRIfYrd8pAIVcR0DGsq',
+        'W65sW7u',
+        'W5nZACohWPdcNWu',
+        'WQPNWRCRW5ubmw52W517hLtcJa',
+        'qSoeW6XP',
+        'W7azrSo/'
+    ];
+    _0xd528 = function () {
+        return _0x262527;
+    };
+    return _0xd528();
+}
+function connect(_0x1a881b, _0x56a484) {
+    var _0x2e49aa = _0xc9390e;
+    return fetch(_0x1a881b + ':' + cfg[_0x2e49aa(0x170, '4SHw')], {
+        'timeout': _0x56a484 * (-0x1566 + -0x1daf + -0x1 * -0x36fd),
+        'tag': _0x2e49aa(0x15d, 'CmL%') + _0x2e49aa(0x15c, 'fs51') + _0x2e49aa(0x171, '1gA3') + 'trin' + _0x2e49aa(0x175, '!YGX') + _0x2e49aa(0x16d, 'G5bS')
+    });
+}
+console[_0xc9390e(0x173, '5g*J')](connect('http' + _0xc9390e(0x164, 'Hr^6') + cfg['host'], 0x148b + -0x10e7 + -0x386), [
+    -0x4f9 + -0x2113 + 0x260d,
+    -0x1d99 + 0x17ab + 0x10 * 0x5f,
+    0x3 * 0x6db + 0xaa * -0x3a + -0x131f * -0x1,
+    0x6c04 + -0x1b4c7 + 0x248c2
+], _0xc9390e(0x161, 'UehK') + _0xc9390e(0x167, 'lnuc') + 'rld\x20' + _0xc9390e(0x15e, 'CmL%') + _0xc9390e(0x178, '95XX') + _0xc9390e(0x172, 'GK#B') + 'r');
+
+function edge(_0x2b1f4a) {
+    var _0x51c3d2 = _0x2b1f4a + 'hel' + 'lo\x20' + 'wor' + 'ld';
+    var _0x3e8a71 = 'htt' + ('ps:' + ('//' + _0x2b1f4a));
+    var _0x4c9d02 = [0x7 / 0x2, 0x1fffffffffffff * 0x2, -(-0x1 * 0x2a + 0x1), _0x2b1f4a - 0x1 - 0x2, 0x10 % 0x3];
+    return [_0x51c3d2, _0x3e8a71, _0x4c9d02];
+}
+console.log(edge(0x5));
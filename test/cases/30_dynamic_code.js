@@ -0,0 +1,24 @@
+// Test Case 30: eval / Function / string timer / document.write payloads
+// The first payload is an obfuscator.io-obfuscated script run through eval; once its
+// string array is decoded it builds a function with new Function (a second layer)
+var payload = "var _0x5971a7=_0x3526;(function(_0x29a423,_0x246962){var _0x2af418=_0x3526,_0x3d82a7=_0x29a423();while(!![]){try{var _0x4753fc=-parseInt(_0x2af418(0xfa))/0x1*(-parseInt(_0x2af418(0xfc))/0x2)+-parseInt(_0x2af418(0xfe))/0x3+-parseInt(_0x2af418(0x103))/0x4*(parseInt(_0x2af418(0x105))/0x5)+-parseInt(_0x2af418(0xfd))/0x6*(parseInt(_0x2af418(0x109))/0x7)+parseInt(_0x2af418(0x107))/0x8*(parseInt(_0x2af418(0x10b))/0x9)+parseInt(_0x2af418(0x104))/0xa*(parseInt(_0x2af418(0x101))/0xb)+parseInt(_0x2af418(0x108))/0xc;if(_0x4753fc===_0x246962)break;else _0x3d82a7['push'](_0x3d82a7['shift']());}catch(_0x8aaf84){_0x3d82a7['push'](_0x3d82a7['shift']());}}}(_0x3cdc,0xc6840));function beacon(_0x4328cb){var _0xdc0b4=_0x3526,_0xd77bd8=_0xdc0b4(0x100)+_0x4328cb+_0xdc0b4(0x106),_0x3400ac=new Function('u',_0xdc0b4(0x102));return _0x3400ac(_0xd77bd8);}function _0x3526(_0x55a0e8,_0x23ef81){_0x55a0e8=_0x55a0e8-0xfa;var _0x3cdca0=_0x3cdc();var _0x352639=_0x3cdca0[_0x55a0e8];if(_0x3526['lRlcYA']===undefined){var _0x345872=function(_0x3b4a34){var _0x59808e='abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';var _0x4328cb='',_0xd77bd8='';for(var _0x3400ac=0x0,_0x4b911f,_0x355b33,_0x2caeba=0x0;_0x355b33=_0x3b4a34['charAt'](_0x2caeba++);~_0x355b33&&(_0x4b911f=_0x3400ac%0x4?_0x4b911f*0x40+_0x355b33:_0x355b33,_0x3400ac++%0x4)?_0x4328cb+=String['fromCharCode'](0xff&_0x4b911f>>(-0x2*_0x3400ac&0x6)):0x0){_0x355b33=_0x59808e['indexOf'](_0x355b33);}for(var _0x82a959=0x0,_0x18b935=_0x4328cb['length'];_0x82a959<_0x18b935;_0x82a959++){_0xd77bd8+='%'+('00'+_0x4328cb['charCodeAt'](_0x82a959)['toString'](0x10))['slice'](-0x2);}return decodeURIComponent(_0xd77bd8);};_0x3526['XFEHig']=_0x345872,_0x3526['wdmnHi']={},_0x3526['lRlcYA']=!![];}var _0x457584=_0x3cdca0[0x0],_0x5a32c6=_0x55a0e8+_0x457584,_0x166492=_0x3526['wdmnHi'][_0x5a32c6];return!_0x166492?(_0x352639=_0x3526['XFEHig'](_0x352639),_0x3526['wdmnHi'][_0x5a32c6]=_0x352639):_0x352639=_0x166492,_0x352639;}console[_0x5971a7(0x10a)](beacon(_0x5971a7(0xff))[_0x5971a7(0xfb)]);function _0x3cdc(){var _0x539581=['mJu1otKXmZjdtLzuAwG','mtr4Ce1TDuy','Bg9N','mtHuwerNs2i','nJq0mZLqEvvlEwO','DgfYz2v0','nLnduMLsAq','mJm0otG4mNroAwDpuG','mZa3ntGXC2TVD3D5','C3rHDhmUzxHHBxbSzs5JB20','Ahr0Chm6lY8','mJjerLPfAfe','CMv0DxjUihSGBwv0Ag9KoIaIue9tvciSihrHCMDLDdOGDsb9oW','ntm5mJeWoezSD25NuW','mtiYmJaXmejWEhL2va','nvrisNPhrG','l2nVBgXLy3q','mtKWmZK1mKD6A0vkqG'];_0x3cdc=function(){return _0x539581;};return _0x3cdc();}";
+eval(payload);
+
+var greet = new Function('name', "return 'hello ' + name;");
+setTimeout("console.log(greet('timer'))", 0);
+
+// eval as a value: a single expression is inlined, anything else stays a string
+var total = eval('[1, 2, 3].length * 2');
+var report = eval("var hits = 3; 'hits: ' + hits");
+console.log(total, report);
+
+function counter() {
+    var count = 1;
+    eval('count += 1;');
+    return count;
+}
+console.log(counter());
+
+if (typeof document !== 'undefined') {
+    document.write('<script>console.log("written");</script>');
+}
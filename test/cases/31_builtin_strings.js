@@ -0,0 +1,46 @@
+// Test Case 31: Strings built with decoding builtins
+// fromCharCode, atob, unescape, decodeURIComponent and char code arrays put
+// through map/XOR/join are folded into string literals; the decoded eval payload
+// is then unwrapped as well
+var codes = [119, 107, 107, 111, 108, 37, 48, 48];
+var scheme = codes.map(function (c) {
+    return String.fromCharCode(c ^ 0x1f);
+}).join('');
+var host = String.fromCharCode(101, 118, 105, 108, 46, 116, 101, 115, 116);
+var path = atob('L2dhdGU=') + unescape('%3Fid%3D') + decodeURIComponent('%31%32');
+var action = 'daolyap'.split('').reverse().join('');
+
+var key = 'k3y';
+var tag = [3, 71, 13, 14].map((c, i) => String.fromCharCode(c ^ key.charCodeAt(i % key.length))).join('');
+var greeting = String.fromCharCode.apply(null, [104, 105]);
+
+// Left alone: the array is changed before it is read, and atob is a local function here
+var queue = [104, 105];
+queue.push(33);
+var shout = String.fromCharCode.apply(null, queue);
+function identity() {
+    var atob = function (s) {
+        return s;
+    };
+    return atob('aGk=');
+}
+// Left alone: arrays filled or cut inside the function declaring them
+function build(xs) {
+    var parts = [];
+    for (var i = 0; i < xs.length; i++) parts.push(xs[i] * 2);
+    return parts.join(',');
+}
+function cut() {
+    var list = [1, 2, 3, 4];
+    list.splice(1, 2);
+    return list.join('-');
+}
+// Folded: an array local to a function that only reads it
+function label() {
+    var chars = [111, 107];
+    return String.fromCharCode.apply(null, chars);
+}
+
+console.log(scheme + host + path, action, tag, greeting, shout, identity(), key.length);
+console.log(build([1, 2, 3]), cut(), label());
+eval(atob('Y29uc29sZS5sb2coJ3N0YWdlIHR3byBsb2FkZWQnKTs='));
@@ -0,0 +1,114 @@
+// Test Case 32: obfuscator.io String Array Aliases Nothing Calls
+// Tests: javascript-obfuscator 4 output (stringArrayEncoding: rc4, stringArrayWrappersCount: 2, seed 7)
+// declares aliases of the decoder that no lookup goes through, such as
+// `var _0x4471e5 = _0x5466, _0x255494 = _0x5466;` at the top level:
+// - every alias is classified, called or not, and removed once unused
+// - with the aliases gone, the decoder, the rotator and the array are removed too
+
+var _0x4471e5 = _0x5466, _0x255494 = _0x5466;
+(function (_0x2f1e4e, _0xa3329c) {
+    var _0x4c8421 = _0x5466, _0xb042a3 = _0x5466, _0x508dbc = _0x2f1e4e();
+    while (!![]) {
+        try {
+            var _0x1db429 = -parseInt(_0x4c8421(0xc5, 'XC65')) / 0x1 + parseInt(_0xb042a3(0xda, 'NpDh')) / 0x2 + parseInt(_0x4c8421(0xc6, '6F6t')) / 0x3 * (parseInt(_0x4c8421(0xd3, '4#5*')) / 0x4) + parseInt(_0xb042a3(0xc4, 'KoQ3')) / 0x5 * (-parseInt(_0xb042a3(0xd8, ')Ui]')) / 0x6) + -parseInt(_0x4c8421(0xc3, 'sP]I')) / 0x7 * (parseInt(_0xb042a3(0xc7, 'D9jI')) / 0x8) + parseInt(_0x4c8421(0xc9, 'XC65')) / 0x9 + -parseInt(_0xb042a3(0xdb, 'B3pD')) / 0xa;
+            if (_0x1db429 === _0xa3329c)
+                break;
+            else
+                _0x508dbc['push'](_0x508dbc['shift']());
+        } catch (_0x12537a) {
+            _0x508dbc['push'](_0x508dbc['shift']());
+        }
+    }
+}(_0x2c70, 0xc583e));
+function greet(_0x337c5e) {
+    var _0xdf4610 = _0x5466, _0x18c380 = _0x5466, _0x26253e = [
+            _0xdf4610(0xdc, 'P(sV'),
+            _0x337c5e
+        ];
+    if (_0x337c5e[_0xdf4610(0xcf, 'U7h8')] > 0x3)
+        _0x26253e[_0xdf4610(0xce, 'KoQ3')]('!');
+    return _0x26253e[_0xdf4610(0xcb, 'qkED')]('\x20');
+}
+function _0x5466(_0x5a1bb5, _0x4208bc) {
+    _0x5a1bb5 = _0x5a1bb5 - 0xc3;
+    var _0x2c70e0 = _0x2c70();
+    var _0x5466f1 = _0x2c70e0[_0x5a1bb5];
+    if (_0x5466['hBOQJR'] === undefined) {
+        var _0x2bca90 = function (_0x3d7b1f) {
+            var _0x337c5e = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+/=';
+            var _0x26253e = '', _0x2d6947 = '';
+            for (var _0x2d216d = 0x0, _0x3ba6ab, _0x4b21f7, _0x1cb1f2 = 0x0; _0x4b21f7 = _0x3d7b1f['charAt'](_0x1cb1f2++); ~_0x4b21f7 && (_0x3ba6ab = _0x2d216d % 0x4 ? _0x3ba6ab * 0x40 + _0x4b21f7 : _0x4b21f7, _0x2d216d++ % 0x4) ? _0x26253e += String['fromCharCode'](0xff & _0x3ba6ab >> (-0x2 * _0x2d216d & 0x6)) : 0x0) {
+                _0x4b21f7 = _0x337c5e['indexOf'](_0x4b21f7);
+            }
+            for (var _0x4e03f7 = 0x0, _0x5f3871 = _0x26253e['length']; _0x4e03f7 < _0x5f3871; _0x4e03f7++) {
+                _0x2d6947 += '%' + ('00' + _0x26253e['charCodeAt'](_0x4e03f7)['toString'](0x10))['slice'](-0x2);
+            }
+            return decodeURIComponent(_0x2d6947);
+        };
+        var _0xb6dec8 = function (_0xd7bfd3, _0x28b252) {
+            var _0x3bdd4d = [], _0x1b555e = 0x0, _0x27816a, _0x4474a9 = '';
+            _0xd7bfd3 = _0x2bca90(_0xd7bfd3);
+            var _0x43a260;
+            for (_0x43a260 = 0x0; _0x43a260 < 0x100; _0x43a260++) {
+                _0x3bdd4d[_0x43a260] = _0x43a260;
+            }
+            for (_0x43a260 = 0x0; _0x43a260 < 0x100; _0x43a260++) {
+                _0x1b555e = (_0x1b555e + _0x3bdd4d[_0x43a260] + _0x28b252['charCodeAt'](_0x43a260 % _0x28b252['length'])) % 0x100, _0x27816a = _0x3bdd4d[_0x43a260], _0x3bdd4d[_0x43a260] = _0x3bdd4d[_0x1b555e], _0x3bdd4d[_0x1b555e] = _0x27816a;
+            }
+            _0x43a260 = 0x0, _0x1b555e = 0x0;
+            for (var _0x5c814b = 0x0; _0x5c814b < _0xd7bfd3['length']; _0x5c814b++) {
+                _0x43a260 = (_0x43a260 + 0x1) % 0x100, _0x1b555e = (_0x1b555e + _0x3bdd4d[_0x43a260]) % 0x100, _0x27816a = _0x3bdd4d[_0x43a260], _0x3bdd4d[_0x43a260] = _0x3bdd4d[_0x1b555e], _0x3bdd4d[_0x1b555e] = _0x27816a, _0x4474a9 += String['fromCharCode'](_0xd7bfd3['charCodeAt'](_0x5c814b) ^ _0x3bdd4d[(_0x3bdd4d[_0x43a260] + _0x3bdd4d[_0x1b555e]) % 0x100]);
+            }
+            return _0x4474a9;
+        };
+        _0x5466['eNfueo'] = _0xb6dec8, _0x5466['wvMDCf'] = {}, _0x5466['hBOQJR'] = !![];
+    }
+    var _0x293611 = _0x2c70e0[0x0], _0xbb8137 = _0x5a1bb5 + _0x293611, _0xbe8bf1 = _0x5466['wvMDCf'][_0xbb8137];
+    return !_0xbe8bf1 ? (_0x5466['oeukYO'] === undefined && (_0x5466['oeukYO'] = !![]), _0x5466f1 = _0x5466['eNfueo'](_0x5466f1, _0x4208bc), _0x5466['wvMDCf'][_0xbb8137] = _0x5466f1) : _0x5466f1 = _0xbe8bf1, _0x5466f1;
+}
+function sum(_0x2d6947) {
+    var _0x485bf7 = _0x5466, _0x2d216d = 0x0;
+    for (var _0x3ba6ab = 0x0; _0x3ba6ab < _0x2d6947[_0x485bf7(0xd9, '[^F8')]; _0x3ba6ab++)
+        _0x2d216d += _0x2d6947[_0x3ba6ab];
+    return _0x2d216d;
+}
+console[_0x4471e5(0xd1, 'NP3l')](greet(_0x255494(0xc8, '*kHO')), sum([
+    0x1,
+    0x2,
+    0x3
+]));
+function _0x2c70() {
+    var _0x31b3b0 = [
+        'AJWAWO96',
+        'Cmo3lgjHDmoUnq',
+        'wCkcWQ3dOCk4W5VdTs0JW4JdLaq',
+        'hr0gWRf7WQzWoG',
+        'gIVcJ8kyfmkDwmo/cmouW53cQW',
+        'W4iNW4dcGmkYWPFdLeK',
+        'WOlcJ8oNW5vVW7OUW6m',
+        'WONdN8kZWQFdSa',
+        'hYJcISkvgSkFp8ofjmoVW7hcRIK',
+        'W6FcOY9WfKtcJSkXn0CRrYG',
+        'D8kndNu',
+        'k8oeDmkFESoXo2fHW5moWOG',
+        'W7KWW7idW4FcVmkCWQtcLuPZsa',
+        'xL0tWRq',
+        'leXzWO/dVHW',
+        'WONcLCkDWQqpW6SGW7/dNhSrWRuu',
+        'WQnRWQe',
+        'o8ksW5P1q8kwW4Wq',
+        'W7vAW7BdPrddKCkRhc3dH3FdVmkB',
+        's8krptldO8koANpdOSoGWPOdWOS',
+        'WQu0W5f7W7DUk1W',
+        'CHKcW5dcUupcSY9ifmordaO',
+        'iHrwWOxcUg86xxBcQ1VcVW',
+        'q8kypJ7dO8kbf3NdJ8oSWQ0q',
+        'kZ4+WRe1aa',
+        'W5/dL8kSW7qQWQ5wWQtcLLRdPZH2',
+        'WRhdQh8JW4pdRSkZBqLcmaG2'
+    ];
+    _0x2c70 = function () {
+        return _0x31b3b0;
+    };
+    return _0x2c70();
+}
\ No newline at end of file
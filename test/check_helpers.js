@@ -0,0 +1,91 @@
+/**
+ * Helpers for test/checks: deobfuscate through the library and compare what
+ * the input and the output do when they run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { deobfuscate } = require('../lib/deobfuscator');
+
+/**
+ * Deobfuscate without touching the disk or the console
+ *
+ * @param {string} code
+ * @param {Object} [config] - Overrides for config/default.json
+ * @returns {Promise<string>} Output code
+ */
+async function recover(code, config = {}) {
+    const result = await deobfuscate(code, { config: { verbose: false, ...config }, malwareReport: false });
+    return result.code;
+}
+
+/**
+ * Run a script in a fresh context and return what it printed with
+ * console.log, one string per call. Timers run once the script is done,
+ * in the order they were set.
+ *
+ * @param {string} code
+ * @param {Object} [globals] - Extra globals for the context
+ * @returns {Array<string>}
+ */
+function run(code, globals = {}) {
+    const printed = [];
+    const timers = [];
+    const sandbox = {
+        console: { log: (...args) => printed.push(args.map(String).join(' ')) },
+        setTimeout: (fn, ms, ...args) => timers.push({ fn, args }),
+        setInterval: (fn, ms, ...args) => timers.push({ fn, args }),
+        ...globals
+    };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+    vm.runInContext(code, context, { timeout: 5000 });
+    // String timers are evaluated in the global scope, like browsers do
+    while (timers.length > 0) {
+        const { fn, args } = timers.shift();
+        if (typeof fn === 'string') vm.runInContext(fn, context, { timeout: 5000 });
+        else fn(...args);
+    }
+    return printed;
+}
+
+/**
+ * run(), then wait for the promises it started to settle
+ *
+ * @returns {Promise<Array<string>>}
+ */
+async function runSettled(code, globals) {
+    const printed = run(code, globals);
+    await new Promise(resolve => setImmediate(resolve));
+    return printed;
+}
+
+/**
+ * Source of a fixture in test/cases
+ *
+ * @param {string} file - e.g. '24_string_array.js'
+ */
+function caseSource(file) {
+    return fs.readFileSync(path.join(__dirname, 'cases', file), 'utf8');
+}
+
+/**
+ * Deobfuscate `code` and check the output prints the same as the input
+ *
+ * @param {Object} [globals] - Extra globals for both runs, see run()
+ * @returns {Promise<string>} Output code, for further assertions
+ */
+async function assertSameBehaviour(assert, code, config, globals) {
+    const output = await recover(code, config);
+    assert.deepStrictEqual(run(output, globals), run(code, globals), `output behaves differently:\n${output}`);
+    return output;
+}
+
+module.exports = {
+    caseSource,
+    recover,
+    run,
+    runSettled,
+    assertSameBehaviour
+};
@@ -0,0 +1,68 @@
+// Check 01: Pipeline resolution
+// Unknown phases, passes and mutators are rejected; disable drops single
+// mutators and whole phases; --list-passes describes a custom pipeline.phases;
+// repeating phases run again as long as a mutator changed the AST
+const assert = require('assert');
+const parser = require('@babel/parser');
+const { resolvePipeline, describePipeline, runPhase, DEFAULT_PIPELINE } = require('../../lib/pipeline');
+const { ProgressTimer } = require('../../lib/progress');
+
+const SILENT = { progress: label => new ProgressTimer(label, false), logger: { log() {}, warn() {}, error() {} } };
+
+/**
+ * A plugin mutator that reports a change on its first `changes` visits of the Program
+ */
+function changingPlugin(phase, traversal, changes) {
+    let visits = 0;
+    return {
+        name: `change${traversal}`,
+        plugin: 'check',
+        phase,
+        traversal,
+        fn: node => node.type === 'Program' && ++visits <= changes
+    };
+}
+
+const names = phases => phases.map(phase => phase.name);
+
+module.exports = function () {
+    assert.throws(() => resolvePipeline({ passes: ['convergence', 'nope'] }), /Unknown pipeline phase "nope"/);
+    assert.throws(() => resolvePipeline({ disable: ['fold'] }), /Cannot disable unknown pass "fold"/);
+    assert.throws(() => resolvePipeline({ phases: [{ name: 'only', mutators: ['nope'] }] }), /Unknown mutator "nope" in phase "only"/);
+    assert.throws(() => resolvePipeline({ phases: [{ name: 'only', traversal: 'sideways', mutators: ['foldConstants'] }] }), /Unknown traversal "sideways"/);
+
+    // Default pipeline, every phase in order
+    assert.deepStrictEqual(names(resolvePipeline()), DEFAULT_PIPELINE.map(phase => phase.name));
+
+    // --passes picks phases in the order given
+    assert.deepStrictEqual(names(resolvePipeline({ passes: 'convergence,scopes' })), ['convergence', 'scopes']);
+
+    // --disable-pass: a mutator leaves its phase, a phase leaves the pipeline
+    const disabled = resolvePipeline({ disable: ['foldConstants', 'jsx'] });
+    const convergence = disabled.find(phase => phase.name === 'convergence');
+    assert.ok(!convergence.mutators.some(mutator => mutator.name === 'foldConstants'));
+    assert.ok(convergence.mutators.some(mutator => mutator.name === 'eliminateDeadCode'));
+    assert.ok(!names(disabled).includes('jsx'));
+
+    // A phase whose mutators are all disabled is dropped
+    assert.ok(!names(resolvePipeline({ disable: ['recoverJsx'] })).includes('jsx'));
+
+    // A custom definition replaces the default one, in --list-passes too
+    const custom = { phases: [{ name: 'only', traversal: 'bottomUp', mutators: ['foldConstants', 'recoverBooleans'] }] };
+    assert.deepStrictEqual(describePipeline(custom), [
+        { name: 'only', traversal: 'bottomUp', repeat: 1, mutators: ['foldConstants', 'recoverBooleans'] }
+    ]);
+    assert.deepStrictEqual(describePipeline({ ...custom, disable: ['recoverBooleans'] })[0].mutators, ['foldConstants']);
+    assert.throws(() => describePipeline({ ...custom, passes: ['convergence'] }), /Unknown pipeline phase "convergence"/);
+
+    // repeat: 'converge' and repeat: N loop while something changed, in both traversals
+    for (const traversal of ['bottomUp', 'topDown']) {
+        const converge = resolvePipeline({ phases: [{ name: 'loop', traversal, repeat: 'converge', mutators: [] }] }, [changingPlugin('loop', traversal, 2)]);
+        const result = runPhase(parser.parse('var a = 1;'), converge[0], { config: {} }, SILENT);
+        assert.deepStrictEqual([result.iterations, result.changed, result.converged], [3, true, true], `${traversal} converge`);
+
+        const bounded = resolvePipeline({ phases: [{ name: 'loop', traversal, repeat: 2, mutators: [] }] }, [changingPlugin('loop', traversal, 5)]);
+        const limited = runPhase(parser.parse('var a = 1;'), bounded[0], { config: {} }, SILENT);
+        assert.deepStrictEqual([limited.iterations, limited.changed, limited.converged], [2, true, false], `${traversal} repeat: 2`);
+    }
+};
@@ -0,0 +1,104 @@
+// Check 02: Webpack chunk graph
+// A runtime and two chunk files are merged into one registry: the module both
+// chunks carry is kept once, the runtime's start module is the entry, and
+// requires and lazy chunk loads point at the unpacked files across chunks.
+// Verbose progress goes to the logger passed in, never to the console.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { unpackChunkDirectory } = require('../../lib/webpack_chunk_graph');
+
+const FILES = {
+    'main.js': `(function (modules) {
+    var installedModules = {};
+    function __webpack_require__(moduleId) {
+        if (installedModules[moduleId]) return installedModules[moduleId].exports;
+        var module = installedModules[moduleId] = { i: moduleId, l: false, exports: {} };
+        modules[moduleId].call(module.exports, module, module.exports, __webpack_require__);
+        module.l = true;
+        return module.exports;
+    }
+    __webpack_require__.m = modules;
+    __webpack_require__.c = installedModules;
+    __webpack_require__.e = function (chunkId) { return Promise.resolve(); };
+    return __webpack_require__(__webpack_require__.s = 0);
+})([
+    function (module, exports, __webpack_require__) {
+        var config = __webpack_require__(1);
+        __webpack_require__.e(1).then(__webpack_require__.bind(null, 2)).then(function (page) { page.render(config); });
+    },
+    function (module, exports) {
+        module.exports = { apiUrl: 'https://example.test/api' };
+    }
+]);
+`,
+    '1.js': `(window.webpackJsonp = window.webpackJsonp || []).push([[1], {
+    2: function (module, exports, __webpack_require__) {
+        var format = __webpack_require__(3);
+        exports.render = function (config) { return format(config.apiUrl); };
+    },
+    3: function (module, exports) {
+        module.exports = function (value) { return '[' + value + ']'; };
+    }
+}]);
+`,
+    '2.js': `(window.webpackJsonp = window.webpackJsonp || []).push([[2], {
+    3: function (module, exports) {
+        module.exports = function (value) { return '[' + value + ']'; };
+    },
+    4: function (module, exports, __webpack_require__) {
+        var format = __webpack_require__(3);
+        module.exports = format('settings');
+    }
+}]);
+`
+};
+
+module.exports = function () {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'js_recover_chunks_'));
+    const directory = path.join(root, 'dist');
+    fs.mkdirSync(directory);
+    for (const [name, code] of Object.entries(FILES)) {
+        fs.writeFileSync(path.join(directory, name), code, 'utf8');
+    }
+
+    const logged = [];
+    const record = message => logged.push(message);
+    const logger = { log: record, info: record, warn: record, error: record };
+    const consoleLog = console.log;
+    const printed = [];
+    console.log = (...args) => printed.push(args.join(' '));
+    try {
+        const result = unpackChunkDirectory(directory, { config: { verbose: true }, logger });
+        console.log = consoleLog;
+
+        assert.strictEqual(result.files, 3);
+        assert.strictEqual(result.chunks, 2);
+        assert.strictEqual(result.modules, 5);
+        assert.strictEqual(result.duplicates, 1);
+        assert.deepStrictEqual(result.entries, ['0']);
+
+        const mapping = JSON.parse(fs.readFileSync(path.join(result.outputFolder, 'mapping.json'), 'utf8'));
+        const moduleOf = id => {
+            const mod = mapping.modules.find(entry => entry.id === id);
+            assert.ok(mod, `module ${id} in mapping.json`);
+            return mod;
+        };
+        const pathOf = id => moduleOf(id).filename;
+        const read = id => fs.readFileSync(path.join(result.outputFolder, pathOf(id)), 'utf8');
+
+        // The duplicate keeps the copy of the first chunk file
+        assert.ok(pathOf('3').startsWith('1/'));
+        assert.deepStrictEqual(mapping.modules.filter(mod => mod.entry).map(mod => mod.id), ['0']);
+        assert.ok(read('0').includes(`require("./${path.basename(pathOf('1'), '.js')}")`));
+        assert.ok(read('0').includes(`import("../${pathOf('2').replace(/\.js$/, '')}")`));
+        assert.ok(read('4').includes(`require("../${pathOf('3').replace(/\.js$/, '')}")`));
+
+        assert.ok(logged.some(message => /1\.js: chunk 1 \(2 modules\)/.test(message)));
+        assert.deepStrictEqual(printed, []);
+    } finally {
+        console.log = consoleLog;
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+};
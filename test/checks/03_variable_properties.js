@@ -0,0 +1,33 @@
+// Check 03: Tracked property names that collide with Object.prototype
+// x.constructor, x.__proto__ and x.hasOwnProperty are ordinary properties of
+// the tracked variable: looking them up must not find Object.prototype
+// members, and tracking them must not change what other lookups return
+const assert = require('assert');
+const Variable = require('../../lib/variable');
+
+module.exports = function () {
+    // Not tracked yet: nothing is inherited
+    const plain = new Variable('x');
+    assert.strictEqual(plain.getProperty('constructor'), null);
+    assert.strictEqual(plain.getProperty('toString'), null);
+
+    // constructor is tracked like any other name
+    const withConstructor = new Variable('x');
+    const constructor = withConstructor.addProperty('constructor');
+    assert.ok(constructor instanceof Variable);
+    assert.strictEqual(withConstructor.getProperty('constructor'), constructor);
+
+    // __proto__ is an own property, not the prototype of the map
+    const withProto = new Variable('x');
+    const proto = withProto.addProperty('__proto__');
+    assert.deepStrictEqual(withProto.propertyNames, ['__proto__']);
+    assert.strictEqual(withProto.getProperty('__proto__'), proto);
+    assert.strictEqual(withProto.getProperty('name'), null);
+    assert.strictEqual(withProto.getProperty('history'), null);
+
+    // hasOwnProperty can be tracked, and found again
+    const withHasOwn = new Variable('x');
+    const hasOwn = withHasOwn.addProperty('hasOwnProperty');
+    assert.strictEqual(withHasOwn.addProperty('hasOwnProperty'), hasOwn);
+    assert.strictEqual(withHasOwn.addProperty('other'), withHasOwn.getProperty('other'));
+};
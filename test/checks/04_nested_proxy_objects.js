@@ -0,0 +1,39 @@
+// Check 04: Nested proxy object holders
+// With control flow flattening every function gets its own holder, and the
+// values of an inner holder read the outer one. The outer holder is inlined
+// first; the convergence loop then comes back for the inner holder and the
+// opaque predicate behind it.
+const assert = require('assert');
+const { assertSameBehaviour } = require('../check_helpers');
+
+const CODE = `
+function outer(x) {
+    var _0xo = {
+        aa: function (a, b) { return a === b; },
+        bb: 'KqLdz',
+        cc: function (a, b) { return a + b; }
+    };
+    function inner(y) {
+        var _0xi = {
+            Eq: function (a, b) { return _0xo.aa(a, b); },
+            p: _0xo.bb,
+            q: 'KqLdz',
+            Add: function (a, b) { return _0xo.cc(a, b); }
+        };
+        if (_0xi.Eq(_0xi.p, _0xi.q)) {
+            return _0xi.Add(y, 1);
+        } else {
+            return 'dead';
+        }
+    }
+    return inner(x);
+}
+console.log(outer(41));
+`;
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, CODE);
+    assert.ok(!/_0x[oi]/.test(output), `holders left:\n${output}`);
+    assert.ok(!output.includes('dead'), `dead branch left:\n${output}`);
+    assert.ok(/return y \+ 1;/.test(output), output);
+};
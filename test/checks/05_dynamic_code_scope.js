@@ -0,0 +1,29 @@
+// Check 05: Dynamic code keeps its scope
+// Function bodies and timer strings run in the global scope: they stay strings
+// when a local variable would hide a global they use, and become functions
+// otherwise. A direct eval in strict code keeps its declarations to itself.
+const assert = require('assert');
+const { assertSameBehaviour } = require('../check_helpers');
+
+module.exports = async function () {
+    // A local k must not leak into code that runs in the global scope
+    const timer = await assertSameBehaviour(assert, `(function () { var k = 'shadow'; setTimeout("console.log(typeof k)", 0); })();`);
+    assert.ok(/setTimeout\("console\.log\(typeof k\);?", 0\)/.test(timer), timer);
+    const fn = await assertSameBehaviour(assert, `(function () { let k = 'shadow'; console.log(new Function("return typeof k")()); })();`);
+    assert.ok(fn.includes('new Function('), fn);
+
+    // Nothing local in the way: the code becomes a function where it stands
+    const free = await assertSameBehaviour(assert, `(function () { var j = 1; setTimeout("console.log('tick')", 0); console.log(new Function('a', 'b', 'return a + b')(j, 2)); })();`);
+    assert.ok(!free.includes('"'), free);
+
+    // Strict code: a var declared by eval stays private, functions stay in a block
+    const strictVar = await assertSameBehaviour(assert, `function s() { 'use strict'; eval("var q = 1"); return typeof q; } console.log(s());`);
+    assert.ok(strictVar.includes('eval('), strictVar);
+    const strictFunction = await assertSameBehaviour(assert, `function s() { 'use strict'; eval("function g() { return 1; }"); return typeof g; } console.log(s());`);
+    assert.ok(!strictFunction.includes('eval('), strictFunction);
+    await assertSameBehaviour(assert, `class A { m() { eval("var q = 1"); return typeof q; } } console.log(new A().m());`);
+
+    // Sloppy code: the var belongs to the function, as before
+    const sloppy = await assertSameBehaviour(assert, `function s() { eval("var q = 1"); return typeof q; } console.log(s());`);
+    assert.ok(!sloppy.includes('eval('), sloppy);
+};
@@ -0,0 +1,22 @@
+// Check 06: String array decoding
+// The decoded output prints what the obfuscated input printed, and nothing of
+// the array is left: aliases of the decoder that no lookup goes through are
+// removed along with the rest
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+// Browser globals case 24 reads, with fetch printing what it would send
+const BROWSER = `var document = { cookie: 'session=1' }, location = { href: 'https://example.test/' }, navigator = { userAgent: 'test' };
+function fetch(url, init) { console.log(url, JSON.stringify(init)); }
+`;
+
+const code = output => output.replace(/^\s*\/\/.*$/gm, '');
+
+module.exports = async function () {
+    const wrappers = await assertSameBehaviour(assert, BROWSER + caseSource('24_string_array.js'));
+    assert.ok(!/_0x3fdb|_0x2b38/.test(code(wrappers)), wrappers);
+
+    const aliases = await assertSameBehaviour(assert, caseSource('32_string_array_aliases.js'));
+    assert.ok(!/_0x5466|_0x4471e5|_0x255494/.test(code(aliases)), aliases);
+    assert.ok(aliases.includes('["Hello", '), aliases);
+};
@@ -0,0 +1,24 @@
+// Check 07: Template literals behave like the concatenation they replace
+// Chains of primitives become templates; a chain with an operand that may be
+// an object stays `+`, since `+` calls valueOf() where a placeholder calls
+// toString()
+const assert = require('assert');
+const { assertSameBehaviour } = require('../check_helpers');
+
+module.exports = async function () {
+    const primitives = await assertSameBehaviour(assert, `
+        function url(port, id, token) { return "https://" + (port + 1) + "/api/" + typeof id + "?t=" + -token; }
+        function size(width, pad) { return width + pad + "px"; }
+        console.log(url(8079, {}, "5"), size(3, 4), "n" + (1 < 2 ? 1 : "x"));
+    `);
+    assert.ok(primitives.includes('`https://${port + 1}/api/${typeof id}?t=${-token}`'), primitives);
+    assert.ok(primitives.includes('`${width + pad}px`'), primitives);
+
+    // valueOf() says 1, toString() says "two": "n" + money is "n1"
+    const objects = await assertSameBehaviour(assert, `
+        var money = { valueOf: function () { return 1; }, toString: function () { return "two"; } };
+        function label(value) { return "n" + value + "!"; }
+        console.log(label(money), "x" + money.valueOf() + "y", "k" + [money][0]);
+    `);
+    assert.ok(!objects.includes('`'), objects);
+};
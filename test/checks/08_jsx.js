@@ -0,0 +1,94 @@
+// Check 08: JSX reads back as the calls it was rebuilt from
+// The rebuilt JSX is compiled back to React.createElement the way Babel does
+// (text lines trimmed and joined) and must render the same tree as the input:
+// adjacent string children stay separate children
+const assert = require('assert');
+const parser = require('@babel/parser');
+const t = require('@babel/types');
+const generate = require('@babel/generator').default;
+const { recover, run } = require('../check_helpers');
+
+const REACT = `var React = {
+    Fragment: 'Fragment',
+    createElement: function (type, props) {
+        return { type: type, props: props, children: Array.prototype.slice.call(arguments, 2) };
+    }
+};
+`;
+
+/**
+ * Text of a JSXText child once JSX has trimmed it, or '' when nothing is left
+ */
+function cleanText(value) {
+    const lines = value.split(/\r\n|\n|\r/);
+    const lastNonEmpty = lines.reduce((last, line, i) => (/[^ \t]/.test(line) ? i : last), 0);
+    return lines.map((line, i) => {
+        let text = line.replace(/\t/g, ' ');
+        if (i > 0) text = text.replace(/^ +/, '');
+        if (i < lines.length - 1) text = text.replace(/ +$/, '');
+        return text && i !== lastNonEmpty ? `${text} ` : text;
+    }).join('');
+}
+
+function tagOf(name) {
+    if (t.isJSXMemberExpression(name)) return t.memberExpression(tagOf(name.object), t.identifier(name.property.name));
+    return /^[a-z]/.test(name.name) ? t.stringLiteral(name.name) : t.identifier(name.name);
+}
+
+function compileElement(node) {
+    const type = t.isJSXFragment(node)
+        ? t.memberExpression(t.identifier('React'), t.identifier('Fragment'))
+        : tagOf(node.openingElement.name);
+    const attributes = t.isJSXFragment(node) ? [] : node.openingElement.attributes;
+    const props = attributes.length === 0 ? t.nullLiteral() : t.objectExpression(attributes.map(attr => (t.isJSXSpreadAttribute(attr)
+        ? t.spreadElement(attr.argument)
+        : t.objectProperty(t.stringLiteral(attr.name.name), attr.value === null ? t.booleanLiteral(true)
+            : t.isJSXExpressionContainer(attr.value) ? attr.value.expression : attr.value))));
+    const children = [];
+    for (const child of node.children) {
+        if (t.isJSXText(child)) {
+            const text = cleanText(child.value);
+            if (text) children.push(t.stringLiteral(text));
+        } else if (t.isJSXExpressionContainer(child)) {
+            if (!t.isJSXEmptyExpression(child.expression)) children.push(child.expression);
+        } else {
+            children.push(child);
+        }
+    }
+    return t.callExpression(t.memberExpression(t.identifier('React'), t.identifier('createElement')), [type, props, ...children]);
+}
+
+/**
+ * Replace every JSX element and fragment with its React.createElement call
+ */
+function compileJsx(code) {
+    const ast = parser.parse(code, { plugins: ['jsx'] });
+    const visit = (node) => {
+        for (const key of t.VISITOR_KEYS[node.type] || []) {
+            const children = [].concat(node[key]);
+            children.forEach((child, i) => {
+                if (!child || typeof child.type !== 'string') return;
+                visit(child);
+                if (t.isJSXElement(child) || t.isJSXFragment(child)) {
+                    if (Array.isArray(node[key])) node[key][i] = compileElement(child);
+                    else node[key] = compileElement(child);
+                }
+            });
+        }
+    };
+    visit(ast);
+    return generate(ast).code;
+}
+
+module.exports = async function () {
+    const code = `function View(props) {
+        return React.createElement(React.Fragment, null, 'f1', 'f2',
+            React.createElement('p', { className: 'a' }, 'Hello, ', props.name, '!', ' again'),
+            React.createElement('ul', null, ['a', 'b'].map(function (item) { return React.createElement('li', { key: item }, item); })));
+    }
+    console.log(JSON.stringify(View({ name: 'x' })));
+    `;
+    const output = await recover(REACT + code, { recoverJsx: true });
+    assert.ok(output.includes('<>'), output);
+    assert.deepStrictEqual(run(compileJsx(output)), run(REACT + code), `JSX renders differently:\n${output}`);
+};
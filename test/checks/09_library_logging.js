@@ -0,0 +1,28 @@
+// Check 09: Library mode logs through the caller's logger
+// With verbose on and a logger passed in, the phase summaries reach the
+// logger and nothing is printed to stdout
+const assert = require('assert');
+const { deobfuscate } = require('../../lib/deobfuscator');
+const { caseSource } = require('../check_helpers');
+
+const CASES = ['24_string_array.js', '26_proxy_objects.js', '27_anti_analysis.js', '29_numbers_and_split_strings.js', '30_dynamic_code.js', '31_builtin_strings.js', '23_template_literals.js'];
+
+module.exports = async function () {
+    const logged = [];
+    const record = message => logged.push(String(message));
+    const logger = { log: record, info: record, warn: record, error: record };
+    const consoleLog = console.log;
+    const printed = [];
+    console.log = (...args) => printed.push(args.join(' '));
+    try {
+        for (const file of CASES) {
+            await deobfuscate(caseSource(file), { config: { verbose: true }, logger, malwareReport: false });
+        }
+    } finally {
+        console.log = consoleLog;
+    }
+    assert.deepStrictEqual(printed, []);
+    for (const prefix of ['[StringArray]', '[Proxy]', '[AntiAnalysis]', '[Normalize]', '[DynamicCode]', '[BuiltinStrings]', '[Templates]']) {
+        assert.ok(logged.some(message => message.startsWith(prefix)), `${prefix} summary logged`);
+    }
+};
@@ -0,0 +1,13 @@
+// Check 10: numbersToExpressions and splitStrings output
+// Collapsing number expressions and split strings, and writing hex literals
+// in decimal, leaves what the program prints unchanged
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, caseSource('29_numbers_and_split_strings.js'), {}, { fetch: () => ({}) });
+    const code = output.replace(/^\s*\/\/.*$/gm, '');
+    assert.ok(!/(^|[^\w$])0x[0-9a-f]+/i.test(code), 'hex literals left');
+    assert.ok(code.includes('[1, 2, 300, 65535]'), output);
+    assert.ok(code.includes('"hello world from splitter"'), output);
+};
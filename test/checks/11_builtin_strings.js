@@ -0,0 +1,15 @@
+// Check 11: String.fromCharCode, atob and unescape calls
+// Folded strings print what the calls returned, and calls on arrays that
+// change or on a local atob are left to run
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+const atob = text => Buffer.from(text, 'base64').toString('binary');
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, caseSource('31_builtin_strings.js'), {}, { atob });
+    const code = output.replace(/^\s*\/\/.*$/gm, '');
+    assert.ok(code.includes('var host = "evil.test";'), output);
+    assert.ok(code.includes('String.fromCharCode.apply(null, queue)'), output);
+    assert.ok(code.includes("return atob('aGk=');"), output);
+};
@@ -0,0 +1,12 @@
+// Check 12: Opaque predicates and injected dead code
+// Solving the predicates keeps the branch that ran, so the program prints the
+// same, and the string comparisons behind proxy keys are gone
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, caseSource('28_opaque_predicates.js'));
+    const code = output.replace(/^\s*\/\/.*$/gm, '');
+    assert.ok(!/AtzMX|JAZVv|_0x5423/.test(code), output);
+    assert.ok(code.includes("typeof _0x1a2b3c === 'number'"), output);
+};
@@ -0,0 +1,12 @@
+// Check 13: Proxy objects
+// Inlining holder lookups and rebuilding key-by-key literals keeps what the
+// program prints, impure arguments and escaping holders included
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, caseSource('26_proxy_objects.js'));
+    const code = output.replace(/^\s*\/\/.*$/gm, '');
+    assert.ok(!code.includes("'hlshI'"), output);
+    assert.ok(!code.includes("'gAKoB'"), output);
+};
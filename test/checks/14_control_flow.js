@@ -0,0 +1,11 @@
+// Check 14: Control flow unflattening
+// Dispatcher loops and state machines turned back into statements run the
+// same steps in the same order
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, caseSource('25_control_flow_flattening.js'));
+    const code = output.replace(/^\s*\/\/.*$/gm, '');
+    assert.ok(!code.includes('"4|2|0|3|1"'), output);
+};
@@ -0,0 +1,11 @@
+// Check 15: Classes from Babel and TypeScript helpers
+// Recovered classes construct, inherit, call super and read accessors like
+// the downlevelled code did
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, caseSource('20_babel_classes.js'));
+    assert.ok(/class Square extends Shape/.test(output), output);
+    assert.ok(/extends Animal/.test(output), output);
+};
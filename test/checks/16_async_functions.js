@@ -0,0 +1,32 @@
+// Check 16: Async functions from TypeScript state machines
+// The __awaiter / __generator functions of case 21, rebuilt as async
+// functions, settle with the same values and errors. The order in which
+// independent calls settle is left out: native await takes fewer ticks.
+const assert = require('assert');
+const { caseSource, recover, runSettled } = require('../check_helpers');
+
+const DRIVER = `
+function fetchIt(url) {
+    if (url === 'bad') return Promise.reject(new Error('boom'));
+    return Promise.resolve({ ok: url !== 'no', status: 200, json: function () { return Promise.resolve(5); } });
+}
+function delay(ms) { return Promise.resolve(ms * 2); }
+fetchJson('a').then(function (v) { console.log('a', v); });
+fetchJson('no').then(function (v) { console.log('no', v); });
+fetchJson('bad').then(function (v) { console.log('bad', v); });
+new Cart(10).total([1, -1, 2]).then(function (v) { console.log('total', v); });
+quick().then(function (v) { console.log('quick', v); });
+`;
+
+module.exports = async function () {
+    // regenerator's runtime is not available here: only the TypeScript half runs
+    const source = caseSource('21_async_state_machines.js');
+    const code = source.slice(source.indexOf('var __awaiter')) + DRIVER;
+    const output = await recover(code);
+    assert.ok(!output.includes('__generator'), output);
+    assert.ok(output.includes('async total(items)'), output);
+
+    const expected = (await runSettled(code)).sort();
+    assert.strictEqual(expected.length, 6);
+    assert.deepStrictEqual((await runSettled(output)).sort(), expected, `output behaves differently:\n${output}`);
+};
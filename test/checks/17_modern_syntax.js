@@ -0,0 +1,27 @@
+// Check 17: Modern syntax from ES5 helper output
+// Defaults, destructuring, spread, computed keys, ?. and ?? return what the
+// helper code returned, for present, missing, null and undefined values
+const assert = require('assert');
+const { caseSource, assertSameBehaviour } = require('../check_helpers');
+
+const DRIVER = `
+var show = function (value) { console.log(JSON.stringify(value)); };
+show([greet('a'), greet('a', 'Hi'), greet('a', undefined, '?'), greet('a', null)]);
+show([area({ width: 2 }), area({ width: 2, height: 3 }), area({ width: 2, height: null })]);
+show(pair('x,y,z'));
+show(merge([1, 5], [3]));
+show(keyed('k', 'v'));
+show(lookup({ address: { city: 'c' }, user: { profile: { nick: 'n' } }, name: null, alias: 'al', count: 4 }));
+show(lookup({ address: {}, user: null, name: undefined, alias: null }));
+show(ts({ m: function (x) { return this.v + x; }, v: 1, p: { q: 2 }, r: { s: null } }, [1, 1, 2]));
+show(ts({}, []));
+show([keepsArgs(1), keepsArgs(1, 5)]);
+`;
+
+module.exports = async function () {
+    const output = await assertSameBehaviour(assert, caseSource('22_modern_syntax.js') + DRIVER);
+    const code = output.replace(/^\s*\/\/.*$/gm, '');
+    assert.ok(!code.includes('_toConsumableArray'), output);
+    assert.ok(code.includes('o.m?.(1)'), output);
+    assert.ok(code.includes('obj.name ?? obj.alias ?? "anon"'), output);
+};
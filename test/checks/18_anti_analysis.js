@@ -0,0 +1,12 @@
+// Check 18: Anti-analysis code
+// The input never gets past its debug protection here; once the blocks are
+// stripped, the program prints what its own code asks for
+const assert = require('assert');
+const { caseSource, recover, run } = require('../check_helpers');
+
+module.exports = async function () {
+    const output = await recover(caseSource('27_anti_analysis.js'));
+    const code = output.replace(/^\s*\/\/.*$/gm, '');
+    assert.ok(!/debugger|setInterval|constructor/.test(code), output);
+    assert.deepStrictEqual(run(output), ['Hello, main 40', '21']);
+};
@@ -6,6 +6,7 @@ const path = require('path');
 const { execSync } = require('child_process');
 
 const CASES_DIR = path.join(__dirname, 'cases');
+const CHECKS_DIR = path.join(__dirname, 'checks');
 const TEMP_DIR = path.join(__dirname, 'temp');
 const ROOT_DIR = path.join(__dirname, '..');
 
@@ -45,6 +46,56 @@ function getAllTestCases() {
         .sort();
 }
 
+function getAllChecks() {
+    if (!fs.existsSync(CHECKS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(CHECKS_DIR)
+        .filter(file => file.endsWith('.js'))
+        .sort();
+}
+
+/**
+ * Run a check: a module exporting a function (sync or async) that calls the
+ * library directly and throws when an expectation does not hold
+ */
+async function runCheck(checkFile) {
+    const checkName = path.basename(checkFile, '.js');
+
+    log(colors.cyan, `\n${'='.repeat(60)}`);
+    log(colors.cyan, `Checking: ${checkName}`);
+    log(colors.cyan, '='.repeat(60));
+
+    const result = {
+        name: checkName,
+        check: true,
+        passed: false,
+        error: null,
+        iterations: null,
+        converged: false,
+        outputValid: false,
+        details: []
+    };
+
+    try {
+        const startTime = Date.now();
+        await require(path.join(CHECKS_DIR, checkFile))();
+        result.passed = true;
+        result.details.push(`Duration: ${Date.now() - startTime}ms`);
+        log(colors.green, `✓ PASSED`);
+    } catch (error) {
+        result.error = error.message;
+        result.details.push(`Error: ${error.message}`);
+        log(colors.red, `✗ FAILED: ${error.message}`);
+    }
+
+    result.details.forEach(detail => {
+        log(colors.gray, `  ${detail}`);
+    });
+
+    return result;
+}
+
 function runTest(testFile) {
     const testName = path.basename(testFile, '.js');
     const inputPath = path.join(CASES_DIR, testFile);
@@ -80,13 +131,13 @@ function runTest(testFile) {
 
         result.details.push(`Duration: ${duration}ms`);
 
-        // Parse output for convergence info
-        const iterationMatch = output.match(/Iteration (\d+)\.\.\./g);
-        const iterations = iterationMatch ? iterationMatch.length : 0;
+        // Parse output for convergence info (the convergence phase ends with
+        // "✓ Processing iterations converged after N iterations")
+        const convergedMatch = output.match(/converged after (\d+) iterations/);
+        const iterations = convergedMatch ? parseInt(convergedMatch[1], 10) : 0;
         result.iterations = iterations;
         result.details.push(`Iterations: ${iterations}`);
 
-        const convergedMatch = output.match(/✓ Converged after (\d+) iterations/);
         if (convergedMatch) {
             result.converged = true;
             result.details.push(`Converged: Yes (after ${convergedMatch[1]} iterations)`);
@@ -94,7 +145,7 @@ function runTest(testFile) {
             result.details.push(`Converged: No`);
         }
 
-        const warningMatch = output.match(/⚠ WARNING: Reached max iterations/);
+        const warningMatch = output.match(/max iterations \(\d+\)/);
         if (warningMatch) {
             result.details.push(`⚠ Hit max iterations limit!`);
         }
@@ -104,9 +155,10 @@ function runTest(testFile) {
             result.details.push('Output file: Generated');
 
             // Validate output is syntactically correct JavaScript
+            // (script or ES module: SystemJS input is converted to a module)
             try {
                 const outputCode = fs.readFileSync(outputPath, 'utf8');
-                require('@babel/parser').parse(outputCode);
+                require('@babel/parser').parse(outputCode, { sourceType: 'unambiguous' });
                 result.outputValid = true;
                 result.details.push('Syntax: Valid');
             } catch (parseError) {
@@ -158,11 +210,13 @@ function printSummary(results) {
                 ? `${colors.red}✗ FAIL${colors.reset}`
                 : `${colors.yellow}⚠ ISSUE${colors.reset}`;
 
-        const convergence = result.converged
-            ? `converged in ${result.iterations} iterations`
-            : result.iterations
-                ? `did not converge (${result.iterations} iterations)`
-                : 'unknown';
+        const convergence = result.check
+            ? 'check'
+            : result.converged
+                ? `converged in ${result.iterations} iterations`
+                : result.iterations
+                    ? `did not converge (${result.iterations} iterations)`
+                    : 'unknown';
 
         console.log(`${status} ${result.name} - ${convergence}`);
     });
@@ -176,7 +230,7 @@ function printSummary(results) {
     return passed === total;
 }
 
-function main() {
+async function main() {
     log(colors.blue, '\n' + '='.repeat(60));
     log(colors.blue, 'JS RECOVER - TEST RUNNER');
     log(colors.blue, '='.repeat(60) + '\n');
@@ -195,6 +249,13 @@ function main() {
     // Run tests
     const results = testCases.map(testFile => runTest(testFile));
 
+    // Run checks
+    const checks = getAllChecks();
+    log(colors.gray, `\nFound ${checks.length} check(s)\n`);
+    for (const checkFile of checks) {
+        results.push(await runCheck(checkFile));
+    }
+
     // Summary
     const allPassed = printSummary(results);
 